@@ -0,0 +1,245 @@
+/**
+ * Horae - 对话数据导出格式
+ *
+ * 导出文件是带版本号的 JSON（格式说明见 Horae数据导出格式说明.md）：
+ * chat[0] 上的全局数据拆到 stores，逐楼层元数据放 messages，设置里的全局表格模板与
+ * 挂载的向量记忆快照单独成段。旧版文件经迁移链逐级升到当前版本后再预览、导入。
+ * 本模块只做纯数据变换，不读写 chat 之外的状态。
+ */
+
+export const CHAT_EXPORT_FORMAT = 'horae-chat-export';
+export const CHAT_EXPORT_SCHEMA_VERSION = 2;
+
+/** stores 键 → chat[0].horae_meta 键 */
+export const CHAT_EXPORT_STORES = Object.freeze({
+    customTables: 'customTables',
+    globalTableData: 'globalTableData',
+    charTableData: 'charTableData',
+    locationMemory: 'locationMemory',
+    relationships: 'relationships',
+    autoSummaries: 'autoSummaries',
+    rpg: 'rpg',
+    rpgConfigs: '_rpgConfigs',
+    deletedNpcs: '_deletedNpcs',
+    userAddedNpcs: '_userAddedNpcs',
+    deletedAgendaTexts: '_deletedAgendaTexts',
+    plotThreads: 'plotThreads',
+});
+
+// 仅在本地会话内有意义的临时状态，不进导出文件
+const TRANSIENT_META_KEYS = ['_pendingScanReview', 'parseIssues', 'chronologyIssue', 'factIssues'];
+
+function _clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function _isEmpty(value) {
+    if (value === undefined || value === null) return true;
+    if (Array.isArray(value)) return value.length === 0;
+    if (typeof value === 'object') return Object.keys(value).length === 0;
+    return false;
+}
+
+function _stripTransient(meta) {
+    const out = _clone(meta);
+    for (const key of TRANSIENT_META_KEYS) delete out[key];
+    return out;
+}
+
+/** 从 chat[0] 元数据里拆出全局数据；返回 [stores, 剩余元数据] */
+function _splitStores(firstMeta) {
+    const stores = {};
+    const rest = firstMeta ? _stripTransient(firstMeta) : null;
+    if (!rest) return [stores, null];
+    for (const [storeKey, metaKey] of Object.entries(CHAT_EXPORT_STORES)) {
+        if (!_isEmpty(rest[metaKey])) stores[storeKey] = rest[metaKey];
+        delete rest[metaKey];
+    }
+    return [stores, rest];
+}
+
+/**
+ * 由当前对话构建导出对象
+ * @param {Array} chat ST chat 数组
+ * @param {{pluginVersion?: string, chatId?: string, chatName?: string, globalTables?: Array, vectorSnapshots?: Array}} [info]
+ */
+export function buildChatExport(chat, info = {}) {
+    if (!Array.isArray(chat)) throw new TypeError('chat must be an array');
+    const [stores, firstRest] = _splitStores(chat[0]?.horae_meta);
+    const messages = [];
+    chat.forEach((msg, index) => {
+        const meta = index === 0 ? firstRest : (msg?.horae_meta ? _stripTransient(msg.horae_meta) : null);
+        if (!meta) return;
+        messages.push({ index, isUser: !!msg.is_user, meta });
+    });
+    const exportObj = {
+        format: CHAT_EXPORT_FORMAT,
+        schemaVersion: CHAT_EXPORT_SCHEMA_VERSION,
+        pluginVersion: info.pluginVersion || '',
+        exportTime: new Date().toISOString(),
+        source: {
+            chatId: info.chatId || '',
+            chatName: info.chatName || '',
+            messageCount: chat.length,
+        },
+        stores,
+        templates: {
+            globalTables: _clone(info.globalTables || []),
+        },
+        messages,
+    };
+    if (Array.isArray(info.vectorSnapshots) && info.vectorSnapshots.length > 0) {
+        exportObj.vectorSnapshots = info.vectorSnapshots;
+    }
+    return exportObj;
+}
+
+/**
+ * 迁移链：MIGRATIONS[n] 把 schemaVersion n 的对象升到 n + 1
+ * 新增版本时只追加一级，旧文件会逐级走完
+ */
+const MIGRATIONS = {
+    // v1：旧版 exportData() 的 { version, exportTime, data: [{ index, horae_meta }] }
+    1: (old) => {
+        const data = Array.isArray(old.data) ? old.data : [];
+        const sorted = [...data]
+            .filter(d => d && Number.isInteger(d.index) && d.horae_meta)
+            .sort((a, b) => a.index - b.index);
+        const first = sorted.find(d => d.index === 0);
+        const [stores, firstRest] = _splitStores(first?.horae_meta);
+        const messages = sorted.map(d => ({
+            index: d.index,
+            meta: d.index === 0 ? firstRest : _stripTransient(d.horae_meta),
+        })).filter(m => m.meta);
+        return {
+            format: CHAT_EXPORT_FORMAT,
+            schemaVersion: 2,
+            pluginVersion: old.version || '',
+            exportTime: old.exportTime || '',
+            source: { chatId: '', chatName: '', messageCount: null },
+            stores,
+            templates: { globalTables: [] },
+            messages,
+        };
+    },
+};
+
+/** 识别文件版本：带 format 的按 schemaVersion，旧版按 data 数组判定为 1 */
+export function detectChatExportVersion(obj) {
+    if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return null;
+    if (obj.format === CHAT_EXPORT_FORMAT) {
+        const v = Number(obj.schemaVersion);
+        return Number.isInteger(v) && v > 0 ? v : null;
+    }
+    if (!obj.format && Array.isArray(obj.data)) return 1;
+    return null;
+}
+
+/**
+ * 把任意受支持版本的导出对象升级到当前版本
+ * @returns {{ data: object, migratedFrom: number|null }} migratedFrom 为原版本（无需迁移时为 null）
+ */
+export function migrateChatExport(raw) {
+    const version = detectChatExportVersion(raw);
+    if (version === null) throw new TypeError('not a Horae chat export');
+    if (version > CHAT_EXPORT_SCHEMA_VERSION) {
+        throw new RangeError(`export schema v${version} is newer than supported v${CHAT_EXPORT_SCHEMA_VERSION}`);
+    }
+    let data = raw;
+    for (let v = version; v < CHAT_EXPORT_SCHEMA_VERSION; v++) {
+        const step = MIGRATIONS[v];
+        if (!step) throw new RangeError(`no migration from export schema v${v}`);
+        data = step(data);
+    }
+    if (!Array.isArray(data.messages)) throw new TypeError('export has no messages array');
+    if (!data.stores || typeof data.stores !== 'object') data.stores = {};
+    if (!data.templates || typeof data.templates !== 'object') data.templates = { globalTables: [] };
+    return { data, migratedFrom: version === CHAT_EXPORT_SCHEMA_VERSION ? null : version };
+}
+
+/**
+ * 还原为 [{ index, horae_meta }]，stores 合回 index 0（无 0 楼时补一条）
+ * 供按楼层导入与「作为初始状态导入」共用
+ */
+export function chatExportToMetaList(exportObj, storeKeys = Object.keys(CHAT_EXPORT_STORES)) {
+    const list = exportObj.messages.map(m => ({ index: m.index, horae_meta: _clone(m.meta) }));
+    const storeEntries = storeKeys
+        .filter(k => CHAT_EXPORT_STORES[k] && !_isEmpty(exportObj.stores[k]))
+        .map(k => [CHAT_EXPORT_STORES[k], _clone(exportObj.stores[k])]);
+    if (storeEntries.length > 0) {
+        let first = list.find(d => d.index === 0);
+        if (!first) {
+            first = { index: 0, horae_meta: {} };
+            list.unshift(first);
+        }
+        for (const [metaKey, value] of storeEntries) first.horae_meta[metaKey] = value;
+    }
+    return list.sort((a, b) => a.index - b.index);
+}
+
+function _sizeOf(value) {
+    if (_isEmpty(value)) return 0;
+    if (Array.isArray(value)) return value.length;
+    if (typeof value === 'object') return Object.keys(value).length;
+    return 1;
+}
+
+/** 对象按键、数组按条目内容比较，给出新增/删除/变更数 */
+function _diffValue(current, incoming) {
+    const result = { current: _sizeOf(current), incoming: _sizeOf(incoming), added: 0, removed: 0, changed: 0 };
+    if (Array.isArray(current) || Array.isArray(incoming)) {
+        const cur = new Set((Array.isArray(current) ? current : []).map(v => JSON.stringify(v)));
+        const inc = new Set((Array.isArray(incoming) ? incoming : []).map(v => JSON.stringify(v)));
+        for (const v of inc) if (!cur.has(v)) result.added++;
+        for (const v of cur) if (!inc.has(v)) result.removed++;
+    } else if ((current && typeof current === 'object') || (incoming && typeof incoming === 'object')) {
+        const cur = current && typeof current === 'object' ? current : {};
+        const inc = incoming && typeof incoming === 'object' ? incoming : {};
+        for (const key of Object.keys(inc)) {
+            if (!(key in cur)) result.added++;
+            else if (JSON.stringify(cur[key]) !== JSON.stringify(inc[key])) result.changed++;
+        }
+        for (const key of Object.keys(cur)) if (!(key in inc)) result.removed++;
+    } else if (JSON.stringify(current) !== JSON.stringify(incoming)) {
+        result.changed = 1;
+    }
+    return result;
+}
+
+/**
+ * 导入前预览：当前对话与导出文件的差异
+ * @returns {{ stores: Array, messages: object, templates: object, vectorSnapshots: number }}
+ */
+export function diffChatExport(chat, exportObj, globalTables = []) {
+    const firstMeta = chat?.[0]?.horae_meta || {};
+    const stores = Object.entries(CHAT_EXPORT_STORES).map(([storeKey, metaKey]) => {
+        const d = _diffValue(firstMeta[metaKey], exportObj.stores[storeKey]);
+        return { key: storeKey, ...d, hasIncoming: !_isEmpty(exportObj.stores[storeKey]) };
+    });
+
+    const messages = { total: exportObj.messages.length, matched: 0, changed: 0, unchanged: 0, outOfRange: 0, roleMismatch: 0, added: 0 };
+    for (const m of exportObj.messages) {
+        const target = chat?.[m.index];
+        if (!target) { messages.outOfRange++; continue; }
+        messages.matched++;
+        if (typeof m.isUser === 'boolean' && m.isUser !== !!target.is_user) messages.roleMismatch++;
+        if (!target.horae_meta) { messages.added++; continue; }
+        const current = m.index === 0 ? _splitStores(target.horae_meta)[1] : _stripTransient(target.horae_meta);
+        if (JSON.stringify(current) === JSON.stringify(m.meta)) messages.unchanged++;
+        else messages.changed++;
+    }
+
+    const existingNames = new Set((globalTables || []).map(tb => (tb?.name || '').trim()));
+    const incomingTemplates = exportObj.templates?.globalTables || [];
+    const templates = {
+        incoming: incomingTemplates.length,
+        added: incomingTemplates.filter(tb => !existingNames.has((tb?.name || '').trim())).length,
+    };
+
+    return {
+        stores,
+        messages,
+        templates,
+        vectorSnapshots: Array.isArray(exportObj.vectorSnapshots) ? exportObj.vectorSnapshots.length : 0,
+    };
+}
@@ -3,9 +3,11 @@
  * 负责元数据的存储、解析、聚合
  */
 
-import { parseStoryDate, calculateRelativeTime, calculateDetailedRelativeTime, generateTimeReference, formatRelativeTime, formatFullDateTime, getRelativeTimeMeta, setCustomCalendar } from '../utils/timeUtils.js';
+import { parseStoryDate, calculateRelativeTime, calculateDetailedRelativeTime, generateTimeReference, formatRelativeTime, formatFullDateTime, getRelativeTimeMeta, setCustomCalendar, getActiveCustomCalendar, setStoryDateLanguage, shiftStoryDate, TIME_OF_DAY_PERIODS, parseStoryTime } from '../utils/timeUtils.js';
 import { detectEffectiveAiLangIsZh, detectEffectiveAiLang } from './i18n.js';
 import { getPromptDefaultSync } from './promptDefaults.js';
+import { resolveHoraeBlock, getTagFormat } from './tagFormats.js';
+import { PromptSectionWriter } from './promptBudget.js';
 
 /**
  * @typedef {Object} HoraeTimestamp
@@ -26,6 +28,7 @@ import { getPromptDefaultSync } from './promptDefaults.js';
  * @property {boolean} is_important - 是否重要事件
  * @property {string} level - 事件级别：一般/重要/关键
  * @property {string} summary - 事件摘要
+ * @property {string} [thread] - 所属剧情线索名
  */
 
 /**
@@ -94,6 +97,44 @@ export function getItemBaseName(name) {
         .trim();
 }
 
+// 待办循环周期 → shiftStoryDate 的平移单位
+export const AGENDA_RECURRENCES = { daily: 'day', weekly: 'week', monthly: 'month', yearly: 'year' };
+// 距截止不超过几天算「临近」，注入时排到前面
+const AGENDA_DUE_SOON_DAYS = 3;
+
+/** 从待办正文里找截止日期：提示词要求 AI 把约定时间写在括号里，如「…情人节晚餐(2026/02/14 18:00)」 */
+function agendaDeadlineFromText(text) {
+    const groups = [...String(text || '').matchAll(/[(（]([^()（）]+)[)）]/g)].map(m => m[1].trim());
+    for (let i = groups.length - 1; i >= 0; i--) {
+        const type = parseStoryDate(splitDeadline(groups[i]).date)?.type;
+        if (type === 'standard' || type === 'custom') return groups[i];
+    }
+    return '';
+}
+
+/** "2026/02/14 18:00" → { date, time }，末尾不是钟点时整段都算日期 */
+function splitDeadline(raw) {
+    const m = raw.match(/^(.*\S)\s+(\S+)$/);
+    if (m && parseStoryTime(m[2]) !== null) return { date: m[1], time: m[2] };
+    return { date: raw, time: '' };
+}
+
+// 剧情线索状态：进行中的线索在注入时优先，已收束的线索只保留关键/重要事件
+export const PLOT_THREAD_STATUSES = ['active', 'resolved'];
+const PLOT_THREAD_NAME_MAX = 40;
+
+/** 线索名规范化：压缩空白、截断过长名字 */
+export function normalizeThreadName(name) {
+    return String(name || '').replace(/\s+/g, ' ').trim().slice(0, PLOT_THREAD_NAME_MAX);
+}
+
+/** 从事件摘要末尾拆出线索标记：「…坦白了秘密~thread:王都阴谋」 */
+function splitEventThread(summary) {
+    const m = String(summary || '').match(/\s*[~～]\s*(?:thread|线索|線索|スレッド|스레드|линия)\s*[:：]\s*([^~～|]+?)\s*$/i);
+    if (!m) return { summary: String(summary || '').trim(), thread: '' };
+    return { summary: summary.slice(0, m.index).trim(), thread: normalizeThreadName(m[1]) };
+}
+
 /** 按基本名查找已有物品 */
 function findExistingItemByBaseName(stateItems, newName) {
     const newBase = getItemBaseName(newName);
@@ -111,6 +152,24 @@ class HoraeManager {
     constructor() {
         this.context = null;
         this.settings = null;
+        this._emitEvent = null;
+        // 群聊：即将发言的成员（生成前由 index.js 设置）与正在解析的楼层的发言者
+        this._activeSpeaker = '';
+        this._parsingSpeaker = '';
+    }
+
+    /** 挂接事件派发器（事件总线由 index.js 提供，管理器只负责在状态变化处调用） */
+    setEventEmitter(fn) {
+        this._emitEvent = typeof fn === 'function' ? fn : null;
+    }
+
+    _emit(type, detail) {
+        if (!this._emitEvent) return;
+        try {
+            this._emitEvent(type, detail);
+        } catch (err) {
+            console.warn(`[Horae] 事件 ${type} 派发失败:`, err);
+        }
     }
 
     /** 初始化管理器 */
@@ -118,6 +177,88 @@ class HoraeManager {
         this.context = context;
         this.settings = settings;
         setCustomCalendar(settings?.customCalendar || null);
+        setStoryDateLanguage(detectEffectiveAiLang(settings));
+    }
+
+    isGroupChat() {
+        return !!this.context?.groupId;
+    }
+
+    /** 群聊成员名（按群组设置中的顺序，已停用的成员也保留） */
+    getGroupMembers() {
+        if (!this.isGroupChat()) return [];
+        const group = (this.context.groups || []).find(g => g.id === this.context.groupId);
+        const characters = this.context.characters || [];
+        return (group?.members || [])
+            .map(avatar => characters.find(c => c.avatar === avatar)?.name)
+            .filter(Boolean);
+    }
+
+    /** 群聊中即将发言的成员；单人对话传空即可 */
+    setActiveSpeaker(name) {
+        this._activeSpeaker = name || '';
+    }
+
+    getActiveSpeaker() {
+        return this._activeSpeaker;
+    }
+
+    /** 楼层发言者：群聊中取 AI 消息的署名 */
+    getMessageSpeaker(messageIndex) {
+        const msg = this.getChat()?.[messageIndex];
+        if (!msg || msg.is_user || !this.isGroupChat()) return '';
+        return msg.horae_meta?.speaker || msg.name || '';
+    }
+
+    /** 提示词与 {{char}} 替换所用的角色名：解析中的楼层发言者 → 即将发言的成员 → 当前角色卡 */
+    _getMainCharName() {
+        return this._parsingSpeaker || this._activeSpeaker || this.context?.name2 || '';
+    }
+
+    /**
+     * 群聊成员视角：该成员的服装/情绪/好感/持有物，以及其最近一次发言时的时间地点
+     * @param {object} [state] 已算好的 getLatestState(skipLast)，省去重复计算
+     */
+    getGroupMemberState(name, skipLast = 0, state = null) {
+        const chat = this.getChat();
+        const end = Math.max(0, chat.length - skipLast);
+        const current = { story_date: '', story_time: '', location: '' };
+        let lastSpoke = null;
+        for (let i = 0; i < end; i++) {
+            const meta = chat[i]?.horae_meta;
+            if (meta && !meta._skipHorae) {
+                if (meta.timestamp?.story_date) current.story_date = meta.timestamp.story_date;
+                if (meta.timestamp?.story_time) current.story_time = meta.timestamp.story_time;
+                if (meta.scene?.location) current.location = meta.scene.location;
+            }
+            if (this.getMessageSpeaker(i) === name) lastSpoke = { messageIndex: i, ...current };
+        }
+        const st = state || this.getLatestState(skipLast);
+        return {
+            name,
+            costume: st.costumes?.[name] || '',
+            mood: st.mood?.[name] || '',
+            affection: st.affection?.[name],
+            items: Object.entries(st.items || {})
+                .filter(([, info]) => info?.holder === name)
+                .map(([itemName]) => itemName),
+            present: (st.scene?.characters_present || []).includes(name),
+            lastSpoke,
+        };
+    }
+
+    /** 群聊：把以 {{char}} 等占位符书写的服装/情绪/好感归到本楼层发言者名下 */
+    _attributeParsedToSpeaker(parsed, speaker) {
+        const selfKeys = /^(\{\{\s*char\s*\}\}|<char>|char)$/i;
+        for (const field of ['costumes', 'mood', 'affection']) {
+            const map = parsed?.[field];
+            if (!map) continue;
+            for (const key of Object.keys(map)) {
+                if (!selfKeys.test(key.trim())) continue;
+                if (map[speaker] === undefined) map[speaker] = map[key];
+                delete map[key];
+            }
+        }
     }
 
     /** 获取 AI 输出语言代码 (zh-CN / zh-TW / en / ja / ko / ru) */
@@ -144,7 +285,7 @@ class HoraeManager {
     _getDefaultNames() {
         const lang = this._getAiOutputLang();
         const userName = this.context?.name1;
-        const charName = this.context?.name2;
+        const charName = this._getMainCharName();
         const defaults = {
             'zh-CN': ['主角', '角色'], 'zh-TW': ['主角', '角色'],
             'ja': ['主人公', 'キャラ'], 'ko': ['주인공', '캐릭터'],
@@ -192,16 +333,23 @@ class HoraeManager {
         const state = createEmptyMeta();
         state._previousLocation = '';
         const end = Math.max(0, chat.length - skipLast);
+
+        // 世界账本读入的 NPC 作为底层，各楼层的记录在其上逐字段合并
+        const ledgerNpcs = chat[0]?.horae_meta?._ledgerNpcs;
+        if (ledgerNpcs && typeof ledgerNpcs === 'object') {
+            state.npcs = JSON.parse(JSON.stringify(ledgerNpcs));
+        }
         
         for (let i = 0; i < end; i++) {
             const meta = chat[i].horae_meta;
             if (!meta) continue;
             if (meta._skipHorae) continue;
             
-            if (meta.timestamp?.story_date) {
+            // 闪回楼层的时间只属于该楼层，不推动「当前时间」
+            if (meta.timestamp?.story_date && !meta._flashback) {
                 state.timestamp.story_date = meta.timestamp.story_date;
             }
-            if (meta.timestamp?.story_time) {
+            if (meta.timestamp?.story_time && !meta._flashback) {
                 state.timestamp.story_time = meta.timestamp.story_time;
             }
             
@@ -558,6 +706,170 @@ class HoraeManager {
         return this.getEvents(limit, 'all');
     }
 
+    /** 剧情线索登记表 chat[0].horae_meta.plotThreads：{ 线索名: { status, summary, summaryUpTo, updatedAt } } */
+    getPlotThreadRegistry(create = false) {
+        const first = this.getChat()?.[0];
+        if (!first) return {};
+        if (!create) return first.horae_meta?.plotThreads || {};
+        if (!first.horae_meta) first.horae_meta = createEmptyMeta();
+        if (!first.horae_meta.plotThreads) first.horae_meta.plotThreads = {};
+        return first.horae_meta.plotThreads;
+    }
+
+    /**
+     * 剧情线索列表：事件上出现过的线索与登记表合并，按最近一次出现的楼层倒序
+     * summaryUpTo 为滚动摘要覆盖到的楼层（-1 表示还没有摘要），pendingCount 为其后新增的事件数
+     * @returns {Array<{ name: string, status: string, summary: string, summaryUpTo: number, updatedAt: string, eventCount: number, pendingCount: number, lastMessageIndex: number }>}
+     */
+    getPlotThreads(skipLast = 0) {
+        const registry = this.getPlotThreadRegistry();
+        const threads = new Map();
+        const ensure = (name) => {
+            if (!threads.has(name)) {
+                const reg = registry[name] || {};
+                threads.set(name, {
+                    name,
+                    status: reg.status === 'resolved' ? 'resolved' : 'active',
+                    summary: reg.summary || '',
+                    summaryUpTo: Number.isInteger(reg.summaryUpTo) ? reg.summaryUpTo : -1,
+                    updatedAt: reg.updatedAt || '',
+                    eventCount: 0,
+                    pendingCount: 0,
+                    lastMessageIndex: -1,
+                });
+            }
+            return threads.get(name);
+        };
+        for (const name of Object.keys(registry)) ensure(name);
+        for (const e of this.getEvents(0, 'all', skipLast)) {
+            const name = e.event?.thread;
+            if (!name || e.event.isSummary) continue;
+            const thread = ensure(name);
+            thread.eventCount++;
+            if (e.messageIndex > thread.summaryUpTo) thread.pendingCount++;
+            thread.lastMessageIndex = Math.max(thread.lastMessageIndex, e.messageIndex);
+        }
+        return [...threads.values()].sort((a, b) => b.lastMessageIndex - a.lastMessageIndex);
+    }
+
+    /** 给单条事件打上线索标记，name 为空即清除；新线索同时登记为进行中 */
+    setEventThread(messageIndex, eventIndex, name) {
+        const meta = this.getMessageMeta(messageIndex);
+        const evt = (meta?.events || (meta?.event ? [meta.event] : []))[eventIndex];
+        if (!evt) return false;
+        const thread = normalizeThreadName(name);
+        if (!thread) {
+            delete evt.thread;
+            return true;
+        }
+        evt.thread = thread;
+        const registry = this.getPlotThreadRegistry(true);
+        if (!registry[thread]) registry[thread] = { status: 'active', summary: '', summaryUpTo: -1, updatedAt: '' };
+        return true;
+    }
+
+    /** 线索改名，newName 为空即删除线索；事件上的标记一并改掉。改成已有线索名时并入该线索 */
+    renamePlotThread(oldName, newName) {
+        const target = normalizeThreadName(newName);
+        if (target === oldName) return;
+        const chat = this.getChat();
+        for (let i = 0; i < chat.length; i++) {
+            const meta = chat[i].horae_meta;
+            for (const evt of (meta?.events || (meta?.event ? [meta.event] : []))) {
+                if (evt?.thread !== oldName) continue;
+                if (target) evt.thread = target;
+                else delete evt.thread;
+            }
+        }
+        const registry = this.getPlotThreadRegistry(true);
+        const entry = registry[oldName];
+        delete registry[oldName];
+        if (target && entry && !registry[target]) registry[target] = entry;
+    }
+
+    /**
+     * 线索滚动摘要的提示词：上一版摘要 + 其后新增的线索事件
+     * @returns {{ prompt: string, upTo: number, count: number }|null} 没有新事件时为 null；upTo 为本次覆盖到的楼层
+     */
+    buildPlotThreadSummaryPrompt(name) {
+        const thread = this.getPlotThreads().find(th => th.name === name);
+        if (!thread) return null;
+        const fresh = this.getEvents(0, 'all')
+            .filter(e => e.event?.thread === name && !e.event.isSummary && e.messageIndex > thread.summaryUpTo);
+        if (!fresh.length) return null;
+
+        const template = this.settings?.plotThreadSummaryPrompt || this.getDefaultPlotThreadSummaryPrompt();
+        if (!template) return null;
+        const eventText = fresh.map(e => {
+            const ts = e.timestamp || {};
+            const when = [ts.story_date, ts.story_time].filter(Boolean).join(' ') || '?';
+            return `[${e.event.level || '一般'}] #${e.messageIndex} ${when}: ${e.event.summary}`;
+        }).join('\n');
+        const none = { 'zh-CN': '（无）', 'zh-TW': '（無）', ja: '（なし）', ko: '(없음)', ru: '(нет)' }[this._getAiOutputLang()] ?? '(none)';
+        const prompt = template
+            .replace(/\{\{thread\}\}/gi, () => name)
+            .replace(/\{\{summary\}\}/gi, () => thread.summary || none)
+            .replace(/\{\{events\}\}/gi, () => eventText);
+        return { prompt, upTo: fresh[fresh.length - 1].messageIndex, count: fresh.length };
+    }
+
+    /**
+     * 待办的截止信息：优先取 deadline 字段，没有时取正文括号里的日期
+     * 循环待办过了截止就顺延到当前剧情时间之后的下一次，不算逾期
+     * @param {object} item 待办项
+     * @param {object} [timestamp] 当前剧情时间，缺省取最新状态
+     * @returns {{ deadline: string, date: string, time: string, days: number, overdue: boolean, dueSoon: boolean, recurrence: string }|null}
+     *   days 为距截止日的天数（逾期为负）；没有截止日期或与当前日期无法比较时为 null
+     */
+    getAgendaDueInfo(item, timestamp = null) {
+        const raw = String(item?.deadline || '').trim() || agendaDeadlineFromText(item?.text);
+        if (!raw) return null;
+        const ts = timestamp || this.getLatestState().timestamp || {};
+        if (!ts.story_date) return null;
+        const daysUntil = (date) => {
+            const d = calculateRelativeTime(ts.story_date, date);
+            return (d === null || d === -999) ? null : d;
+        };
+        let { date, time } = splitDeadline(raw);
+        let days = daysUntil(date);
+        if (days === null) return null;
+
+        const nowMinutes = parseStoryTime(ts.story_time || '');
+        const dueMinutes = parseStoryTime(time);
+        const passed = (d) => d < 0 || (d === 0 && nowMinutes !== null && dueMinutes !== null && nowMinutes > dueMinutes);
+        const recurrence = AGENDA_RECURRENCES[item.recurrence] ? item.recurrence : '';
+        if (recurrence && passed(days)) {
+            const unit = AGENDA_RECURRENCES[recurrence];
+            // 每一期都从原截止日推算，月末被截断的日期（1/31 → 2/29）不会累积漂移成 3/29
+            const origin = date;
+            let step = 0;
+            // 按天循环直接跳到今天，其余逐期顺延
+            if (unit === 'day') {
+                step = -days;
+                date = shiftStoryDate(origin, 'day', step) || date;
+                days = daysUntil(date);
+            }
+            for (let guard = 0; days !== null && passed(days) && guard < 500; guard++) {
+                const next = shiftStoryDate(origin, unit, ++step);
+                if (!next || next === date) break;
+                date = next;
+                days = daysUntil(date);
+            }
+            if (days === null) return null;
+        }
+
+        const overdue = passed(days);
+        return {
+            deadline: time ? `${date} ${time}` : date,
+            date,
+            time,
+            days,
+            overdue,
+            dueSoon: !overdue && days <= AGENDA_DUE_SOON_DAYS,
+            recurrence,
+        };
+    }
+
     /** 扫描当前 chat 的剧情时间，判定是否应建议启用自定义日历。
      *  三道闸全部满足才返回 { monthIds, total }，否则 null：
      *    1) monthId 必须含「非数字、非"月"字」字符（如 春之月/霜降月），过滤纯数字月名（"8月"），
@@ -589,8 +901,16 @@ class HoraeManager {
 
     /** 生成紧凑的上下文注入内容（skipLast: swipe时跳过末尾N条消息） */
     generateCompactPrompt(skipLast = 0) {
+        return this.buildCompactPromptParts(skipLast).join('\n');
+    }
+
+    /**
+     * 按分区记录注入内容，供 Token 预算裁剪（见 promptBudget.js）
+     * 可裁剪行的 rank 越小越先裁：旧的一般事件、不在场的 NPC、普通物品、不紧急的待办排在前面
+     */
+    buildCompactPromptParts(skipLast = 0) {
         const state = this.getLatestState(skipLast);
-        const lines = [];
+        const lines = new PromptSectionWriter();
 
         const lang = this._getAiOutputLang();
         const L = (zh, en, ja, ko, ru) => {
@@ -616,8 +936,8 @@ class HoraeManager {
         const sendMainCharacterPersonality = this.settings?.sendMainCharacterPersonality !== false;
         const sendItems = this.settings?.sendItems !== false;
 
-        // 主要角色判定：卡片本体 + 置顶 NPC，含别名匹配以兼容 NPC 改名
-        const mainCharName = this.context?.name2 || '';
+        // 主要角色判定：卡片本体（群聊为即将发言的成员）+ 置顶 NPC，含别名匹配以兼容 NPC 改名
+        const mainCharName = this._getMainCharName();
         const pinnedNpcs = Array.isArray(this.settings?.pinnedNpcs) ? this.settings.pinnedNpcs : [];
         const _aliasesOf = (npcName) => {
             const npc = state.npcs?.[npcName];
@@ -653,12 +973,20 @@ class HoraeManager {
                 } else if (timeRef && timeRef.type === 'fantasy') {
                     lines.push(`[${L('时间参考','Time Ref','時間参考','시간 참조','Время (справка)')}|${L('奇幻日历模式，参见剧情轨迹中的相对时间标记','Fantasy calendar mode, see relative time markers in story timeline','ファンタジー暦モード、ストーリー軌跡の相対時間マーカーを参照','판타지 달력 모드, 스토리 궤적의 상대 시간 마커 참조','Режим фэнтезийного календаря, см. относительные метки времени в сюжетной линии')}]`);
                 } else if (timeRef && timeRef.type === 'custom') {
-                    lines.push(`[${L('时间参考','Time Ref','時間参考','시간 참조','Время (справка)')}|${L('自定义日历模式，相对时间见剧情轨迹','Custom calendar mode, see relative time in story timeline','カスタム暦モード、相対時間はストーリー軌跡参照','사용자 정의 달력 모드, 상대 시간은 스토리 궤적 참조','Пользовательский календарь, см. относительное время в сюжетной линии')}]`);
+                    if (timeRef.yesterday) {
+                        lines.push(`[${L('时间参考','Time Ref','時間参考','시간 참조','Время (справка)')}|${L('昨天','yesterday','昨日','어제','вчера')}=${timeRef.yesterday}|${L('前天','day before','一昨日','그저께','позавчера')}=${timeRef.dayBefore}|${L('3天前','3 days ago','3日前','3일 전','3 дня назад')}=${timeRef.threeDaysAgo}|${L('明天','tomorrow','明日','내일','завтра')}=${timeRef.tomorrow}]`);
+                    } else {
+                        lines.push(`[${L('时间参考','Time Ref','時間参考','시간 참조','Время (справка)')}|${L('自定义日历模式，相对时间见剧情轨迹','Custom calendar mode, see relative time in story timeline','カスタム暦モード、相対時間はストーリー軌跡参照','사용자 정의 달력 모드, 상대 시간은 스토리 궤적 참조','Пользовательский календарь, см. относительное время в сюжетной линии')}]`);
+                    }
+                    if (timeRef.moons?.length) {
+                        lines.push(`[${L('月相','Moons','月相','달의 위상','Луны')}|${timeRef.moons.map(m => this._describeMoonPhase(m, L)).join('|')}]`);
+                    }
                 }
             }
         }
         
         // 场景
+        lines.begin('scene');
         if (state.scene.location) {
             let sceneStr = `[${L('场景','Scene','シーン','장면','Сцена')}|${state.scene.location}`;
             if (state.scene.atmosphere) {
@@ -685,14 +1013,15 @@ class HoraeManager {
         }
         
         // 在场角色和服装
+        lines.begin('characters');
         if (sendCharacters) {
             const presentChars = state.scene.characters_present || [];
             
             if (presentChars.length > 0) {
                 const charStrs = [];
                 for (const char of presentChars) {
-                    // 模糊匹配服装
-                    const costumeKey = Object.keys(state.costumes || {}).find(
+                    // 先精确匹配，再模糊匹配服装（群聊成员名相近时避免串到别人身上）
+                    const costumeKey = state.costumes?.[char] ? char : Object.keys(state.costumes || {}).find(
                         k => k === char || k.includes(char) || char.includes(k)
                     );
                     if (costumeKey && state.costumes[costumeKey]) {
@@ -704,6 +1033,29 @@ class HoraeManager {
                 lines.push(`[${L('在场','Present','出席','참석','Присутствуют')}|${charStrs.join('|')}]`);
             }
             
+            // 群聊：成员名单 + 即将发言成员的个人视角
+            if (this.isGroupChat()) {
+                const members = this.getGroupMembers();
+                if (members.length > 0) {
+                    lines.push(`[${L('群聊成员','Group Members','グループメンバー','그룹 멤버','Участники группы')}|${members.join('|')}]`);
+                }
+                const speaker = this._activeSpeaker;
+                if (speaker) {
+                    const view = this.getGroupMemberState(speaker, skipLast, state);
+                    const parts = [speaker];
+                    if (view.costume) parts.push(`${L('服装','outfit','服装','복장','одежда')}:${view.costume}`);
+                    if (view.mood && this.settings?.sendMood) parts.push(`${L('情绪','mood','感情','감정','настроение')}:${view.mood}`);
+                    if (view.items.length > 0 && sendItems) parts.push(`${L('持有','holding','所持','소지','при себе')}:${view.items.join('、')}`);
+                    lines.push(`[${L('本回合发言','Speaking Now','今回の発言者','이번 발언자','Сейчас говорит')}|${parts.join('|')}]`);
+                    const last = view.lastSpoke;
+                    if (last && (last.location || last.story_date)) {
+                        const when = [last.story_date, last.story_time].filter(Boolean).join(' ');
+                        const where = last.location ? `@${last.location}` : '';
+                        lines.push(`[${L('上次发言','Last Spoke','前回の発言','지난 발언','Последняя реплика')}|#${last.messageIndex} ${when}${where}]`);
+                    }
+                }
+            }
+
             // 情绪状态（仅在场角色，变化驱动）
             if (this.settings?.sendMood) {
                 const moodEntries = [];
@@ -721,11 +1073,12 @@ class HoraeManager {
             if (this.settings?.sendRelationships) {
                 const rels = this.getRelationshipsForCharacters(presentChars);
                 if (rels.length > 0) {
-                    lines.push(`\n[${L('关系网络','Relationship Network','関係ネットワーク','관계 네트워크','Сеть отношений')}]`);
-                    for (const r of rels) {
+                    lines.begin('relationships');
+                    lines.heading(`\n[${L('关系网络','Relationship Network','関係ネットワーク','관계 네트워크','Сеть отношений')}]`);
+                    rels.forEach((r, i) => {
                         const noteStr = r.note ? `(${r.note})` : '';
-                        lines.push(`${r.from}→${r.to}: ${r.type}${noteStr}`);
-                    }
+                        lines.trim(`${r.from}→${r.to}: ${r.type}${noteStr}`, rels.length - i);
+                    });
                 }
             }
         }
@@ -744,9 +1097,10 @@ class HoraeManager {
                 }
             }
             const unequipped = items.filter(([name]) => !equippedNames.has(name));
+            lines.begin('items');
             if (unequipped.length > 0) {
-                lines.push(`\n[${L('物品清单','Item List','アイテムリスト','아이템 목록','Список предметов')}]`);
-                for (const [name, info] of unequipped) {
+                lines.heading(`\n[${L('物品清单','Item List','アイテムリスト','아이템 목록','Список предметов')}]`);
+                for (const [i, [name, info]] of unequipped.entries()) {
                     const id = info._id || '???';
                     const icon = info.icon || '';
                     const imp = (info.importance === '!!' || info.importance === '关键' || info.importance === '關鍵') ? L('关键','critical','重要','핵심','критич.') : (info.importance === '!' || info.importance === '重要') ? L('重要','important','重要','중요','важно') : '';
@@ -754,7 +1108,8 @@ class HoraeManager {
                     const holder = info.holder || '';
                     const loc = info.location ? `@${info.location}` : '';
                     const impTag = imp ? `[${imp}]` : '';
-                    lines.push(`#${id} ${icon}${name}${impTag}${desc} = ${holder}${loc}`);
+                    const impTier = (info.importance === '!!' || info.importance === '关键' || info.importance === '關鍵') ? 2 : imp ? 1 : 0;
+                    lines.trim(`#${id} ${icon}${name}${impTag}${desc} = ${holder}${loc}`, impTier * 1e6 + i);
                 }
             } else {
                 lines.push(`\n[${L('物品清单','Item List','アイテムリスト','아이템 목록','Список предметов')}] (${L('空','empty','空','비어있음','пусто')})`);
@@ -762,6 +1117,7 @@ class HoraeManager {
         }
         
         // 好感度
+        lines.begin('characters');
         if (sendCharacterAffection) {
             const affections = Object.entries(state.affection).filter(([_, v]) => v !== 0);
             if (affections.length > 0) {
@@ -774,8 +1130,11 @@ class HoraeManager {
         if (sendCharacters) {
             const npcs = Object.entries(state.npcs);
             if (npcs.length > 0) {
-                lines.push(`\n[${L('已知NPC','Known NPCs','既知NPC','알려진 NPC','Известные NPC')}]`);
-                for (const [name, info] of npcs) {
+                lines.begin('npcs');
+                lines.heading(`\n[${L('已知NPC','Known NPCs','既知NPC','알려진 NPC','Известные NPC')}]`);
+                // 预算不足时先裁不在场的，主要角色最后裁
+                const presentNames = state.scene.characters_present || [];
+                for (const [i, [name, info]] of npcs.entries()) {
                     const id = info._id || '?';
                     const app = info.appearance || '';
                     // 关闭主要角色性格注入时，仅抑制主要角色（卡片本体 + 置顶 NPC）的 personality
@@ -801,7 +1160,8 @@ class HoraeManager {
                     if (info.birthday) extras.push(`${L('生日','birthday','誕生日','생일','день рождения')}:${info.birthday}`);
                     if (info.note) extras.push(`${L('补充','notes','備考','비고','примечания')}:${info.note}`);
                     if (extras.length > 0) npcStr += `~${extras.join('~')}`;
-                    lines.push(npcStr);
+                    const npcTier = isMainCharacter(name) ? 2 : presentNames.some(p => p === name || _aliasesOf(name).has(p)) ? 1 : 0;
+                    lines.trim(npcStr, npcTier * 1e6 + i);
                 }
             }
         }
@@ -837,15 +1197,48 @@ class HoraeManager {
         }
         const activeAgenda = allAgendaItems.filter(a => !a.done);
         if (activeAgenda.length > 0) {
-            lines.push(`\n[${L('待办事项','Agenda','予定事項','할 일 목록','Список дел')}]`);
-            for (const item of activeAgenda) {
+            lines.begin('agenda');
+            lines.heading(`\n[${L('待办事项','Agenda','予定事項','할 일 목록','Список дел')}]`);
+            // 逾期的排最前（逾期越久越靠前），其次临近截止的，再其次有截止日期的，其余保持原顺序
+            const dueInfos = new Map(activeAgenda.map(item => [item, this.getAgendaDueInfo(item, state.timestamp)]));
+            const rank = (info) => !info ? 3 : info.overdue ? 0 : info.dueSoon ? 1 : 2;
+            const ordered = activeAgenda
+                .map((item, i) => ({ item, i, info: dueInfos.get(item) }))
+                .sort((a, b) => rank(a.info) - rank(b.info)
+                    || (a.info && b.info ? a.info.days - b.info.days : 0)
+                    || a.i - b.i);
+            const recurrenceLabel = {
+                daily: L('每天', 'daily', '毎日', '매일', 'ежедневно'),
+                weekly: L('每周', 'weekly', '毎週', '매주', 'еженедельно'),
+                monthly: L('每月', 'monthly', '毎月', '매월', 'ежемесячно'),
+                yearly: L('每年', 'yearly', '毎年', '매년', 'ежегодно'),
+            };
+            for (const [i, { item, info }] of ordered.entries()) {
                 const datePrefix = item.date ? `${item.date} ` : '';
-                lines.push(`· ${datePrefix}${item.text}`);
+                const tags = [];
+                if (info?.overdue) {
+                    const n = -info.days;
+                    tags.push(n > 0
+                        ? L(`已逾期${n}天`, `overdue by ${n} day(s)`, `${n}日超過`, `${n}일 지남`, `просрочено на ${n} дн.`)
+                        : L('已逾期', 'overdue', '期限切れ', '기한 지남', 'просрочено'));
+                } else if (info?.dueSoon) {
+                    tags.push(info.days === 0
+                        ? L('今天到期', 'due today', '今日が期限', '오늘 마감', 'срок сегодня')
+                        : L(`${info.days}天后到期`, `due in ${info.days} day(s)`, `あと${info.days}日`, `${info.days}일 남음`, `срок через ${info.days} дн.`));
+                }
+                // 截止日期写在正文括号里的不重复；显式设置或循环顺延过的才标出
+                if (info && (item.deadline || info.recurrence)) {
+                    tags.push(L(`截止 ${info.deadline}`, `deadline ${info.deadline}`, `期限 ${info.deadline}`, `마감 ${info.deadline}`, `срок ${info.deadline}`));
+                }
+                if (info?.recurrence) tags.push(recurrenceLabel[info.recurrence]);
+                lines.trim(`· ${datePrefix}${item.text}${tags.length ? ` [${tags.join(', ')}]` : ''}`, ordered.length - i);
             }
         }
         
         // RPG 状态（仅启用时注入，按在场角色过滤）
         if (this.settings?.rpgMode) {
+            // RPG 各块互相引用，整体作为一个裁剪单元
+            lines.begin('rpg', 'rpg');
             const rpg = this.getRpgStateAt(skipLast);
             const sendBars = this.settings?.sendRpgBars !== false;
             const sendSkills = this.settings?.sendRpgSkills !== false;
@@ -1082,10 +1475,26 @@ class HoraeManager {
                 if (e.event?._summaryId && !activeSumIds.has(e.event._summaryId)) return false;
                 return true;
             });
+
+            // 剧情线索：进行中的附滚动摘要，已收束的只列名字
+            const plotThreads = this.getPlotThreads(skipLast);
+            const threadByName = new Map(plotThreads.map(th => [th.name, th]));
+            if (plotThreads.length > 0) {
+                lines.begin('threads');
+                lines.heading(`\n[${L('剧情线索','Plot Threads','プロットスレッド','플롯 스레드','Сюжетные линии')}]`);
+                plotThreads.forEach((th, i) => {
+                    if (th.status === 'active') lines.trim(`◆ ${th.name}${th.summary ? `: ${th.summary}` : ''}`, 1 + i);
+                });
+                const resolved = plotThreads.filter(th => th.status === 'resolved').map(th => th.name);
+                if (resolved.length) lines.trim(`${L('已收束','Resolved','完結','종결','Завершены')}: ${resolved.join(', ')}`, 0);
+            }
+
             if (events.length > 0) {
-                lines.push(`\n[${L('剧情轨迹','Story Timeline','ストーリー軌跡','스토리 궤적','Сюжетная линия')}]`);
+                lines.begin('timeline');
+                lines.heading(`\n[${L('剧情轨迹','Story Timeline','ストーリー軌跡','스토리 궤적','Сюжетная линия')}]`);
                 
                 const currentDate = state.timestamp?.story_date || '';
+                const currentTime = state.timestamp?.story_time || '';
                 
                 const getLevelMark = (level) => {
                     if (level === '关键' || level === '關鍵') return '★';
@@ -1093,19 +1502,31 @@ class HoraeManager {
                     return '○';
                 };
                 
-                const getRelativeDesc = (eventDate) => {
+                const getRelativeDesc = (eventDate, eventTime = '') => {
                     if (!eventDate || !currentDate) return '';
                     const result = calculateDetailedRelativeTime(eventDate, currentDate);
                     if (result.days === null || result.days === undefined) return '';
                     
-                    const meta = getRelativeTimeMeta(result.days, { fromDate: result.fromDate, toDate: result.toDate });
-                    const wd = (weekday) => L(
+                    const meta = getRelativeTimeMeta(result.days, { fromDate: result.fromDate, toDate: result.toDate, custom: result.custom, fromTime: eventTime, toTime: currentTime });
+                    // 时段序号对应 TIME_OF_DAY_PERIODS（凌晨→深夜）；英文直接用整句短语，前面可再加 earlier/later
+                    const pd = (i) => L(
+                        TIME_OF_DAY_PERIODS[i],
+                        ['in the small hours', 'at dawn', 'this morning', 'at noon', 'this afternoon', 'at dusk', 'this evening', 'late tonight'][i],
+                        ['未明', '早朝', '朝', '昼', '午後', '夕方', '夜', '深夜'][i],
+                        ['새벽', '이른 아침', '오전', '정오', '오후', '해질녘', '저녁', '한밤'][i],
+                        ['ночью', 'рано утром', 'утром', 'в полдень', 'днём', 'в сумерках', 'вечером', 'поздно ночью'][i],
+                    );
+                    const wd = (weekday) => meta.weekdayName || L(
                         ['日','一','二','三','四','五','六'][weekday],
                         ['Sun','Mon','Tue','Wed','Thu','Fri','Sat'][weekday],
                         ['日','月','火','水','木','金','土'][weekday],
                         ['일','월','화','수','목','금','토'][weekday],
                         ['вс','пн','вт','ср','чт','пт','сб'][weekday],
                     );
+                    // 自定义日历给的是月名
+                    const md = meta.monthName
+                        ? L(`${meta.monthName}${meta.day}日`, `${meta.monthName} ${meta.day}`, `${meta.monthName}${meta.day}日`, `${meta.monthName} ${meta.day}일`, `${meta.monthName} ${meta.day}`)
+                        : L(`${meta.month}月${meta.day}日`, `${meta.month}/${meta.day}`, `${meta.month}月${meta.day}日`, `${meta.month}월 ${meta.day}일`, `${meta.month}/${meta.day}`);
                     let text = '';
                     switch (meta.key) {
                         case 'today': text = L('今天','today','今日','오늘','сегодня'); break;
@@ -1115,11 +1536,20 @@ class HoraeManager {
                         case 'tomorrow': text = L('明天','tomorrow','明日','내일','завтра'); break;
                         case 'day_after_tomorrow': text = L('后天','day after tomorrow','明後日','모레','послезавтра'); break;
                         case 'in_three_days': text = L('大后天','in 3 days','3日後','글피','через 3 дня'); break;
+                        case 'just_now': text = L('刚才','just now','たった今','방금','только что'); break;
+                        case 'minutes_ago': text = L(`${meta.value}分钟前`, `${meta.value} min ago`, `${meta.value}分前`, `${meta.value}분 전`, `${meta.value} мин. назад`); break;
+                        case 'hours_ago': text = L(`${meta.value}小时前`, `${meta.value} hours ago`, `${meta.value}時間前`, `${meta.value}시간 전`, `${meta.value} ч. назад`); break;
+                        case 'minutes_later': text = L(`${meta.value}分钟后`, `in ${meta.value} min`, `${meta.value}分後`, `${meta.value}분 후`, `через ${meta.value} мин.`); break;
+                        case 'hours_later': text = L(`${meta.value}小时后`, `in ${meta.value} hours`, `${meta.value}時間後`, `${meta.value}시간 후`, `через ${meta.value} ч.`); break;
+                        case 'earlier_same_period': text = L(`${pd(meta.periodIndex)}早些时候`, `earlier ${pd(meta.periodIndex)}`, `この${pd(meta.periodIndex)}の少し前`, `오늘 ${pd(meta.periodIndex)} 조금 전`, `сегодня ${pd(meta.periodIndex)}, чуть раньше`); break;
+                        case 'today_period': text = L(`今天${pd(meta.periodIndex)}`, pd(meta.periodIndex), `今日の${pd(meta.periodIndex)}`, `오늘 ${pd(meta.periodIndex)}`, `сегодня ${pd(meta.periodIndex)}`); break;
+                        case 'later_today_period': text = L(`今天${pd(meta.periodIndex)}稍后`, `later ${pd(meta.periodIndex)}`, `今日の${pd(meta.periodIndex)}の後ほど`, `오늘 ${pd(meta.periodIndex)} 나중에`, `сегодня ${pd(meta.periodIndex)}, позже`); break;
+                        case 'last_night': text = L('昨晚','last night','昨夜','어젯밤','вчера вечером'); break;
                         case 'last_weekday': text = L(`上周${wd(meta.weekday)}`, `last ${wd(meta.weekday)}`, `先週${wd(meta.weekday)}`, `지난주 ${wd(meta.weekday)}`, `прошлый ${wd(meta.weekday)}`); break;
                         case 'week_before_last_weekday': text = L(`上上周${wd(meta.weekday)}`, `week before last ${wd(meta.weekday)}`, `先々週${wd(meta.weekday)}`, `지지난주 ${wd(meta.weekday)}`, `позапрошлый ${wd(meta.weekday)}`); break;
                         case 'last_month_day': text = L(`上个月${meta.day}号`, `last month ${meta.day}`, `先月${meta.day}日`, `지난달 ${meta.day}일`, `прошлый месяц ${meta.day}-го`); break;
-                        case 'last_year_date': text = L(`去年${meta.month}月${meta.day}日`, `last year ${meta.month}/${meta.day}`, `去年${meta.month}月${meta.day}日`, `작년 ${meta.month}월 ${meta.day}일`, `прошлый год ${meta.month}/${meta.day}`); break;
-                        case 'year_before_last_date': text = L(`前年${meta.month}月${meta.day}日`, `year before last ${meta.month}/${meta.day}`, `一昨年${meta.month}月${meta.day}日`, `재작년 ${meta.month}월 ${meta.day}일`, `позапрошлый год ${meta.month}/${meta.day}`); break;
+                        case 'last_year_date': text = L(`去年${md}`, `last year ${md}`, `去年${md}`, `작년 ${md}`, `прошлый год ${md}`); break;
+                        case 'year_before_last_date': text = L(`前年${md}`, `year before last ${md}`, `一昨年${md}`, `재작년 ${md}`, `позапрошлый год ${md}`); break;
                         case 'days_ago': text = L(`${meta.value}天前`, `${meta.value} days ago`, `${meta.value}日前`, `${meta.value}일 전`, `${meta.value} дн. назад`); break;
                         case 'months_ago': text = L(`${meta.value}个月前`, `${meta.value} months ago`, `${meta.value}ヶ月前`, `${meta.value}개월 전`, `${meta.value} мес. назад`); break;
                         case 'years_ago': text = L(`${meta.years}年前`, `${meta.years} years ago`, `${meta.years}年前`, `${meta.years}년 전`, `${meta.years} г. назад`); break;
@@ -1136,10 +1566,28 @@ class HoraeManager {
                 );
                 const depthRaw = parseInt(this.settings?.contextDepth, 10);
                 const contextDepth = Number.isFinite(depthRaw) ? Math.max(0, depthRaw) : 15;
-                const normalEventsAll = sortedEvents.filter(e =>
-                    (e.event?.level === '一般' || !e.event?.level) && !e.event?.isSummary
-                );
+                // 已收束线索的一般事件、已被线索滚动摘要覆盖的一般事件不再占用深度
+                const normalEventsAll = sortedEvents.filter(e => {
+                    if ((e.event?.level && e.event.level !== '一般') || e.event?.isSummary) return false;
+                    const th = e.event?.thread ? threadByName.get(e.event.thread) : null;
+                    if (!th) return true;
+                    if (th.status === 'resolved') return false;
+                    return !(th.summary && e.messageIndex <= th.summaryUpTo);
+                });
                 const normalEvents = contextDepth > 0 ? normalEventsAll.slice(-contextDepth) : [];
+                // 进行中的线索即使最近没有动静，也带上它最新的一条事件，免得被深度挤掉
+                if (contextDepth > 0) {
+                    const shown = new Set(normalEvents);
+                    for (const th of plotThreads) {
+                        if (th.status !== 'active') continue;
+                        let latest = null;
+                        for (const e of normalEventsAll) if (e.event?.thread === th.name) latest = e;
+                        if (latest && !shown.has(latest)) {
+                            normalEvents.push(latest);
+                            shown.add(latest);
+                        }
+                    }
+                }
                 
                 const allToShow = [...criticalAndImportant, ...normalEvents]
                     .sort((a, b) => (a.messageIndex || 0) - (b.messageIndex || 0));
@@ -1155,21 +1603,32 @@ class HoraeManager {
                     }
                 }
 
-                for (const e of allToShow) {
+                // 裁剪顺序：旧的一般事件 → 重要 → 关键 → 摘要，同级先裁旧的
+                const eventTier = (e) => {
+                    if (e.event?.isSummary || e.event?.level === '摘要') return 3;
+                    if (e.event?.level === '关键' || e.event?.level === '關鍵') return 2;
+                    return e.event?.level === '重要' ? 1 : 0;
+                };
+                for (const [i, e] of allToShow.entries()) {
                     const isSummary = e.event?.isSummary || e.event?.level === '摘要';
+                    const evtRank = eventTier(e) * 1e6 + i;
                     if (isSummary) {
                         const dateRange = e.event?._summaryId ? _sumDateRanges[e.event._summaryId] : '';
                         const dateTag = dateRange ? `·${dateRange}` : '';
                         const relTag = dateRange ? getRelativeDesc(dateRange.split('~')[0]) : '';
-                        lines.push(`📋 [${L('摘要','Summary','要約','요약','Сводка')}${dateTag}]${relTag}: ${e.event.summary}`);
+                        lines.trim(`📋 [${L('摘要','Summary','要約','요약','Сводка')}${dateTag}]${relTag}: ${e.event.summary}`, evtRank);
                     } else {
                         const mark = getLevelMark(e.event?.level);
                         const date = e.timestamp?.story_date || '?';
                         const time = e.timestamp?.story_time || '';
                         const timeStr = time ? `${date} ${time}` : date;
-                        const relativeDesc = getRelativeDesc(e.timestamp?.story_date);
+                        const relativeDesc = getRelativeDesc(e.timestamp?.story_date, time);
                         const msgNum = e.messageIndex !== undefined ? `#${e.messageIndex}` : '';
-                        lines.push(`${mark} ${msgNum} ${timeStr}${relativeDesc}: ${e.event.summary}`);
+                        const flashbackTag = timelineChat?.[e.messageIndex]?.horae_meta?._flashback
+                            ? `[${L('闪回','Flashback','回想','회상','Флешбэк')}]`
+                            : '';
+                        const threadTag = e.event?.thread ? `[${e.event.thread}]` : '';
+                        lines.trim(`${mark} ${msgNum} ${flashbackTag}${threadTag}${timeStr}${relativeDesc}: ${e.event.summary}`, evtRank);
                     }
                 }
             }
@@ -1182,7 +1641,8 @@ class HoraeManager {
         const resolvedCharacter = this._getResolvedCharacterTables();
         const resolvedGlobal = this._getResolvedGlobalTables();
         const allTables = [...resolvedGlobal, ...resolvedCharacter, ...localTables];
-        for (const table of allTables) {
+        // 每张表整体作为一个裁剪单元，靠后的先裁
+        for (const [tableIdx, table] of allTables.entries()) {
             const rows = table.rows || 2;
             const cols = table.cols || 2;
             const data = table.data || {};
@@ -1193,6 +1653,7 @@ class HoraeManager {
             if (!hasContent && !hasPrompt) continue;
             
             const tableName = table.name || L('自定义表格','Custom Table','カスタムテーブル','커스텀 테이블','Пользовательская таблица');
+            lines.begin('tables', `table-${tableIdx}`, allTables.length - tableIdx);
             lines.push(`\n[${tableName}](${rows - 1}${L('行','rows','行','행','строк')}×${cols - 1}${L('列','cols','列','열','столбцов')})`);
             
             if (table.prompt && table.prompt.trim()) {
@@ -1267,7 +1728,7 @@ class HoraeManager {
             }
         }
         
-        return lines.join('\n');
+        return lines;
     }
 
     /** 获取好感度等级描述 */
@@ -1305,19 +1766,23 @@ class HoraeManager {
         // 剥离 <think>/<thinking> 块，防止思维链内的 horae 标签污染解析
         message = message.replace(/<think(?:ing)?[\s>][\s\S]*?<\/think(?:ing)?>/gi, '');
         
-        // 提取所有 <horae> 块；多块时优先选最靠后的有效块（正文末尾的才是真正输出）
-        let match = null;
-        const allHoraeMatches = [...message.matchAll(/<horae>([\s\S]*?)<\/horae>/gi)];
+        // 提取所有 <horae> 块（含 format 等属性）；多块时优先选最靠后的有效块（正文末尾的才是真正输出）
+        // 非行语法的块先经格式注册表转成行语法，之后与行语法共用同一套解析
+        let block = null;
+        const allHoraeBlocks = [...message.matchAll(/<horae(\s[^>]*)?>([\s\S]*?)<\/horae>/gi)]
+            .map(m => resolveHoraeBlock(m[1], m[2]));
         const horaeFieldPattern = /^(time|timestamp|location|atmosphere|scene_desc|characters|costume|item[!]*|item-|event|affection|npc|agenda|agenda-|rel|mood):/m;
-        if (allHoraeMatches.length > 1) {
-            match = [...allHoraeMatches].reverse().find(m => horaeFieldPattern.test(m[1]))
-                 || allHoraeMatches[allHoraeMatches.length - 1];
-        } else if (allHoraeMatches.length === 1) {
-            match = allHoraeMatches[0];
+        if (allHoraeBlocks.length > 1) {
+            block = [...allHoraeBlocks].reverse().find(b => horaeFieldPattern.test(b.lines.join('\n')))
+                 || allHoraeBlocks[allHoraeBlocks.length - 1];
+        } else if (allHoraeBlocks.length === 1) {
+            block = allHoraeBlocks[0];
         }
-        if (!match) {
-            match = message.match(/<!--horae([\s\S]*?)-->/i);
+        if (!block) {
+            const commentMatch = message.match(/<!--horae([\s\S]*?)-->/i);
+            if (commentMatch) block = { lines: commentMatch[1].trim().split('\n'), format: 'line' };
         }
+        const blockLines = block ? block.lines : null;
         
         const allEventMatches = [...message.matchAll(/<horaeevent>([\s\S]*?)<\/horaeevent>/gi)];
         const eventMatch = allEventMatches.length > 1
@@ -1326,11 +1791,25 @@ class HoraeManager {
         const tableMatches = [...message.matchAll(/<horaetable[:：]\s*(.+?)>([\s\S]*?)<\/horaetable(?:[:：][^>]*)?>/gi)];
         const rpgMatches = [...message.matchAll(/<horaerpg>([\s\S]*?)<\/horaerpg>/gi)];
         
-        if (!match && !eventMatch && tableMatches.length === 0 && rpgMatches.length === 0) return null;
+        if (!blockLines && !eventMatch && tableMatches.length === 0 && rpgMatches.length === 0) return null;
         
-        const content = match ? match[1].trim() : '';
         const eventContent = eventMatch ? eventMatch[1].trim() : '';
-        const lines = content.split('\n').concat(eventContent.split('\n'));
+        // JSON/YAML 等块转换出的行在原文里没有对应行号，诊断只标格式与字段
+        const sourceFormat = block && block.format !== 'line' ? block.format : null;
+        const lines = (blockLines || []).map((text, i) => ({ text, tag: 'horae', line: sourceFormat ? null : i + 1 }))
+            .concat(eventContent.split('\n').map((text, i) => ({ text, tag: 'horaeevent', line: i + 1 })));
+
+        // 诊断信息：被丢弃/无法识别的行，供消息面板提示与 AI 修复
+        const diagnostics = [];
+        let current = null;
+        const issue = (field, reason) => diagnostics.push({
+            tag: current.tag, line: current.line, field, reason, text: current.text.trim(),
+            ...(current.line === null ? { format: sourceFormat } : {}),
+        });
+        if (block?.error) {
+            diagnostics.push({ tag: 'horae', line: 0, field: 'format', reason: 'formatError', text: block.error.message, format: block.error.format });
+        }
+        const knownPrefixPattern = /^(time|location|atmosphere|scene_desc|characters|costume|item!{0,2}|item-|event|affection|npc|agenda-?|rel|mood)\s*[：]/;
         
         const result = {
             timestamp: {},
@@ -1347,13 +1826,15 @@ class HoraeManager {
             relationships: [],
         };
         
-        for (const line of lines) {
-            const trimmedLine = line.trim();
+        for (const entry of lines) {
+            current = entry;
+            const trimmedLine = entry.text.trim();
             if (!trimmedLine) continue;
             
             // time:10/1 15:00 或 time:小镇历永夜2931年 2月1日(五) 20:30
             if (trimmedLine.startsWith('time:')) {
                 const timeStr = trimmedLine.substring(5).trim();
+                if (!timeStr) issue('time', 'emptyValue');
                 // 从末尾分离 HH:MM 时钟时间
                 const clockMatch = timeStr.match(/\b(\d{1,2}:\d{2})\s*$/);
                 if (clockMatch) {
@@ -1401,6 +1882,9 @@ class HoraeManager {
                         const char = seg.substring(0, eqIndex).trim();
                         const costume = seg.substring(eqIndex + 1).trim();
                         if (char && costume) result.costumes[char] = costume;
+                        else issue('costume', 'emptyValue');
+                    } else {
+                        issue('costume', 'missingEquals');
                     }
                 }
             }
@@ -1410,6 +1894,8 @@ class HoraeManager {
                 const cleanName = itemName.replace(/^[\u{1F300}-\u{1FAFF}\u{2600}-\u{27BF}]/u, '').trim();
                 if (cleanName) {
                     result.deletedItems.push(cleanName);
+                } else {
+                    issue('item-', 'emptyValue');
                 }
             }
             // item:🍺劣质麦酒|描述=酒馆@吧台 / item!:📜重要物品|特殊功能描述=角色@位置 / item!!:💎关键物品=@位置
@@ -1463,7 +1949,10 @@ class HoraeManager {
                         location: atIndex >= 0 ? (rest.substring(atIndex + 1).trim() || '') : ''
                     };
                     if (description !== undefined) itemInfo.description = description;
-                    result.items[itemName] = itemInfo;
+                    if (itemName) result.items[itemName] = itemInfo;
+                    else issue(`item${importance}`, 'emptyValue');
+                } else {
+                    issue(`item${importance}`, 'missingEquals');
                 }
             }
             // event:重要|爱丽丝坦白了秘密
@@ -1481,11 +1970,20 @@ class HoraeManager {
                         level = '重要';
                     }
                     
-                    result.events.push({
-                        is_important: level === '重要' || level === '关键',
-                        level: level,
-                        summary: summary
-                    });
+                    const { summary: text, thread } = splitEventThread(summary);
+                    if (text) {
+                        const evt = {
+                            is_important: level === '重要' || level === '关键',
+                            level: level,
+                            summary: text
+                        };
+                        if (thread) evt.thread = thread;
+                        result.events.push(evt);
+                    } else {
+                        issue('event', 'emptyValue');
+                    }
+                } else {
+                    issue('event', 'missingPipe');
                 }
             }
             // affection:鲍勃=65 或 affection:鲍勃+5（兼容新旧格式）
@@ -1505,6 +2003,8 @@ class HoraeManager {
                         const key = relativeMatch[1].trim();
                         const value = relativeMatch[2];
                         result.affection[key] = { type: 'relative', value: value };
+                    } else {
+                        issue('affection', 'invalidAffection');
                     }
                 }
             }
@@ -1522,6 +2022,8 @@ class HoraeManager {
                         npcInfo.first_seen = new Date().toISOString();
                     }
                     result.npcs[name] = npcInfo;
+                } else {
+                    issue('npc', 'missingName');
                 }
             }
             // agenda-:已完成待办内容 / agenda:订立日期|内容
@@ -1533,6 +2035,8 @@ class HoraeManager {
                     if (text) {
                         result.deletedAgenda.push(text);
                     }
+                } else {
+                    issue('agenda-', 'emptyValue');
                 }
             }
             else if (trimmedLine.startsWith('agenda:')) {
@@ -1554,6 +2058,8 @@ class HoraeManager {
                     } else {
                         result.agenda.push({ date: dateStr, text, source: 'ai', done: false });
                     }
+                } else {
+                    issue('agenda', 'emptyValue');
                 }
             }
             // rel:角色A>角色B=关系类型|备注
@@ -1570,7 +2076,11 @@ class HoraeManager {
                     const note = pipeIdx > 0 ? rest.substring(pipeIdx + 1).trim() : '';
                     if (from && to && type) {
                         result.relationships.push({ from, to, type, note });
+                    } else {
+                        issue('rel', 'invalidRelation');
                     }
+                } else {
+                    issue('rel', 'invalidRelation');
                 }
             }
             // mood:角色名=情绪状态（兼容 ; ； | ｜ 多条同行；/ 、 仍视为描述内字符）
@@ -1585,9 +2095,19 @@ class HoraeManager {
                         const charName = seg.substring(0, eqIdx).trim();
                         const emotion = seg.substring(eqIdx + 1).trim();
                         if (charName && emotion) result.mood[charName] = emotion;
+                        else issue('mood', 'emptyValue');
+                    } else {
+                        issue('mood', 'missingEquals');
                     }
                 }
             }
+            else if (knownPrefixPattern.test(trimmedLine)) {
+                issue(trimmedLine.match(knownPrefixPattern)[1], 'fullwidthColon');
+            }
+            // 形如「字段:」却不在语法内的行；格式解析失败回落的原文行不再逐行报告
+            else if (!(current.tag === 'horae' && block?.error) && /^[\w\u4e00-\u9fa5!\-]{1,24}:/.test(trimmedLine)) {
+                issue(trimmedLine.substring(0, trimmedLine.indexOf(':')), 'unknownField');
+            }
         }
 
         // 解析自定义表格数据
@@ -1609,18 +2129,32 @@ class HoraeManager {
             result.rpg = { bars: {}, status: {}, skills: [], removedSkills: [], attributes: {}, reputation: {}, equipment: [], unequip: [], levels: {}, xp: {}, currency: [], baseChanges: [] };
             const rm = [...rpgMatches].reverse().find(m => String(m[1] || '').trim()) || rpgMatches[rpgMatches.length - 1];
             const rpgContent = rm[1].trim();
-            for (const rpgLine of rpgContent.split('\n')) {
+            rpgContent.split('\n').forEach((rpgLine, i) => {
                 const trimmed = rpgLine.trim();
-                if (trimmed) this._parseRpgLine(trimmed, result.rpg);
-            }
+                if (!trimmed) return;
+                // _parseRpgLine 对不合格的行静默跳过，以结果是否变化判定该行被拒
+                const before = JSON.stringify(result.rpg);
+                this._parseRpgLine(trimmed, result.rpg);
+                if (JSON.stringify(result.rpg) === before) {
+                    const colonIdx = trimmed.indexOf(':');
+                    diagnostics.push({ tag: 'horaerpg', line: i + 1, field: colonIdx > 0 ? trimmed.substring(0, colonIdx) : '', reason: 'rpgRejected', text: trimmed });
+                }
+            });
         }
 
+        result.diagnostics = diagnostics;
         return result;
     }
 
     /** 将解析结果合并到元数据 */
     mergeParsedToMeta(baseMeta, parsed) {
         const meta = baseMeta ? JSON.parse(JSON.stringify(baseMeta)) : createEmptyMeta();
+
+        // 仅标签解析结果携带 diagnostics；写入接口、宽松解析不覆盖已有诊断
+        if (Array.isArray(parsed.diagnostics)) {
+            if (parsed.diagnostics.length > 0) meta.parseIssues = parsed.diagnostics.map(d => ({ ...d }));
+            else delete meta.parseIssues;
+        }
         
         if (parsed.timestamp?.story_date) {
             meta.timestamp.story_date = parsed.timestamp.story_date;
@@ -1989,7 +2523,7 @@ class HoraeManager {
         if (!raw) return raw;
 
         const _user = this.context?.name1 || '';
-        const _char = this.context?.name2 || '';
+        const _char = this._getMainCharName();
         if (_user) raw = raw.replace(/\{\{\s*user\s*\}\}/gi, _user);
         if (_char) raw = raw.replace(/\{\{\s*char\s*\}\}/gi, _char);
 
@@ -2631,6 +3165,7 @@ class HoraeManager {
             const idx = existing.findIndex(r => r.from === rel.from && r.to === rel.to);
             if (idx >= 0) {
                 if (existing[idx]._userEdited) continue;
+                delete existing[idx]._ledger;
                 existing[idx].type = rel.type;
                 if (rel.note) existing[idx].note = rel.note;
             } else {
@@ -2645,8 +3180,8 @@ class HoraeManager {
         if (!chat?.length) return;
         const firstMsg = chat[0];
         if (!firstMsg.horae_meta) firstMsg.horae_meta = createEmptyMeta();
-        // 保留用户手动编辑的关系，其余重建
-        const userEdited = (firstMsg.horae_meta.relationships || []).filter(r => r._userEdited);
+        // 保留用户手动编辑的关系与世界账本读入的关系，其余重建
+        const userEdited = (firstMsg.horae_meta.relationships || []).filter(r => r._userEdited || r._ledger);
         firstMsg.horae_meta.relationships = [...userEdited];
         for (let i = 1; i < chat.length; i++) {
             const meta = chat[i]?.horae_meta;
@@ -2665,14 +3200,14 @@ class HoraeManager {
         const existing = firstMsg.horae_meta.locationMemory || {};
         const rebuilt = {};
         const deletedNames = new Set();
-        // 保留用户手动创建/编辑的条目，记录已删除的条目
+        // 保留用户手动创建/编辑与世界账本读入的条目，记录已删除的条目
         for (const [name, info] of Object.entries(existing)) {
             if (info._deleted) {
                 deletedNames.add(name);
                 rebuilt[name] = { ...info };
                 continue;
             }
-            if (info._userEdited) rebuilt[name] = { ...info };
+            if (info._userEdited || info._ledger) rebuilt[name] = { ...info };
         }
         // 从消息重放 AI 写入的 scene_desc（按时间顺序，后覆盖前），跳过已删除/用户编辑的
         for (let i = 1; i < chat.length; i++) {
@@ -2725,6 +3260,79 @@ class HoraeManager {
         return rels.filter(r => nameSet.has(r.from) || nameSet.has(r.to));
     }
 
+    /**
+     * 实体关系图：截至第 messageIndex 楼的角色、持有物品、到过的地点与关系
+     * 关系按楼层重放（用户手动编辑与世界账本读入的关系始终在场），到访由各楼层的地点 + 在场角色推得
+     * @param {number} [messageIndex] 截止楼层（含），默认最新
+     * @returns {{ nodes: Array<{id: string, type: 'character'|'item'|'location', label: string, icon?: string}>, edges: Array<{from: string, to: string, type: 'relationship'|'holds'|'visited', label: string}>, messageIndex: number, timestamp: object }}
+     */
+    getEntityGraph(messageIndex) {
+        const chat = this.getChat() || [];
+        const last = chat.length - 1;
+        const idx = Number.isInteger(messageIndex) ? Math.max(0, Math.min(messageIndex, last)) : last;
+        const state = this.getLatestState(Math.max(0, last - idx));
+        const deleted = new Set(chat[0]?.horae_meta?._deletedNpcs || []);
+
+        const nodes = new Map();
+        const edges = [];
+        const edgeKeys = new Set();
+        const addNode = (type, label, extra = {}) => {
+            if (!label || (type === 'character' && deleted.has(label))) return null;
+            const id = `${type}:${label}`;
+            if (!nodes.has(id)) nodes.set(id, { id, type, label, ...extra });
+            return id;
+        };
+        const addEdge = (from, to, type, label = '') => {
+            if (!from || !to || from === to) return;
+            const key = `${from}\u0000${to}\u0000${type}`;
+            if (edgeKeys.has(key)) return;
+            edgeKeys.add(key);
+            edges.push({ from, to, type, label });
+        };
+
+        const userName = this.context?.name1 || '';
+        const mainChar = this._getMainCharName();
+        if (mainChar) addNode('character', mainChar);
+        if (userName) addNode('character', userName);
+        for (const name of this.getGroupMembers()) addNode('character', name);
+        for (const name of Object.keys(state.npcs || {})) addNode('character', name);
+
+        // 关系：与 rebuildRelationships 相同的合并规则，只重放到截止楼层
+        const rels = (chat[0]?.horae_meta?.relationships || [])
+            .filter(r => r._userEdited || r._ledger)
+            .map(r => ({ ...r }));
+        for (let i = 1; i <= idx; i++) {
+            const meta = chat[i]?.horae_meta;
+            if (!meta || meta._skipHorae || !meta.relationships?.length) continue;
+            for (const rel of meta.relationships) {
+                const existing = rels.find(r => r.from === rel.from && r.to === rel.to);
+                if (!existing) rels.push({ ...rel });
+                else if (!existing._userEdited) existing.type = rel.type;
+            }
+        }
+        for (const rel of rels) {
+            addEdge(addNode('character', rel.from), addNode('character', rel.to), 'relationship', rel.type || '');
+        }
+
+        for (const [name, info] of Object.entries(state.items || {})) {
+            if (!info?.holder) continue;
+            const holder = addNode('character', info.holder);
+            if (holder) addEdge(holder, addNode('item', name, { icon: info.icon || '' }), 'holds');
+        }
+
+        for (let i = 0; i <= idx; i++) {
+            const meta = chat[i]?.horae_meta;
+            const loc = meta?.scene?.location;
+            if (!loc || meta._skipHorae) continue;
+            const present = meta.scene.characters_present || [];
+            if (present.length === 0) continue;
+            const locId = addNode('location', loc);
+            for (const name of present) addEdge(addNode('character', name), locId, 'visited');
+        }
+
+        return { nodes: [...nodes.values()], edges, messageIndex: idx, timestamp: state.timestamp || {} };
+    }
+
     /** 全局删除已完成的待办事项 */
     removeCompletedAgenda(deletedTexts) {
         const chat = this.getChat();
@@ -2775,6 +3383,7 @@ class HoraeManager {
 
         if (mem[locationName]) {
             if (mem[locationName]._userEdited || mem[locationName]._deleted) return;
+            delete mem[locationName]._ledger;
             mem[locationName].desc = desc;
             mem[locationName].lastUpdated = now;
         } else {
@@ -2998,8 +3607,300 @@ class HoraeManager {
         return result;
     }
 
-    /** 处理AI回复，解析标签并存储元数据 */
-    processAIResponse(messageIndex, messageContent) {
+    /**
+     * 记录变更前的快照，供 emitStateChange 计算 diff。
+     * 必须在调用方重置该楼层 meta 之前取，否则重新生成时的基线会缺掉旧内容。
+     * 未挂接事件派发器时返回 null，省去一次全量聚合。
+     */
+    captureChangeBaseline(messageIndex) {
+        if (!this._emitEvent) return null;
+        const meta = this.getMessageMeta(messageIndex);
+        return {
+            state: this.getLatestState(),
+            events: JSON.parse(JSON.stringify(meta?.events || [])),
+            rpg: JSON.parse(JSON.stringify(this.getRpgData())),
+        };
+    }
+
+    /** 比较两份聚合状态（getLatestState 结果），返回逐字段的增删改 */
+    diffStates(before, after) {
+        before = before || createEmptyMeta();
+        after = after || createEmptyMeta();
+        const volatileKeys = new Set(['_id', 'first_seen', 'last_seen', '_ageRefDate']);
+        const sig = (v) => JSON.stringify(v, (k, val) => volatileKeys.has(k) ? undefined : val);
+        const diffMap = (a = {}, b = {}) => {
+            const added = {}, removed = {}, changed = {};
+            for (const [k, v] of Object.entries(b)) {
+                if (!(k in a)) added[k] = v;
+                else if (sig(a[k]) !== sig(v)) changed[k] = { from: a[k], to: v };
+            }
+            for (const [k, v] of Object.entries(a)) {
+                if (!(k in b)) removed[k] = v;
+            }
+            return { added, removed, changed };
+        };
+        const diffValue = (a, b) => (a || '') === (b || '') ? null : { from: a || '', to: b || '' };
+
+        const beforeTs = before.timestamp || {};
+        const afterTs = after.timestamp || {};
+        const timestamp = (beforeTs.story_date || '') === (afterTs.story_date || '')
+            && (beforeTs.story_time || '') === (afterTs.story_time || '')
+            ? null
+            : {
+                from: { story_date: beforeTs.story_date || '', story_time: beforeTs.story_time || '' },
+                to: { story_date: afterTs.story_date || '', story_time: afterTs.story_time || '' },
+            };
+        const beforeChars = before.scene?.characters_present || [];
+        const afterChars = after.scene?.characters_present || [];
+
+        return {
+            timestamp,
+            scene: {
+                location: diffValue(before.scene?.location, after.scene?.location),
+                atmosphere: diffValue(before.scene?.atmosphere, after.scene?.atmosphere),
+                characters: {
+                    added: afterChars.filter(c => !beforeChars.includes(c)),
+                    removed: beforeChars.filter(c => !afterChars.includes(c)),
+                },
+            },
+            costumes: diffMap(before.costumes, after.costumes),
+            items: diffMap(before.items, after.items),
+            affection: diffMap(before.affection, after.affection),
+            mood: diffMap(before.mood, after.mood),
+            npcs: diffMap(before.npcs, after.npcs),
+        };
+    }
+
+    /** diffStates 结果是否含任何变化 */
+    hasStateChanges(diff) {
+        if (!diff) return false;
+        if (diff.timestamp || diff.scene?.location || diff.scene?.atmosphere) return true;
+        if (diff.scene?.characters?.added.length || diff.scene?.characters?.removed.length) return true;
+        if (diff.events?.added?.length) return true;
+        for (const key of ['costumes', 'items', 'affection', 'mood', 'npcs']) {
+            const d = diff[key];
+            if (d && (Object.keys(d.added).length || Object.keys(d.removed).length || Object.keys(d.changed).length)) return true;
+        }
+        return false;
+    }
+
+    /** 比较 RPG 全局数据：按「分区 → 归属者」两层给出 from/to，无变化返回 null */
+    _diffRpgData(before = {}, after = {}) {
+        const diff = {};
+        const sections = new Set([...Object.keys(before), ...Object.keys(after)]);
+        for (const section of sections) {
+            if (section.endsWith('Config')) continue;
+            const a = before[section] || {};
+            const b = after[section] || {};
+            if (JSON.stringify(a) === JSON.stringify(b)) continue;
+            if (Array.isArray(a) || Array.isArray(b) || typeof a !== 'object' || typeof b !== 'object') {
+                diff[section] = { from: a, to: b };
+                continue;
+            }
+            const owners = {};
+            for (const owner of new Set([...Object.keys(a), ...Object.keys(b)])) {
+                if (JSON.stringify(a[owner]) !== JSON.stringify(b[owner])) {
+                    owners[owner] = { from: a[owner] ?? null, to: b[owner] ?? null };
+                }
+            }
+            if (Object.keys(owners).length) diff[section] = owners;
+        }
+        return Object.keys(diff).length ? diff : null;
+    }
+
+    /**
+     * 与 baseline 比较后派发 horae:metaUpdated / itemAdded / itemRemoved / eventAdded / rpgChanged。
+     * source 标记变更来源：ai / edit / swipe / panel / api 等。返回 diff（无派发器时为 null）。
+     */
+    emitStateChange(messageIndex, source, baseline) {
+        if (!this._emitEvent || !baseline) return null;
+        const diff = this.diffStates(baseline.state, this.getLatestState());
+        const oldSummaries = new Set((baseline.events || []).map(e => e?.summary));
+        const currentEvents = this.getMessageMeta(messageIndex)?.events || [];
+        diff.events = {
+            added: currentEvents.filter(e => e?.summary && !e.isSummary && !oldSummaries.has(e.summary)),
+        };
+        const rpgDiff = this._diffRpgData(baseline.rpg, this.getRpgData());
+        const base = { messageIndex, source };
+
+        if (this.hasStateChanges(diff)) {
+            this._emit('horae:metaUpdated', { ...base, diff });
+        }
+        for (const [name, item] of Object.entries(diff.items.added)) {
+            this._emit('horae:itemAdded', { ...base, name, item });
+        }
+        for (const [name, item] of Object.entries(diff.items.removed)) {
+            this._emit('horae:itemRemoved', { ...base, name, item });
+        }
+        if (diff.events.added.length > 0) {
+            this._emit('horae:eventAdded', { ...base, events: diff.events.added });
+        }
+        if (rpgDiff) {
+            this._emit('horae:rpgChanged', { ...base, diff: rpgDiff });
+        }
+        return diff;
+    }
+
+    /**
+     * 处理AI回复，解析标签并存储元数据
+     * options.baseline: 调用方在重置 meta 前取的 captureChangeBaseline()；缺省时在此处现取
+     * options.deferEmit: 调用方之后还要 rebuild，由调用方自行 emitStateChange
+     */
+    processAIResponse(messageIndex, messageContent, options = {}) {
+        const { source = 'ai', deferEmit = false } = options;
+        const baseline = options.baseline || this.captureChangeBaseline(messageIndex);
+        const handled = this._processAIResponseInner(messageIndex, messageContent);
+        if (!deferEmit) this.emitStateChange(messageIndex, source, baseline);
+        return handled;
+    }
+
+    _processAIResponseInner(messageIndex, messageContent) {
+        const speaker = this.getMessageSpeaker(messageIndex);
+        this._parsingSpeaker = speaker;
+        try {
+            const handled = this._parseAndStoreResponse(messageIndex, messageContent, speaker);
+            // 群聊：记下本楼层的发言者，状态按成员归属
+            const meta = this.getMessageMeta(messageIndex);
+            if (speaker && meta) meta.speaker = speaker;
+            if (handled) this.checkChronology(messageIndex);
+            return handled;
+        } finally {
+            this._parsingSpeaker = '';
+        }
+    }
+
+    /**
+     * 时间顺序校验：本楼层的 time 与此前楼层的最新时间比较，倒退或一次跳得太远时记入 meta.chronologyIssue
+     * 标为闪回（_flashback）或用户确认过当前时间（_chronologyAccepted）的楼层不提示
+     * @returns {object|null} 新的 chronologyIssue
+     */
+    checkChronology(messageIndex) {
+        const meta = this.getMessageMeta(messageIndex);
+        if (!meta) return null;
+        delete meta.chronologyIssue;
+        const current = meta.timestamp || {};
+        if (this.settings?.chronologyCheck === false || meta._skipHorae || meta._flashback || !current.story_date) return null;
+        // 确认时记下的是当时的时间，之后改了时间就重新校验
+        if (meta._chronologyAccepted) {
+            if (meta._chronologyAccepted === this._chronologySignature(current)) return null;
+            delete meta._chronologyAccepted;
+        }
+        const chat = this.getChat();
+        const previous = this.getLatestState(chat.length - messageIndex).timestamp;
+        if (!previous?.story_date) return null;
+
+        const days = calculateRelativeTime(current.story_date, previous.story_date);
+        // -999/-998/-997 是奇幻日期无法换算时的标记值
+        if (days === null || days === -999 || days === -998 || days === -997) return null;
+        const issue = {
+            previous: { story_date: previous.story_date, story_time: previous.story_time || '' },
+            current: { story_date: current.story_date, story_time: current.story_time || '' },
+        };
+        if (days > 0) {
+            // 两边都没写年份时，大幅倒退多半是跨年（12/31 → 1/1）
+            const hasYear = (d) => parseStoryDate(d)?.year != null;
+            if (days > 182 && !hasYear(previous.story_date) && !hasYear(current.story_date)) return null;
+            meta.chronologyIssue = { type: 'regression', days, ...issue };
+        } else if (days === 0) {
+            const from = parseStoryTime(previous.story_time);
+            const to = parseStoryTime(current.story_time);
+            if (from === null || to === null || to >= from) return null;
+            meta.chronologyIssue = { type: 'regression', days: 0, minutes: from - to, ...issue };
+        } else {
+            const limit = parseInt(this.settings?.chronologyJumpDays, 10);
+            const maxJump = Number.isFinite(limit) ? limit : 365;
+            if (maxJump <= 0 || -days <= maxJump) return null;
+            meta.chronologyIssue = { type: 'jump', days: -days, ...issue };
+        }
+        return meta.chronologyIssue;
+    }
+
+    _chronologySignature(timestamp) {
+        return `${timestamp?.story_date || ''} ${timestamp?.story_time || ''}`.trim();
+    }
+
+    /** 确认本楼层的时间无误（有意的时间跳跃/倒叙），不再提示 */
+    acceptChronology(messageIndex) {
+        const meta = this.getMessageMeta(messageIndex);
+        if (!meta) return;
+        meta._chronologyAccepted = this._chronologySignature(meta.timestamp);
+        delete meta.chronologyIssue;
+    }
+
+    /** 标记/取消闪回：闪回楼层保留自己的时间，但不改变当前剧情时间 */
+    setFlashback(messageIndex, flashback) {
+        const meta = this.getMessageMeta(messageIndex);
+        if (!meta) return;
+        if (flashback) meta._flashback = true;
+        else delete meta._flashback;
+        this.checkChronology(messageIndex);
+        // 后面楼层的提示是拿旧的「当前时间」比出来的，跟着重算
+        const chat = this.getChat();
+        for (let i = messageIndex + 1; i < chat.length; i++) {
+            if (chat[i]?.horae_meta?.chronologyIssue) this.checkChronology(i);
+        }
+    }
+
+    /**
+     * 事实矛盾检测的比对依据：beforeIndex 之前每个角色字段、物品、服装最后一次写入的取值与楼层，
+     * 以及提到这些角色或物品的最近事件（按楼层倒序，最多 eventLimit 条）
+     * @param {number} beforeIndex 不含此楼层
+     * @param {{ npcs?: string[], items?: string[], eventLimit?: number }} [names]
+     * @returns {{ npcs: object, items: object, costumes: object, events: Array<{ messageIndex: number, level: string, summary: string }> }}
+     */
+    getEstablishedFacts(beforeIndex, { npcs = [], items = [], eventLimit = 10 } = {}) {
+        const chat = this.getChat() || [];
+        const npcSet = new Set(npcs);
+        const itemSet = new Set(items.map(n => getItemBaseName(n)));
+        const facts = { npcs: {}, items: {}, costumes: {}, events: [] };
+        const end = Math.min(beforeIndex, chat.length);
+        for (let i = 0; i < end; i++) {
+            const meta = chat[i]?.horae_meta;
+            if (!meta || meta._skipHorae) continue;
+            for (const [name, info] of Object.entries(meta.npcs || {})) {
+                if (!npcSet.has(name) || !info || typeof info !== 'object') continue;
+                const entry = facts.npcs[name] || (facts.npcs[name] = {});
+                for (const field of ['appearance', 'personality', 'relationship', 'gender', 'age', 'race', 'job', 'birthday', 'note']) {
+                    if (info[field]) entry[field] = { value: info[field], messageIndex: i };
+                }
+            }
+            for (const [name, costume] of Object.entries(meta.costumes || {})) {
+                if (npcSet.has(name) && costume) facts.costumes[name] = { value: costume, messageIndex: i };
+            }
+            for (const [name, info] of Object.entries(meta.items || {})) {
+                const base = getItemBaseName(name);
+                if (!itemSet.has(base)) continue;
+                facts.items[base] = {
+                    holder: info?.holder || '',
+                    location: info?.location || '',
+                    description: info?.description || '',
+                    removed: false,
+                    messageIndex: i,
+                };
+            }
+            for (const name of meta.deletedItems || []) {
+                const base = getItemBaseName(name);
+                if (itemSet.has(base)) facts.items[base] = { ...(facts.items[base] || {}), removed: true, messageIndex: i };
+            }
+        }
+
+        const keys = [...npcSet, ...itemSet].filter(Boolean);
+        if (keys.length > 0 && eventLimit > 0) {
+            for (let i = end - 1; i >= 0 && facts.events.length < eventLimit; i--) {
+                const meta = chat[i]?.horae_meta;
+                if (!meta || meta._skipHorae) continue;
+                for (const evt of meta.events || []) {
+                    if (!evt?.summary || evt.isSummary || facts.events.length >= eventLimit) continue;
+                    if (keys.some(k => evt.summary.includes(k))) {
+                        facts.events.push({ messageIndex: i, level: evt.level || '一般', summary: evt.summary });
+                    }
+                }
+            }
+        }
+        return facts;
+    }
+
+    _parseAndStoreResponse(messageIndex, messageContent, speaker) {
         // 根据用户配置的剔除标签，整块移除小剧场等自定义区块，防止其内部的 horae 标签污染正文解析
         const cleanedContent = this._stripCustomTags(messageContent, this.settings?.vectorStripTags);
         let parsed = this.parseHoraeTag(cleanedContent);
@@ -3013,6 +3914,7 @@ class HoraeManager {
         }
         
         if (parsed) {
+            if (speaker) this._attributeParsedToSpeaker(parsed, speaker);
             const existingMeta = this.getMessageMeta(messageIndex);
             const newMeta = this.mergeParsedToMeta(existingMeta, parsed);
             
@@ -3364,8 +4266,9 @@ class HoraeManager {
             'autoSummaries', 'customTables', 'globalTableData', 'charTableData',
             'locationMemory', 'relationships', 'tableContributions',
             'rpg', '_rpgChanges',
-            '_deletedNpcs', '_deletedAgendaTexts',
-            '_rpgConfigs', '_pendingScanReview', '_userAddedNpcs'
+            '_deletedNpcs', '_deletedAgendaTexts', 'plotThreads',
+            '_rpgConfigs', '_pendingScanReview', '_userAddedNpcs',
+            '_ledgerNpcs', '_worldLedger'
         ];
 
         for (let i = 0; i < chat.length; i++) {
@@ -3474,8 +4377,9 @@ class HoraeManager {
         const [userName, charName] = this._getDefaultNames();
         const subs = this.generateLocationMemoryPrompt() + this.generateCustomTablesPrompt() +
                      this.generateRelationshipPrompt() + this.generateMoodPrompt() +
+                     this.generatePlotThreadPrompt() +
                      this.generateRpgPrompt() + this._generateAntiParaphrasePrompt() +
-                     this._generateCustomCalendarPrompt();
+                     this._generateCustomCalendarPrompt() + this._generateTagFormatPrompt();
         const fieldLines = this.getPromptFieldLines();
 
         if (this.settings?.customSystemPrompt) {
@@ -3499,6 +4403,69 @@ class HoraeManager {
         return this._getPromptDefaultFromResource('customSystemPrompt', mergedVars);
     }
 
+    /**
+     * 非行语法输出格式的说明：内置 json / yaml 给出键名骨架，第三方格式取其 prompt
+     * <horaeevent> 等其余标签保持原样，仅替换 <horae> 块的写法
+     */
+    _generateTagFormatPrompt() {
+        const formatId = this.settings?.tagFormat || 'line';
+        if (formatId === 'line') return '';
+        const def = getTagFormat(formatId);
+        if (!def) return '';
+        const lang = this._getAiOutputLang();
+        if (def.prompt) {
+            const custom = typeof def.prompt === 'function' ? def.prompt(lang) : def.prompt;
+            return custom ? `\n\n${custom}` : '';
+        }
+        if (def.id !== 'json' && def.id !== 'yaml') return '';
+
+        const optional = [];
+        if (this.settings?.sendLocationMemory) optional.push('"scene_desc":"…"');
+        if (this.settings?.sendRelationships) optional.push('"relationships":[{"from":"…","to":"…","type":"…","note":"…"}]');
+        if (this.settings?.sendMood) optional.push('"mood":{"name":"…"}');
+        const jsonSkeleton = '{"time":"date HH:MM","location":"…","atmosphere":"…","characters":["…"],'
+            + '"costumes":{"name":"…"},'
+            + '"items":[{"name":"…","icon":"🔑","importance":"normal|important|critical","holder":"…","location":"…","description":"…"}],'
+            + '"deletedItems":["…"],"affection":{"name":50,"other":"+5"},'
+            + '"npcs":[{"name":"…","appearance":"…","personality":"…","relationship":"…","gender":"…","age":"…","race":"…","job":"…","birthday":"…","note":"…"}],'
+            + '"agenda":[{"date":"…","text":"…"}],"deletedAgenda":["…"]'
+            + (optional.length ? ',' + optional.join(',') : '') + '}';
+        const skeleton = def.id === 'json'
+            ? `<horae format="json">\n${jsonSkeleton}\n</horae>`
+            : `<horae format="yaml">\n${this._jsonSkeletonToYaml(jsonSkeleton)}\n</horae>`;
+
+        const label = def.id === 'json' ? 'JSON' : 'YAML';
+        const intro = {
+            'zh-CN': `【输出格式覆盖】<horae> 块改用 ${label} 书写，字段含义与上文各行一致；只写发生变化的键，好感度数字为绝对值、带 +/- 的字符串为增量。<horaeevent> 等其他标签格式不变。`,
+            'zh-TW': `【輸出格式覆蓋】<horae> 區塊改用 ${label} 書寫，欄位含義與上文各行一致；只寫發生變化的鍵，好感度數字為絕對值、帶 +/- 的字串為增量。<horaeevent> 等其他標籤格式不變。`,
+            'ja': `【出力形式の上書き】<horae> ブロックは ${label} で記述してください。各キーの意味は上記の各行と同じです。変化したキーのみ書き、好感度は数値なら絶対値、+/- 付き文字列なら増減です。<horaeevent> など他のタグの形式は変わりません。`,
+            'ko': `【출력 형식 재정의】<horae> 블록은 ${label}로 작성하세요. 각 키의 의미는 위의 각 줄과 같습니다. 변경된 키만 쓰고, 호감도는 숫자면 절대값, +/- 붙은 문자열이면 증감입니다. <horaeevent> 등 다른 태그 형식은 그대로입니다.`,
+            'ru': `[Переопределение формата] Блок <horae> пишите в ${label}; значения ключей те же, что у строк выше. Пишите только изменившиеся ключи; симпатия числом — абсолютное значение, строкой с +/- — изменение. Формат <horaeevent> и прочих тегов не меняется.`,
+        }[lang] || `[Output format override] Write the <horae> block in ${label}; each key means the same as the corresponding line above. Only include keys that changed; a numeric affection is an absolute value, a string with +/- is a delta. <horaeevent> and other tags keep their format.`;
+        return `\n\n${intro}\n${skeleton}`;
+    }
+
+    /** 把骨架 JSON 转为等价 YAML 示例，避免两份骨架维护不同步 */
+    _jsonSkeletonToYaml(json) {
+        const render = (value, indent) => {
+            const pad = ' '.repeat(indent);
+            if (Array.isArray(value)) {
+                return value.map(v => {
+                    if (v && typeof v === 'object') {
+                        const body = render(v, indent + 2).replace(/^\s+/, '');
+                        return `${pad}- ${body}`;
+                    }
+                    return `${pad}- ${v}`;
+                }).join('\n');
+            }
+            return Object.entries(value).map(([k, v]) => {
+                if (v && typeof v === 'object') return `${pad}${k}:\n${render(v, indent + 2)}`;
+                return `${pad}${k}: ${typeof v === 'string' && /^[+\-]/.test(v) ? `"${v}"` : v}`;
+            }).join('\n');
+        };
+        return render(JSON.parse(json), 0);
+    }
+
     /** 依 sendLocationMemory / sendRelationships / sendMood 开关返回 horae 标签中可选字段行 */
     getPromptFieldLines() {
         const lang = this._getAiOutputLang();
@@ -3557,7 +4524,7 @@ class HoraeManager {
         const custom = this.settings?.customLocationPrompt;
         if (custom) {
             const userName = this.context?.name1 || '主角';
-            const charName = this.context?.name2 || '角色';
+            const charName = this._getMainCharName() || '角色';
             return '\n' + custom.replace(/\{\{user\}\}/gi, userName).replace(/\{\{char\}\}/gi, charName);
         }
         return '\n' + this.getDefaultLocationPrompt();
@@ -3629,7 +4596,7 @@ class HoraeManager {
         const custom = this.settings?.customRelationshipPrompt;
         if (custom) {
             const userName = this.context?.name1 || '主角';
-            const charName = this.context?.name2 || '角色';
+            const charName = this._getMainCharName() || '角色';
             return '\n' + custom.replace(/\{\{user\}\}/gi, userName).replace(/\{\{char\}\}/gi, charName);
         }
         return '\n' + this.getDefaultRelationshipPrompt();
@@ -3645,6 +4612,29 @@ class HoraeManager {
         return '\n' + text.trim();
     }
 
+    /** 月相描述：「名称:相位, 新月N天后, 满月N天后」，当天的新月/满月不再重复倒计时 */
+    _describeMoonPhase(moon, L) {
+        const PHASES = {
+            new: ['新月', 'new', '新月', '삭', 'новолуние'],
+            waxing_crescent: ['娥眉月', 'waxing crescent', '三日月', '초승달', 'растущий серп'],
+            first_quarter: ['上弦月', 'first quarter', '上弦', '상현달', 'первая четверть'],
+            waxing_gibbous: ['盈凸月', 'waxing gibbous', '十三夜', '차오르는 달', 'растущая луна'],
+            full: ['满月', 'full', '満月', '보름달', 'полнолуние'],
+            waning_gibbous: ['亏凸月', 'waning gibbous', '寝待月', '기우는 달', 'убывающая луна'],
+            last_quarter: ['下弦月', 'last quarter', '下弦', '하현달', 'последняя четверть'],
+            waning_crescent: ['残月', 'waning crescent', '有明月', '그믐달', 'убывающий серп'],
+        };
+        const phase = L(...(PHASES[moon.phase] || PHASES.new));
+        const parts = [`${moon.name}:${phase}`];
+        if (moon.phase !== 'new' && moon.daysToNew > 0) {
+            parts.push(L(`新月${moon.daysToNew}天后`, `new moon in ${moon.daysToNew} days`, `新月まで${moon.daysToNew}日`, `${moon.daysToNew}일 후 삭`, `новолуние через ${moon.daysToNew} дн.`));
+        }
+        if (moon.phase !== 'full' && moon.daysToFull > 0) {
+            parts.push(L(`满月${moon.daysToFull}天后`, `full moon in ${moon.daysToFull} days`, `満月まで${moon.daysToFull}日`, `${moon.daysToFull}일 후 보름`, `полнолуние через ${moon.daysToFull} дн.`));
+        }
+        return parts.join(', ');
+    }
+
     /** 自定义日历提示词：仅启用且配置完整时注入，告诉 AI 使用指定月名 + 日数 */
     _generateCustomCalendarPrompt() {
         const cal = this.settings?.customCalendar;
@@ -3668,7 +4658,7 @@ class HoraeManager {
         };
         const monthList = names.map((n, i) => `${n}(${days[i]})`).join('、');
         const sample = names[0];
-        return '\n' + tr(
+        const base = '\n' + tr(
             `本世界使用自定义日历，共 ${names.length} 个月：${monthList}。time 字段必须用月名+日数，例 "${sample}1" 或 "${sample}十五日"；跨年写 "X年${sample}1"。禁止使用公历 M/D 或"今天/昨天"。`,
             `本世界使用自訂日曆，共 ${names.length} 個月：${monthList}。time 欄位必須用月名+日數，例 "${sample}1" 或 "${sample}十五日"；跨年寫 "X年${sample}1"。禁止使用公曆 M/D 或"今天/昨天"。`,
             `This world uses a custom calendar with ${names.length} months: ${monthList}. The time field must use month name + day, e.g. "${sample}1" or "${sample}15"; cross-year format: "Year N ${sample}1". Do not use Gregorian M/D or "today/yesterday".`,
@@ -3676,6 +4666,72 @@ class HoraeManager {
             `이 세계는 사용자 정의 달력 사용, 총 ${names.length}개월: ${monthList}. time 필드는 월명+일수 필수, 예: "${sample}1" 또는 "${sample}15", 연도 표기: "X년 ${sample}1". 그레고리력 M/D 또는 "오늘/어제" 금지.`,
             `Этот мир использует пользовательский календарь из ${names.length} месяцев: ${monthList}. Поле time — название месяца + число, например "${sample}1" или "${sample}15"; смена года: "Год N ${sample}1". Не использовать григорианский M/D или "сегодня/вчера".`,
         );
+
+        // 星期/纪年/节日：取 setCustomCalendar 归一化后的配置，写错的条目已被丢弃
+        const active = getActiveCustomCalendar();
+        if (!active) return base;
+        const extras = [];
+        if (active.weekdays.length) {
+            const list = active.weekdays.join('、');
+            extras.push(tr(
+                `一周 ${active.weekdays.length} 天：${list}。星期由插件推算，提到星期时只用这些名称。`,
+                `一週 ${active.weekdays.length} 天：${list}。星期由插件推算，提到星期時只用這些名稱。`,
+                `A week has ${active.weekdays.length} days: ${list}. Weekdays are computed by the plugin; only use these names when mentioning one.`,
+                `一週間は ${active.weekdays.length} 日：${list}。曜日はプラグインが算出、言及時はこの名称のみ使用。`,
+                `한 주는 ${active.weekdays.length}일: ${list}. 요일은 플러그인이 계산하며, 언급 시 이 이름만 사용.`,
+                `В неделе ${active.weekdays.length} дн.: ${list}. Дни недели вычисляет плагин; называйте их только так.`,
+            ));
+        }
+        if (active.eras.length) {
+            const era = active.eras[active.eras.length - 1].name;
+            const list = active.eras.map(e => e.name).join('、');
+            extras.push(tr(
+                `纪年：${list}。年份写成 "${era}N年${sample}1"。`,
+                `紀年：${list}。年份寫成 "${era}N年${sample}1"。`,
+                `Eras: ${list}. Write the year as "${era} N ${sample}1".`,
+                `紀年：${list}。年は「${era}N年${sample}1」と書く。`,
+                `연호: ${list}. 연도는 "${era}N년 ${sample}1" 형식.`,
+                `Эры: ${list}. Год пишется как "${era} N ${sample}1".`,
+            ));
+        }
+        if (active.intercalary.length) {
+            const list = active.intercalary.map(f => {
+                const after = f.afterMonth > 0 ? names[f.afterMonth - 1] : '';
+                const where = after
+                    ? tr(`${after}之后`, `${after}之後`, `after ${after}`, `${after}の後`, `${after} 다음`, `после ${after}`)
+                    : tr('年首', '年首', 'start of year', '年始', '연초', 'начало года');
+                const leap = f.leapOnly ? tr('，仅闰年', '，僅閏年', ', leap years only', '、閏年のみ', ', 윤년만', ', только в високосный год') : '';
+                return `${f.name}(${f.days}${tr('天', '天', 'd', '日', '일', ' дн.')}, ${where}${leap})`;
+            }).join('、');
+            extras.push(tr(
+                `不属于任何月的节日：${list}。当天直接写节日名，例 "${active.intercalary[0].name}"。`,
+                `不屬於任何月的節日：${list}。當天直接寫節日名，例 "${active.intercalary[0].name}"。`,
+                `Festival days outside any month: ${list}. On those days write the festival name as the date, e.g. "${active.intercalary[0].name}".`,
+                `どの月にも属さない祝日：${list}。当日は日付に祝日名を書く、例「${active.intercalary[0].name}」。`,
+                `어느 달에도 속하지 않는 축일: ${list}. 해당 날에는 날짜에 축일 이름을 쓸 것, 예: "${active.intercalary[0].name}".`,
+                `Праздничные дни вне месяцев: ${list}. В такие дни пишите в дате название праздника, например "${active.intercalary[0].name}".`,
+            ));
+        }
+        return extras.length ? `${base}\n${extras.join('\n')}` : base;
+    }
+
+    /** 剧情线索默认提示词；${threadList} 留到注入时再替换为当前线索 */
+    getDefaultPlotThreadPrompt() {
+        return this._getPromptDefaultFromResource('customPlotThreadPrompt');
+    }
+
+    /** 线索滚动摘要的默认提示词；{{thread}} {{summary}} {{events}} 在生成时替换 */
+    getDefaultPlotThreadSummaryPrompt() {
+        return this._getPromptDefaultFromResource('plotThreadSummaryPrompt');
+    }
+
+    generatePlotThreadPrompt() {
+        if (!this.settings?.sendPlotThreads) return '';
+        const template = this.settings?.customPlotThreadPrompt || this.getDefaultPlotThreadPrompt();
+        if (!template) return '';
+        const active = this.getPlotThreads().filter(th => th.status === 'active').map(th => th.name);
+        const none = { 'zh-CN': '（暂无）', 'zh-TW': '（暫無）', ja: '（なし）', ko: '(없음)', ru: '(пока нет)' }[this._getAiOutputLang()] ?? '(none yet)';
+        return '\n' + template.replace(/\$\{threadList\}/g, active.length ? active.join(', ') : none);
     }
 
     generateMoodPrompt() {
@@ -3683,7 +4739,7 @@ class HoraeManager {
         const custom = this.settings?.customMoodPrompt;
         if (custom) {
             const userName = this.context?.name1 || '主角';
-            const charName = this.context?.name2 || '角色';
+            const charName = this._getMainCharName() || '角色';
             return '\n' + custom.replace(/\{\{user\}\}/gi, userName).replace(/\{\{char\}\}/gi, charName);
         }
         return '\n' + this.getDefaultMoodPrompt();
@@ -4498,11 +5554,14 @@ class HoraeManager {
                     level = '重要';
                 }
                 
-                result.events.push({
+                const { summary: text, thread } = splitEventThread(summary);
+                const evt = {
                     is_important: level === '重要' || level === '关键',
                     level: level,
-                    summary: summary
-                });
+                    summary: text
+                };
+                if (thread) evt.thread = thread;
+                result.events.push(evt);
                 hasAnyData = true;
             }
         }
@@ -0,0 +1,197 @@
+/**
+ * Horae - 注入提示词的 Token 预算
+ *
+ * horaeManager.buildCompactPromptParts 按分区把每一行记成片段：固定片段（时间、场景、在场角色等）总会保留，
+ * 可裁剪片段带 rank（同一分区内 rank 小的先裁）。超出预算时按分区优先级从低到高、
+ * 分区内按 rank 从小到大逐条裁掉，直到总量落进预算；每个分区至少保留设定的条数。
+ * 分区里的可裁剪内容全部裁掉后，分区标题一并去掉。
+ * Token 计数函数由调用方传入（index.js 用酒馆的分词器，逐行估算另传 estimateTokens），本模块只做纯数据变换。
+ */
+
+/** 可参与裁剪的分区；priority 越大越晚裁，minimum 为至少保留的条数 */
+export const PROMPT_BUDGET_SECTIONS = Object.freeze([
+    { key: 'timeline', priority: 3, minimum: 5 },
+    { key: 'agenda', priority: 4, minimum: 1 },
+    { key: 'threads', priority: 4, minimum: 0 },
+    { key: 'npcs', priority: 3, minimum: 0 },
+    { key: 'items', priority: 3, minimum: 0 },
+    { key: 'relationships', priority: 2, minimum: 0 },
+    { key: 'rpg', priority: 2, minimum: 0 },
+    { key: 'tables', priority: 1, minimum: 0 },
+]);
+
+export const PROMPT_BUDGET_PRIORITY_RANGE = [1, 5];
+
+/**
+ * 按分区记录提示词片段；保留 push/join，原先直接拼数组的代码无需改动
+ * 片段类型：fixed 固定保留，heading 分区标题，trim 可裁剪（同 unit 的片段整体裁剪）
+ * begin 传入 unit 时，之后 push 的每一行都归入该裁剪单元（RPG 整块、单张表格）
+ */
+export class PromptSectionWriter {
+    constructor() {
+        this.parts = [];
+        this.section = 'header';
+        this.unit = null;
+        this.rank = 0;
+    }
+
+    begin(section, unit = null, rank = 0) {
+        this.section = section;
+        this.unit = unit;
+        this.rank = rank;
+    }
+
+    push(...texts) {
+        for (const text of texts) {
+            if (this.unit != null) this.trim(text, this.rank, this.unit);
+            else this.parts.push({ section: this.section, kind: 'fixed', text });
+        }
+        return this.parts.length;
+    }
+
+    heading(text) {
+        this.parts.push({ section: this.section, kind: 'heading', text });
+    }
+
+    trim(text, rank, unit = null) {
+        this.parts.push({ section: this.section, kind: 'trim', text, rank, unit });
+    }
+
+    join(separator = '\n') {
+        return this.parts.map(p => p.text).join(separator);
+    }
+}
+
+/** 合并设置里的分区优先级 / 最少条数覆盖 */
+export function resolveSectionRules(priorities = {}, minimums = {}) {
+    const [lo, hi] = PROMPT_BUDGET_PRIORITY_RANGE;
+    const rules = {};
+    for (const sec of PROMPT_BUDGET_SECTIONS) {
+        const p = parseInt(priorities?.[sec.key], 10);
+        const m = parseInt(minimums?.[sec.key], 10);
+        rules[sec.key] = {
+            priority: Number.isFinite(p) ? Math.min(hi, Math.max(lo, p)) : sec.priority,
+            minimum: Number.isFinite(m) ? Math.max(0, m) : sec.minimum,
+        };
+    }
+    return rules;
+}
+
+// 同 unit 的可裁剪片段合成一个裁剪单元
+function _collectUnits(parts) {
+    const units = [];
+    const byKey = new Map();
+    parts.forEach((part, index) => {
+        if (part.kind !== 'trim') return;
+        const key = part.unit != null ? `${part.section}\u0000${part.unit}` : null;
+        let unit = key ? byKey.get(key) : null;
+        if (!unit) {
+            unit = { section: part.section, rank: part.rank, indices: [] };
+            units.push(unit);
+            if (key) byKey.set(key, unit);
+        }
+        unit.indices.push(index);
+    });
+    return units;
+}
+
+// 按真实计数校准后仍超预算时，最多再校准这么多轮
+const MAX_RECOUNT_PASSES = 3;
+
+/**
+ * 在预算内组装提示词
+ * 酒馆分词器可能走后端接口，逐行计数代价太高：真实分词器只数整段文本，
+ * 各行用 estimateTokens 估算后按「真实总数 / 估算总数」的比例折算；裁剪后再数一次，仍超出就重新校准比例继续裁
+ * @param {Array} parts PromptSectionWriter.parts
+ * @param {{ budget: number, rules: object, countTokens: (text: string) => Promise<number>|number, estimateTokens?: (text: string) => number }} options
+ * @returns {Promise<{ text: string, budget: number, totalBefore: number, totalAfter: number, overBudget: boolean,
+ *   sections: Object<string, { before: number, after: number, dropped: number }>, dropped: Array<{ section: string, text: string, tokens: number }>,
+ *   kept: Array<{ section: string, text: string }> }>}
+ */
+export async function assembleWithinBudget(parts, { budget = 0, rules = resolveSectionRules(), countTokens, estimateTokens = (text) => text.length }) {
+    const estimates = parts.map(part => part.text ? estimateTokens(part.text) : 0);
+    const estimatedTotal = estimates.reduce((a, b) => a + b, 0);
+    const totalBefore = await countTokens(parts.map(p => p.text).join('\n'));
+    const initialRatio = estimatedTotal > 0 ? totalBefore / estimatedTotal : 1;
+    let ratio = initialRatio;
+
+    const droppedIdx = new Set();
+    const dropped = [];
+    const keptText = () => parts.filter((_, i) => !droppedIdx.has(i)).map(p => p.text).join('\n');
+    let totalAfter = totalBefore;
+
+    if (budget > 0 && totalBefore > budget) {
+        const units = _collectUnits(parts);
+        const remaining = {};
+        for (const unit of units) remaining[unit.section] = (remaining[unit.section] || 0) + 1;
+        const priorityOf = (section) => rules[section]?.priority ?? Infinity;
+        units.sort((a, b) => priorityOf(a.section) - priorityOf(b.section) || a.rank - b.rank);
+
+        let cursor = 0;
+        for (let pass = 0; pass < MAX_RECOUNT_PASSES && totalAfter > budget; pass++) {
+            // 剩余内容的估算量按当前比例折算，裁到预算以内
+            let estimatedLeft = 0;
+            parts.forEach((_, i) => { if (!droppedIdx.has(i)) estimatedLeft += estimates[i]; });
+            let total = estimatedLeft * ratio;
+            const dropIndex = (idx) => {
+                droppedIdx.add(idx);
+                total -= estimates[idx] * ratio;
+            };
+            let droppedThisPass = 0;
+            for (; cursor < units.length && total > budget; cursor++) {
+                const unit = units[cursor];
+                if (!Number.isFinite(priorityOf(unit.section))) continue;
+                if (remaining[unit.section] <= (rules[unit.section]?.minimum || 0)) continue;
+                remaining[unit.section]--;
+                droppedThisPass++;
+                unit.indices.forEach(dropIndex);
+                dropped.push({
+                    section: unit.section,
+                    text: unit.indices.map(i => parts[i].text.trim()).join('\n'),
+                    tokens: unit.indices.reduce((sum, i) => sum + estimates[i], 0) * ratio,
+                });
+                // 分区里只剩标题时把标题也去掉
+                if (remaining[unit.section] === 0) {
+                    const onlyHeading = !parts.some((p, i) => p.section === unit.section && p.kind === 'fixed' && !droppedIdx.has(i));
+                    if (onlyHeading) {
+                        parts.forEach((p, i) => {
+                            if (p.section === unit.section && p.kind === 'heading' && !droppedIdx.has(i)) dropIndex(i);
+                        });
+                    }
+                }
+            }
+            if (!droppedThisPass) break;
+            let estimatedKept = 0;
+            parts.forEach((_, i) => { if (!droppedIdx.has(i)) estimatedKept += estimates[i]; });
+            totalAfter = await countTokens(keptText());
+            if (estimatedKept > 0) ratio = totalAfter / estimatedKept;
+        }
+    }
+
+    const sections = {};
+    parts.forEach((part, i) => {
+        const sec = sections[part.section] || (sections[part.section] = { before: 0, after: 0, dropped: 0 });
+        sec.before += estimates[i] * initialRatio;
+        if (!droppedIdx.has(i)) sec.after += estimates[i] * ratio;
+    });
+    for (const sec of Object.values(sections)) {
+        sec.before = Math.round(sec.before);
+        sec.after = Math.round(sec.after);
+    }
+    for (const entry of dropped) {
+        sections[entry.section].dropped++;
+        entry.tokens = Math.round(entry.tokens);
+    }
+    const kept = parts.filter((_, i) => !droppedIdx.has(i)).map(part => ({ section: part.section, text: part.text }));
+
+    return {
+        text: kept.map(p => p.text).join('\n'),
+        budget,
+        totalBefore,
+        totalAfter,
+        overBudget: budget > 0 && totalAfter > budget,
+        sections,
+        dropped,
+        kept,
+    };
+}
@@ -20,8 +20,13 @@ const _promptFileMap = Object.freeze({
     customLocationPrompt: 'customLocationPrompt.txt',
     customRelationshipPrompt: 'customRelationshipPrompt.txt',
     customMoodPrompt: 'customMoodPrompt.txt',
+    customPlotThreadPrompt: 'customPlotThreadPrompt.txt',
     customRpgPrompt: 'customRpgPrompt.txt',
     vectorQueryRewriteSystemPrompt: 'vectorQueryRewriteSystemPrompt.txt',
+    parseRepairPrompt: 'parseRepairPrompt.txt',
+    factCheckPrompt: 'factCheckPrompt.txt',
+    summaryCoveragePrompt: 'summaryCoveragePrompt.txt',
+    plotThreadSummaryPrompt: 'plotThreadSummaryPrompt.txt',
 });
 
 const _PRESET_FILE_KEYS = Object.freeze([
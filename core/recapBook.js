@@ -0,0 +1,472 @@
+/**
+ * Horae - 剧情回顾本（把对话的 Horae 数据整理成可阅读的编年史）
+ *
+ * 章节按摘要范围切分：每条摘要覆盖的楼层成一章，摘要正文作为章首导语，
+ * 摘要之间未被覆盖的楼层各自成章；章内事件按剧情日期分组。书末附角色、地点与物品。
+ * 输出 Markdown、HTML 与 EPUB（EPUB 用不压缩的 ZIP 在本地打包），全程不联网。
+ * 本模块只做纯数据变换，界面文字由调用方通过 labels 传入。
+ */
+
+const LEVEL_MARKS = { '关键': '★', '關鍵': '★', '重要': '●' };
+
+function _levelClass(level) {
+    if (level === '关键' || level === '關鍵') return 'critical';
+    if (level === '重要') return 'important';
+    return 'normal';
+}
+
+function _eventsOf(meta) {
+    return meta?.events || (meta?.event ? [meta.event] : []);
+}
+
+/** 同一日期的连续事件归为一组（闪回会让日期回跳，按出现顺序保留） */
+function _groupByDate(events) {
+    const days = [];
+    for (const e of events) {
+        const last = days[days.length - 1];
+        if (last && last.date === e.date) last.events.push(e);
+        else days.push({ date: e.date, events: [e] });
+    }
+    return days;
+}
+
+/**
+ * 从聊天记录整理出回顾本的数据
+ * @param {Array} chat 聊天记录（含 horae_meta）
+ * @param {object} options
+ * @param {string} [options.title] 书名
+ * @param {object} [options.state] getLatestState() 的结果，取 NPC 与物品
+ * @param {object} [options.locations] getLocationMemory() 的结果
+ * @returns {{ title: string, prologue: string[], chapters: Array, cast: Array, locations: Array, items: Array }}
+ */
+export function buildRecapBook(chat, { title = '', state = null, locations = null } = {}) {
+    const list = Array.isArray(chat) ? chat : [];
+    const summaries = (list[0]?.horae_meta?.autoSummaries || [])
+        .filter(s => Array.isArray(s?.range) && s.range.length === 2)
+        .map(s => ({ from: s.range[0], to: s.range[1], text: (s.summaryText || '').trim() }))
+        .sort((a, b) => a.from - b.from);
+
+    const prologue = [];
+    const events = [];
+    for (let i = 0; i < list.length; i++) {
+        const meta = list[i]?.horae_meta;
+        if (!meta || meta._skipHorae) continue;
+        for (const evt of _eventsOf(meta)) {
+            if (!evt?.summary) continue;
+            if (evt._carryoverSeed) { prologue.push(evt.summary.trim()); continue; }
+            // 摘要卡片由章首导语承载，不重复列出
+            if (evt.isSummary || evt.level === '摘要') continue;
+            events.push({
+                messageIndex: i,
+                date: meta.timestamp?.story_date || '',
+                time: meta.timestamp?.story_time || '',
+                level: evt.level || '一般',
+                levelClass: _levelClass(evt.level),
+                mark: LEVEL_MARKS[evt.level] || '○',
+                summary: evt.summary.trim(),
+                thread: evt.thread || '',
+                flashback: !!meta._flashback,
+            });
+        }
+    }
+
+    // 摘要之间的空档也成章，保证每条事件都落在某一章里
+    const spans = [];
+    let cursor = 0;
+    for (const s of summaries) {
+        if (s.to < cursor) continue;
+        if (s.from > cursor) spans.push({ from: cursor, to: s.from - 1, summary: '' });
+        spans.push({ from: Math.max(s.from, cursor), to: s.to, summary: s.text });
+        cursor = s.to + 1;
+    }
+    if (cursor < list.length) spans.push({ from: cursor, to: list.length - 1, summary: '' });
+
+    const chapters = [];
+    for (const span of spans) {
+        const inSpan = events.filter(e => e.messageIndex >= span.from && e.messageIndex <= span.to);
+        if (!inSpan.length && !span.summary) continue;
+        const dates = inSpan.map(e => e.date).filter(Boolean);
+        chapters.push({
+            number: chapters.length + 1,
+            from: span.from,
+            to: span.to,
+            firstDate: dates[0] || '',
+            lastDate: dates[dates.length - 1] || '',
+            summary: span.summary,
+            days: _groupByDate(inSpan),
+        });
+    }
+
+    const cast = Object.entries(state?.npcs || {})
+        .filter(([, info]) => info && typeof info === 'object' && !info._deleted)
+        .map(([name, info]) => ({
+            name,
+            facts: ['gender', 'age', 'race', 'job', 'birthday'].map(k => info[k]).filter(Boolean),
+            appearance: info.appearance || '',
+            personality: info.personality || '',
+            relationship: info.relationship || '',
+            note: info.note || '',
+            affection: state?.affection?.[name],
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    const places = Object.entries(locations || {})
+        .filter(([, info]) => info?.desc && !info._deleted)
+        .map(([name, info]) => ({ name, desc: info.desc }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    const items = Object.entries(state?.items || {})
+        .map(([name, info]) => ({
+            name,
+            icon: info?.icon || '',
+            holder: info?.holder || '',
+            location: info?.location || '',
+            description: info?.description || '',
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    return { title: title || 'Horae', prologue, chapters, cast, locations: places, items };
+}
+
+// ============================================
+// Markdown
+// ============================================
+
+function _md(text) {
+    return String(text ?? '').replace(/([\\`*_[\]<>#|])/g, '\\$1').replace(/\n+/g, ' ');
+}
+
+function _chapterHeading(ch, labels) {
+    const span = ch.firstDate && ch.lastDate && ch.firstDate !== ch.lastDate
+        ? `${ch.firstDate} – ${ch.lastDate}`
+        : (ch.firstDate || '');
+    return { title: labels.chapter(ch.number), span };
+}
+
+/**
+ * @param {object} book buildRecapBook() 的结果
+ * @param {object} labels 界面文字：chapter(n)、prologue、cast、locations、items、holder、location、affection、flashback、undated、generatedAt
+ */
+export function renderRecapMarkdown(book, labels) {
+    const out = [`# ${_md(book.title)}`, '', `> ${_md(labels.generatedAt)}`, ''];
+    if (book.prologue.length) {
+        out.push(`## ${_md(labels.prologue)}`, '');
+        for (const p of book.prologue) out.push(_md(p), '');
+    }
+    for (const ch of book.chapters) {
+        const { title, span } = _chapterHeading(ch, labels);
+        out.push(`## ${_md(title)}${span ? ` · ${_md(span)}` : ''}`, '');
+        if (ch.summary) out.push(`*${_md(ch.summary)}*`, '');
+        for (const day of ch.days) {
+            out.push(`### ${_md(day.date || labels.undated)}`, '');
+            for (const e of day.events) {
+                const time = e.time ? `${_md(e.time)} ` : '';
+                const tags = [e.flashback ? labels.flashback : '', e.thread].filter(Boolean).map(s => ` \`${s.replace(/`/g, "'")}\``).join('');
+                const text = e.levelClass === 'normal' ? _md(e.summary) : `**${_md(e.summary)}**`;
+                out.push(`- ${e.mark} ${time}${text}${tags}`);
+            }
+            out.push('');
+        }
+    }
+    if (book.cast.length) {
+        out.push(`## ${_md(labels.cast)}`, '');
+        for (const c of book.cast) {
+            const head = [c.facts.join(' · '), c.relationship].filter(Boolean).map(_md).join(' — ');
+            out.push(`- **${_md(c.name)}**${head ? ` (${head})` : ''}`);
+            for (const line of [c.appearance, c.personality, c.note]) if (line) out.push(`  - ${_md(line)}`);
+            if (c.affection !== undefined && c.affection !== null && c.affection !== '') out.push(`  - ${_md(labels.affection)}: ${_md(c.affection)}`);
+        }
+        out.push('');
+    }
+    if (book.locations.length) {
+        out.push(`## ${_md(labels.locations)}`, '');
+        for (const l of book.locations) out.push(`- **${_md(l.name)}**: ${_md(l.desc)}`);
+        out.push('');
+    }
+    if (book.items.length) {
+        out.push(`## ${_md(labels.items)}`, '');
+        for (const it of book.items) {
+            const where = [it.holder && `${labels.holder}: ${it.holder}`, it.location && `${labels.location}: ${it.location}`].filter(Boolean).map(_md).join(' · ');
+            out.push(`- ${it.icon ? `${it.icon} ` : ''}**${_md(it.name)}**${where ? ` — ${where}` : ''}${it.description ? ` — ${_md(it.description)}` : ''}`);
+        }
+        out.push('');
+    }
+    return out.join('\n');
+}
+
+// ============================================
+// HTML / XHTML
+// ============================================
+
+function _x(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+const BOOK_CSS = `body { font-family: Georgia, "Noto Serif", "Songti SC", serif; line-height: 1.7; max-width: 42em; margin: 0 auto; padding: 1em; color: #222; }
+h1 { text-align: center; }
+h2 { border-bottom: 1px solid #ccc; padding-bottom: .2em; margin-top: 2em; }
+h2 .span { font-size: .7em; font-weight: normal; color: #777; }
+.generated { text-align: center; color: #888; font-size: .9em; }
+.chapter-summary { font-style: italic; color: #444; border-left: 3px solid #bbb; padding-left: .8em; }
+ul.events { list-style: none; padding-left: 0; }
+ul.events li { margin: .25em 0; }
+ul.events li.critical { font-weight: bold; }
+ul.events li.important { font-weight: 600; }
+.time { color: #777; margin-right: .4em; }
+.tag { font-size: .8em; color: #666; border: 1px solid #ccc; border-radius: .6em; padding: 0 .4em; margin-left: .4em; }
+dl dt { font-weight: bold; margin-top: .6em; }
+dl dd { margin-left: 1.2em; }
+.facts { color: #666; font-weight: normal; }`;
+
+function _chapterBody(ch, labels, hLevel = 'h2') {
+    const { title, span } = _chapterHeading(ch, labels);
+    const parts = [`<${hLevel} id="chapter-${ch.number}">${_x(title)}${span ? ` <span class="span">${_x(span)}</span>` : ''}</${hLevel}>`];
+    if (ch.summary) parts.push(`<p class="chapter-summary">${_x(ch.summary)}</p>`);
+    for (const day of ch.days) {
+        parts.push(`<h3>${_x(day.date || labels.undated)}</h3>`, '<ul class="events">');
+        for (const e of day.events) {
+            const tags = [e.flashback ? labels.flashback : '', e.thread].filter(Boolean).map(s => `<span class="tag">${_x(s)}</span>`).join('');
+            parts.push(`<li class="${e.levelClass}">${e.mark} ${e.time ? `<span class="time">${_x(e.time)}</span>` : ''}${_x(e.summary)}${tags}</li>`);
+        }
+        parts.push('</ul>');
+    }
+    return parts.join('\n');
+}
+
+function _castBody(book, labels) {
+    const rows = book.cast.map(c => {
+        const facts = [c.facts.join(' · '), c.relationship].filter(Boolean).join(' — ');
+        const lines = [c.appearance, c.personality, c.note].filter(Boolean).map(l => `<dd>${_x(l)}</dd>`);
+        if (c.affection !== undefined && c.affection !== null && c.affection !== '') lines.push(`<dd>${_x(labels.affection)}: ${_x(c.affection)}</dd>`);
+        return `<dt>${_x(c.name)}${facts ? ` <span class="facts">(${_x(facts)})</span>` : ''}</dt>\n${lines.join('\n')}`;
+    });
+    return `<h2 id="cast">${_x(labels.cast)}</h2>\n<dl>\n${rows.join('\n')}\n</dl>`;
+}
+
+function _locationsBody(book, labels) {
+    const rows = book.locations.map(l => `<dt>${_x(l.name)}</dt>\n<dd>${_x(l.desc)}</dd>`);
+    return `<h2 id="locations">${_x(labels.locations)}</h2>\n<dl>\n${rows.join('\n')}\n</dl>`;
+}
+
+function _itemsBody(book, labels) {
+    const rows = book.items.map(it => {
+        const where = [it.holder && `${labels.holder}: ${it.holder}`, it.location && `${labels.location}: ${it.location}`].filter(Boolean).join(' · ');
+        const lines = [where, it.description].filter(Boolean).map(l => `<dd>${_x(l)}</dd>`);
+        return `<dt>${it.icon ? `${_x(it.icon)} ` : ''}${_x(it.name)}</dt>\n${lines.join('\n')}`;
+    });
+    return `<h2 id="items">${_x(labels.items)}</h2>\n<dl>\n${rows.join('\n')}\n</dl>`;
+}
+
+function _prologueBody(book, labels) {
+    return `<h2 id="prologue">${_x(labels.prologue)}</h2>\n${book.prologue.map(p => `<p>${_x(p)}</p>`).join('\n')}`;
+}
+
+/** 单文件 HTML，样式内联，可直接用浏览器打开或分享 */
+export function renderRecapHtml(book, labels) {
+    const sections = [];
+    if (book.prologue.length) sections.push(_prologueBody(book, labels));
+    for (const ch of book.chapters) sections.push(_chapterBody(ch, labels));
+    if (book.cast.length) sections.push(_castBody(book, labels));
+    if (book.locations.length) sections.push(_locationsBody(book, labels));
+    if (book.items.length) sections.push(_itemsBody(book, labels));
+    return `<!DOCTYPE html>
+<html lang="${_x(labels.lang || 'en')}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${_x(book.title)}</title>
+<style>
+${BOOK_CSS}
+</style>
+</head>
+<body>
+<h1>${_x(book.title)}</h1>
+<p class="generated">${_x(labels.generatedAt)}</p>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+// ============================================
+// EPUB（不压缩的 ZIP）
+// ============================================
+
+let _crcTable = null;
+
+function _crc32(bytes) {
+    if (!_crcTable) {
+        _crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            _crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = _crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * 打包为 STORE 方式的 ZIP；EPUB 要求 mimetype 为第一个条目且不压缩
+ * @param {Array<{ name: string, data: string|Uint8Array }>} files
+ * @returns {Uint8Array}
+ */
+export function buildStoredZip(files) {
+    const enc = new TextEncoder();
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    for (const file of files) {
+        const name = enc.encode(file.name);
+        const data = typeof file.data === 'string' ? enc.encode(file.data) : file.data;
+        const crc = _crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, 0x0800, true); // 文件名为 UTF-8
+        local.setUint16(8, 0, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        locals.push(new Uint8Array(local.buffer), name, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);
+        centrals.push(new Uint8Array(central.buffer), name);
+
+        offset += 30 + name.length + data.length;
+    }
+    const centralSize = centrals.reduce((n, part) => n + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...locals, ...centrals, new Uint8Array(end.buffer)];
+    const out = new Uint8Array(parts.reduce((n, part) => n + part.length, 0));
+    let pos = 0;
+    for (const part of parts) {
+        out.set(part, pos);
+        pos += part.length;
+    }
+    return out;
+}
+
+function _xhtml(title, body, lang) {
+    return `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="${_x(lang)}" xml:lang="${_x(lang)}">
+<head>
+<meta charset="utf-8" />
+<title>${_x(title)}</title>
+<link rel="stylesheet" type="text/css" href="style.css" />
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * EPUB 3（附 toc.ncx 兼容旧阅读器）：每章一个 XHTML，附录各占一页
+ * @param {object} book buildRecapBook() 的结果
+ * @param {object} labels 同 renderRecapMarkdown，另需 contents
+ * @param {{ identifier?: string, modified?: string }} [meta]
+ * @returns {Uint8Array}
+ */
+export function buildRecapEpub(book, labels, { identifier = '', modified = '' } = {}) {
+    const lang = labels.lang || 'en';
+    const uid = identifier || `urn:horae:${Date.now()}`;
+    const stamp = (modified || new Date().toISOString()).replace(/\.\d+Z$/, 'Z');
+    const xhtml = (title, body) => _xhtml(title, body, lang);
+
+    const pages = [{
+        id: 'title',
+        file: 'title.xhtml',
+        title: book.title,
+        body: `<h1>${_x(book.title)}</h1>\n<p class="generated">${_x(labels.generatedAt)}</p>`,
+    }];
+    if (book.prologue.length) pages.push({ id: 'prologue', file: 'prologue.xhtml', title: labels.prologue, body: _prologueBody(book, labels) });
+    for (const ch of book.chapters) {
+        const { title, span } = _chapterHeading(ch, labels);
+        pages.push({ id: `chapter-${ch.number}`, file: `chapter-${ch.number}.xhtml`, title: span ? `${title} · ${span}` : title, body: _chapterBody(ch, labels) });
+    }
+    if (book.cast.length) pages.push({ id: 'cast', file: 'cast.xhtml', title: labels.cast, body: _castBody(book, labels) });
+    if (book.locations.length) pages.push({ id: 'locations', file: 'locations.xhtml', title: labels.locations, body: _locationsBody(book, labels) });
+    if (book.items.length) pages.push({ id: 'items', file: 'items.xhtml', title: labels.items, body: _itemsBody(book, labels) });
+
+    const nav = xhtml(labels.contents, `<nav epub:type="toc" id="toc">
+<h1>${_x(labels.contents)}</h1>
+<ol>
+${pages.map(p => `<li><a href="${p.file}">${_x(p.title)}</a></li>`).join('\n')}
+</ol>
+</nav>`);
+
+    const ncx = `<?xml version="1.0" encoding="utf-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+<head><meta name="dtb:uid" content="${_x(uid)}" /></head>
+<docTitle><text>${_x(book.title)}</text></docTitle>
+<navMap>
+${pages.map((p, i) => `<navPoint id="nav-${p.id}" playOrder="${i + 1}"><navLabel><text>${_x(p.title)}</text></navLabel><content src="${p.file}" /></navPoint>`).join('\n')}
+</navMap>
+</ncx>
+`;
+
+    const opf = `<?xml version="1.0" encoding="utf-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${_x(lang)}">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="book-id">${_x(uid)}</dc:identifier>
+<dc:title>${_x(book.title)}</dc:title>
+<dc:language>${_x(lang)}</dc:language>
+<dc:creator>Horae</dc:creator>
+<meta property="dcterms:modified">${_x(stamp)}</meta>
+</metadata>
+<manifest>
+<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav" />
+<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml" />
+<item id="css" href="style.css" media-type="text/css" />
+${pages.map(p => `<item id="${p.id}" href="${p.file}" media-type="application/xhtml+xml" />`).join('\n')}
+</manifest>
+<spine toc="ncx">
+${pages.map(p => `<itemref idref="${p.id}" />`).join('\n')}
+</spine>
+</package>
+`;
+
+    const container = `<?xml version="1.0" encoding="utf-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles>
+<rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml" />
+</rootfiles>
+</container>
+`;
+
+    return buildStoredZip([
+        { name: 'mimetype', data: 'application/epub+zip' },
+        { name: 'META-INF/container.xml', data: container },
+        { name: 'OEBPS/content.opf', data: opf },
+        { name: 'OEBPS/nav.xhtml', data: nav },
+        { name: 'OEBPS/toc.ncx', data: ncx },
+        { name: 'OEBPS/style.css', data: BOOK_CSS },
+        ...pages.map(p => ({ name: `OEBPS/${p.file}`, data: xhtml(p.title, p.body) })),
+    ]);
+}
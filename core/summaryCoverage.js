@@ -0,0 +1,142 @@
+/**
+ * Horae - 摘要覆盖校验
+ *
+ * 自动摘要 / 二次总结写入前，列出被压缩范围内的关键事实：关键/重要事件、关键物品（item!!）、
+ * 新立的待办约定、关系变化，再用词面重合度判断摘要是否漏掉了它们。
+ * 判断是本地启发式：物品看名字是否出现，关系看双方是否都被提到，事件与待办看字词重合比例。
+ * 本模块只做纯数据变换，重新提问、追加与存盘由 index.js 负责。
+ */
+
+import { getItemBaseName } from './horaeManager.js';
+
+export const SUMMARY_COVERAGE_MODES = ['off', 'append', 'reprompt'];
+
+// 事件 / 待办的字词有这么多比例出现在摘要里即视为已覆盖
+const COVERAGE_THRESHOLD = 0.4;
+
+const CRITICAL_LEVELS = new Set(['关键', '關鍵', '重要']);
+const CJK_RE = /[\u3040-\u30ff\u3400-\u9fff\uf900-\ufaff\uac00-\ud7af]/;
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'with', 'was', 'were', 'his', 'her', 'hers', 'him', 'she', 'that', 'this',
+    'from', 'into', 'they', 'them', 'their', 'has', 'had', 'have', 'are', 'but', 'not', 'its', 'who',
+]);
+
+function _norm(text) {
+    return String(text || '').toLowerCase();
+}
+
+/** 中日韩文本取相邻二字，其余取 3 个字符以上的词 */
+function _terms(text) {
+    const terms = new Set();
+    const s = _norm(text);
+    const runs = s.match(/[\u3040-\u30ff\u3400-\u9fff\uf900-\ufaff\uac00-\ud7af]+/g) || [];
+    for (const run of runs) {
+        if (run.length === 1) terms.add(run);
+        for (let i = 0; i < run.length - 1; i++) terms.add(run.slice(i, i + 2));
+    }
+    for (const word of s.match(/[\p{L}\p{N}_]+/gu) || []) {
+        if (CJK_RE.test(word) || word.length < 3 || STOP_WORDS.has(word)) continue;
+        terms.add(word);
+    }
+    return terms;
+}
+
+function _overlap(factText, summaryTerms) {
+    const terms = _terms(factText);
+    if (!terms.size) return 1;
+    let hit = 0;
+    for (const term of terms) if (summaryTerms.has(term)) hit++;
+    return hit / terms.size;
+}
+
+/**
+ * 收集指定楼层里的关键事实
+ * 关系只算变化：与范围之前最后一次记录的关系类型不同（或首次出现）才列入
+ * @returns {Array<{ kind: 'event'|'item'|'agenda'|'relationship', messageIndex: number, text: string, name?: string, from?: string, to?: string }>}
+ */
+export function collectCriticalFacts(chat, indices) {
+    const sorted = [...new Set(indices || [])].filter(i => Number.isInteger(i) && chat?.[i]).sort((a, b) => a - b);
+    if (!sorted.length) return [];
+    const facts = [];
+
+    const knownRel = new Map();
+    for (let i = 1; i < sorted[0]; i++) {
+        for (const rel of chat[i]?.horae_meta?.relationships || []) {
+            if (rel?.from && rel?.to) knownRel.set(`${rel.from}\u0000${rel.to}`, rel.type || '');
+        }
+    }
+
+    const seenItems = new Set();
+    const seenAgenda = new Set();
+    const relChanges = new Map();
+    for (const idx of sorted) {
+        const meta = chat[idx]?.horae_meta;
+        if (!meta || meta._skipHorae) continue;
+
+        const events = Array.isArray(meta.events) ? meta.events : (meta.event ? [meta.event] : []);
+        for (const evt of events) {
+            if (!evt?.summary || evt.isSummary || evt._summaryId || evt._carryoverSeed) continue;
+            if (!CRITICAL_LEVELS.has(evt.level)) continue;
+            facts.push({ kind: 'event', messageIndex: idx, level: evt.level, text: evt.summary });
+        }
+
+        for (const [name, info] of Object.entries(meta.items || {})) {
+            if (info?.importance !== '!!') continue;
+            const base = getItemBaseName(name) || name;
+            if (seenItems.has(base)) continue;
+            seenItems.add(base);
+            const holder = info.holder ? ` (${info.holder})` : '';
+            facts.push({ kind: 'item', messageIndex: idx, name: base, text: `${base}${holder}` });
+        }
+
+        for (const item of meta.agenda || []) {
+            const text = String(item?.text || '').trim();
+            if (!text || item.done || seenAgenda.has(text)) continue;
+            seenAgenda.add(text);
+            facts.push({ kind: 'agenda', messageIndex: idx, text });
+        }
+
+        for (const rel of meta.relationships || []) {
+            if (!rel?.from || !rel?.to) continue;
+            const key = `${rel.from}\u0000${rel.to}`;
+            const type = rel.type || '';
+            if (knownRel.get(key) === type) continue;
+            knownRel.set(key, type);
+            relChanges.set(key, {
+                kind: 'relationship', messageIndex: idx, from: rel.from, to: rel.to,
+                text: `${rel.from} → ${rel.to}: ${type}${rel.note ? ` (${rel.note})` : ''}`,
+            });
+        }
+    }
+    return facts.concat([...relChanges.values()]);
+}
+
+/** 判断单条事实是否已被摘要提到 */
+export function isFactCovered(summaryText, fact, summaryTerms = _terms(summaryText)) {
+    const summary = _norm(summaryText);
+    switch (fact?.kind) {
+        case 'item':
+            return summary.includes(_norm(fact.name));
+        case 'relationship':
+            return summary.includes(_norm(fact.from)) && summary.includes(_norm(fact.to));
+        case 'event':
+        case 'agenda':
+            return _overlap(fact.text, summaryTerms) >= COVERAGE_THRESHOLD;
+        default:
+            return true;
+    }
+}
+
+/** 返回摘要漏掉的事实 */
+export function findOmittedFacts(summaryText, facts) {
+    const summaryTerms = _terms(summaryText);
+    return (facts || []).filter(fact => !isFactCovered(summaryText, fact, summaryTerms));
+}
+
+/** 逐行列出事实，供重新提问与追加使用 */
+export function formatFactLines(facts) {
+    return (facts || []).map(fact => {
+        if (fact.kind === 'event') return `- [${fact.level}] ${fact.text}`;
+        return `- ${fact.text}`;
+    });
+}
@@ -0,0 +1,115 @@
+/**
+ * Horae - 摘要版本历史
+ *
+ * 每条 autoSummaries 记录可带 versions：[{ text, source, createdAt }]，currentVersion 指向正在使用的版本。
+ * source：ai（自动/AI 压缩生成）、user（用户手写或编辑）、regenerated（在历史面板里重新生成）。
+ * 旧记录没有 versions，首次改动时用当前 summaryText 补成第一版。
+ * 本模块只做纯数据变换，摘要卡片同步、存盘与界面由 index.js 负责。
+ */
+
+export const SUMMARY_VERSION_SOURCES = ['ai', 'user', 'regenerated'];
+export const SUMMARY_VERSION_LIMIT = 20;
+
+// 差异对比的单元格上限，超出时退回按行比较，避免长摘要卡住界面
+const DIFF_CELL_LIMIT = 2000000;
+
+/** 补齐版本历史，返回 versions 数组（旧记录按 manual 标记推断首版来源） */
+export function ensureSummaryVersions(entry) {
+    if (!entry) return [];
+    if (!Array.isArray(entry.versions) || !entry.versions.length) {
+        entry.versions = [{
+            text: entry.summaryText || '',
+            source: entry.manual ? 'user' : 'ai',
+            createdAt: entry.createdAt || new Date().toISOString(),
+        }];
+        entry.currentVersion = 0;
+    }
+    if (!Number.isInteger(entry.currentVersion) || !entry.versions[entry.currentVersion]) {
+        entry.currentVersion = entry.versions.length - 1;
+    }
+    return entry.versions;
+}
+
+/**
+ * 追加一个版本；activate=true 时同时设为当前版本并写回 summaryText
+ * 超过上限时从最旧的非当前版本开始丢弃。返回新版本的下标，文本为空返回 -1
+ */
+export function addSummaryVersion(entry, text, source, { activate = true } = {}) {
+    const value = String(text ?? '').trim();
+    if (!entry || !value) return -1;
+    const versions = ensureSummaryVersions(entry);
+    versions.push({
+        text: value,
+        source: SUMMARY_VERSION_SOURCES.includes(source) ? source : 'ai',
+        createdAt: new Date().toISOString(),
+    });
+    let added = versions.length - 1;
+    if (activate) entry.currentVersion = added;
+    while (versions.length > SUMMARY_VERSION_LIMIT) {
+        const drop = entry.currentVersion === 0 ? 1 : 0;
+        versions.splice(drop, 1);
+        if (entry.currentVersion > drop) entry.currentVersion--;
+        added--;
+    }
+    entry.summaryText = versions[entry.currentVersion].text;
+    return added;
+}
+
+/** 切换到指定版本，返回是否有变化 */
+export function restoreSummaryVersion(entry, index) {
+    const versions = ensureSummaryVersions(entry);
+    if (!versions[index] || entry.currentVersion === index) return false;
+    entry.currentVersion = index;
+    entry.summaryText = versions[index].text;
+    return true;
+}
+
+// 中日韩字符逐字比较，其余按单词/空白/标点切分
+function _tokenize(text) {
+    return String(text || '').match(/[\u3040-\u30ff\u3400-\u9fff\uf900-\ufaff\uac00-\ud7af]|(?:(?![\u3040-\u30ff\u3400-\u9fff\uf900-\ufaff\uac00-\ud7af])[\p{L}\p{N}_])+|\s+|[^\s]/gu) || [];
+}
+
+function _lcsDiff(a, b) {
+    const n = a.length, m = b.length;
+    const width = m + 1;
+    const table = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            table[i * width + j] = a[i] === b[j]
+                ? table[(i + 1) * width + j + 1] + 1
+                : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+        }
+    }
+    const ops = [];
+    let i = 0, j = 0;
+    while (i < n && j < m) {
+        if (a[i] === b[j]) { ops.push(['same', a[i]]); i++; j++; }
+        else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) ops.push(['del', a[i++]]);
+        else ops.push(['add', b[j++]]);
+    }
+    while (i < n) ops.push(['del', a[i++]]);
+    while (j < m) ops.push(['add', b[j++]]);
+    return ops;
+}
+
+/**
+ * 比较两段摘要，返回合并后的片段 [{ type: 'same'|'add'|'del', text }]
+ * del 只出现在旧文本里，add 只出现在新文本里
+ */
+export function diffSummaryText(oldText, newText) {
+    let a = _tokenize(oldText);
+    let b = _tokenize(newText);
+    let joiner = '';
+    if (a.length * b.length > DIFF_CELL_LIMIT) {
+        a = String(oldText || '').split('\n');
+        b = String(newText || '').split('\n');
+        joiner = '\n';
+    }
+    const parts = [];
+    for (const [type, token] of _lcsDiff(a, b)) {
+        const last = parts[parts.length - 1];
+        if (last && last.type === type) last.text += joiner + token;
+        else parts.push({ type, text: (joiner && last ? joiner : '') + token });
+    }
+    return parts;
+}
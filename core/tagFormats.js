@@ -0,0 +1,457 @@
+/**
+ * Horae - 标签格式解析器注册表
+ *
+ * <horae> 块默认使用 key:value 行语法。带 format 属性（<horae format="json">）、
+ * 代码围栏（```yaml）或能被某个解析器 detect 识别时，交由对应解析器处理。
+ * 解析器只负责把块内容转成行语法，之后仍走 parseHoraeTag 的同一套逻辑，
+ * 因此任何格式产出的 result 结构、合并规则都与行语法完全一致。
+ */
+
+const _formats = new Map();
+
+/** 单行值：去换行、去首尾空白 */
+function _cleanValue(value) {
+    if (value === undefined || value === null) return '';
+    return String(value).replace(/[\r\n]+/g, ' ').trim();
+}
+
+function _asList(value) {
+    if (value === undefined || value === null || value === '') return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+/** 对象/数组两种写法统一为 [名称, 内容] 对：{ 爱丽丝: {...} } 与 [{ name: '爱丽丝', ... }] 等价 */
+function _namedEntries(value, nameKeys = ['name']) {
+    if (!value) return [];
+    if (Array.isArray(value)) {
+        return value.map(entry => {
+            if (entry && typeof entry === 'object') {
+                const key = nameKeys.find(k => entry[k] != null && entry[k] !== '');
+                return [key ? _cleanValue(entry[key]) : '', entry];
+            }
+            return [_cleanValue(entry), {}];
+        }).filter(([name]) => name);
+    }
+    if (typeof value === 'object') {
+        return Object.entries(value).map(([name, entry]) => [_cleanValue(name), entry]).filter(([name]) => name);
+    }
+    return [];
+}
+
+/** 不区分大小写地取第一个存在的字段 */
+function _pick(obj, ...keys) {
+    if (!obj || typeof obj !== 'object') return undefined;
+    const lowerMap = {};
+    for (const k of Object.keys(obj)) lowerMap[k.toLowerCase()] = k;
+    for (const key of keys) {
+        const real = lowerMap[key.toLowerCase()];
+        if (real !== undefined && obj[real] !== undefined && obj[real] !== null) return obj[real];
+    }
+    return undefined;
+}
+
+function _itemPrefix(importance) {
+    const raw = _cleanValue(importance).toLowerCase();
+    if (raw === '!!' || raw === 'critical' || raw === '关键' || raw === '關鍵') return 'item!!';
+    if (raw === '!' || raw === 'important' || raw === '重要') return 'item!';
+    return 'item';
+}
+
+/**
+ * 把结构化对象转换为行语法
+ * 字段与行前缀一一对应：time / location / atmosphere / scene_desc / characters / costumes / items /
+ * deletedItems / events / affection / npcs / agenda / deletedAgenda / relationships / mood
+ * @param {object|Array} data
+ * @returns {string[]}
+ */
+export function structuredToHoraeLines(data) {
+    if (Array.isArray(data)) return data.flatMap(d => structuredToHoraeLines(d));
+    if (!data || typeof data !== 'object') return [];
+    const lines = [];
+
+    const time = _pick(data, 'time', 'timestamp');
+    if (time && typeof time === 'object') {
+        const date = _cleanValue(_pick(time, 'date', 'story_date'));
+        const clock = _cleanValue(_pick(time, 'time', 'story_time'));
+        const joined = [date, clock].filter(Boolean).join(' ');
+        if (joined) lines.push(`time:${joined}`);
+    } else if (_cleanValue(time)) {
+        lines.push(`time:${_cleanValue(time)}`);
+    }
+
+    const scene = _pick(data, 'scene');
+    const sceneSrc = scene && typeof scene === 'object' ? { ...scene, ...data } : data;
+    for (const key of ['location', 'atmosphere', 'scene_desc']) {
+        const value = _cleanValue(_pick(sceneSrc, key, key === 'scene_desc' ? 'sceneDesc' : key));
+        if (value) lines.push(`${key}:${value}`);
+    }
+    const characters = _pick(sceneSrc, 'characters', 'characters_present');
+    if (characters) {
+        const list = Array.isArray(characters) ? characters.map(_cleanValue).filter(Boolean) : [_cleanValue(characters)];
+        if (list.length) lines.push(`characters:${list.join(',')}`);
+    }
+
+    for (const [name, value] of _namedEntries(_pick(data, 'costumes', 'costume'), ['character', 'name'])) {
+        const costume = _cleanValue(value && typeof value === 'object' ? _pick(value, 'costume', 'value') : value);
+        if (costume) lines.push(`costume:${name}=${costume}`);
+    }
+
+    for (const [name, info] of _namedEntries(_pick(data, 'items', 'item'))) {
+        const obj = info && typeof info === 'object' ? info : { holder: info };
+        const icon = _cleanValue(_pick(obj, 'icon'));
+        const desc = _cleanValue(_pick(obj, 'description', 'desc'));
+        const holder = _cleanValue(_pick(obj, 'holder'));
+        const location = _cleanValue(_pick(obj, 'location'));
+        const namePart = `${icon}${name}${desc ? `|${desc}` : ''}`;
+        lines.push(`${_itemPrefix(_pick(obj, 'importance', 'level'))}:${namePart}=${holder}${location ? `@${location}` : ''}`);
+    }
+    for (const name of _asList(_pick(data, 'deletedItems', 'removedItems', 'item-'))) {
+        const clean = _cleanValue(name && typeof name === 'object' ? _pick(name, 'name') : name);
+        if (clean) lines.push(`item-:${clean}`);
+    }
+
+    for (const evt of _asList(_pick(data, 'events', 'event'))) {
+        const obj = evt && typeof evt === 'object' ? evt : { summary: evt };
+        const summary = _cleanValue(_pick(obj, 'summary', 'text'));
+        if (!summary) continue;
+        const thread = _cleanValue(_pick(obj, 'thread', 'arc'));
+        lines.push(`event:${_cleanValue(_pick(obj, 'level')) || '一般'}|${summary}${thread ? `~thread:${thread.replace(/~/g, '～')}` : ''}`);
+    }
+
+    // 数字为绝对值，带 +/- 号的字符串为增量
+    for (const [name, value] of _namedEntries(_pick(data, 'affection'), ['character', 'name'])) {
+        let raw = value && typeof value === 'object' ? _pick(value, 'value', 'delta') : value;
+        const isDelta = value && typeof value === 'object'
+            ? (_pick(value, 'type') === 'relative' || _pick(value, 'delta') !== undefined)
+            : (typeof raw === 'string' && /^\s*[+\-]/.test(raw));
+        raw = _cleanValue(raw);
+        if (!raw || !Number.isFinite(parseFloat(raw))) continue;
+        if (isDelta) {
+            const num = parseFloat(raw);
+            lines.push(`affection:${name}${num >= 0 ? '+' : ''}${num}`);
+        } else {
+            lines.push(`affection:${name}=${parseFloat(raw)}`);
+        }
+    }
+
+    for (const [name, info] of _namedEntries(_pick(data, 'npcs', 'npc'))) {
+        const obj = info && typeof info === 'object' ? info : { appearance: info };
+        const appearance = _cleanValue(_pick(obj, 'appearance'));
+        const personality = _cleanValue(_pick(obj, 'personality'));
+        const relationship = _cleanValue(_pick(obj, 'relationship'));
+        let line = `npc:${name}`;
+        if (appearance || personality || relationship) {
+            line += `|${appearance}${personality ? `=${personality}` : ''}${relationship ? `@${relationship}` : ''}`;
+        }
+        for (const key of ['gender', 'age', 'race', 'job', 'birthday', 'note']) {
+            const value = _cleanValue(_pick(obj, key));
+            if (value) line += `~${key}:${value.replace(/~/g, '～')}`;
+        }
+        lines.push(line);
+    }
+
+    for (const entry of _asList(_pick(data, 'agenda'))) {
+        const obj = entry && typeof entry === 'object' ? entry : { text: entry };
+        let text = _cleanValue(_pick(obj, 'text', 'content'));
+        if (!text) continue;
+        if (_pick(obj, 'done') === true) {
+            lines.push(`agenda-:${text}`);
+            continue;
+        }
+        // 行格式的截止日期写在正文括号里
+        const deadline = _cleanValue(_pick(obj, 'deadline', 'due'));
+        if (deadline && !text.includes(deadline)) text += `(${deadline})`;
+        const date = _cleanValue(_pick(obj, 'date'));
+        lines.push(date ? `agenda:${date}|${text}` : `agenda:${text}`);
+    }
+    for (const entry of _asList(_pick(data, 'deletedAgenda', 'completedAgenda', 'agenda-'))) {
+        const text = _cleanValue(entry && typeof entry === 'object' ? _pick(entry, 'text', 'content') : entry);
+        if (text) lines.push(`agenda-:${text}`);
+    }
+
+    for (const rel of _asList(_pick(data, 'relationships', 'rel'))) {
+        if (!rel || typeof rel !== 'object') continue;
+        const from = _cleanValue(_pick(rel, 'from'));
+        const to = _cleanValue(_pick(rel, 'to'));
+        const type = _cleanValue(_pick(rel, 'type'));
+        const note = _cleanValue(_pick(rel, 'note'));
+        if (from && to && type) lines.push(`rel:${from}>${to}=${type}${note ? `|${note}` : ''}`);
+    }
+
+    for (const [name, value] of _namedEntries(_pick(data, 'mood'), ['character', 'name'])) {
+        const mood = _cleanValue(value && typeof value === 'object' ? _pick(value, 'mood', 'value') : value);
+        if (mood) lines.push(`mood:${name}=${mood}`);
+    }
+
+    return lines;
+}
+
+// ============================================
+// 精简 YAML 解析（映射 / 列表 / 标量 / 行内 [] {} / 块标量 | >）
+// ============================================
+
+function _isListLine(text) {
+    return text === '-' || text.startsWith('- ');
+}
+
+function _splitYamlKey(text) {
+    const m = text.match(/^("[^"]*"|'[^']*'|[^\s"'][^:]*?)\s*:(?:\s+(.*))?$/)
+        || text.match(/^([A-Za-z_][\w!\-]*):(.*)$/);
+    if (!m) return null;
+    let key = m[1].trim();
+    if (/^(["']).*\1$/.test(key)) key = key.slice(1, -1);
+    return { key, value: (m[2] || '').trim() };
+}
+
+function _parseYamlScalar(raw) {
+    let s = String(raw).trim();
+    if (!/^["']/.test(s)) s = s.replace(/\s+#.*$/, '');
+    if (s === '' || s === '~' || /^null$/i.test(s)) return null;
+    if (s.length >= 2 && s.startsWith('"') && s.endsWith('"')) {
+        try { return JSON.parse(s); } catch (_) { return s.slice(1, -1); }
+    }
+    if (s.length >= 2 && s.startsWith("'") && s.endsWith("'")) return s.slice(1, -1).replace(/''/g, "'");
+    if (/^(true|false)$/i.test(s)) return s.toLowerCase() === 'true';
+    // 带符号的数字保留为字符串，好感度等字段据此区分增量
+    if (/^\d+(\.\d+)?$/.test(s)) return Number(s);
+    if (s.startsWith('[') && s.endsWith(']')) {
+        try { return JSON.parse(s); } catch (_) {
+            const inner = s.slice(1, -1).trim();
+            return inner ? inner.split(',').map(part => _parseYamlScalar(part)) : [];
+        }
+    }
+    if (s.startsWith('{') && s.endsWith('}')) {
+        try { return JSON.parse(s); } catch (_) { return s; }
+    }
+    return s;
+}
+
+/**
+ * 解析 AI 常用的 YAML 子集；不支持锚点、多文档与复杂键
+ * @param {string} text
+ * @returns {object|Array|null}
+ */
+export function parseSimpleYaml(text) {
+    const lines = [];
+    for (const raw of String(text || '').split(/\r?\n/)) {
+        if (!raw.trim() || /^\s*#/.test(raw) || /^\s*(---|\.\.\.)\s*$/.test(raw)) continue;
+        const indent = raw.match(/^[ \t]*/)[0].replace(/\t/g, '  ').length;
+        lines.push({ indent, text: raw.trim() });
+    }
+    let pos = 0;
+
+    const parseBlock = () => {
+        if (pos >= lines.length) return null;
+        const { indent, text } = lines[pos];
+        return _isListLine(text) ? parseList(indent) : parseMap(indent);
+    };
+
+    const parseList = (indent) => {
+        const arr = [];
+        while (pos < lines.length && lines[pos].indent >= indent) {
+            const line = lines[pos];
+            if (line.indent > indent || !_isListLine(line.text)) { pos++; continue; }
+            const after = line.text.slice(1);
+            const rest = after.trim();
+            if (!rest) {
+                pos++;
+                arr.push(pos < lines.length && lines[pos].indent > indent ? parseBlock() : null);
+                continue;
+            }
+            // "- key: value" 开启一个映射：把本行改写为缩进更深的映射首行，后续同列的键一并归入
+            if (!/^["'[{]/.test(rest) && _splitYamlKey(rest)) {
+                const childIndent = indent + 1 + (after.length - after.trimStart().length);
+                lines[pos] = { indent: childIndent, text: rest };
+                arr.push(parseMap(childIndent));
+                continue;
+            }
+            pos++;
+            arr.push(_parseYamlScalar(rest));
+        }
+        return arr;
+    };
+
+    const parseMap = (indent) => {
+        const obj = {};
+        while (pos < lines.length && lines[pos].indent >= indent) {
+            const line = lines[pos];
+            if (line.indent > indent || _isListLine(line.text)) { pos++; continue; }
+            const kv = _splitYamlKey(line.text);
+            pos++;
+            if (!kv) continue;
+            if (!kv.value) {
+                const next = lines[pos];
+                const hasChild = next && (next.indent > indent || (next.indent === indent && _isListLine(next.text)));
+                obj[kv.key] = hasChild ? parseBlock() : null;
+            } else if (/^[|>][+-]?$/.test(kv.value)) {
+                const buf = [];
+                while (pos < lines.length && lines[pos].indent > indent) buf.push(lines[pos++].text);
+                obj[kv.key] = kv.value.startsWith('|') ? buf.join('\n') : buf.join(' ');
+            } else {
+                obj[kv.key] = _parseYamlScalar(kv.value);
+            }
+        }
+        return obj;
+    };
+
+    const result = parseBlock();
+    // 顶层缩进不一致时把剩余部分也并入
+    while (pos < lines.length) {
+        const more = parseBlock();
+        if (result && more && typeof result === 'object' && !Array.isArray(result) && !Array.isArray(more)) {
+            Object.assign(result, more);
+        }
+    }
+    return result;
+}
+
+// ============================================
+// 注册表
+// ============================================
+
+function _normalizeFormatId(id) {
+    return String(id || '').trim().toLowerCase();
+}
+
+/** 解析器输出统一为行数组：字符串按行拆分，对象走 structuredToHoraeLines */
+function _normalizeParserOutput(output) {
+    if (output === undefined || output === null) return null;
+    if (typeof output === 'string') return output.split('\n');
+    if (Array.isArray(output) && output.every(line => typeof line === 'string')) return output;
+    if (typeof output === 'object') return structuredToHoraeLines(output);
+    return null;
+}
+
+function _defineTagFormat(definition, builtin) {
+    if (!definition || typeof definition !== 'object') {
+        throw new TypeError('Horae tag format definition must be an object.');
+    }
+    const id = _normalizeFormatId(definition.id);
+    if (!id) throw new TypeError('Horae tag format id is required.');
+    if (getTagFormat(id)?.builtin) {
+        throw new Error(`Horae tag format "${id}" is built in and cannot be replaced.`);
+    }
+    if (typeof definition.parse !== 'function') {
+        throw new TypeError('Horae tag format parse(content) is required.');
+    }
+    if (definition.detect != null && typeof definition.detect !== 'function') {
+        throw new TypeError('Horae tag format detect(content) must be a function.');
+    }
+    _formats.set(id, {
+        ...definition,
+        id,
+        aliases: (definition.aliases || []).map(_normalizeFormatId).filter(Boolean),
+        label: String(definition.label || id),
+        builtin,
+    });
+    return () => unregisterTagFormat(id);
+}
+
+/**
+ * 注册标签格式解析器（同 id 覆盖旧定义；内置的 line/json/yaml 及其别名不可覆盖，传入的 builtin 标记会被忽略）
+ * @param {{id: string, parse: (content: string) => (string|string[]|object|null), detect?: (content: string) => boolean,
+ *          aliases?: string[], label?: string, prompt?: string|((lang: string) => string)}} definition
+ * @returns {() => boolean} 注销函数
+ */
+export function registerTagFormat(definition) {
+    return _defineTagFormat(definition, false);
+}
+
+export function unregisterTagFormat(id) {
+    id = _normalizeFormatId(id);
+    const def = _formats.get(id);
+    if (!def || def.builtin) return false;
+    return _formats.delete(id);
+}
+
+export function getTagFormat(id) {
+    id = _normalizeFormatId(id);
+    if (!id) return null;
+    if (_formats.has(id)) return _formats.get(id);
+    for (const def of _formats.values()) {
+        if (def.aliases.includes(id)) return def;
+    }
+    return null;
+}
+
+/** 已注册格式概览（供设置面板 / 公开 API） */
+export function listTagFormats() {
+    return [..._formats.values()].map(def => ({ id: def.id, label: def.label, aliases: [...def.aliases], builtin: def.builtin }));
+}
+
+function _readFormatAttr(attrText) {
+    const m = String(attrText || '').match(/\bformat\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i);
+    return m ? _normalizeFormatId(m[1] ?? m[2] ?? m[3]) : '';
+}
+
+/**
+ * 把一个 <horae> 块解析为行语法
+ * 优先级：format 属性 > 代码围栏语言 > detect 自动识别 > 行语法
+ * 解析失败时回落行语法，保证旧格式与半截输出仍能被尽量提取，并在 error 中给出原因
+ * @param {string} attrText 标签属性部分（可为空）
+ * @param {string} body 块内容
+ * @returns {{lines: string[], format: string, error?: {format: string, message: string}}}
+ */
+export function resolveHoraeBlock(attrText, body) {
+    let content = String(body || '').trim();
+    let formatId = _readFormatAttr(attrText);
+
+    const fence = content.match(/^```[ \t]*([\w-]*)[ \t]*\n([\s\S]*?)\n?```$/);
+    if (fence) {
+        content = fence[2].trim();
+        if (!formatId && fence[1]) formatId = _normalizeFormatId(fence[1]);
+    }
+
+    if (!formatId) {
+        for (const def of _formats.values()) {
+            if (typeof def.detect !== 'function') continue;
+            try {
+                if (def.detect(content)) { formatId = def.id; break; }
+            } catch (_) { /* 识别函数异常视为不匹配 */ }
+        }
+    }
+
+    const def = getTagFormat(formatId || 'line');
+    if (!def) {
+        console.warn(`[Horae] 未注册的标签格式「${formatId}」，按行语法解析`);
+        return { lines: content.split('\n'), format: 'line', error: { format: formatId, message: `unregistered format: ${formatId}` } };
+    }
+    let error;
+    try {
+        const lines = _normalizeParserOutput(def.parse(content));
+        if (lines) return { lines, format: def.id };
+        error = { format: def.id, message: 'parser returned no data' };
+    } catch (err) {
+        console.warn(`[Horae] 标签格式「${def.id}」解析失败，按行语法解析:`, err);
+        error = { format: def.id, message: String(err?.message || err) };
+    }
+    return { lines: content.split('\n'), format: 'line', error };
+}
+
+_defineTagFormat({
+    id: 'line',
+    label: 'key:value',
+    aliases: ['text', 'lines'],
+    parse: content => content.split('\n'),
+}, true);
+
+_defineTagFormat({
+    id: 'json',
+    label: 'JSON',
+    detect: content => /^\s*\{[\s\S]*\}\s*$/.test(content),
+    parse: (content) => {
+        try {
+            return JSON.parse(content);
+        } catch (err) {
+            // 容忍尾逗号，仍失败则抛出原始错误
+            try { return JSON.parse(content.replace(/,\s*([}\]])/g, '$1')); } catch (_) { throw err; }
+        }
+    },
+}, true);
+
+_defineTagFormat({
+    id: 'yaml',
+    label: 'YAML',
+    aliases: ['yml'],
+    parse: content => parseSimpleYaml(content),
+}, true);
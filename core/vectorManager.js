@@ -3,6 +3,7 @@
  * 基于 Transformers.js 的本地向量检索系统
  *
  * 数据按 chatId 隔离，向量存 IndexedDB，轻量索引存 chat[0].horae_meta.vectorIndex
+ * 分支/检查点对话通过血缘记录写时复制地共享祖先对话的向量：读取时沿血缘链回落，写入只落在自身 chatId 名下
  */
 
 import { calculateDetailedRelativeTime, getRelativeTimeMeta } from '../utils/timeUtils.js';
@@ -11,9 +12,11 @@ import { tNodeForLang, detectEffectiveAiLang } from './i18n.js';
 import { getPromptDefaultSync } from './promptDefaults.js';
 
 const DB_NAME = 'HoraeVectors';
-const DB_VERSION = 2;
+const DB_VERSION = 3;
 const STORE_NAME = 'vectors';
 const SNAPSHOT_STORE = 'memorySnapshots';
+const LINEAGE_STORE = 'chatLineage';
+const LINEAGE_MAX_DEPTH = 16;
 const RECALL_CACHE_LIMIT = 16;
 const SNAPSHOT_FORMAT = 'horae-memory-snapshot';
 const SNAPSHOT_VERSION = '1.0';
@@ -74,6 +77,32 @@ export class VectorManager {
         this._recallCacheLimit = RECALL_CACHE_LIMIT;
         // 当前 chat 挂载的历史记忆快照：[{ id, label, modelName, dimensions, items: [{vector, document, mes, meta, originalIndex, ...}] }]
         this.snapshots = [];
+        // 当前 chat 的祖先链：[{ chatId, forkIndex }]，由近及远；forkIndex 为可共享的最大楼层
+        this.lineage = [];
+        // 事件派发器由 index.js 注入（horae:recallCompleted）
+        this._emitEvent = null;
+    }
+
+    setEventEmitter(fn) {
+        this._emitEvent = typeof fn === 'function' ? fn : null;
+    }
+
+    /** 召回完成后派发 horae:recallCompleted，diff 为本次命中的楼层/快照条目 */
+    _emitRecallCompleted(recallText, debug) {
+        if (!this._emitEvent) return;
+        try {
+            this._emitEvent('horae:recallCompleted', {
+                chatId: this.chatId,
+                recallText,
+                cacheHit: !!debug?.cacheHit,
+                query: debug?.query ? { ...debug.query } : null,
+                diff: {
+                    hits: (debug?.final || []).map(r => ({ ...r })),
+                },
+            });
+        } catch (err) {
+            console.warn('[Horae Vector] recallCompleted 派发失败:', err);
+        }
     }
 
     /**
@@ -251,6 +280,7 @@ export class VectorManager {
         this.termCounts.clear();
         this.totalDocuments = 0;
         this.snapshots = [];
+        this.lineage = [];
         this.clearRecallCache('loadChat');
 
         if (!chatId) return;
@@ -258,41 +288,122 @@ export class VectorManager {
         try {
             await this._openDB();
             await this._loadSnapshotsForChat(chatId);
-            const stored = await this._loadAllVectors();
+            this.lineage = await this._resolveLineage(chatId);
+            // 哈希对不上的条目不删：同一 chatId 可能被分支共用（chat_<create_date> 回落），
+            // 祖先的条目也仍属于祖先本身；对不上的楼层留待补建索引时覆盖写入自身名下
+            // 只有本对话名下超出楼层数的条目（删楼后残留）才清理
+            let skipped = 0;
             const staleKeys = [];
-            for (const item of stored) {
-                // IndexedDB 反序列化偶发返回字符串型 messageIndex，统一为整数避免与 chat 索引比较失效
-                const normalizedIdx = this._normalizeMessageIndex(item.messageIndex);
-                if (normalizedIdx === null || normalizedIdx >= chat.length) {
-                    staleKeys.push(item.messageIndex);
-                    continue;
-                }
-                const meta = chat[normalizedIdx]?.horae_meta;
-                const doc = this.buildVectorDocument(meta);
-                if (!doc || this._hashString(doc) !== item.hash) {
-                    staleKeys.push(item.messageIndex);
-                    continue;
+            const sources = [{ chatId, forkIndex: Infinity }, ...this.lineage];
+            for (const source of sources) {
+                const stored = await this._loadAllVectors(source.chatId);
+                for (const item of stored) {
+                    // IndexedDB 反序列化偶发返回字符串型 messageIndex，统一为整数避免与 chat 索引比较失效
+                    const normalizedIdx = this._normalizeMessageIndex(item.messageIndex);
+                    if (source.chatId === chatId && normalizedIdx !== null && normalizedIdx >= chat.length) {
+                        staleKeys.push(normalizedIdx);
+                        continue;
+                    }
+                    if (normalizedIdx === null || normalizedIdx >= chat.length || normalizedIdx > source.forkIndex) {
+                        if (source.chatId === chatId) skipped++;
+                        continue;
+                    }
+                    if (this.vectors.has(normalizedIdx)) continue;
+                    const meta = chat[normalizedIdx]?.horae_meta;
+                    const doc = this.buildVectorDocument(meta);
+                    if (!doc || this._hashString(doc) !== item.hash) {
+                        if (source.chatId === chatId) skipped++;
+                        continue;
+                    }
+                    const entry = {
+                        vector: item.vector,
+                        hash: item.hash,
+                        document: item.document,
+                    };
+                    if (source.chatId !== chatId) entry.sourceChatId = source.chatId;
+                    this.vectors.set(normalizedIdx, entry);
+                    this._updateTermCounts(item.document, 1);
+                    this.totalDocuments++;
                 }
-                this.vectors.set(normalizedIdx, {
-                    vector: item.vector,
-                    hash: item.hash,
-                    document: item.document,
-                });
-                this._updateTermCounts(item.document, 1);
-                this.totalDocuments++;
             }
             if (staleKeys.length > 0) {
                 for (const idx of staleKeys) await this._deleteVector(idx);
-                console.log(`[Horae Vector] 清理了 ${staleKeys.length} 条过期/分支外向量`);
+                console.log(`[Horae Vector] 清理了 ${staleKeys.length} 条超出楼层数的向量`);
+            }
+            if (skipped > 0) {
+                console.log(`[Horae Vector] 跳过 ${skipped} 条过期/分支外向量（保留在库中）`);
             }
+            const sharedCount = this.getSharedVectorCount();
+            const sharedTxt = sharedCount > 0 ? `，其中 ${sharedCount} 条共享自 ${this.lineage.map(l => l.chatId).join(' ← ')}` : '';
             const snapCount = this.snapshots.reduce((a, s) => a + s.items.length, 0);
             const snapTxt = snapCount > 0 ? ` (+${snapCount} 条历史记忆, ${this.snapshots.length} 份快照)` : '';
-            console.log(`[Horae Vector] 已加载 ${this.vectors.size} 条向量 (chatId: ${chatId})${snapTxt}`);
+            console.log(`[Horae Vector] 已加载 ${this.vectors.size} 条向量 (chatId: ${chatId}${sharedTxt})${snapTxt}`);
         } catch (err) {
             console.warn('[Horae Vector] 加载向量索引失败:', err);
         }
     }
 
+    /** 当前索引中仍引用祖先对话存储（尚未写时复制）的条目数 */
+    getSharedVectorCount() {
+        let n = 0;
+        for (const entry of this.vectors.values()) {
+            if (entry.sourceChatId) n++;
+        }
+        return n;
+    }
+
+    /**
+     * 登记分支血缘：chatId 从 parentChatId 的第 forkIndex 楼分出
+     * 已登记且父对话一致时保留最初的分叉点，重复打开分支不会把分叉点推后
+     * @returns {Promise<boolean>} 是否新写入了记录
+     */
+    async registerBranch(chatId, parentChatId, forkIndex) {
+        if (!chatId || !parentChatId || chatId === parentChatId) return false;
+        const fork = this._normalizeMessageIndex(forkIndex);
+        if (fork === null) return false;
+        await this._openDB();
+        const existing = await this._getLineageRecord(chatId);
+        if (existing && existing.parentChatId === parentChatId) return false;
+        await new Promise((resolve, reject) => {
+            const tx = this.db.transaction(LINEAGE_STORE, 'readwrite');
+            tx.objectStore(LINEAGE_STORE).put({ chatId, parentChatId, forkIndex: fork, createdAt: Date.now() });
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+        });
+        console.log(`[Horae Vector] 登记分支 ${chatId} ← ${parentChatId} @#${fork}`);
+        return true;
+    }
+
+    async _getLineageRecord(chatId) {
+        await this._openDB();
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(LINEAGE_STORE, 'readonly');
+            const req = tx.objectStore(LINEAGE_STORE).get(chatId);
+            req.onsuccess = () => resolve(req.result || null);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    /**
+     * 沿血缘链向上解析祖先；每一代可共享的楼层上限取沿途分叉点的最小值
+     * 带环检测与深度上限，防止异常记录导致死循环
+     */
+    async _resolveLineage(chatId) {
+        const chain = [];
+        const seen = new Set([chatId]);
+        let bound = Infinity;
+        let current = chatId;
+        while (chain.length < LINEAGE_MAX_DEPTH) {
+            const record = await this._getLineageRecord(current);
+            if (!record?.parentChatId || seen.has(record.parentChatId)) break;
+            bound = Math.min(bound, record.forkIndex);
+            chain.push({ chatId: record.parentChatId, forkIndex: bound });
+            seen.add(record.parentChatId);
+            current = record.parentChatId;
+        }
+        return chain;
+    }
+
     // ========================================
     // 文档构建
     // ========================================
@@ -681,6 +792,20 @@ export class VectorManager {
      * 智能召回：结构化查询 + 向量搜索并行，合并结果
      */
     async generateRecallPrompt(horaeManager, skipLast, settings, extraExcludeIndices = new Set(), aiTaskFn = null) {
+        const { recallText } = await this._runRecallPrompt(horaeManager, skipLast, settings, extraExcludeIndices, aiTaskFn, false);
+        return recallText;
+    }
+
+    /**
+     * 注入预览用的试召回：不做 Query 重写，不写召回缓存与调试信息，也不派发 horae:recallCompleted
+     * @returns {Promise<{recallText: string, hits: Array}>}
+     */
+    async previewRecallPrompt(horaeManager, skipLast, settings, extraExcludeIndices = new Set()) {
+        const { recallText, debug } = await this._runRecallPrompt(horaeManager, skipLast, settings, extraExcludeIndices, null, true);
+        return { recallText, hits: debug?.final || [] };
+    }
+
+    async _runRecallPrompt(horaeManager, skipLast, settings, extraExcludeIndices, aiTaskFn, dryRun) {
         // 同步详细调试日志开关（每次召回入口刷新一次）
         this._debugLog = !!settings?.vectorDebugLog;
 
@@ -796,12 +921,16 @@ export class VectorManager {
         const cached = this._getRecallCache(cacheKey);
         if (cached) {
             this._debug(`[Horae Vector] 召回缓存命中 (key=${this._hashString(cacheKey)})`);
-            this._lastDebugInfo = {
+            const debug = {
                 ...cached.debug,
                 timestamp: Date.now(),
                 cacheHit: true,
             };
-            return cached.recallText;
+            if (!dryRun) {
+                this._lastDebugInfo = debug;
+                this._emitRecallCompleted(cached.recallText, debug);
+            }
+            return { recallText: cached.recallText, debug };
         }
 
         // Query 重写：让辅助 API 产出 INTENT + 5 条多角度查询，对短问句/代词多的场景效果最好
@@ -938,10 +1067,11 @@ export class VectorManager {
                     const _stripTags = settings.vectorStripTags || '';
                     const useUserContext = useFullText && !!settings.antiParaphraseMode;
                     const currentDateForRerank = state.timestamp?.story_date;
+                    const currentTimeForRerank = state.timestamp?.story_time;
                     const rerankDocs = rerankCandidates.map(r => {
                         const snapEntry = r.snapKey ? this._getSnapshotEntry(r.snapKey) : null;
                         const meta = snapEntry ? snapEntry.meta : chat[r.messageIndex]?.horae_meta;
-                        const timeTag = this._buildTimeTag(meta?.timestamp, currentDateForRerank);
+                        const timeTag = this._buildTimeTag(meta?.timestamp, currentDateForRerank, currentTimeForRerank);
                         const head = timeTag ? `${timeTag}\n` : '';
                         const baseDoc = r.document || '';
                         if (useFullText) {
@@ -1083,10 +1213,10 @@ export class VectorManager {
         const fullTextThreshold = settings.vectorFullTextThreshold ?? 0.9;
         const recallText = results.length === 0
             ? ''
-            : this._buildRecallText(results, currentDate, chat, fullTextCount, fullTextThreshold, settings.vectorStripTags || '', !!settings.antiParaphraseMode);
+            : this._buildRecallText(results, currentDate, chat, fullTextCount, fullTextThreshold, settings.vectorStripTags || '', !!settings.antiParaphraseMode, state.timestamp?.story_time);
         if (recallText) this._debug(`[Horae Vector] 召回文本 (${recallText.length}字):\n${recallText}`);
 
-        this._lastDebugInfo = {
+        const debug = {
             timestamp: Date.now(),
             chatId: this.chatId,
             indexedCount: this.vectors.size,
@@ -1152,9 +1282,52 @@ export class VectorManager {
             cacheHit: false,
         };
 
-        this._setRecallCache(cacheKey, { recallText, debug: this._lastDebugInfo });
+        if (!dryRun) {
+            this._lastDebugInfo = debug;
+            this._setRecallCache(cacheKey, { recallText, debug });
+            this._emitRecallCompleted(recallText, debug);
+        }
 
-        return recallText;
+        return { recallText, debug };
+    }
+
+    /**
+     * 按给定文本直接检索并生成召回文本（斜杠命令 / 外部调用）
+     * 不走结构化查询、rerank 与 Query 重写，也不写入召回缓存
+     * @returns {Promise<{recallText: string, results: Array}>}
+     */
+    async recall(horaeManager, queryText, settings, options = {}) {
+        this._debugLog = !!settings?.vectorDebugLog;
+        this._refreshKeywordTable(settings);
+
+        const query = String(queryText || '').trim();
+        if (!this.isReady || !query) return { recallText: '', results: [] };
+
+        const chat = horaeManager.getChat();
+        const state = horaeManager.getLatestState();
+        const topK = Math.max(1, parseInt(options.topK, 10) || settings.vectorTopK || 5);
+        const threshold = Number.isFinite(options.threshold)
+            ? options.threshold
+            : this._dynamicThreshold(settings.vectorThreshold ?? 0.72);
+
+        const results = await this.search(query, topK, threshold, new Set(), !!settings.vectorPureMode);
+        const fullTextCount = Math.min(settings.vectorFullTextCount ?? 3, topK);
+        const fullTextThreshold = settings.vectorFullTextThreshold ?? 0.9;
+        const recallText = results.length === 0
+            ? ''
+            : this._buildRecallText(results, state.timestamp?.story_date, chat, fullTextCount, fullTextThreshold, settings.vectorStripTags || '', !!settings.antiParaphraseMode, state.timestamp?.story_time);
+
+        this._emitRecallCompleted(recallText, {
+            cacheHit: false,
+            query: { user: query, state: '', merged: query },
+            final: results.map(r => ({
+                snapKey: r.snapKey || null,
+                messageIndex: r.messageIndex,
+                similarity: r.similarity,
+                source: r.source || 'vector',
+            })),
+        });
+        return { recallText, results };
     }
 
     /**
@@ -1944,7 +2117,7 @@ export class VectorManager {
         return results;
     }
 
-    _buildRecallText(results, currentDate, chat, fullTextCount = 3, fullTextThreshold = 0.9, stripTags = '', antiParaphrase = false) {
+    _buildRecallText(results, currentDate, chat, fullTextCount = 3, fullTextThreshold = 0.9, stripTags = '', antiParaphrase = false, currentTime = '') {
         const labels = this._getRecallLabels();
         const lines = [labels.header];
         const eventLevels = this._getKeywordTable().eventLevels || {};
@@ -1968,7 +2141,7 @@ export class VectorManager {
                 const rawMes = snapEntry ? snapEntry.mes : chat[r.messageIndex]?.mes;
                 const rawText = this._extractCleanText(rawMes, stripTags);
                 if (rawText) {
-                    const timeTag = this._buildTimeTag(meta?.timestamp, currentDate);
+                    const timeTag = this._buildTimeTag(meta?.timestamp, currentDate, currentTime);
                     // 反转述模式专用：把紧邻的 USER 文本贴回原文头部，避免“只看到 AI 一面之词”
                     let userBlock = '';
                     if (antiParaphrase) {
@@ -1983,7 +2156,7 @@ export class VectorManager {
             }
 
             const parts = [];
-            const timeTag = this._buildTimeTag(meta?.timestamp, currentDate);
+            const timeTag = this._buildTimeTag(meta?.timestamp, currentDate, currentTime);
             if (timeTag) parts.push(timeTag);
 
             if (meta?.scene?.location) parts.push(`${labels.scene}:${meta.scene.location}`);
@@ -2079,9 +2252,10 @@ export class VectorManager {
 
     /**
      * 构建时间标签：(相对时间 绝对日期 时间)
-     * 例：(前天 霜降月第一日 19:10) 或 (今天 07:55)
+     * 例：(前天 霜降月第一日 19:10) 或 (3小时前 2/14 07:55)
+     * currentTime 为当前 story_time，同一天内据此细分到小时/时段
      */
-    _buildTimeTag(timestamp, currentDate) {
+    _buildTimeTag(timestamp, currentDate, currentTime = '') {
         if (!timestamp) return '';
 
         const storyDate = timestamp.story_date;
@@ -2089,7 +2263,7 @@ export class VectorManager {
         const parts = [];
 
         if (storyDate && currentDate) {
-            const relDesc = this._getRelativeTimeDesc(storyDate, currentDate);
+            const relDesc = this._getRelativeTimeDesc(storyDate, currentDate, storyTime, currentTime);
             if (relDesc) {
                 parts.push(relDesc.replace(/[()]/g, ''));
             }
@@ -2104,28 +2278,40 @@ export class VectorManager {
         return `(${combined})`;
     }
 
-    _getRelativeTimeDesc(eventDate, currentDate) {
+    _getRelativeTimeDesc(eventDate, currentDate, eventTime = '', currentTime = '') {
         if (!eventDate || !currentDate) return '';
         const result = calculateDetailedRelativeTime(eventDate, currentDate);
         if (result.days === null || result.days === undefined) return '';
 
-        const meta = getRelativeTimeMeta(result.days, { fromDate: result.fromDate, toDate: result.toDate });
+        const meta = getRelativeTimeMeta(result.days, { fromDate: result.fromDate, toDate: result.toDate, custom: result.custom, fromTime: eventTime, toTime: currentTime });
         const WD = ['日', '一', '二', '三', '四', '五', '六'];
+        const wd = meta.weekdayName || WD[meta.weekday];
+        const md = meta.monthName ? `${meta.monthName}${meta.day}日` : `${meta.month}月${meta.day}日`;
         switch (meta.key) {
             case 'today': return '(今天)';
             case 'yesterday': return '(昨天)';
             case 'day_before_yesterday': return '(前天)';
             case 'three_days_ago': return '(大前天)';
-            case 'last_weekday': return `(上周${WD[meta.weekday]})`;
-            case 'week_before_last_weekday': return `(上上周${WD[meta.weekday]})`;
+            case 'just_now': return '(刚才)';
+            case 'minutes_ago': return `(${meta.value}分钟前)`;
+            case 'hours_ago': return `(${meta.value}小时前)`;
+            case 'earlier_same_period': return `(${meta.period}早些时候)`;
+            case 'today_period': return `(今天${meta.period})`;
+            case 'minutes_later': return `(${meta.value}分钟后)`;
+            case 'hours_later': return `(${meta.value}小时后)`;
+            case 'later_today_period': return `(今天${meta.period}稍后)`;
+            case 'last_night': return '(昨晚)';
+            case 'last_weekday': return `(上周${wd})`;
+            case 'week_before_last_weekday': return `(上上周${wd})`;
             case 'last_month_day': return `(上个月${meta.day}号)`;
-            case 'last_year_date': return `(去年${meta.month}月${meta.day}日)`;
-            case 'year_before_last_date': return `(前年${meta.month}月${meta.day}日)`;
+            case 'last_year_date': return `(去年${md})`;
+            case 'year_before_last_date': return `(前年${md})`;
             case 'days_ago': return `(${meta.value}天前)`;
             case 'months_ago': return `(${meta.value}个月前)`;
             case 'years_ago': return `(${meta.years}年前)`;
         }
-        return '';
+        // 同一天但没有对应措辞的（钟点无法比较等），至少标出是今天
+        return result.days === 0 ? '(今天)' : '';
     }
 
     // ========================================
@@ -2470,6 +2656,10 @@ export class VectorManager {
                     const snap = db.createObjectStore(SNAPSHOT_STORE, { keyPath: 'key' });
                     snap.createIndex('chatId', 'chatId', { unique: false });
                 }
+                // V2→V3：分支血缘，一个 chatId 一条记录
+                if (event.oldVersion < 3 && !db.objectStoreNames.contains(LINEAGE_STORE)) {
+                    db.createObjectStore(LINEAGE_STORE, { keyPath: 'chatId' });
+                }
             };
             req.onblocked = () => {
                 console.warn('[Horae Vector] DB upgrade blocked by another tab, closing old connection');
@@ -2508,12 +2698,12 @@ export class VectorManager {
         });
     }
 
-    async _loadAllVectors() {
+    async _loadAllVectors(chatId = this.chatId) {
         await this._openDB();
         return new Promise((resolve, reject) => {
             const tx = this.db.transaction(STORE_NAME, 'readonly');
             const index = tx.objectStore(STORE_NAME).index('chatId');
-            const req = index.getAll(this.chatId);
+            const req = index.getAll(chatId);
             req.onsuccess = () => resolve(req.result || []);
             req.onerror = () => reject(req.error);
         });
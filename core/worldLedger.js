@@ -0,0 +1,262 @@
+/**
+ * Horae - 世界账本（跨对话的角色卡级世界状态）
+ *
+ * 同一角色卡（或「用户角色 + 角色卡」）下的所有对话共用一份账本，汇总 NPC 档案、场景记忆和关系网络。
+ * 账本存于插件设置；对话侧按自己的开关读取（写入 chat[0] 作为底层数据）和回写。
+ * 从账本读入的条目带 _ledger 标记：对话里的 AI 一旦更新它就转为本对话自有数据，关闭读取时只撤掉仍带标记的条目。
+ * 本模块只做纯数据变换，存取与时机由 index.js 负责。
+ */
+
+export const WORLD_LEDGER_SCOPES = ['card', 'persona'];
+
+// NPC 可覆盖字段 / 受保护字段（与 getLatestState 的合并规则一致：受保护字段只在空缺时填入）
+const NPC_UPDATABLE_FIELDS = ['appearance', 'personality', 'relationship', 'age', 'job', 'note'];
+const NPC_PROTECTED_FIELDS = ['gender', 'race', 'birthday'];
+
+function _clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function _relKey(rel) {
+    return `${rel.from}\u0000${rel.to}`;
+}
+
+// 仍是账本原样的条目；用户编辑或删除过的视为本对话自有
+function _isPureLedger(entry) {
+    return !!entry?._ledger && !entry._userEdited && !entry._deleted;
+}
+
+/**
+ * 账本键：card 模式按角色卡 avatar，persona 模式再叠加用户角色 avatar
+ * 缺少必要信息（群聊/未选卡/未选用户角色）时返回 null
+ */
+export function getWorldLedgerKey({ avatar, personaAvatar, scope = 'card' } = {}) {
+    if (!avatar) return null;
+    if (scope === 'persona') {
+        if (!personaAvatar) return null;
+        return `persona:${personaAvatar}|card:${avatar}`;
+    }
+    return `card:${avatar}`;
+}
+
+export function createEmptyLedger(key, info = {}) {
+    return {
+        key,
+        charName: info.charName || '',
+        personaName: info.personaName || '',
+        npcs: {},
+        locationMemory: {},
+        relationships: [],
+        chats: {},
+        updatedAt: '',
+    };
+}
+
+export function getLedgerCounts(ledger) {
+    return {
+        npcs: Object.keys(ledger?.npcs || {}).length,
+        locations: Object.keys(ledger?.locationMemory || {}).length,
+        relationships: (ledger?.relationships || []).length,
+        chats: Object.keys(ledger?.chats || {}).length,
+    };
+}
+
+/**
+ * 从当前对话提取要回写的内容
+ * @param {object} state getLatestState() 的结果（已过滤用户删除的 NPC）
+ * @param {object} firstMeta chat[0].horae_meta
+ */
+export function collectChatContribution(state, firstMeta) {
+    const npcs = {};
+    for (const [name, info] of Object.entries(state?.npcs || {})) {
+        if (!info || typeof info !== 'object') continue;
+        const entry = {};
+        for (const field of [...NPC_UPDATABLE_FIELDS, ...NPC_PROTECTED_FIELDS]) {
+            if (info[field]) entry[field] = info[field];
+        }
+        if (Array.isArray(info._aliases) && info._aliases.length) entry._aliases = [...info._aliases];
+        if (info.first_seen) entry.first_seen = info.first_seen;
+        if (info.last_seen) entry.last_seen = info.last_seen;
+        npcs[name] = entry;
+    }
+
+    const locationMemory = {};
+    for (const [name, info] of Object.entries(firstMeta?.locationMemory || {})) {
+        if (!info?.desc || info._deleted || _isPureLedger(info)) continue;
+        locationMemory[name] = {
+            desc: info.desc,
+            firstSeen: info.firstSeen || '',
+            lastUpdated: info.lastUpdated || '',
+        };
+    }
+
+    const relationships = (firstMeta?.relationships || [])
+        .filter(r => r?.from && r?.to && !_isPureLedger(r))
+        .map(r => ({ from: r.from, to: r.to, type: r.type || '', note: r.note || '' }));
+
+    return { npcs, locationMemory, relationships };
+}
+
+/**
+ * 把对话内容并入账本
+ * @returns {{ npcs: number, locations: number, relationships: number }} 新增或变更的条数
+ */
+export function mergeIntoLedger(ledger, contribution, chatId = '') {
+    const now = new Date().toISOString();
+    const changed = { npcs: 0, locations: 0, relationships: 0 };
+
+    for (const [name, incoming] of Object.entries(contribution?.npcs || {})) {
+        const existing = ledger.npcs[name];
+        if (!existing) {
+            ledger.npcs[name] = { ..._clone(incoming), _sourceChat: chatId, _updatedAt: now };
+            changed.npcs++;
+            continue;
+        }
+        let dirty = false;
+        for (const field of NPC_UPDATABLE_FIELDS) {
+            if (incoming[field] && incoming[field] !== existing[field]) {
+                existing[field] = incoming[field];
+                dirty = true;
+            }
+        }
+        for (const field of NPC_PROTECTED_FIELDS) {
+            if (incoming[field] && !existing[field]) {
+                existing[field] = incoming[field];
+                dirty = true;
+            }
+        }
+        if (incoming._aliases?.length) {
+            const aliases = new Set(existing._aliases || []);
+            const before = aliases.size;
+            for (const a of incoming._aliases) aliases.add(a);
+            if (aliases.size !== before) {
+                existing._aliases = [...aliases];
+                dirty = true;
+            }
+        }
+        if (incoming.first_seen && (!existing.first_seen || incoming.first_seen < existing.first_seen)) {
+            existing.first_seen = incoming.first_seen;
+        }
+        if (incoming.last_seen && (!existing.last_seen || incoming.last_seen > existing.last_seen)) {
+            existing.last_seen = incoming.last_seen;
+        }
+        if (dirty) {
+            existing._sourceChat = chatId;
+            existing._updatedAt = now;
+            changed.npcs++;
+        }
+    }
+
+    for (const [name, incoming] of Object.entries(contribution?.locationMemory || {})) {
+        const existing = ledger.locationMemory[name];
+        if (existing?.desc === incoming.desc) continue;
+        ledger.locationMemory[name] = {
+            desc: incoming.desc,
+            firstSeen: existing?.firstSeen || incoming.firstSeen || now,
+            lastUpdated: incoming.lastUpdated || now,
+            _sourceChat: chatId,
+        };
+        changed.locations++;
+    }
+
+    const relIndex = new Map(ledger.relationships.map((r, i) => [_relKey(r), i]));
+    for (const incoming of contribution?.relationships || []) {
+        const idx = relIndex.get(_relKey(incoming));
+        if (idx === undefined) {
+            relIndex.set(_relKey(incoming), ledger.relationships.length);
+            ledger.relationships.push({ ...incoming, _sourceChat: chatId });
+            changed.relationships++;
+            continue;
+        }
+        const existing = ledger.relationships[idx];
+        if (existing.type === incoming.type && (!incoming.note || existing.note === incoming.note)) continue;
+        existing.type = incoming.type;
+        if (incoming.note) existing.note = incoming.note;
+        existing._sourceChat = chatId;
+        changed.relationships++;
+    }
+
+    if (chatId) ledger.chats[chatId] = now;
+    if (changed.npcs || changed.locations || changed.relationships) ledger.updatedAt = now;
+    return changed;
+}
+
+/**
+ * 把账本读入对话的 chat[0].horae_meta
+ * NPC 整体放到 _ledgerNpcs（getLatestState 以此为底），场景记忆/关系只补缺，
+ * 已被对话接管或用户删除的条目不动；账本里已移除的条目同步撤掉
+ * @returns {{ npcs: number, locations: number, relationships: number }} 读入的条数
+ */
+export function applyLedgerToMeta(firstMeta, ledger) {
+    const applied = { npcs: 0, locations: 0, relationships: 0 };
+    if (!firstMeta || !ledger) return applied;
+
+    const npcs = {};
+    for (const [name, info] of Object.entries(ledger.npcs || {})) {
+        const { _sourceChat, _updatedAt, ...rest } = info;
+        npcs[name] = _clone(rest);
+    }
+    firstMeta._ledgerNpcs = npcs;
+    applied.npcs = Object.keys(npcs).length;
+
+    if (!firstMeta.locationMemory) firstMeta.locationMemory = {};
+    const mem = firstMeta.locationMemory;
+    for (const [name, info] of Object.entries(mem)) {
+        if (_isPureLedger(info) && !ledger.locationMemory?.[name]) delete mem[name];
+    }
+    for (const [name, info] of Object.entries(ledger.locationMemory || {})) {
+        const existing = mem[name];
+        if (existing && !_isPureLedger(existing)) continue;
+        mem[name] = { desc: info.desc, firstSeen: info.firstSeen, lastUpdated: info.lastUpdated, _ledger: true };
+        applied.locations++;
+    }
+
+    const ledgerRels = new Map((ledger.relationships || []).map(r => [_relKey(r), r]));
+    const rels = (firstMeta.relationships || []).filter(r => !_isPureLedger(r) || ledgerRels.has(_relKey(r)));
+    const relIndex = new Map(rels.map((r, i) => [_relKey(r), i]));
+    for (const [key, rel] of ledgerRels) {
+        const entry = { from: rel.from, to: rel.to, type: rel.type || '', note: rel.note || '', _ledger: true };
+        const idx = relIndex.get(key);
+        if (idx === undefined) {
+            rels.push(entry);
+        } else if (_isPureLedger(rels[idx])) {
+            rels[idx] = entry;
+        } else {
+            continue;
+        }
+        applied.relationships++;
+    }
+    firstMeta.relationships = rels;
+    return applied;
+}
+
+/** 撤掉从账本读入且未被对话接管的数据 */
+export function detachLedgerFromMeta(firstMeta) {
+    if (!firstMeta) return;
+    delete firstMeta._ledgerNpcs;
+    if (firstMeta.locationMemory) {
+        for (const [name, info] of Object.entries(firstMeta.locationMemory)) {
+            if (_isPureLedger(info)) delete firstMeta.locationMemory[name];
+        }
+    }
+    if (Array.isArray(firstMeta.relationships)) {
+        firstMeta.relationships = firstMeta.relationships.filter(r => !_isPureLedger(r));
+    }
+}
+
+/**
+ * 从账本移除单条
+ * @param {'npcs'|'locationMemory'|'relationships'} kind
+ * @param {string} id NPC 名 / 地点名 / `${from}→${to}`
+ */
+export function removeLedgerEntry(ledger, kind, id) {
+    if (kind === 'relationships') {
+        const before = ledger.relationships.length;
+        ledger.relationships = ledger.relationships.filter(r => `${r.from}→${r.to}` !== id);
+        return ledger.relationships.length !== before;
+    }
+    if (kind !== 'npcs' && kind !== 'locationMemory') throw new TypeError(`unknown ledger entry kind: ${kind}`);
+    if (!ledger[kind]?.[id]) return false;
+    delete ledger[kind][id];
+    return true;
+}
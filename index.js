@@ -8,11 +8,19 @@
 
 import { renderExtensionTemplateAsync, getContext, extension_settings } from '/scripts/extensions.js';
 import { getSlideToggleOptions, saveSettingsDebounced, eventSource, event_types, doNewChat } from '/script.js';
+import { user_avatar } from '/scripts/personas.js';
 import { slideToggle } from '/lib.js';
 
-import { horaeManager, createEmptyMeta, getItemBaseName } from './core/horaeManager.js';
+import { horaeManager, createEmptyMeta, getItemBaseName, AGENDA_RECURRENCES, PLOT_THREAD_STATUSES, normalizeThreadName } from './core/horaeManager.js';
 import { vectorManager } from './core/vectorManager.js';
-import { calculateRelativeTime, calculateDetailedRelativeTime, formatRelativeTime, generateTimeReference, getCurrentSystemTime, formatStoryDate, formatFullDateTime, parseStoryDate } from './utils/timeUtils.js';
+import { calculateRelativeTime, calculateDetailedRelativeTime, formatRelativeTime, generateTimeReference, getCurrentSystemTime, formatStoryDate, formatFullDateTime, parseStoryDate, setCustomCalendar, getActiveCustomCalendar, getStoryDayNumber, getStoryYear, getStoryCalendarPage } from './utils/timeUtils.js';
+import { registerTagFormat, unregisterTagFormat, listTagFormats } from './core/tagFormats.js';
+import { buildChatExport, migrateChatExport, diffChatExport, chatExportToMetaList, CHAT_EXPORT_STORES } from './core/chatExport.js';
+import { buildRecapBook, renderRecapMarkdown, renderRecapHtml, buildRecapEpub } from './core/recapBook.js';
+import { ensureSummaryVersions, addSummaryVersion, restoreSummaryVersion, diffSummaryText } from './core/summaryVersions.js';
+import { SUMMARY_COVERAGE_MODES, collectCriticalFacts, findOmittedFacts, formatFactLines } from './core/summaryCoverage.js';
+import { PROMPT_BUDGET_SECTIONS, PROMPT_BUDGET_PRIORITY_RANGE, resolveSectionRules, assembleWithinBudget } from './core/promptBudget.js';
+import { getWorldLedgerKey, createEmptyLedger, getLedgerCounts, collectChatContribution, mergeIntoLedger, applyLedgerToMeta, detachLedgerFromMeta, removeLedgerEntry } from './core/worldLedger.js';
 import { t, tForLang, initI18n, getLanguage, isZhLocale, setLanguage, detectEffectiveAiLangIsZh, detectEffectiveAiLang } from './core/i18n.js';
 import { initPromptDefaults, ensurePromptDefaults, ensurePresetPrompts, getPromptDefaultSync, getPresetPromptsSync, BUILTIN_PRESET_IDS } from './core/promptDefaults.js';
 
@@ -33,7 +41,7 @@ const HORAE_REGEX_RULES = [
         id: 'horae_think_sanitize',
         scriptName: 'Horae - 思维链标签安全化',
         description: '将思维链内的<horae>等标签转为全角括号，防止DOM解析冲突与收束误吞',
-        findRegex: '/<(\\/?horae(?:event|rpg|table[^>]*)?)>(?=[\\s\\S]*?<\\/think(?:ing)?>)/gi',
+        findRegex: '/<(\\/?horae(?:event|rpg|table[^>]*|\\s[^>]*)?)>(?=[\\s\\S]*?<\\/think(?:ing)?>)/gi',
         replaceString: '‹$1›',
         trimStrings: [],
         placement: [2],
@@ -49,7 +57,7 @@ const HORAE_REGEX_RULES = [
         id: 'horae_hide',
         scriptName: 'Horae - 隐藏状态标签',
         description: '隐藏<horae>状态标签，不显示在正文，不发送给AI',
-        findRegex: '/(?:<horae>(?:(?!<\\/think(?:ing)?>|<horae>)[\\s\\S])*?<\\/horae>|<!--horae[\\s\\S]*?-->)/gim',
+        findRegex: '/(?:<horae(?:\\s[^>]*)?>(?:(?!<\\/think(?:ing)?>|<horae[\\s>])[\\s\\S])*?<\\/horae>|<!--horae[\\s\\S]*?-->)/gim',
         replaceString: '',
         trimStrings: [],
         placement: [2],
@@ -133,6 +141,11 @@ const DEFAULT_SETTINGS = {
     // 发送给AI的内容控制
     sendTimeline: true,    // 发送剧情轨迹（关闭则无法计算相对时间）
     contextDepth: 15,      // 一般级别剧情轨迹数量
+    promptTokenBudget: 0,  // 注入内容的 Token 上限，0 = 不限制；超出时按分区优先级裁剪
+    promptSectionPriority: {}, // 分区裁剪优先级覆盖 { timeline: 3, ... }，越小越先裁
+    promptSectionMinimum: {},  // 分区至少保留的条数覆盖
+    chronologyCheck: true,   // 校验 AI 写的时间是否倒退/跳跃过远，在楼层面板提示
+    chronologyJumpDays: 365, // 一次前进超过这么多天视为异常跳跃，0 = 不检查跳跃
     sendCharacters: true,  // 发送角色信息（服装、好感度）
     sendCharacterAffection: true,        // 单独控制好感度注入
     sendMainCharacterPersonality: true,  // 关闭后主要角色（卡片本体 + 置顶 NPC）的性格简述不再注入
@@ -163,6 +176,10 @@ const DEFAULT_SETTINGS = {
     sendMood: false,               // 发送情绪/心理状态追踪
     customRelationshipPrompt: '',  // 自定义关系网络提示词（空=使用默认）
     customMoodPrompt: '',          // 自定义情绪追踪提示词（空=使用默认）
+    sendPlotThreads: false,        // 要求 AI 给事件标注剧情线索
+    customPlotThreadPrompt: '',    // 自定义剧情线索提示词（空=使用默认）
+    plotThreadSummaryPrompt: '',   // 自定义线索滚动摘要提示词（空=使用默认）
+    plotThreadSummaryEvery: 0,     // 线索累计多少条新事件后自动更新滚动摘要，0 = 只手动
     // 自动摘要
     autoSummaryEnabled: false,     // 自动摘要开关
     autoSummaryKeepRecent: 5,      // 保留最近N条AI消息不压缩（中间用户消息会随全文一起发送）
@@ -175,6 +192,7 @@ const DEFAULT_SETTINGS = {
     autoSummaryResummaryMinChars: 800, // 二次总结输入字数下限；不足时跳过避免对短文本反复压缩降质
     autoSummaryBatchMaxMsgs: 50,    // 单次摘要最大消息条数
     autoSummaryBatchMaxTokens: 80000, // 单次摘要最大Token数
+    autoSummaryCoverageMode: 'off', // 摘要覆盖校验：'off' | 'append'(遗漏的关键事实追加到摘要末尾) | 'reprompt'(先让AI补写)
     autoSummaryUseCustomApi: false, // 是否使用独立API端点
     autoSummaryApiUrl: '',          // 独立API端点地址（OpenAI兼容）
     autoSummaryApiKey: '',          // 独立API密钥
@@ -187,13 +205,22 @@ const DEFAULT_SETTINGS = {
     auxApiUseForSummary: true,       // 自动总结/AI智能补全
     auxApiUseForManualCompress: false, // 手动多选压缩
     auxApiFallbackToMain: false,     // 辅助API失败后回退主API
+    factCheckEnabled: false,         // 每条AI回复后用辅助API检查与既有事实的矛盾
     antiParaphraseMode: false,      // 反转述模式：AI回复时结算上一条USER的内容
     sideplayMode: false,            // 番外/小剧场模式：启用后可标记消息跳过Horae
+    tagFormat: 'line',              // 要求AI输出 <horae> 块的格式：line(key:value) / json / yaml / 第三方注册格式
     // 自定义日历：开启后插件按 monthNames/monthDays 解析剧情日期；未启用走默认公历+奇幻兜底
+    // 星期/闰年/纪元/节日/月亮均可选，字段含义见 utils/timeUtils.js setCustomCalendar
     customCalendar: {
         enabled: false,
         monthNames: [],
         monthDays: [],
+        weekdays: [],
+        weekdayOffset: 0,
+        leap: { every: 0, month: 0, days: 1, exceptEvery: 0, unlessEvery: 0 },
+        intercalary: [],
+        eras: [],
+        moons: [],
     },
     // 已忽略过自定义日历建议的 chatId 集合，避免同一会话反复弹窗
     _customCalendarHintDismissed: {},
@@ -260,6 +287,10 @@ const DEFAULT_SETTINGS = {
     cardProfileMode: '',
     // key=avatar 文件名，value=已忽略的 profile.savedAt；卡作者更新设置档（savedAt 变了）会重新提示
     _cardProfileHintDismissed: {},
+    // 世界账本：同一角色卡（或用户角色+角色卡）的对话共享 NPC/场景记忆/关系；各对话的读写开关存在 chat[0]._worldLedger
+    worldLedgerEnabled: false,
+    worldLedgerScope: 'card',          // 'card' = 按角色卡, 'persona' = 按用户角色 + 角色卡
+    worldLedgers: {},                  // key=getWorldLedgerKey()，value=账本
 };
 
 const PROMPT_SETTING_KEYS = [
@@ -273,6 +304,8 @@ const PROMPT_SETTING_KEYS = [
     'customLocationPrompt',
     'customRelationshipPrompt',
     'customMoodPrompt',
+    'customPlotThreadPrompt',
+    'plotThreadSummaryPrompt',
     'customRpgPrompt',
     'vectorQueryRewriteSystemPrompt',
 ];
@@ -296,6 +329,7 @@ const PRESERVED_KEYS_ON_RESET = [
     'customThemes', 'globalTables',
     'uiLanguage', 'aiOutputLanguage',
     'cardProfileMode', '_cardProfileHintDismissed',
+    'worldLedgerEnabled', 'worldLedgerScope', 'worldLedgers',
 ];
 
 // 配置档导出/导入/角色卡同步共用的字段白名单。
@@ -303,9 +337,9 @@ const PRESERVED_KEYS_ON_RESET = [
 const _SETTINGS_EXPORT_KEYS = [
     'enabled', 'autoParse', 'autoFillPrevTimelineOnSend', 'injectContext', 'useMainPresetForAiTasks', 'showMessagePanel', 'showTopIcon',
     'injectionDepthSource', 'injectionPosition', 'timelineInjectionMode',
-    'sendTimeline', 'contextDepth', 'sendCharacters', 'sendItems',
-    'sendLocationMemory', 'sendRelationships', 'sendMood',
-    'antiParaphraseMode', 'sideplayMode',
+    'sendTimeline', 'contextDepth', 'promptTokenBudget', 'promptSectionPriority', 'promptSectionMinimum', 'chronologyCheck', 'chronologyJumpDays', 'factCheckEnabled', 'sendCharacters', 'sendItems',
+    'sendLocationMemory', 'sendRelationships', 'sendMood', 'sendPlotThreads', 'plotThreadSummaryEvery',
+    'antiParaphraseMode', 'sideplayMode', 'tagFormat',
     'aiScanIncludeNpc', 'aiScanIncludeAffection', 'aiScanIncludeScene', 'aiScanIncludeRelationship',
     'rpgMode', 'sendRpgBars', 'sendRpgSkills', 'sendRpgAttributes', 'sendRpgReputation',
     'sendRpgEquipment', 'sendRpgLevel', 'sendRpgCurrency', 'sendRpgStronghold', 'rpgDiceEnabled',
@@ -315,7 +349,7 @@ const _SETTINGS_EXPORT_KEYS = [
     'autoSummaryEnabled', 'autoSummaryKeepRecent', 'autoSummarySourceMode',
     'autoSummaryBufferMode', 'autoSummaryBufferMsgLimit', 'autoSummaryBufferTokenLimit',
     'autoSummaryResummaryThreshold', 'autoSummaryResummaryMinChars',
-    'autoSummaryBatchMaxMsgs', 'autoSummaryBatchMaxTokens',
+    'autoSummaryBatchMaxMsgs', 'autoSummaryBatchMaxTokens', 'autoSummaryCoverageMode',
     'cardProfileMode',
     ...PROMPT_SETTING_KEYS,
 ];
@@ -334,6 +368,10 @@ let _engineDeferred = false;
 let _isSummaryGeneration = false;
 let _summaryInProgress = false;
 let _panelAiAnalyzeInProgress = false;
+let _parseRepairInProgress = false;
+const _factCheckInProgress = new Set();
+// 群聊：ST 选出的下一位发言成员（GROUP_MEMBER_DRAFTED 给出的 characters 下标）
+let _groupDraftedCharId = null;
 let _chatFullyLoaded = false;
 let _portsReady = false;
 let _autoSummaryRanThisTurn = false;
@@ -879,6 +917,11 @@ function _normalizeAutoSummarySettingsInPlace(saved = {}) {
         changed = true;
     }
 
+    if (!SUMMARY_COVERAGE_MODES.includes(settings.autoSummaryCoverageMode)) {
+        settings.autoSummaryCoverageMode = DEFAULT_SETTINGS.autoSummaryCoverageMode;
+        changed = true;
+    }
+
     if (saved.autoSummaryBufferMsgLimit === undefined) {
         const migrated = mode === 'messages' && Number.isFinite(legacyLimit) ? legacyLimit : DEFAULT_SETTINGS.autoSummaryBufferMsgLimit;
         settings.autoSummaryBufferMsgLimit = Math.max(5, parseInt(migrated, 10) || DEFAULT_SETTINGS.autoSummaryBufferMsgLimit);
@@ -1008,7 +1051,7 @@ function saveSettings(options = {}) {
         try { saveSettingsDebounced.flush(); }
         catch (err) { console.warn('[Horae] flush 失败:', err); }
     }
-    eventSource.emit('horae:settingsChanged', { enabled: !!settings.enabled });
+    emitHoraeEvent('horae:settingsChanged', { enabled: !!settings.enabled });
 }
 
 /**
@@ -1415,6 +1458,24 @@ function refreshHoraePorts(scope = document) {
     }, HORAE_PORT_REFRESH_DEBOUNCE_MS);
 }
 
+/** Horae 对外广播的状态事件。监听方式见 Horae状态栏接入说明.md */
+const HORAE_EVENT_TYPES = Object.freeze([
+    'horae:settingsChanged',
+    'horae:metaUpdated',
+    'horae:itemAdded',
+    'horae:itemRemoved',
+    'horae:eventAdded',
+    'horae:summaryCreated',
+    'horae:rpgChanged',
+    'horae:recallCompleted',
+]);
+
+/** 同时派发到 ST eventSource 与主窗口 CustomEvent，iframe 状态栏可经 window.parent 监听 */
+function emitHoraeEvent(type, detail = {}) {
+    try { eventSource?.emit?.(type, detail); } catch (err) { console.warn(`[Horae] 事件 ${type} 派发失败:`, err); }
+    window.dispatchEvent(new CustomEvent(type, { detail }));
+}
+
 function _emitPortChange(detail) {
     const evt = new CustomEvent('horae:portsChanged', { detail });
     window.dispatchEvent(evt);
@@ -1485,6 +1546,466 @@ function unregisterHoraeDataProvider(id) {
     return existed;
 }
 
+// ============================================
+// 写入接口（供状态栏脚本 / 外部扩展调用）
+// ============================================
+
+/** 解析写入目标楼层：显式 messageIndex 优先，否则取最后一条可追踪的 AI 消息 */
+function _resolveApiTargetIndex(messageIndex) {
+    const chat = horaeManager.getChat();
+    if (messageIndex != null) {
+        const idx = Number(messageIndex);
+        if (!Number.isInteger(idx) || idx < 0 || idx >= chat.length) {
+            throw new RangeError(`Horae: message index out of range: ${messageIndex}`);
+        }
+        if (chat[idx].is_user) throw new RangeError(`Horae: message #${idx} is a user message.`);
+        return idx;
+    }
+    for (let i = chat.length - 1; i >= 0; i--) {
+        if (_isTrackableAiMessage(chat[i])) return i;
+    }
+    throw new RangeError('Horae: no AI message available to write to.');
+}
+
+function _normalizeApiEventLevel(level) {
+    const raw = String(level || '').trim();
+    const lower = raw.toLowerCase();
+    if (raw === '关键' || raw === '關鍵' || lower === 'critical') return '关键';
+    if (raw === '重要' || lower === 'important') return '重要';
+    return '一般';
+}
+
+/** 把 patch 落到 <horaetable:名> 块：同坐标单元格原位替换，其余追加 */
+function injectHoraeTableCellPatch(messageId, tableName, updates) {
+    try {
+        const chat = horaeManager.getChat();
+        if (!chat?.[messageId] || !updates) return;
+        const message = chat[messageId];
+        let mes = message.mes || '';
+        const escaped = tableName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const blockRe = new RegExp(`<horaetable[:：]\\s*${escaped}\\s*>([\\s\\S]*?)<\\/horaetable(?:[:：][^>]*)?>`, 'i');
+        const m = mes.match(blockRe);
+        const cells = m ? horaeManager._parseTableCellEntries(m[1]) : {};
+        Object.assign(cells, updates);
+        const body = Object.entries(cells)
+            .map(([key, value]) => `${key.replace('-', ',')}:${value}`)
+            .join('\n');
+        const block = `<horaetable:${tableName}>\n${body}\n</horaetable>`;
+        mes = m ? mes.replace(blockRe, block) : mes.trimEnd() + `\n\n${block}`;
+        message.mes = mes;
+    } catch (error) {
+        console.error(`[Horae] 写入 horaetable 标签失败:`, error);
+    }
+}
+
+/**
+ * 写入接口的统一提交通道：与 processAIResponse 相同，先经 mergeParsedToMeta 合并，
+ * 再同步全局数据、正文标签、存盘、刷新显示与向量索引。
+ * mutate(meta) 用于合并后的收尾修正（如同楼层内 item 与 item- 互相抵消）。
+ */
+async function _commitApiPatch(patch, options = {}, mutate = null) {
+    if (!settings.enabled) throw new Error('Horae is disabled.');
+    const messageIndex = _resolveApiTargetIndex(options.messageIndex);
+    const baseline = horaeManager.captureChangeBaseline(messageIndex);
+    const existingMeta = horaeManager.getMessageMeta(messageIndex);
+    const meta = horaeManager.mergeParsedToMeta(existingMeta, patch);
+    if (typeof mutate === 'function') mutate(meta);
+
+    if (meta._tableUpdates) {
+        meta.tableContributions = [...(existingMeta?.tableContributions || []), ...meta._tableUpdates];
+        horaeManager.applyTableUpdates(meta._tableUpdates);
+        for (const update of meta._tableUpdates) {
+            injectHoraeTableCellPatch(messageIndex, update.name, update.updates);
+        }
+        delete meta._tableUpdates;
+    }
+
+    horaeManager.setMessageMeta(messageIndex, meta);
+    injectHoraeTagToMessage(messageIndex, meta);
+    horaeManager.emitStateChange(messageIndex, 'api', baseline);
+
+    if (!_summaryInProgress) {
+        await getContext().saveChat();
+    }
+
+    refreshAllDisplays();
+    renderCustomTablesList();
+    const messageEl = document.querySelector(`.mes[mesid="${messageIndex}"]`);
+    if (messageEl) {
+        messageEl.querySelector('.horae-message-panel')?.remove();
+        addMessagePanel(messageEl, messageIndex);
+    }
+
+    if (settings.vectorEnabled && vectorManager.isReady) {
+        vectorManager.addMessage(messageIndex, meta).then(() => _updateVectorStatus())
+            .catch(err => console.warn('[Horae] 向量索引失败:', err));
+    }
+    return { messageIndex, meta };
+}
+
+async function apiSetCostume(character, costume, options = {}) {
+    character = String(character || '').trim();
+    costume = String(costume || '').trim();
+    if (!character || !costume) throw new TypeError('Horae setCostume(character, costume) requires both values.');
+    return _commitApiPatch({ costumes: { [character]: costume } }, options);
+}
+
+async function apiAddItem(name, info = {}, options = {}) {
+    name = String(name || '').trim();
+    if (!name) throw new TypeError('Horae addItem(name) requires a name.');
+    const importance = info.importance === '!!' || info.importance === '!' ? info.importance : '';
+    const item = {
+        icon: info.icon || null,
+        importance,
+        holder: info.holder != null ? String(info.holder).trim() || null : null,
+        location: info.location != null ? String(info.location).trim() : '',
+    };
+    if (info.description) item.description = String(info.description).trim();
+    return _commitApiPatch({ items: { [name]: item } }, options, (meta) => {
+        // 同楼层先前的 item- 会在 getLatestState 里把新物品删掉，这里一并撤销
+        const base = getItemBaseName(name).toLowerCase();
+        meta.deletedItems = (meta.deletedItems || []).filter(d => getItemBaseName(d).toLowerCase() !== base);
+    });
+}
+
+async function apiRemoveItem(name, options = {}) {
+    name = String(name || '').trim();
+    if (!name) throw new TypeError('Horae removeItem(name) requires a name.');
+    return _commitApiPatch({ deletedItems: [name] }, options, (meta) => {
+        const base = getItemBaseName(name).toLowerCase();
+        for (const key of Object.keys(meta.items || {})) {
+            if (getItemBaseName(key).toLowerCase() === base) delete meta.items[key];
+        }
+    });
+}
+
+async function apiAddEvent(event, options = {}) {
+    const raw = typeof event === 'string' ? { summary: event } : (event || {});
+    const summary = String(raw.summary || '').trim();
+    if (!summary) throw new TypeError('Horae addEvent(event) requires a summary.');
+    const level = _normalizeApiEventLevel(raw.level);
+    const messageIndex = _resolveApiTargetIndex(options.messageIndex);
+    // mergeParsedToMeta 会整体替换 events，需带上本楼层已有事件（含压缩标记）
+    const existing = horaeManager.getMessageMeta(messageIndex)?.events || [];
+    const added = { is_important: level !== '一般', level, summary };
+    const thread = normalizeThreadName(raw.thread);
+    if (thread) added.thread = thread;
+    const events = [...existing, added];
+    return _commitApiPatch({ events }, { ...options, messageIndex });
+}
+
+async function apiSetAffection(character, value, options = {}) {
+    character = String(character || '').trim();
+    const num = Number(value);
+    if (!character || !Number.isFinite(num)) throw new TypeError('Horae setAffection(character, value) requires a numeric value.');
+    return _commitApiPatch({ affection: { [character]: { type: 'absolute', value: num } } }, options);
+}
+
+async function apiAdjustAffection(character, delta, options = {}) {
+    character = String(character || '').trim();
+    const num = Number(delta);
+    if (!character || !Number.isFinite(num)) throw new TypeError('Horae adjustAffection(character, delta) requires a numeric delta.');
+    const messageIndex = _resolveApiTargetIndex(options.messageIndex);
+    // 同楼层已有记录时叠加到原记录上，避免 Object.assign 覆盖掉先前的绝对值
+    const prev = horaeManager.getMessageMeta(messageIndex)?.affection?.[character];
+    let entry;
+    if (prev && typeof prev === 'object' && prev.type === 'absolute') {
+        entry = { type: 'absolute', value: (parseFloat(prev.value) || 0) + num };
+    } else {
+        const base = prev == null ? 0 : parseFloat(typeof prev === 'object' ? prev.value : prev) || 0;
+        const total = base + num;
+        entry = { type: 'relative', value: total >= 0 ? `+${total}` : String(total) };
+    }
+    return _commitApiPatch({ affection: { [character]: entry } }, { ...options, messageIndex });
+}
+
+async function apiSetTableCell(tableName, row, col, value, options = {}) {
+    tableName = String(tableName || '').trim();
+    const r = Number(row);
+    const c = Number(col);
+    if (!tableName) throw new TypeError('Horae setTableCell(tableName, row, col, value) requires a table name.');
+    if (!Number.isInteger(r) || !Number.isInteger(c) || r < 0 || c < 0) {
+        throw new TypeError('Horae setTableCell row/col must be non-negative integers.');
+    }
+    const exists = getAllTables().some(tbl => (tbl.name || '').trim() === tableName);
+    if (!exists) throw new RangeError(`Horae: table not found: ${tableName}`);
+    const text = String(value ?? '').replace(/[\r\n]+/g, ' ').trim();
+    return _commitApiPatch({ tableUpdates: [{ name: tableName, updates: { [`${r}-${c}`]: text } }] }, options);
+}
+
+// ============================================
+// 斜杠命令（供 Quick Reply / STscript 调用，返回值可继续管道传递）
+// ============================================
+
+/** 斜杠命令的值统一转为字符串：对象走 JSON，未定义为空串 */
+function _slashResult(value) {
+    if (value === undefined || value === null) return '';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+/** 按点路径取值，支持 items.长剑.holder / scene.characters_present.0 */
+function _getByPath(obj, path) {
+    const parts = String(path || '').split('.').map(p => p.trim()).filter(Boolean);
+    let cur = obj;
+    for (const part of parts) {
+        if (cur == null || typeof cur !== 'object') return undefined;
+        cur = cur[part];
+    }
+    return cur;
+}
+
+function _parseSlashIndex(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const idx = Number(value);
+    if (!Number.isInteger(idx)) throw new RangeError(`Horae: invalid message index: ${value}`);
+    return idx;
+}
+
+function _parseSlashBool(value, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+    return !['false', 'off', 'no', '0'].includes(String(value).trim().toLowerCase());
+}
+
+function _normalizeSlashItemImportance(value) {
+    const raw = String(value || '').trim().toLowerCase();
+    if (raw === '!!' || raw === 'critical' || raw === '关键') return '!!';
+    if (raw === '!' || raw === 'important' || raw === '重要') return '!';
+    return '';
+}
+
+/** 斜杠命令回调包装：统一判断启用状态，异常转为提示并返回空串，避免打断整段脚本 */
+function _slashCallback(name, fn) {
+    return async (args, value) => {
+        if (!settings.enabled) {
+            showToast(t('slash.disabled'), 'warning');
+            return '';
+        }
+        try {
+            return _slashResult(await fn(args || {}, typeof value === 'string' ? value.trim() : value));
+        } catch (err) {
+            console.error(`[Horae] /${name} 执行失败:`, err);
+            showToast(t('slash.failed', { cmd: name, error: err?.message || 'unknown' }), 'error');
+            return '';
+        }
+    };
+}
+
+/** 收集 [from, to] 楼层内尚未被压缩的时间线事件键（"msgIndex-eventIndex"） */
+function _collectSlashSummaryKeys(from, to) {
+    const chat = horaeManager.getChat();
+    const start = Math.max(0, from ?? 0);
+    const end = Math.min(chat.length - 1, to ?? chat.length - 1);
+    const keys = [];
+    for (let i = start; i <= end; i++) {
+        const meta = chat[i]?.horae_meta;
+        if (!meta) continue;
+        const evts = meta.events || (meta.event ? [meta.event] : []);
+        for (const [j, evt] of evts.entries()) {
+            if (!evt || evt._compressedBy || evt._carryoverSeed) continue;
+            keys.push(`${i}-${j}`);
+        }
+    }
+    return keys;
+}
+
+async function registerHoraeSlashCommands() {
+    let SlashCommandParser, SlashCommand, SlashCommandArgument, SlashCommandNamedArgument, ARGUMENT_TYPE;
+    try {
+        ({ SlashCommandParser } = await import('/scripts/slash-commands/SlashCommandParser.js'));
+        ({ SlashCommand } = await import('/scripts/slash-commands/SlashCommand.js'));
+        ({ SlashCommandArgument, SlashCommandNamedArgument, ARGUMENT_TYPE } = await import('/scripts/slash-commands/SlashCommandArgument.js'));
+    } catch (err) {
+        console.warn('[Horae] 当前酒馆版本不支持注册斜杠命令，已跳过:', err);
+        return;
+    }
+
+    const atArg = () => SlashCommandNamedArgument.fromProps({
+        name: 'at',
+        description: t('slash.argAt'),
+        typeList: [ARGUMENT_TYPE.NUMBER],
+    });
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'horae-state',
+        callback: _slashCallback('horae-state', (args, path) => {
+            const skip = parseInt(args.skip, 10) || 0;
+            const state = horaeManager.getLatestState(skip);
+            return path ? _getByPath(state, path) : state;
+        }),
+        returns: t('slash.stateReturns'),
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'skip',
+                description: t('slash.argSkip'),
+                typeList: [ARGUMENT_TYPE.NUMBER],
+                defaultValue: '0',
+            }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: t('slash.argPath'),
+                typeList: [ARGUMENT_TYPE.STRING],
+            }),
+        ],
+        helpString: t('slash.stateHelp'),
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'horae-item-add',
+        callback: _slashCallback('horae-item-add', async (args, name) => {
+            const { messageIndex } = await apiAddItem(name, {
+                holder: args.holder,
+                location: args.location,
+                icon: args.icon || null,
+                importance: _normalizeSlashItemImportance(args.importance),
+                description: args.desc,
+            }, { messageIndex: _parseSlashIndex(args.at) });
+            return messageIndex;
+        }),
+        returns: t('slash.writeReturns'),
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({ name: 'holder', description: t('slash.argHolder'), typeList: [ARGUMENT_TYPE.STRING] }),
+            SlashCommandNamedArgument.fromProps({ name: 'location', description: t('slash.argLocation'), typeList: [ARGUMENT_TYPE.STRING] }),
+            SlashCommandNamedArgument.fromProps({ name: 'icon', description: t('slash.argIcon'), typeList: [ARGUMENT_TYPE.STRING] }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'importance',
+                description: t('slash.argImportance'),
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumList: ['normal', 'important', 'critical'],
+            }),
+            SlashCommandNamedArgument.fromProps({ name: 'desc', description: t('slash.argDesc'), typeList: [ARGUMENT_TYPE.STRING] }),
+            atArg(),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: t('slash.argItemName'),
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true,
+            }),
+        ],
+        helpString: t('slash.itemAddHelp'),
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'horae-event',
+        callback: _slashCallback('horae-event', async (args, summary) => {
+            const { messageIndex } = await apiAddEvent({ summary, level: args.level }, { messageIndex: _parseSlashIndex(args.at) });
+            return messageIndex;
+        }),
+        returns: t('slash.writeReturns'),
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'level',
+                description: t('slash.argLevel'),
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumList: ['normal', 'important', 'critical'],
+                defaultValue: 'normal',
+            }),
+            atArg(),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: t('slash.argSummary'),
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true,
+            }),
+        ],
+        helpString: t('slash.eventHelp'),
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'horae-summarize',
+        callback: _slashCallback('horae-summarize', async (args) => {
+            const mode = String(args.mode || 'event').trim().toLowerCase() === 'fulltext' ? 'fulltext' : 'event';
+            const keys = _collectSlashSummaryKeys(_parseSlashIndex(args.from), _parseSlashIndex(args.to));
+            const entry = await compressSelectedTimelineEvents({ keys, mode });
+            return entry?.summaryText || '';
+        }),
+        returns: t('slash.summarizeReturns'),
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({ name: 'from', description: t('slash.argFrom'), typeList: [ARGUMENT_TYPE.NUMBER] }),
+            SlashCommandNamedArgument.fromProps({ name: 'to', description: t('slash.argTo'), typeList: [ARGUMENT_TYPE.NUMBER] }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'mode',
+                description: t('slash.argMode'),
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumList: ['event', 'fulltext'],
+                defaultValue: 'event',
+            }),
+        ],
+        helpString: t('slash.summarizeHelp'),
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'horae-recall',
+        callback: _slashCallback('horae-recall', async (args, query) => {
+            if (!settings.vectorEnabled || !vectorManager.isReady) {
+                showToast(t('slash.vectorNotReady'), 'warning');
+                return '';
+            }
+            const { recallText } = await vectorManager.recall(horaeManager, query, settings, { topK: args.top });
+            return recallText;
+        }),
+        returns: t('slash.recallReturns'),
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({ name: 'top', description: t('slash.argTop'), typeList: [ARGUMENT_TYPE.NUMBER] }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: t('slash.argQuery'),
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true,
+            }),
+        ],
+        helpString: t('slash.recallHelp'),
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'horae-scan',
+        callback: _slashCallback('horae-scan', async (args) => {
+            // 未带任何参数时沿用面板的配置弹窗；带参数则按参数直接扫描（缺省项取上次设置）
+            const hasConfig = ['tokens', 'npc', 'affection', 'scene', 'rel'].some(k => args[k] !== undefined);
+            const config = hasConfig ? {
+                tokenLimit: Math.max(10000, parseInt(args.tokens, 10) || 80000),
+                includeNpc: _parseSlashBool(args.npc, !!settings.aiScanIncludeNpc),
+                includeAffection: _parseSlashBool(args.affection, !!settings.aiScanIncludeAffection),
+                includeScene: _parseSlashBool(args.scene, !!settings.aiScanIncludeScene),
+                includeRelationship: _parseSlashBool(args.rel, !!settings.aiScanIncludeRelationship),
+            } : null;
+            return batchAIScan({ config, skipConfirm: hasConfig });
+        }),
+        returns: t('slash.scanReturns'),
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({ name: 'tokens', description: t('slash.argTokens'), typeList: [ARGUMENT_TYPE.NUMBER] }),
+            SlashCommandNamedArgument.fromProps({ name: 'npc', description: t('slash.argNpc'), typeList: [ARGUMENT_TYPE.BOOLEAN] }),
+            SlashCommandNamedArgument.fromProps({ name: 'affection', description: t('slash.argAffection'), typeList: [ARGUMENT_TYPE.BOOLEAN] }),
+            SlashCommandNamedArgument.fromProps({ name: 'scene', description: t('slash.argScene'), typeList: [ARGUMENT_TYPE.BOOLEAN] }),
+            SlashCommandNamedArgument.fromProps({ name: 'rel', description: t('slash.argRel'), typeList: [ARGUMENT_TYPE.BOOLEAN] }),
+        ],
+        helpString: t('slash.scanHelp'),
+    }));
+
+    console.log('[Horae] 斜杠命令已注册');
+}
+
+/** 注册第三方 <horae> 标签格式，并同步设置面板的格式下拉 */
+function apiRegisterTagFormat(definition) {
+    const dispose = registerTagFormat(definition);
+    _renderTagFormatOptions();
+    return () => {
+        const removed = dispose();
+        if (removed) _renderTagFormatOptions();
+        return removed;
+    };
+}
+
+function apiUnregisterTagFormat(id) {
+    const removed = unregisterTagFormat(id);
+    if (removed) _renderTagFormatOptions();
+    return removed;
+}
+
 function _publishHoraeApi() {
     const api = Object.freeze({
         version: VERSION,
@@ -1495,6 +2016,16 @@ function _publishHoraeApi() {
         getRpgState: (skipLast) => horaeManager.getRpgStateAt(skipLast),
         getEvents: (limit, filterLevel) => horaeManager.getEvents(limit, filterLevel),
         getChat: () => horaeManager.getChat(),
+        setCostume: apiSetCostume,
+        addItem: apiAddItem,
+        removeItem: apiRemoveItem,
+        addEvent: apiAddEvent,
+        setAffection: apiSetAffection,
+        adjustAffection: apiAdjustAffection,
+        setTableCell: apiSetTableCell,
+        registerTagFormat: apiRegisterTagFormat,
+        unregisterTagFormat: apiUnregisterTagFormat,
+        getTagFormats: listTagFormats,
         registerPort: registerHoraePort,
         unregisterPort: unregisterHoraePort,
         getPorts: () => [...horaePorts.values()].map(port => Object.freeze({
@@ -1509,6 +2040,7 @@ function _publishHoraeApi() {
         unregisterDataProvider: unregisterHoraeDataProvider,
         getDataProviderIds: () => [...horaeDataProviders.keys()],
         slots: [...HORAE_PORT_SLOTS],
+        events: [...HORAE_EVENT_TYPES],
     });
     window.Horae = api;
     return api;
@@ -1966,7 +2498,7 @@ function setUserAgenda(agenda) {
 
 /**
  * 获取所有待办事项（用户 + AI写入），统一格式返回
- * 每项: { text, date, source: 'user'|'ai', done, createdAt, _msgIndex? }
+ * 每项: { text, date, deadline, recurrence, source: 'user'|'ai', done, createdAt, _msgIndex? }
  */
 function getAllAgenda() {
     const all = [];
@@ -1978,6 +2510,8 @@ function getAllAgenda() {
         all.push({
             text: item.text,
             date: item.date || '',
+            deadline: item.deadline || '',
+            recurrence: item.recurrence || '',
             source: item.source || 'user',
             done: !!item.done,
             createdAt: item.createdAt || 0,
@@ -2000,6 +2534,8 @@ function getAllAgenda() {
                         all.push({
                             text: item.text,
                             date: item.date || '',
+                            deadline: item.deadline || '',
+                            recurrence: item.recurrence || '',
                             source: 'ai',
                             done: !!item.done,
                             createdAt: item.createdAt || 0,
@@ -2043,6 +2579,41 @@ function toggleAgendaDone(agendaItem, done) {
     }
 }
 
+/** getAllAgenda 返回的是副本，按存储位置找回原始对象 */
+function _findAgendaSource(agendaItem) {
+    if (agendaItem._store === 'user') {
+        return getUserAgenda().find(a => a.text === agendaItem.text) || null;
+    }
+    if (agendaItem._store === 'msg') {
+        const msg = getContext()?.chat?.[agendaItem._msgIndex];
+        return msg?.horae_meta?.agenda?.find(a => a.text === agendaItem.text) || null;
+    }
+    return null;
+}
+
+/**
+ * 剧情时间越过截止日期时提醒：同一截止日期只提醒一次，改过截止日期会重新提醒
+ * 只改内存，由调用方存盘
+ */
+function notifyOverdueAgenda() {
+    const state = horaeManager.getLatestState();
+    const fresh = [];
+    for (const item of getAllAgenda()) {
+        if (item.done) continue;
+        const info = horaeManager.getAgendaDueInfo(item, state.timestamp);
+        if (!info?.overdue) continue;
+        const source = _findAgendaSource(item);
+        if (!source || source._overdueNotified === info.deadline) continue;
+        source._overdueNotified = info.deadline;
+        fresh.push({ item, info });
+    }
+    if (fresh.length === 1) {
+        showToast(t('toast.agendaOverdue', { text: fresh[0].item.text, deadline: fresh[0].info.deadline }), 'warning');
+    } else if (fresh.length > 1) {
+        showToast(t('toast.agendaOverdueMany', { n: fresh.length }), 'warning');
+    }
+}
+
 /**
  * 删除指定的待办事项
  */
@@ -2208,6 +2779,30 @@ function updateStatusDisplay() {
         }
     }
 
+    // 群聊成员：各自的服装/情绪与最近一次发言
+    const membersSection = document.getElementById('horae-group-members-section');
+    if (membersSection) {
+        const members = horaeManager.getGroupMembers();
+        membersSection.style.display = members.length > 0 ? '' : 'none';
+        const listEl = document.getElementById('horae-group-members-list');
+        if (listEl && members.length > 0) {
+            listEl.innerHTML = members.map(name => {
+                const view = horaeManager.getGroupMemberState(name, 0, state);
+                const details = [view.costume, view.mood].filter(Boolean).map(escapeHtml).join(' · ');
+                const last = view.lastSpoke
+                    ? t('status.memberLastSpoke', { n: view.lastSpoke.messageIndex, location: escapeHtml(view.lastSpoke.location || '-') })
+                    : t('status.memberNotSpoken');
+                return `
+                    <div class="horae-group-member${view.present ? ' present' : ''}">
+                        <span class="horae-costume-char">${escapeHtml(name)}</span>
+                        <span class="horae-costume-desc">${details || '-'}</span>
+                        <span class="horae-group-member-last">${last}</span>
+                    </div>
+                `;
+            }).join('');
+        }
+    }
+
     // 更新物品快速列表
     const itemsEl = document.getElementById('horae-items-quick');
     if (itemsEl) {
@@ -2232,26 +2827,36 @@ function updateTimelineDisplay() {
     // 渲染前先确保所有 active 摘要在 events 中都有卡片（缺失就补回，不会 deactivate 摘要）
     try { cleanOrphanSummaries(); } catch (e) { console.warn('[Horae] projectSummaryCards before render failed:', e); }
 
+    if (_storyCalendarView.active) {
+        updateStoryCalendarDisplay();
+        return;
+    }
+
     const filterLevel = document.getElementById('horae-timeline-filter')?.value || 'all';
-    const searchKeyword = (document.getElementById('horae-timeline-search')?.value || '').trim().toLowerCase();
+    const search = _prepareTimelineSearch();
+    const searchKeyword = search.filters.keyword;
+    const threadFilter = _refreshTimelineThreadFilter();
     let events = horaeManager.getEvents(0, filterLevel);
     const listEl = document.getElementById('horae-timeline-list');
 
     if (!listEl) return;
 
-    // 关键字筛选
-    if (searchKeyword) {
-        events = events.filter(e => {
-            const summary = (e.event?.summary || '').toLowerCase();
-            const date = (e.timestamp?.story_date || '').toLowerCase();
-            const level = (e.event?.level || '').toLowerCase();
-            return summary.includes(searchKeyword) || date.includes(searchKeyword) || level.includes(searchKeyword);
-        });
+    // 关键字与高级筛选
+    if (search.active) {
+        events = events.filter(search.match);
+    }
+    if (threadFilter) {
+        events = events.filter(e => _timelineThreadMatches(e, threadFilter));
     }
 
     if (events.length === 0) {
-        const filterText = filterLevel === 'all' ? '' : t('ui.filterLevelOf', { level: filterLevel });
+        const filterText = [
+            filterLevel === 'all' ? '' : t('ui.filterLevelOf', { level: filterLevel }),
+            threadFilter ? t('ui.filterThreadOf', { thread: threadFilter === PLOT_THREAD_NONE ? t('timeline.threadNone') : threadFilter }) : '',
+            search.advanced ? t('ui.filterAdvancedOf') : '',
+        ].join('');
         const searchText = searchKeyword ? t('ui.searchContaining', { keyword: searchKeyword }) : '';
+        _updateTimelineSearchCount(search, 0);
         listEl.innerHTML = `
             <div class="horae-empty-state">
                 <i class="fa-regular fa-clock"></i>
@@ -2263,6 +2868,7 @@ function updateTimelineDisplay() {
 
     const state = horaeManager.getLatestState();
     const currentDate = state.timestamp?.story_date || getCurrentSystemTime().date;
+    const currentTime = state.timestamp?.story_date ? (state.timestamp.story_time || '') : '';
 
     // 更新多选按钮状态
     const msBtn = document.getElementById('horae-btn-timeline-multiselect');
@@ -2315,8 +2921,9 @@ function updateTimelineDisplay() {
             return '';
         }
 
-        // 已被压缩的事件：当对应摘要处于 active 状态时隐藏
-        if (compressedBy && activeSummaryIds.has(compressedBy)) {
+        // 已被压缩的事件：当对应摘要处于 active 状态时隐藏（高级搜索只看原始事件时照常列出）
+        const hiddenByCompress = compressedBy && activeSummaryIds.has(compressedBy);
+        if (hiddenByCompress && search.filters.kind !== 'original') {
             return '';
         }
         // 摘要事件：inactive 时渲染为折叠指示条（保留切换按钮）
@@ -2344,7 +2951,9 @@ function updateTimelineDisplay() {
 
         const result = calculateDetailedRelativeTime(
             e.timestamp?.story_date || '',
-            currentDate
+            currentDate,
+            e.timestamp?.story_time || '',
+            currentTime
         );
         const relTime = result.relative;
         const levelClass = isSummary ? 'summary' :
@@ -2354,7 +2963,7 @@ function updateTimelineDisplay() {
 
         const dateStr = e.timestamp?.story_date || '?';
         const parsed = parseStoryDate(dateStr);
-        const displayDate = (parsed && parsed.type === 'standard') ? formatStoryDate(parsed, true) : dateStr;
+        const displayDate = (parsed && (parsed.type === 'standard' || parsed.type === 'custom')) ? formatStoryDate(parsed, true) : dateStr;
 
         const eventKey = `${e.messageIndex}-${e.eventIndex || 0}`;
         const isSelected = selectedTimelineEvents.has(eventKey);
@@ -2363,7 +2972,7 @@ function updateTimelineDisplay() {
 
         // 被标记为已压缩但摘要为 inactive 的事件，显示虚线框
         const isRestoredFromCompress = compressedBy && !activeSummaryIds.has(compressedBy);
-        const compressedClass = isRestoredFromCompress ? 'horae-compressed-restored' : '';
+        const compressedClass = isRestoredFromCompress || hiddenByCompress ? 'horae-compressed-restored' : '';
 
         // 单条回顾事件：用独立 recap 样式，不显示日期/相对时间
         if (isCarryoverSeed) {
@@ -2376,7 +2985,7 @@ function updateTimelineDisplay() {
                 </div>
                 <div class="horae-timeline-summary-icon"><i class="fa-solid fa-book-open"></i></div>
                 <div class="horae-timeline-content">
-                    <div class="horae-timeline-summary">${recapBadge}${escapeHtml(summary)}</div>
+                    <div class="horae-timeline-summary">${recapBadge}${_highlightTimelineText(summary, search.terms)}</div>
                     <div class="horae-timeline-meta">${t('timeline.carryoverRecapHint')}</div>
                 </div>
                 <button class="horae-item-edit-btn" data-edit-type="event" data-message-id="${e.messageIndex}" data-event-index="${e.eventIndex || 0}" title="${t('common.edit')}" style="${timelineMultiSelectMode ? 'display:none' : ''}">
@@ -2388,7 +2997,7 @@ function updateTimelineDisplay() {
 
         if (isSummary) {
             const summaryContent = e.event?.summary || '';
-            const summaryDisplay = summaryContent || `<span class="horae-summary-hint">${t('tooltip.editSummary')}</span>`;
+            const summaryDisplay = summaryContent ? _highlightTimelineText(summaryContent, search.terms) : `<span class="horae-summary-hint">${t('tooltip.editSummary')}</span>`;
             const summaryEntry = summaryId ? summaries.find(s => s.id === summaryId) : null;
             const isActive = summaryEntry?.active;
             const rangeStr = summaryEntry ? `#${summaryEntry.range[0]}-#${summaryEntry.range[1]}` : '';
@@ -2399,6 +3008,9 @@ function updateTimelineDisplay() {
                     <button class="horae-summary-edit-btn" data-summary-id="${summaryId}" data-message-id="${e.messageIndex}" data-event-index="${e.eventIndex || 0}" title="${t('tooltip.editSummary')}">
                         <i class="fa-solid fa-pen"></i>
                     </button>
+                    <button class="horae-summary-history-btn" data-summary-id="${summaryId}" title="${t('tooltip.summaryHistory')}">
+                        <i class="fa-solid fa-clock-rotate-left"></i>
+                    </button>
                     <button class="horae-summary-toggle-btn" data-summary-id="${summaryId}" title="${isActive ? t('tooltip.expandToOriginal') : t('tooltip.toggleSummary')}">
                         <i class="fa-solid ${isActive ? 'fa-expand' : 'fa-compress'}"></i>
                     </button>
@@ -2426,6 +3038,10 @@ function updateTimelineDisplay() {
             `;
         }
 
+        const threadBadge = e.event?.thread
+            ? ` <span class="horae-thread-badge" title="${t('timeline.threadLabel')}"><i class="fa-solid fa-code-branch"></i> ${escapeHtml(e.event.thread)}</span>`
+            : '';
+
         const restoreBtn = isRestoredFromCompress ? `
                 <button class="horae-summary-toggle-btn horae-btn-inline-toggle" data-summary-id="${compressedBy}" title="${t('tooltip.toggleSummary')}">
                     <i class="fa-solid fa-compress"></i>
@@ -2441,8 +3057,8 @@ function updateTimelineDisplay() {
                     <div>${e.timestamp?.story_time || ''}</div>
                 </div>
                 <div class="horae-timeline-content">
-                    <div class="horae-timeline-summary">${levelBadge}${e.event?.summary || t('ui.noRecorded')}</div>
-                    <div class="horae-timeline-meta">${relTime} · ${t('ui.messageLabel', { id: e.messageIndex })}</div>
+                    <div class="horae-timeline-summary">${levelBadge}${e.event?.summary ? _highlightTimelineText(e.event.summary, search.terms) : t('ui.noRecorded')}</div>
+                    <div class="horae-timeline-meta">${relTime} · ${t('ui.messageLabel', { id: e.messageIndex })}${threadBadge}</div>
                 </div>
                 ${restoreBtn}
                 <button class="horae-item-edit-btn" data-edit-type="event" data-message-id="${e.messageIndex}" data-event-index="${e.eventIndex || 0}" title="${t('common.edit')}" style="${timelineMultiSelectMode ? 'display:none' : ''}">
@@ -2451,6 +3067,7 @@ function updateTimelineDisplay() {
             </div>
         `;
     }).join('') + recapBanner;
+    _updateTimelineSearchCount(search, listEl.querySelectorAll('.horae-timeline-item').length);
 
     // 旧对话回顾折叠 banner：点击切换折叠状态并持久化
     listEl.querySelectorAll('[data-action="toggle-recap"]').forEach(el => {
@@ -2509,6 +3126,12 @@ function updateTimelineDisplay() {
             deleteSummary(btn.dataset.summaryId);
         });
     });
+    listEl.querySelectorAll('.horae-summary-history-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            openSummaryHistoryModal(btn.dataset.summaryId);
+        });
+    });
     listEl.querySelectorAll('.horae-summary-edit-btn').forEach(btn => {
         btn.addEventListener('click', (e) => {
             e.stopPropagation();
@@ -2519,6 +3142,447 @@ function updateTimelineDisplay() {
     bindEditButtons();
 }
 
+// 线索筛选的「未归入线索」选项值，不会与规范化后的线索名冲突
+const PLOT_THREAD_NONE = '\u0000none';
+
+function _timelineThreadMatches(e, thread) {
+    if (thread === PLOT_THREAD_NONE) return !e.event?.thread;
+    return e.event?.thread === thread;
+}
+
+/** 按当前线索重建线索筛选下拉框，返回仍然有效的选中值（'' 为全部） */
+function _refreshTimelineThreadFilter() {
+    const select = document.getElementById('horae-timeline-thread-filter');
+    if (!select) return '';
+    const threads = horaeManager.getPlotThreads();
+    let value = select.value;
+    if (value && value !== PLOT_THREAD_NONE && !threads.some(th => th.name === value)) value = '';
+    select.innerHTML = [
+        `<option value="">${t('timeline.threadFilterAll')}</option>`,
+        `<option value="${PLOT_THREAD_NONE}">${t('timeline.threadNone')}</option>`,
+        ...threads.map(th => `<option value="${escapeHtml(th.name)}">${th.status === 'resolved' ? '✓ ' : ''}${escapeHtml(th.name)}</option>`),
+    ].join('');
+    select.value = value;
+    select.style.display = threads.length ? '' : 'none';
+    return threads.length ? value : '';
+}
+
+// ============================================
+// 时间线高级搜索（人物、地点、剧情日期范围、原始事件/摘要）
+// ============================================
+
+/** 从搜索框与高级筛选面板读取条件 */
+function _readTimelineSearchFilters() {
+    const val = (id) => (document.getElementById(id)?.value || '').trim();
+    return {
+        keyword: val('horae-timeline-search').toLowerCase(),
+        character: val('horae-timeline-search-character'),
+        location: val('horae-timeline-search-location').toLowerCase(),
+        dateFrom: val('horae-timeline-search-date-from'),
+        dateTo: val('horae-timeline-search-date-to'),
+        kind: val('horae-timeline-search-kind') || 'all',
+    };
+}
+
+/**
+ * 预先算好人物别名与日期范围，返回事件 / 摘要条目的匹配函数
+ * 人物：事件或摘要正文提到其名字或别名，或该楼层在场角色含此人
+ * 地点：正文提到，或该楼层场景地点包含所填文字
+ * 日期：楼层剧情日期落在范围内（摘要取其覆盖楼层中任意一层）；填了无法识别的日期时该端不生效
+ */
+function _prepareTimelineSearch(filters = _readTimelineSearchFilters()) {
+    const chat = horaeManager.getChat() || [];
+    const { keyword, character, location, kind } = filters;
+    const summaries = chat[0]?.horae_meta?.autoSummaries || [];
+
+    let names = null;
+    if (character) {
+        const lc = character.toLowerCase();
+        const npcs = horaeManager.getLatestState().npcs || {};
+        const found = Object.keys(npcs).find(n => n.toLowerCase() === lc || (npcs[n]?._aliases || []).some(a => a.toLowerCase() === lc));
+        const all = found ? [character, found, ...(npcs[found]._aliases || [])] : [character];
+        names = [...new Set(all.map(n => n.toLowerCase()))];
+    }
+
+    let from = null;
+    let to = null;
+    let msgDays = null;
+    const invalidDates = [];
+    if (filters.dateFrom || filters.dateTo) {
+        const storyDays = _computeMessageStoryDays(chat);
+        msgDays = storyDays.msgDays;
+        if (filters.dateFrom) {
+            from = getStoryDayNumber(filters.dateFrom, storyDays.defaultYear);
+            if (from === null) invalidDates.push('from');
+        }
+        if (filters.dateTo) {
+            to = getStoryDayNumber(filters.dateTo, storyDays.defaultYear);
+            if (to === null) invalidDates.push('to');
+        }
+    }
+    const hasRange = from !== null || to !== null;
+    const inRange = (i) => {
+        const dn = msgDays[i];
+        return dn !== null && dn !== undefined && (from === null || dn >= from) && (to === null || dn <= to);
+    };
+
+    const matchText = (text, indices) => {
+        const lc = text.toLowerCase();
+        if (keyword && !lc.includes(keyword)) return false;
+        if (names && !names.some(n => lc.includes(n)) && !indices.some(i =>
+            (chat[i]?.horae_meta?.scene?.characters_present || []).some(c => names.includes(String(c).toLowerCase())))) return false;
+        if (location && !lc.includes(location) && !indices.some(i =>
+            (chat[i]?.horae_meta?.scene?.location || '').toLowerCase().includes(location))) return false;
+        if (hasRange && !indices.some(inRange)) return false;
+        return true;
+    };
+    const rangeIndices = (entry) => {
+        const out = [];
+        for (let i = entry.range[0]; i <= entry.range[1] && i < chat.length; i++) out.push(i);
+        return out;
+    };
+
+    const matchSummary = (entry) => kind !== 'original'
+        && Array.isArray(entry?.range)
+        && matchText(entry.summaryText || '', rangeIndices(entry));
+
+    const match = (e) => {
+        const evt = e.event || {};
+        const isSummary = evt.isSummary || evt.level === '摘要';
+        if (kind === 'summary' && !isSummary) return false;
+        if (kind === 'original' && isSummary) return false;
+        const entry = isSummary && evt._summaryId ? summaries.find(s => s.id === evt._summaryId) : null;
+        if (entry) return matchSummary(entry);
+        // 关键字同时比对日期与等级，与原先的搜索框一致
+        const text = [evt.summary || '', e.timestamp?.story_date || '', evt.level || ''].join('\n');
+        return matchText(text, [e.messageIndex]);
+    };
+
+    const advanced = !!(character || location || filters.dateFrom || filters.dateTo || kind !== 'all');
+    const terms = [keyword, ...(names || []), location].filter(Boolean);
+    return { filters, active: advanced || !!keyword, advanced, invalidDates, terms, match, matchSummary };
+}
+
+/** 在原文里找命中的词，逐段转义后加 <mark>；先转义再匹配会把 &lt; 这类实体切开 */
+function _highlightTimelineText(text, terms) {
+    const raw = String(text || '');
+    if (!terms?.length) return escapeHtml(raw);
+    const pattern = terms
+        .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .sort((a, b) => b.length - a.length)
+        .join('|');
+    const re = new RegExp(pattern, 'gi');
+    let html = '';
+    let last = 0;
+    for (const m of raw.matchAll(re)) {
+        if (!m[0]) continue;
+        html += escapeHtml(raw.slice(last, m.index)) + `<mark class="horae-search-hit">${escapeHtml(m[0])}</mark>`;
+        last = m.index + m[0].length;
+    }
+    return html + escapeHtml(raw.slice(last));
+}
+
+/** 搜索栏右侧的结果数；count 为 null（日历视图）时只标出无法识别的日期 */
+function _updateTimelineSearchCount(search, count) {
+    const el = document.getElementById('horae-timeline-search-count');
+    if (el) {
+        el.textContent = search.active && count !== null ? t('timeline.searchResultCount', { n: count }) : '';
+        el.style.display = el.textContent ? '' : 'none';
+    }
+    for (const side of ['from', 'to']) {
+        document.getElementById(`horae-timeline-search-date-${side}`)
+            ?.classList.toggle('invalid', search.invalidDates.includes(side));
+    }
+    $('#horae-btn-timeline-advanced-search').toggleClass('has-filters', search.advanced);
+}
+
+/** 人物、地点输入框的候选项 */
+function _refreshTimelineSearchSuggestions() {
+    const state = horaeManager.getLatestState();
+    const chat = horaeManager.getChat() || [];
+    const names = new Set(Object.keys(state.npcs || {}));
+    const places = new Set(Object.keys(horaeManager.getLocationMemory() || {}));
+    for (const msg of chat) {
+        const scene = msg?.horae_meta?.scene;
+        if (scene?.location) places.add(scene.location);
+        for (const c of scene?.characters_present || []) names.add(c);
+    }
+    const options = (set) => [...set].sort().map(v => `<option value="${escapeHtml(v)}"></option>`).join('');
+    $('#horae-timeline-search-characters').html(options(names));
+    $('#horae-timeline-search-locations').html(options(places));
+}
+
+function toggleTimelineAdvancedSearch() {
+    const panel = document.getElementById('horae-timeline-advanced-search');
+    if (!panel) return;
+    const open = panel.style.display === 'none';
+    if (open) _refreshTimelineSearchSuggestions();
+    panel.style.display = open ? '' : 'none';
+    $('#horae-btn-timeline-advanced-search').toggleClass('active', open);
+}
+
+function clearTimelineSearch() {
+    $('#horae-timeline-search, #horae-timeline-search-character, #horae-timeline-search-location, #horae-timeline-search-date-from, #horae-timeline-search-date-to').val('');
+    $('#horae-timeline-search-kind').val('all');
+    updateTimelineDisplay();
+}
+
+/** 把当前列表里显示的搜索结果全部加入多选，之后可用多选栏批量压缩或删除 */
+function selectTimelineSearchResults() {
+    if (_storyCalendarView.active) toggleStoryCalendarView();
+    if (!timelineMultiSelectMode) {
+        timelineMultiSelectMode = true;
+        const bar = document.getElementById('horae-timeline-multiselect-bar');
+        if (bar) bar.style.display = 'flex';
+        updateTimelineDisplay();
+    }
+    const before = selectedTimelineEvents.size;
+    selectAllTimelineEvents();
+    showToast(t('toast.timelineResultsSelected', { n: selectedTimelineEvents.size - before }), 'info');
+}
+
+// ============================================
+// 剧情日历视图（时间线页的月/周视图）
+// ============================================
+
+// anchor 为当前页内任一日的日序号，null 时定位到当前剧情日期
+const _storyCalendarView = {
+    active: false,
+    mode: 'month',
+    anchor: null,
+    bound: false,
+};
+
+const STORY_CALENDAR_CHIP_LIMIT = 3;
+
+/**
+ * 各楼层的剧情日序号（无法定位的为 null）
+ * 没写年份的日期沿用之前最近一次出现的年份，都没有时用当前剧情年份
+ */
+function _computeMessageStoryDays(chat) {
+    const state = horaeManager.getLatestState();
+    const currentDate = state.timestamp?.story_date || '';
+    let defaultYear = getStoryYear(currentDate);
+    for (let i = chat.length - 1; defaultYear === null && i > 0; i--) {
+        defaultYear = getStoryYear(chat[i].horae_meta?.timestamp?.story_date || '');
+    }
+    const withYear = defaultYear !== null;
+    if (!withYear && !getActiveCustomCalendar()) defaultYear = new Date().getFullYear();
+
+    const msgDays = new Array(chat.length).fill(null);
+    const msgYears = new Array(chat.length).fill(defaultYear);
+    let runningYear = null;
+    for (let i = 0; i < chat.length; i++) {
+        const meta = chat[i].horae_meta;
+        const dateStr = meta?.timestamp?.story_date;
+        const year = dateStr ? getStoryYear(dateStr) : null;
+        if (year !== null) runningYear = year;
+        msgYears[i] = runningYear ?? defaultYear;
+        if (!dateStr || meta._skipHorae) continue;
+        msgDays[i] = getStoryDayNumber(dateStr, runningYear ?? defaultYear);
+    }
+    return { state, currentDate, defaultYear, withYear, msgDays, msgYears };
+}
+
+/** 按楼层时间戳把事件、摘要范围、待办放到日序号上；search 为 _prepareTimelineSearch() 的结果 */
+function _collectStoryCalendarData(filterLevel, search, thread = '') {
+    const chat = horaeManager.getChat() || [];
+    const { state, currentDate, defaultYear, withYear, msgDays, msgYears } = _computeMessageStoryDays(chat);
+    const { keyword, kind } = search.filters;
+    const days = new Map();
+    const dayOf = (dn) => {
+        if (!days.has(dn)) days.set(dn, { firstMessage: null, events: [], agenda: [] });
+        return days.get(dn);
+    };
+    for (let i = 0; i < chat.length; i++) {
+        if (msgDays[i] === null) continue;
+        const day = dayOf(msgDays[i]);
+        if (day.firstMessage === null) day.firstMessage = i;
+    }
+
+    let undated = 0;
+    for (const e of horaeManager.getEvents(0, filterLevel)) {
+        if (e.event?.isSummary || e.event?.level === '摘要' || e.event?._carryoverSeed) continue;
+        if (!search.match(e)) continue;
+        if (thread && !_timelineThreadMatches(e, thread)) continue;
+        const dn = msgDays[e.messageIndex];
+        if (dn === null) { undated++; continue; }
+        dayOf(dn).events.push(e);
+    }
+
+    const summaries = [];
+    // 摘要与待办不属于任何线索，按线索筛选时不显示
+    if (!thread && kind !== 'original' && (filterLevel === 'all' || filterLevel === '摘要')) {
+        for (const entry of chat[0]?.horae_meta?.autoSummaries || []) {
+            if (!Array.isArray(entry?.range)) continue;
+            if (!search.matchSummary(entry)) continue;
+            let from = null;
+            let to = null;
+            for (let i = entry.range[0]; i <= entry.range[1] && i < chat.length; i++) {
+                const dn = msgDays[i];
+                if (dn === null) continue;
+                if (from === null || dn < from) from = dn;
+                if (to === null || dn > to) to = dn;
+            }
+            if (from === null) { undated++; continue; }
+            summaries.push({ entry, from, to });
+        }
+    }
+
+    // 待办放在截止日（循环待办取下一次），没有截止日期的放在订立日
+    // 待办没有人物/地点/类型可比，启用这些高级筛选时不显示
+    const agenda = filterLevel === 'all' && !thread && !search.advanced ? getAllAgenda() : [];
+    agenda.forEach((item, index) => {
+        const due = horaeManager.getAgendaDueInfo(item, state.timestamp);
+        const dateStr = due?.date || item.date;
+        if (!dateStr) return;
+        if (keyword && !item.text.toLowerCase().includes(keyword)) return;
+        const year = item._store === 'msg' ? msgYears[item._msgIndex] : defaultYear;
+        const dn = getStoryDayNumber(dateStr, year);
+        if (dn === null) { undated++; return; }
+        dayOf(dn).agenda.push({ item, index, overdue: !!due?.overdue && !item.done });
+    });
+
+    let currentDay = getStoryDayNumber(currentDate, defaultYear);
+    if (currentDay === null) {
+        for (let i = chat.length - 1; i >= 0 && currentDay === null; i--) currentDay = msgDays[i];
+    }
+    return { days, summaries, agenda, undated, currentDay, withYear };
+}
+
+function _renderStoryCalendarCell(dn, dayNum, data, currentDay) {
+    const day = data.days.get(dn);
+    const summaries = data.summaries.filter(s => s.from <= dn && s.to >= dn);
+    const chips = [];
+    for (const { entry, from } of summaries) {
+        const text = (entry.summaryText || '').replace(/\s+/g, ' ').trim();
+        // 多日摘要只在起始日写范围，后续日子只画色条
+        const label = from === dn || dn === data.pageStart ? `#${entry.range[0]}-#${entry.range[1]}` : '';
+        chips.push(`<div class="horae-story-calendar-chip summary${entry.active ? '' : ' inactive'}" data-message-id="${entry.range[0]}" title="${escapeHtml(text.slice(0, 200))}"><i class="fa-solid fa-file-lines"></i> ${label}</div>`);
+    }
+    for (const e of day?.events || []) {
+        const level = e.event?.level;
+        const levelClass = (level === '关键' || level === '關鍵') ? 'critical' : level === '重要' ? 'important' : '';
+        const text = e.event?.summary || '';
+        chips.push(`<div class="horae-story-calendar-chip event ${levelClass}" data-message-id="${e.messageIndex}" title="#${e.messageIndex} ${escapeHtml(text)}">${escapeHtml(text)}</div>`);
+    }
+    for (const { item, index, overdue } of day?.agenda || []) {
+        const target = item._store === 'msg' ? `data-message-id="${item._msgIndex}"` : `data-agenda-idx="${index}"`;
+        chips.push(`<div class="horae-story-calendar-chip agenda${item.done ? ' done' : ''}${overdue ? ' overdue' : ''}" ${target} title="${escapeHtml(item.text)}"><i class="fa-solid fa-list-check"></i> ${escapeHtml(item.text)}</div>`);
+    }
+    const more = chips.length > STORY_CALENDAR_CHIP_LIMIT + 1
+        ? `<div class="horae-story-calendar-more">${t('calendar.more', { n: chips.length - STORY_CALENDAR_CHIP_LIMIT })}</div>`
+        : '';
+    const shown = more ? chips.slice(0, STORY_CALENDAR_CHIP_LIMIT) : chips;
+    const hasMessage = day?.firstMessage !== null && day?.firstMessage !== undefined;
+    const classes = ['horae-story-calendar-cell'];
+    if (hasMessage) classes.push('has-messages');
+    if (dn === currentDay) classes.push('current');
+    const title = hasMessage ? t('calendar.jumpTo', { id: day.firstMessage }) : '';
+    return `
+        <div class="${classes.join(' ')}" ${hasMessage ? `data-message-id="${day.firstMessage}"` : ''} title="${title}">
+            <div class="horae-story-calendar-daynum">${dayNum}</div>
+            ${shown.join('')}${more}
+        </div>`;
+}
+
+/** 渲染日历页：格子按日历列数排布，点格子跳到当日第一条楼层，点条目跳到其所在楼层 */
+function updateStoryCalendarDisplay() {
+    const wrap = document.getElementById('horae-timeline-calendar');
+    const grid = document.getElementById('horae-calendar-grid');
+    if (!wrap || !grid) return;
+    _bindStoryCalendarEvents();
+    const v = _storyCalendarView;
+    const filterLevel = document.getElementById('horae-timeline-filter')?.value || 'all';
+    const search = _prepareTimelineSearch();
+    _updateTimelineSearchCount(search, null);
+    const data = _collectStoryCalendarData(filterLevel, search, _refreshTimelineThreadFilter());
+    const titleEl = document.getElementById('horae-calendar-title');
+    const undatedEl = document.getElementById('horae-calendar-undated');
+
+    const anchor = v.anchor ?? data.currentDay;
+    const page = anchor === null ? null : getStoryCalendarPage(anchor, v.mode, data.withYear);
+    if (!page) {
+        if (titleEl) titleEl.textContent = '';
+        grid.style.gridTemplateColumns = '';
+        grid.innerHTML = `
+            <div class="horae-empty-state">
+                <i class="fa-regular fa-calendar"></i>
+                <span>${t('calendar.noDates')}</span>
+            </div>`;
+        if (undatedEl) undatedEl.textContent = '';
+        return;
+    }
+    v.anchor = anchor;
+    data.pageStart = page.start;
+    if (titleEl) titleEl.textContent = page.title ?? t('calendar.monthTitle', { month: page.month });
+
+    const cells = [];
+    for (const label of page.weekdays) {
+        cells.push(`<div class="horae-story-calendar-weekday">${escapeHtml(label)}</div>`);
+    }
+    for (let i = 0; i < page.leading; i++) cells.push('<div class="horae-story-calendar-cell empty"></div>');
+    for (const d of page.days) cells.push(_renderStoryCalendarCell(d.dayNumber, d.day, data, data.currentDay));
+    grid.style.gridTemplateColumns = `repeat(${page.columns}, minmax(0, 1fr))`;
+    grid.classList.toggle('week', v.mode === 'week');
+    grid.innerHTML = cells.join('');
+    grid.dataset.start = page.start;
+    grid.dataset.end = page.end;
+    if (undatedEl) undatedEl.textContent = data.undated ? t('calendar.undated', { n: data.undated }) : '';
+
+    grid.querySelectorAll('[data-message-id]').forEach(el => {
+        el.addEventListener('click', (ev) => {
+            ev.stopPropagation();
+            scrollToMessage(parseInt(el.dataset.messageId, 10));
+        });
+    });
+    grid.querySelectorAll('[data-agenda-idx]').forEach(el => {
+        el.addEventListener('click', (ev) => {
+            ev.stopPropagation();
+            const item = data.agenda[parseInt(el.dataset.agendaIdx, 10)];
+            if (item) openAgendaEditModal(item);
+        });
+    });
+}
+
+function _bindStoryCalendarEvents() {
+    const v = _storyCalendarView;
+    if (v.bound) return;
+    v.bound = true;
+    const turn = (dir) => {
+        const grid = document.getElementById('horae-calendar-grid');
+        const start = parseInt(grid?.dataset.start, 10);
+        const end = parseInt(grid?.dataset.end, 10);
+        if (!Number.isFinite(start) || !Number.isFinite(end)) return;
+        v.anchor = dir < 0 ? start - 1 : end + 1;
+        updateStoryCalendarDisplay();
+    };
+    $('#horae-calendar-prev').on('click', () => turn(-1));
+    $('#horae-calendar-next').on('click', () => turn(1));
+    $('#horae-calendar-current').on('click', () => {
+        v.anchor = null;
+        updateStoryCalendarDisplay();
+    });
+    $('#horae-calendar-mode').on('change', function () {
+        v.mode = this.value === 'week' ? 'week' : 'month';
+        updateStoryCalendarDisplay();
+    });
+}
+
+/** 切换时间线的列表/日历视图 */
+function toggleStoryCalendarView() {
+    const v = _storyCalendarView;
+    v.active = !v.active;
+    v.anchor = null;
+    $('#horae-btn-timeline-calendar').toggleClass('active', v.active)
+        .attr('title', t(v.active ? 'tooltip.timelineListView' : 'tooltip.timelineCalendarView'));
+    $('#horae-timeline-calendar').toggle(v.active);
+    $('#horae-timeline-list').toggle(!v.active);
+    if (v.active && timelineMultiSelectMode) exitTimelineMultiSelect();
+    $('#horae-btn-timeline-multiselect').prop('disabled', v.active);
+    updateTimelineDisplay();
+}
+
 /** 批量隐藏/显示聊天消息楼层（调用酒馆原生 /hide /unhide） */
 async function setMessagesHidden(chat, indices, hidden) {
     if (!indices?.length) return;
@@ -2843,68 +3907,505 @@ async function deleteSummary(summaryId) {
     showToast(t('toast.saveSuccess'), 'success');
 }
 
-/** 打开摘要编辑弹窗，允许用户手动修改摘要内容 */
-function openSummaryEditModal(summaryId, messageId, eventIndex) {
-    closeEditModal();
-    const chat = horaeManager.getChat();
-    const firstMeta = chat?.[0]?.horae_meta;
-    const summaryEntry = firstMeta?.autoSummaries?.find(s => s.id === summaryId);
-    const meta = chat[messageId]?.horae_meta;
-    const evtsArr = meta?.events || [];
-    const evt = evtsArr[eventIndex];
-    if (!evt) { showToast(t('toast.summaryNotFound'), 'error'); return; }
-    // 优先读 autoSummaries.summaryText（持久化的真源），回退到 events 卡片上的 summary
-    const currentText = (summaryEntry && typeof summaryEntry.summaryText === 'string' && summaryEntry.summaryText)
-        ? summaryEntry.summaryText
-        : (evt.summary || '');
+/** 打开摘要编辑弹窗，允许用户手动修改摘要内容 */
+function openSummaryEditModal(summaryId, messageId, eventIndex) {
+    closeEditModal();
+    const chat = horaeManager.getChat();
+    const firstMeta = chat?.[0]?.horae_meta;
+    const summaryEntry = firstMeta?.autoSummaries?.find(s => s.id === summaryId);
+    const meta = chat[messageId]?.horae_meta;
+    const evtsArr = meta?.events || [];
+    const evt = evtsArr[eventIndex];
+    if (!evt) { showToast(t('toast.summaryNotFound'), 'error'); return; }
+    // 优先读 autoSummaries.summaryText（持久化的真源），回退到 events 卡片上的 summary
+    const currentText = (summaryEntry && typeof summaryEntry.summaryText === 'string' && summaryEntry.summaryText)
+        ? summaryEntry.summaryText
+        : (evt.summary || '');
+
+    const modalHtml = `
+        <div id="horae-edit-modal" class="horae-modal${isLightMode() ? ' horae-light' : ''}">
+            <div class="horae-modal-content">
+                <div class="horae-modal-header">
+                    <i class="fa-solid fa-pen"></i> ${t('ui.editSummary')}
+                </div>
+                <div class="horae-modal-body horae-edit-modal-body">
+                    <div class="horae-edit-field">
+                        <label>${t('ui.summaryContent')}</label>
+                        <textarea id="horae-summary-edit-text" rows="10" style="width:100%;min-height:180px;font-size:13px;line-height:1.6;">${escapeHtml(currentText)}</textarea>
+                    </div>
+                </div>
+                <div class="horae-modal-footer">
+                    ${summaryEntry ? `<button id="horae-summary-edit-history" class="horae-btn">
+                        <i class="fa-solid fa-clock-rotate-left"></i> ${t('summaryHistory.title')}
+                    </button>` : ''}
+                    <button id="horae-summary-edit-save" class="horae-btn primary">
+                        <i class="fa-solid fa-check"></i> ${t('common.save')}
+                    </button>
+                    <button id="horae-summary-edit-cancel" class="horae-btn">
+                        <i class="fa-solid fa-xmark"></i> ${t('common.cancel')}
+                    </button>
+                </div>
+            </div>
+        </div>
+    `;
+    document.body.insertAdjacentHTML('beforeend', modalHtml);
+    preventModalBubble();
+
+    document.getElementById('horae-edit-modal').addEventListener('click', (e) => {
+        if (e.target.id === 'horae-edit-modal') closeEditModal();
+    });
+
+    document.getElementById('horae-summary-edit-save').addEventListener('click', async (e) => {
+        e.stopPropagation();
+        const newText = document.getElementById('horae-summary-edit-text').value.trim();
+        if (!newText) { showToast(t('toast.summaryEmpty'), 'warning'); return; }
+        // autoSummaries.summaryText 是真源，永远写入；events 卡片是投影，存在则同步
+        // 改动过的文本另存为一个用户版本，旧版本留在历史里可恢复
+        if (summaryEntry && newText !== currentText) addSummaryVersion(summaryEntry, newText, 'user');
+        else if (summaryEntry) summaryEntry.summaryText = newText;
+        evt.summary = newText;
+        if (typeof messageId === 'number' && messageId > 0) {
+            try { injectHoraeTagToMessage(messageId, meta); } catch (e2) { /* ignore */ }
+        }
+        await getContext().saveChat();
+        closeEditModal();
+        updateTimelineDisplay();
+        showToast(t('toast.saveSuccess'), 'success');
+    });
+
+    document.getElementById('horae-summary-edit-history')?.addEventListener('click', (e) => {
+        e.stopPropagation();
+        closeEditModal();
+        openSummaryHistoryModal(summaryId);
+    });
+
+    document.getElementById('horae-summary-edit-cancel').addEventListener('click', () => closeEditModal());
+}
+
+/** 把摘要记录的当前文本同步到对应的 events 摘要卡片 */
+function _syncSummaryCards(chat, entry) {
+    if (!entry?.id) return;
+    for (let i = 0; i < chat.length; i++) {
+        const meta = chat[i]?.horae_meta;
+        if (!Array.isArray(meta?.events)) continue;
+        let touched = false;
+        for (const evt of meta.events) {
+            if (evt?._summaryId === entry.id && evt.summary !== entry.summaryText) {
+                evt.summary = entry.summaryText;
+                touched = true;
+            }
+        }
+        if (touched && i > 0) {
+            try { injectHoraeTagToMessage(i, meta); } catch (e) { /* ignore */ }
+        }
+    }
+}
+
+/**
+ * 重新生成摘要的素材：优先用压缩时保存的原始事件，二次总结用被合并的子摘要，
+ * 手动插入的摘要没有存档时退回范围内楼层的现有事件；全文取覆盖楼层的正文
+ */
+function _collectSummaryRegenerateSource(chat, entry) {
+    const lines = [];
+    if (Array.isArray(entry.originalEvents) && entry.originalEvents.length) {
+        for (const oe of entry.originalEvents) {
+            const evt = oe?.event;
+            if (!evt?.summary) continue;
+            const d = oe.timestamp?.story_date || '';
+            const tm = oe.timestamp?.story_time || '';
+            lines.push(`[${evt.level || '一般'}] ${d}${tm ? ' ' + tm : ''}: ${evt.summary}`);
+        }
+    } else if (Array.isArray(entry.mergedSummaries) && entry.mergedSummaries.length) {
+        entry.mergedSummaries.forEach((child, i) => {
+            if (child?.summaryText) lines.push(`[段${i + 1}] ${child.summaryText}`);
+        });
+    }
+    const range = _getSummaryEntryRange(entry);
+    const indices = Array.isArray(entry.coveredIndices) && entry.coveredIndices.length
+        ? [...entry.coveredIndices].sort((a, b) => a - b)
+        : (range ? Array.from({ length: range[1] - range[0] + 1 }, (_, k) => range[0] + k) : []);
+    if (!lines.length) {
+        for (const idx of indices) {
+            const meta = chat[idx]?.horae_meta;
+            for (const evt of meta?.events || []) {
+                if (!evt?.summary || evt.isSummary || evt._summaryId) continue;
+                const d = meta.timestamp?.story_date || '';
+                const tm = meta.timestamp?.story_time || '';
+                lines.push(`[${evt.level || '一般'}] ${d}${tm ? ' ' + tm : ''}: ${evt.summary}`);
+            }
+        }
+    }
+    const fullText = indices
+        .filter(idx => idx > 0 && chat[idx]?.mes)
+        .map(idx => {
+            const ts = chat[idx].horae_meta?.timestamp;
+            const d = ts?.story_date || '';
+            const tm = ts?.story_time || '';
+            return `【#${idx}${d ? ' ' + d : ''}${tm ? ' ' + tm : ''}】\n${_stripHoraeAnalysisInput(chat[idx].mes)}`;
+        })
+        .join('\n\n');
+    return { eventText: lines.join('\n'), count: lines.length, fullText };
+}
+
+/** 二次总结（depth≥2）默认用二次总结模板，其余用自动摘要模板 */
+function _getSummaryRegenerateTemplate(entry) {
+    return _normalizeSummaryDepth(entry?.depth) >= 2
+        ? (settings.customAutoResummaryPrompt || getDefaultAutoResummaryPrompt())
+        : (settings.customAutoSummaryPrompt || getDefaultAutoSummaryPrompt());
+}
+
+/**
+ * 用指定模板重新生成一条摘要，结果作为 regenerated 版本加入历史（不切换当前版本）
+ * @returns {Promise<number>} 新版本下标，失败返回 -1
+ */
+async function regenerateSummaryVersion(summaryId, template, { includeFullText = false } = {}) {
+    const chat = horaeManager.getChat();
+    const entry = chat?.[0]?.horae_meta?.autoSummaries?.find(s => s.id === summaryId);
+    if (!entry) { showToast(t('toast.summaryNotFound'), 'error'); return -1; }
+    const source = _collectSummaryRegenerateSource(chat, entry);
+    if (!source.eventText && !source.fullText) {
+        showToast(t('summaryHistory.noSource'), 'warning');
+        return -1;
+    }
+    const userName = getContext()?.name1 || t('ui.protagonist');
+    const useFullText = includeFullText && !!source.fullText;
+    const baseTemplate = template || _getSummaryRegenerateTemplate(entry);
+    let prompt = baseTemplate
+        .replace(/\{\{events\}\}/gi, () => source.eventText)
+        .replace(/\{\{fulltext\}\}/gi, () => useFullText ? source.fullText : '')
+        .replace(/\{\{count\}\}/gi, String(source.count))
+        .replace(/\{\{user\}\}/gi, () => userName);
+    if (useFullText && !/\{\{fulltext\}\}/i.test(baseTemplate)) {
+        prompt += `\n\n【全文对话记录】：\n${source.fullText}`;
+    }
+
+    const response = await generateForSummary(prompt);
+    const extracted = _extractHoraeSummaryText(response);
+    let text = extracted.text;
+    // 自写的提示词可能没要求 <horaesummary> 标签，整段缺标签时直接取清理后的回复
+    if (!extracted.ok && extracted.reason === 'format_missing') text = _cleanSummaryText(response);
+    if (!text) {
+        if (extracted.reason === 'truncated' || extracted.reason === 'format_unclosed') {
+            _showHoraeSummaryFormatWarning('重新生成', extracted.reason);
+        } else {
+            showToast(t('toast.autoSummaryCleanedEmpty'), 'warning');
+        }
+        return -1;
+    }
+    // 等待期间摘要可能被删除或替换
+    const live = horaeManager.getChat()?.[0]?.horae_meta?.autoSummaries?.find(s => s.id === summaryId);
+    if (live !== entry) return -1;
+    const index = addSummaryVersion(entry, text, 'regenerated', { activate: false });
+    await getContext().saveChat();
+    return index;
+}
+
+function _renderSummaryDiffPane(parts, side) {
+    const skip = side === 'left' ? 'add' : 'del';
+    const cls = side === 'left' ? 'horae-diff-del' : 'horae-diff-add';
+    return parts
+        .filter(p => p.type !== skip)
+        .map(p => p.type === 'same' ? escapeHtml(p.text) : `<span class="${cls}">${escapeHtml(p.text)}</span>`)
+        .join('');
+}
+
+/** 摘要版本历史：左右对比任意两个版本，可恢复或用其它提示词重新生成 */
+function openSummaryHistoryModal(summaryId) {
+    const chat = horaeManager.getChat();
+    const entry = chat?.[0]?.horae_meta?.autoSummaries?.find(s => s.id === summaryId);
+    if (!entry) { showToast(t('toast.summaryNotFound'), 'error'); return; }
+    ensureSummaryVersions(entry);
+
+    const range = _getSummaryEntryRange(entry);
+    const modal = document.createElement('div');
+    modal.className = 'horae-modal' + (isLightMode() ? ' horae-light' : '');
+    modal.innerHTML = `
+        <div class="horae-modal-content horae-summary-history" style="max-width: 760px;">
+            <div class="horae-modal-header">
+                <i class="fa-solid fa-clock-rotate-left"></i> ${t('summaryHistory.title')}
+                ${range ? `<span class="horae-summary-history-range">#${range[0]}-#${range[1]}</span>` : ''}
+            </div>
+            <div class="horae-modal-body">
+                <div class="horae-summary-history-compare">
+                    <div class="horae-summary-history-col">
+                        <select class="horae-select" id="horae-summary-history-left"></select>
+                        <div class="horae-summary-history-text" id="horae-summary-history-left-text"></div>
+                    </div>
+                    <div class="horae-summary-history-col">
+                        <select class="horae-select" id="horae-summary-history-right"></select>
+                        <div class="horae-summary-history-text" id="horae-summary-history-right-text"></div>
+                    </div>
+                </div>
+                <div class="horae-summary-history-actions">
+                    <button class="horae-btn" id="horae-summary-history-restore-left">
+                        <i class="fa-solid fa-rotate-left"></i> ${t('summaryHistory.useLeft')}
+                    </button>
+                    <button class="horae-btn" id="horae-summary-history-restore-right">
+                        <i class="fa-solid fa-rotate-left"></i> ${t('summaryHistory.useRight')}
+                    </button>
+                </div>
+                <details class="horae-summary-regenerate">
+                    <summary><i class="fa-solid fa-wand-magic-sparkles"></i> ${t('summaryHistory.regenerate')}</summary>
+                    <p class="horae-summary-history-hint">${t('summaryHistory.regenerateHint')}</p>
+                    <textarea id="horae-summary-regenerate-prompt" rows="8"></textarea>
+                    <div class="horae-summary-regenerate-row">
+                        <label class="horae-summary-regenerate-check">
+                            <input type="checkbox" id="horae-summary-regenerate-fulltext" ${_getAutoSummarySourceMode() === 'fulltext' ? 'checked' : ''}> ${t('summaryHistory.includeFullText')}
+                        </label>
+                        <button class="horae-btn" id="horae-summary-regenerate-reset">
+                            <i class="fa-solid fa-arrow-rotate-left"></i> ${t('summaryHistory.resetPrompt')}
+                        </button>
+                        <button class="horae-btn primary" id="horae-summary-regenerate-run">
+                            <i class="fa-solid fa-wand-magic-sparkles"></i> ${t('summaryHistory.runRegenerate')}
+                        </button>
+                    </div>
+                </details>
+            </div>
+            <div class="horae-modal-footer">
+                <button class="horae-btn" id="horae-summary-history-close">
+                    <i class="fa-solid fa-xmark"></i> ${t('common.close')}
+                </button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+    preventModalBubble(modal);
+
+    const leftSel = modal.querySelector('#horae-summary-history-left');
+    const rightSel = modal.querySelector('#horae-summary-history-right');
+    const promptEl = modal.querySelector('#horae-summary-regenerate-prompt');
+    promptEl.value = _getSummaryRegenerateTemplate(entry);
+
+    const fillOptions = (leftIdx, rightIdx) => {
+        const options = entry.versions.map((v, i) => {
+            const when = v.createdAt ? new Date(v.createdAt).toLocaleString() : '';
+            const current = i === entry.currentVersion ? ` · ${t('summaryHistory.current')}` : '';
+            return `<option value="${i}">v${i + 1} · ${t(`summaryHistory.source_${v.source}`)}${when ? ` · ${escapeHtml(when)}` : ''}${current}</option>`;
+        }).join('');
+        leftSel.innerHTML = options;
+        rightSel.innerHTML = options;
+        leftSel.value = String(leftIdx);
+        rightSel.value = String(rightIdx);
+    };
+    const render = () => {
+        const left = entry.versions[parseInt(leftSel.value, 10)];
+        const right = entry.versions[parseInt(rightSel.value, 10)];
+        const parts = diffSummaryText(left?.text || '', right?.text || '');
+        modal.querySelector('#horae-summary-history-left-text').innerHTML = _renderSummaryDiffPane(parts, 'left');
+        modal.querySelector('#horae-summary-history-right-text').innerHTML = _renderSummaryDiffPane(parts, 'right');
+        modal.querySelector('#horae-summary-history-restore-left').disabled = parseInt(leftSel.value, 10) === entry.currentVersion;
+        modal.querySelector('#horae-summary-history-restore-right').disabled = parseInt(rightSel.value, 10) === entry.currentVersion;
+    };
+    // 默认左边是当前版本，右边是最新的另一个版本
+    const latestOther = entry.versions.length - 1 === entry.currentVersion
+        ? Math.max(0, entry.currentVersion - 1)
+        : entry.versions.length - 1;
+    fillOptions(entry.currentVersion, latestOther);
+    render();
+
+    leftSel.addEventListener('change', render);
+    rightSel.addEventListener('change', render);
+
+    const restore = async (sel) => {
+        const idx = parseInt(sel.value, 10);
+        if (!restoreSummaryVersion(entry, idx)) return;
+        _syncSummaryCards(chat, entry);
+        await getContext().saveChat();
+        updateTimelineDisplay();
+        fillOptions(parseInt(leftSel.value, 10), parseInt(rightSel.value, 10));
+        render();
+        showToast(t('summaryHistory.restored', { n: idx + 1 }), 'success');
+    };
+    modal.querySelector('#horae-summary-history-restore-left').addEventListener('click', () => restore(leftSel));
+    modal.querySelector('#horae-summary-history-restore-right').addEventListener('click', () => restore(rightSel));
+
+    modal.querySelector('#horae-summary-regenerate-reset').addEventListener('click', () => {
+        promptEl.value = _getSummaryRegenerateTemplate(entry);
+    });
+    const runBtn = modal.querySelector('#horae-summary-regenerate-run');
+    runBtn.addEventListener('click', async () => {
+        const template = promptEl.value.trim();
+        if (!template) { showToast(t('toast.enterContent'), 'warning'); return; }
+        runBtn.disabled = true;
+        showToast(t('summaryHistory.regenerating'), 'info');
+        try {
+            const idx = await regenerateSummaryVersion(summaryId, template, {
+                includeFullText: modal.querySelector('#horae-summary-regenerate-fulltext').checked,
+            });
+            if (idx < 0 || !modal.isConnected) return;
+            fillOptions(entry.currentVersion, idx);
+            render();
+            showToast(t('summaryHistory.regenerated', { n: idx + 1 }), 'success');
+        } catch (err) {
+            console.error('[Horae] 摘要重新生成失败:', err);
+            showToast(t('toast.autoSummaryFailed', { error: err.message || err }), 'error');
+        } finally {
+            runBtn.disabled = false;
+        }
+    });
+
+    modal.querySelector('#horae-summary-history-close').addEventListener('click', () => modal.remove());
+}
+
+// 原始事件在树中的去重键
+function _summaryTreeEventKey(item) {
+    return `${item?.msgIdx}|${item?.evtIdx}|${item?.event?.summary || ''}`;
+}
+
+/**
+ * 把摘要记录展开成树节点：子节点是被它合并的下层摘要（mergedSummaries），
+ * 原始事件只列出没被任何子摘要覆盖的部分，避免同一事件在每一层重复出现
+ */
+function _buildSummaryTreeNode(entry, isRoot) {
+    const children = (Array.isArray(entry?.mergedSummaries) ? entry.mergedSummaries : [])
+        .filter(child => child?.id)
+        .map(child => _buildSummaryTreeNode(child, false))
+        .sort((a, b) => (a.range?.[0] ?? 0) - (b.range?.[0] ?? 0));
+    const childKeys = new Set();
+    const collectKeys = (node) => {
+        for (const item of node.entry.originalEvents || []) childKeys.add(_summaryTreeEventKey(item));
+        node.children.forEach(collectKeys);
+    };
+    children.forEach(collectKeys);
+    const events = (entry?.originalEvents || [])
+        .filter(item => item?.event?.summary && !item.event.isSummary && !item.event._summaryId && !childKeys.has(_summaryTreeEventKey(item)))
+        .sort((a, b) => a.msgIdx - b.msgIdx || a.evtIdx - b.evtIdx);
+    const text = entry?.summaryText || '';
+    return {
+        id: entry.id,
+        entry,
+        isRoot,
+        depth: _normalizeSummaryDepth(entry.depth),
+        range: _getSummaryEntryRange(entry),
+        tokens: estimateTokens(text),
+        text,
+        children,
+        events,
+    };
+}
+
+function _renderSummaryTreeNode(node, expanded) {
+    const open = expanded.has(node.id);
+    const hasBody = !!(node.children.length || node.events.length || node.text);
+    const state = !node.isRoot ? 'merged' : (node.entry.active !== false ? 'active' : 'inactive');
+    const rangeStr = node.range ? `#${node.range[0]}-#${node.range[1]}` : '';
+    const preview = node.text.replace(/\s+/g, ' ').trim();
+    const actions = node.isRoot ? `
+        <button class="horae-icon-btn horae-summary-tree-toggle" data-summary-id="${escapeHtml(node.id)}" title="${node.entry.active !== false ? t('tooltip.expandToOriginal') : t('tooltip.toggleSummary')}">
+            <i class="fa-solid ${node.entry.active !== false ? 'fa-expand' : 'fa-compress'}"></i>
+        </button>
+        <button class="horae-icon-btn horae-summary-tree-restore" data-summary-id="${escapeHtml(node.id)}" title="${node.children.length ? t('summaryTree.unmergeTitle') : t('tooltip.deleteSummary')}">
+            <i class="fa-solid ${node.children.length ? 'fa-layer-group' : 'fa-trash-can'}"></i>
+        </button>` : '';
+    const body = open ? `
+        <div class="horae-summary-tree-body">
+            ${node.text ? `<div class="horae-summary-tree-text">${escapeHtml(node.text)}</div>` : ''}
+            ${node.children.map(child => _renderSummaryTreeNode(child, expanded)).join('')}
+            ${node.events.length ? `
+            <div class="horae-summary-tree-events">
+                <div class="horae-summary-tree-events-label">${t('summaryTree.originalEvents', { n: node.events.length })}</div>
+                ${node.events.map(item => `
+                <div class="horae-summary-tree-event">
+                    <a class="horae-summary-tree-jump" data-message-id="${item.msgIdx}">#${item.msgIdx}</a>
+                    ${item.event.level ? `<span class="horae-level-badge">${escapeHtml(item.event.level)}</span>` : ''}
+                    <span>${escapeHtml(item.event.summary)}</span>
+                </div>`).join('')}
+            </div>` : ''}
+        </div>` : '';
+    return `
+        <div class="horae-summary-tree-node ${state}" data-summary-id="${escapeHtml(node.id)}">
+            <div class="horae-summary-tree-head">
+                <span class="horae-summary-tree-caret">${hasBody ? `<i class="fa-solid ${open ? 'fa-caret-down' : 'fa-caret-right'}"></i>` : ''}</span>
+                <span class="horae-level-badge summary">L${node.depth}</span>
+                <span class="horae-summary-tree-range">${rangeStr}</span>
+                <span class="horae-summary-tree-tokens">${t('summaryTree.tokens', { n: node.tokens })}</span>
+                <span class="horae-summary-tree-state ${state}">${t(`summaryTree.state_${state}`)}</span>
+                ${!open && preview ? `<span class="horae-summary-tree-preview">${escapeHtml(preview)}</span>` : ''}
+                <span class="horae-summary-tree-actions">${actions}</span>
+            </div>
+            ${body}
+        </div>`;
+}
 
-    const modalHtml = `
-        <div id="horae-edit-modal" class="horae-modal${isLightMode() ? ' horae-light' : ''}">
-            <div class="horae-modal-content">
-                <div class="horae-modal-header">
-                    <i class="fa-solid fa-pen"></i> ${t('ui.editSummary')}
-                </div>
-                <div class="horae-modal-body horae-edit-modal-body">
-                    <div class="horae-edit-field">
-                        <label>${t('ui.summaryContent')}</label>
-                        <textarea id="horae-summary-edit-text" rows="10" style="width:100%;min-height:180px;font-size:13px;line-height:1.6;">${escapeHtml(currentText)}</textarea>
-                    </div>
-                </div>
-                <div class="horae-modal-footer">
-                    <button id="horae-summary-edit-save" class="horae-btn primary">
-                        <i class="fa-solid fa-check"></i> ${t('common.save')}
-                    </button>
-                    <button id="horae-summary-edit-cancel" class="horae-btn">
-                        <i class="fa-solid fa-xmark"></i> ${t('common.cancel')}
-                    </button>
-                </div>
+/** 摘要层级树：按范围列出顶层摘要，逐层展开被合并的下层摘要与原始事件，可就地切换或拆回 */
+function openSummaryTreeModal() {
+    const modal = document.createElement('div');
+    modal.className = 'horae-modal' + (isLightMode() ? ' horae-light' : '');
+    modal.innerHTML = `
+        <div class="horae-modal-content horae-summary-tree" style="max-width: 680px;">
+            <div class="horae-modal-header">
+                <i class="fa-solid fa-sitemap"></i> ${t('summaryTree.title')}
+            </div>
+            <div class="horae-modal-body">
+                <div class="horae-summary-tree-stats" id="horae-summary-tree-stats"></div>
+                <div id="horae-summary-tree-list"></div>
+            </div>
+            <div class="horae-modal-footer">
+                <button class="horae-btn" id="horae-summary-tree-close">
+                    <i class="fa-solid fa-xmark"></i> ${t('common.close')}
+                </button>
             </div>
         </div>
     `;
-    document.body.insertAdjacentHTML('beforeend', modalHtml);
-    preventModalBubble();
+    document.body.appendChild(modal);
+    preventModalBubble(modal);
 
-    document.getElementById('horae-edit-modal').addEventListener('click', (e) => {
-        if (e.target.id === 'horae-edit-modal') closeEditModal();
-    });
+    const expanded = new Set();
+    const listEl = modal.querySelector('#horae-summary-tree-list');
+    const render = () => {
+        const chat = horaeManager.getChat();
+        const roots = (chat?.[0]?.horae_meta?.autoSummaries || [])
+            .filter(s => s?.id)
+            .map(s => _buildSummaryTreeNode(s, true))
+            .sort((a, b) => (a.range?.[0] ?? 0) - (b.range?.[0] ?? 0));
+        const activeTokens = roots.filter(n => n.entry.active !== false).reduce((sum, n) => sum + n.tokens, 0);
+        const maxDepth = roots.reduce((m, n) => Math.max(m, n.depth), 0);
+        modal.querySelector('#horae-summary-tree-stats').textContent = roots.length
+            ? t('summaryTree.stats', { count: roots.length, depth: maxDepth, tokens: activeTokens })
+            : '';
+        listEl.innerHTML = roots.length
+            ? roots.map(node => _renderSummaryTreeNode(node, expanded)).join('')
+            : `<div class="horae-empty-state"><span>${t('summaryTree.empty')}</span></div>`;
+    };
+    render();
 
-    document.getElementById('horae-summary-edit-save').addEventListener('click', async (e) => {
-        e.stopPropagation();
-        const newText = document.getElementById('horae-summary-edit-text').value.trim();
-        if (!newText) { showToast(t('toast.summaryEmpty'), 'warning'); return; }
-        // autoSummaries.summaryText 是真源，永远写入；events 卡片是投影，存在则同步
-        if (summaryEntry) summaryEntry.summaryText = newText;
-        evt.summary = newText;
-        if (typeof messageId === 'number' && messageId > 0) {
-            try { injectHoraeTagToMessage(messageId, meta); } catch (e2) { /* ignore */ }
+    listEl.addEventListener('click', async (e) => {
+        const jump = e.target.closest('.horae-summary-tree-jump');
+        if (jump) {
+            modal.remove();
+            scrollToMessage(parseInt(jump.dataset.messageId, 10));
+            return;
+        }
+        const toggleBtn = e.target.closest('.horae-summary-tree-toggle');
+        if (toggleBtn) {
+            await toggleSummaryActive(toggleBtn.dataset.summaryId);
+            render();
+            return;
+        }
+        const restoreBtn = e.target.closest('.horae-summary-tree-restore');
+        if (restoreBtn) {
+            const id = restoreBtn.dataset.summaryId;
+            const isParent = restoreBtn.querySelector('.fa-layer-group');
+            if (!confirm(isParent ? t('summaryTree.confirmUnmerge') : t('confirm.deleteSummary'))) return;
+            const chat = horaeManager.getChat();
+            const { restoredChildren } = await _removeSummaryAndRestoreHierarchy(chat, id);
+            expanded.delete(id);
+            await getContext().saveChat();
+            updateTimelineDisplay();
+            render();
+            showToast(restoredChildren.length ? t('summaryTree.unmerged', { n: restoredChildren.length }) : t('toast.saveSuccess'), 'success');
+            return;
+        }
+        const head = e.target.closest('.horae-summary-tree-head');
+        if (head) {
+            const id = head.parentElement.dataset.summaryId;
+            if (expanded.has(id)) expanded.delete(id);
+            else expanded.add(id);
+            render();
         }
-        await getContext().saveChat();
-        closeEditModal();
-        updateTimelineDisplay();
-        showToast(t('toast.saveSuccess'), 'success');
     });
 
-    document.getElementById('horae-summary-edit-cancel').addEventListener('click', () => closeEditModal());
+    modal.querySelector('#horae-summary-tree-close').addEventListener('click', () => modal.remove());
 }
 
 /**
@@ -2923,7 +4424,19 @@ function updateAgendaDisplay() {
         return;
     }
 
+    const timestamp = horaeManager.getLatestState().timestamp;
+
     listEl.innerHTML = agenda.map((item, index) => {
+        const due = horaeManager.getAgendaDueInfo(item, timestamp);
+        let dueDisplay = '';
+        if (due) {
+            const dueClass = due.overdue ? ' overdue' : due.dueSoon ? ' soon' : '';
+            const dueState = due.overdue ? t('timeline.agendaOverdue')
+                : due.dueSoon ? (due.days === 0 ? t('timeline.agendaDueToday') : t('timeline.agendaDueIn', { n: due.days }))
+                    : '';
+            const repeatIcon = due.recurrence ? ` <i class="fa-solid fa-repeat" title="${t(`timeline.recurrence_${due.recurrence}`)}"></i>` : '';
+            dueDisplay = `<span class="horae-agenda-due${dueClass}" title="${t('label.agendaDeadline')}"><i class="fa-regular fa-clock"></i> ${escapeHtml(due.deadline)}${dueState ? ` · ${dueState}` : ''}${repeatIcon}</span>`;
+        }
         const sourceIcon = item.source === 'ai'
             ? `<i class="fa-solid fa-robot horae-agenda-source-ai" title="${t('badge.aiRecord')}"></i>`
             : `<i class="fa-solid fa-user horae-agenda-source-user" title="${t('badge.userAdded')}"></i>`;
@@ -2939,7 +4452,7 @@ function updateAgendaDisplay() {
             <div class="horae-agenda-item${selectedClass}" data-agenda-idx="${index}">
                 ${checkboxHtml}
                 <div class="horae-agenda-body">
-                    <div class="horae-agenda-meta">${sourceIcon}${dateDisplay}</div>
+                    <div class="horae-agenda-meta">${sourceIcon}${dateDisplay}${dueDisplay}</div>
                     <div class="horae-agenda-text">${escapeHtml(item.text)}</div>
                 </div>
             </div>
@@ -3132,6 +4645,10 @@ function showTimelineContextMenu(e, eventKey) {
             <i class="fa-solid fa-file-lines"></i> ${t('ui.contextInsertSummaryBelow')}
         </div>
         <div class="horae-context-separator"></div>
+        <div class="horae-context-item" data-action="assign-thread">
+            <i class="fa-solid fa-code-branch"></i> ${t('ui.contextAssignThread')}
+        </div>
+        <div class="horae-context-separator"></div>
         <div class="horae-context-item danger" data-action="delete">
             <i class="fa-solid fa-trash-can"></i> ${t('ui.contextDeleteEvent')}
         </div>
@@ -3213,6 +4730,11 @@ async function handleTimelineContextAction(action, msgIdx, evtIdx, eventKey) {
         return;
     }
 
+    if (action === 'assign-thread') {
+        openTimelineThreadModal(msgIdx, evtIdx);
+        return;
+    }
+
     const isAbove = action.includes('above');
     const isSummary = action.includes('summary');
 
@@ -3223,6 +4745,229 @@ async function handleTimelineContextAction(action, msgIdx, evtIdx, eventKey) {
     }
 }
 
+/** 把单条事件归入剧情线索（可选已有线索或新建，留空即移出线索） */
+function openTimelineThreadModal(msgIdx, evtIdx) {
+    const meta = horaeManager.getMessageMeta(msgIdx);
+    const evt = (meta?.events || (meta?.event ? [meta.event] : []))[evtIdx];
+    if (!evt) return;
+    const threads = horaeManager.getPlotThreads();
+
+    const modalHtml = `
+        <div id="horae-edit-modal" class="horae-modal">
+            <div class="horae-modal-content">
+                <div class="horae-modal-header">
+                    <i class="fa-solid fa-code-branch"></i> ${t('modal.assignThread')}
+                </div>
+                <div class="horae-modal-body horae-edit-modal-body">
+                    <div class="horae-thread-event-preview">${escapeHtml(evt.summary || '')}</div>
+                    <div class="horae-edit-field">
+                        <label>${t('label.plotThread')}</label>
+                        <input type="text" id="assign-thread-name" list="assign-thread-options" value="${escapeHtml(evt.thread || '')}" placeholder="${t('placeholder.plotThread')}">
+                        <datalist id="assign-thread-options">
+                            ${threads.map(th => `<option value="${escapeHtml(th.name)}"></option>`).join('')}
+                        </datalist>
+                    </div>
+                </div>
+                <div class="horae-modal-footer">
+                    <button id="edit-modal-save" class="horae-btn primary">
+                        <i class="fa-solid fa-check"></i> ${t('common.save')}
+                    </button>
+                    <button id="edit-modal-cancel" class="horae-btn">
+                        <i class="fa-solid fa-xmark"></i> ${t('common.cancel')}
+                    </button>
+                </div>
+            </div>
+        </div>
+    `;
+
+    document.body.insertAdjacentHTML('beforeend', modalHtml);
+    preventModalBubble();
+
+    document.getElementById('edit-modal-save').addEventListener('click', async (e) => {
+        e.stopPropagation();
+        horaeManager.setEventThread(msgIdx, evtIdx, document.getElementById('assign-thread-name').value);
+        await getContext().saveChat();
+        closeEditModal();
+        updateTimelineDisplay();
+        showToast(t('toast.saveSuccess'), 'success');
+    });
+
+    document.getElementById('edit-modal-cancel').addEventListener('click', (e) => {
+        e.stopPropagation();
+        closeEditModal();
+    });
+}
+
+/**
+ * 更新一条线索的滚动摘要：上一版摘要 + 其后新增的线索事件交给摘要模型合并
+ * @returns {Promise<boolean>} 是否写入了新摘要
+ */
+async function summarizePlotThread(name, { silent = false } = {}) {
+    const built = horaeManager.buildPlotThreadSummaryPrompt(name);
+    if (!built) {
+        if (!silent) showToast(t('toast.plotThreadNoNewEvents', { name }), 'info');
+        return false;
+    }
+    if (!silent) showToast(t('toast.plotThreadSummarizing', { name, count: built.count }), 'info');
+    const response = await generateForSummary(built.prompt);
+    const extracted = _extractHoraeSummaryText(response);
+    if (!extracted.ok) {
+        if (!silent) _showHoraeSummaryFormatWarning('线索摘要', extracted.reason);
+        return false;
+    }
+    const registry = horaeManager.getPlotThreadRegistry(true);
+    const entry = registry[name] || (registry[name] = { status: 'active' });
+    entry.summary = extracted.text;
+    entry.summaryUpTo = built.upTo;
+    entry.updatedAt = new Date().toISOString();
+    await getContext().saveChat();
+    if (!silent) showToast(t('toast.plotThreadSummarized', { name }), 'success');
+    return true;
+}
+
+let _plotThreadAutoSummaryRunning = false;
+
+/** 进行中的线索新增事件达到设定条数时，后台依次更新滚动摘要 */
+async function autoSummarizePlotThreads() {
+    const every = parseInt(settings.plotThreadSummaryEvery, 10) || 0;
+    if (every <= 0 || _plotThreadAutoSummaryRunning) return;
+    const due = horaeManager.getPlotThreads().filter(th => th.status === 'active' && th.pendingCount >= every);
+    if (!due.length) return;
+    _plotThreadAutoSummaryRunning = true;
+    try {
+        for (const th of due) {
+            await summarizePlotThread(th.name, { silent: true });
+        }
+    } catch (err) {
+        console.warn('[Horae] 线索滚动摘要失败:', err);
+    } finally {
+        _plotThreadAutoSummaryRunning = false;
+    }
+}
+
+/** 剧情线索管理：改名、进行中/已收束、编辑或重新生成滚动摘要、删除 */
+function openPlotThreadManager() {
+    const threads = horaeManager.getPlotThreads();
+    const statusOptions = (status) => PLOT_THREAD_STATUSES
+        .map(s => `<option value="${s}" ${s === status ? 'selected' : ''}>${t(`timeline.threadStatus_${s}`)}</option>`)
+        .join('');
+    const rows = threads.map(th => `
+        <div class="horae-thread-row" data-name="${escapeHtml(th.name)}">
+            <div class="horae-thread-row-head">
+                <input type="text" class="horae-thread-name" value="${escapeHtml(th.name)}">
+                <select class="horae-select horae-thread-status">${statusOptions(th.status)}</select>
+                <button class="horae-icon-btn horae-thread-summarize" title="${t('tooltip.plotThreadSummarize')}">
+                    <i class="fa-solid fa-wand-magic-sparkles"></i>
+                </button>
+                <button class="horae-icon-btn horae-thread-delete" title="${t('tooltip.plotThreadDelete')}">
+                    <i class="fa-solid fa-trash-can"></i>
+                </button>
+            </div>
+            <div class="horae-thread-row-meta">${t('timeline.threadMeta', { count: th.eventCount, pending: th.pendingCount })}</div>
+            <textarea class="horae-thread-summary" rows="3" placeholder="${t('placeholder.plotThreadSummary')}">${escapeHtml(th.summary)}</textarea>
+        </div>
+    `).join('');
+
+    const modal = document.createElement('div');
+    modal.className = 'horae-modal' + (isLightMode() ? ' horae-light' : '');
+    modal.innerHTML = `
+        <div class="horae-modal-content horae-thread-manager" style="max-width: 560px;">
+            <div class="horae-modal-header">
+                <i class="fa-solid fa-code-branch"></i> ${t('modal.plotThreads')}
+            </div>
+            <div class="horae-modal-body">
+                ${rows || `<div class="horae-empty-state"><span>${t('timeline.threadEmpty')}</span></div>`}
+                <div class="horae-thread-add">
+                    <input type="text" id="horae-thread-new-name" placeholder="${t('placeholder.plotThread')}">
+                    <button class="horae-btn" id="horae-thread-add-btn">
+                        <i class="fa-solid fa-plus"></i> ${t('common.add')}
+                    </button>
+                </div>
+            </div>
+            <div class="horae-modal-footer">
+                <button class="horae-btn primary" id="horae-thread-save">
+                    <i class="fa-solid fa-check"></i> ${t('common.save')}
+                </button>
+                <button class="horae-btn" id="horae-thread-close">
+                    <i class="fa-solid fa-xmark"></i> ${t('common.cancel')}
+                </button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+    preventModalBubble(modal);
+
+    const deleted = new Set();
+    const applyRows = () => {
+        const registry = horaeManager.getPlotThreadRegistry(true);
+        for (const name of deleted) horaeManager.renamePlotThread(name, '');
+        modal.querySelectorAll('.horae-thread-row').forEach(row => {
+            const oldName = row.dataset.name;
+            const newName = normalizeThreadName(row.querySelector('.horae-thread-name').value) || oldName;
+            const summary = row.querySelector('.horae-thread-summary').value.trim();
+            const entry = registry[oldName] || { summaryUpTo: -1 };
+            entry.status = row.querySelector('.horae-thread-status').value;
+            if (summary !== (entry.summary || '')) {
+                entry.summary = summary;
+                entry.updatedAt = new Date().toISOString();
+            }
+            registry[oldName] = entry;
+            if (newName !== oldName) horaeManager.renamePlotThread(oldName, newName);
+        });
+    };
+    const save = async () => {
+        applyRows();
+        await getContext().saveChat();
+        updateTimelineDisplay();
+    };
+
+    modal.querySelectorAll('.horae-thread-delete').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const row = btn.closest('.horae-thread-row');
+            if (!confirm(t('confirm.deletePlotThread', { name: row.dataset.name }))) return;
+            deleted.add(row.dataset.name);
+            row.remove();
+        });
+    });
+    modal.querySelectorAll('.horae-thread-summarize').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            const row = btn.closest('.horae-thread-row');
+            btn.disabled = true;
+            try {
+                if (await summarizePlotThread(row.dataset.name)) {
+                    row.querySelector('.horae-thread-summary').value = horaeManager.getPlotThreadRegistry()[row.dataset.name]?.summary || '';
+                    row.querySelector('.horae-thread-row-meta').textContent = t('timeline.threadMeta', {
+                        count: horaeManager.getPlotThreads().find(th => th.name === row.dataset.name)?.eventCount || 0,
+                        pending: 0,
+                    });
+                }
+            } catch (err) {
+                console.error('[Horae] 线索摘要失败:', err);
+                showToast(t('toast.autoSummaryFailed', { error: err?.message || err }), 'error');
+            } finally {
+                btn.disabled = false;
+            }
+        });
+    });
+    modal.querySelector('#horae-thread-add-btn').addEventListener('click', async () => {
+        const name = normalizeThreadName(modal.querySelector('#horae-thread-new-name').value);
+        if (!name) return;
+        applyRows();
+        const registry = horaeManager.getPlotThreadRegistry(true);
+        if (!registry[name]) registry[name] = { status: 'active', summary: '', summaryUpTo: -1, updatedAt: '' };
+        await getContext().saveChat();
+        modal.remove();
+        updateTimelineDisplay();
+        openPlotThreadManager();
+    });
+    modal.querySelector('#horae-thread-save').addEventListener('click', async () => {
+        await save();
+        modal.remove();
+        showToast(t('toast.saveSuccess'), 'success');
+    });
+    modal.querySelector('#horae-thread-close').addEventListener('click', () => modal.remove());
+}
+
 /** 打开插入事件弹窗 */
 function openTimelineInsertEventModal(refMsgIdx, refEvtIdx, isAbove) {
     const state = horaeManager.getLatestState();
@@ -3519,18 +5264,23 @@ function showCompressModeDialog(eventCount, msgRange) {
     });
 }
 
-/** AI智能压缩选中的时间线事件为一条摘要 */
-async function compressSelectedTimelineEvents() {
-    if (selectedTimelineEvents.size < 2) {
+/**
+ * AI智能压缩选中的时间线事件为一条摘要
+ * options.keys 可替代多选集合（"msgIndex-eventIndex"），options.mode 跳过模式选择弹窗
+ * @returns {Promise<object|null>} 新建的摘要条目
+ */
+async function compressSelectedTimelineEvents(options = {}) {
+    const selectedKeys = options.keys ? [...options.keys] : [...selectedTimelineEvents];
+    if (selectedKeys.length < 2) {
         showToast(t('toast.insufficientEvents'), 'warning');
-        return;
+        return null;
     }
 
     const chat = horaeManager.getChat();
     const _allSummaries = chat[0]?.horae_meta?.autoSummaries || [];
     const events = [];
     const _selectedSummaryIds = new Set();
-    for (const key of selectedTimelineEvents) {
+    for (const key of selectedKeys) {
         const [msgIdx, evtIdx] = key.split('-').map(Number);
         const meta = chat[msgIdx]?.horae_meta;
         if (!meta) continue;
@@ -3567,14 +5317,14 @@ async function compressSelectedTimelineEvents() {
 
     if (events.length < 2) {
         showToast(t('toast.insufficientEvents'), 'warning');
-        return;
+        return null;
     }
 
     events.sort((a, b) => a.msgIdx - b.msgIdx || a.evtIdx - b.evtIdx);
 
     const msgRange = [events[0].msgIdx, events[events.length - 1].msgIdx];
-    const mode = await showCompressModeDialog(events.length, msgRange);
-    if (!mode) return;
+    const mode = options.mode || await showCompressModeDialog(events.length, msgRange);
+    if (!mode) return null;
 
     let sourceText;
     if (mode === 'fulltext') {
@@ -3673,7 +5423,7 @@ async function compressSelectedTimelineEvents() {
 
         const cleanedText = response.trim()
             .replace(/<think(?:ing)?[\s>][\s\S]*?<\/think(?:ing)?>/gi, '')
-            .replace(/<horae>[\s\S]*?<\/horae>/gi, '')
+            .replace(/<horae(?:\s[^>]*)?>[\s\S]*?<\/horae>/gi, '')
             .replace(/<horaeevent>[\s\S]*?<\/horaeevent>/gi, '')
             .replace(/<!--horae[\s\S]*?-->/gi, '')
             .trim();
@@ -3825,13 +5575,15 @@ async function compressSelectedTimelineEvents() {
         updateTimelineDisplay();
         updateStatusDisplay();
         showToast(t('toast.eventsCompressed', { n: events.length }), 'success');
+        return summaryEntry;
     } catch (err) {
         window.fetch = _origFetch;
         overlay.remove();
-        if (cancelled || err?.name === 'AbortError') return;
+        if (cancelled || err?.name === 'AbortError') return null;
         console.error('[Horae] 压缩失败:', err);
         showToast(t('toast.compressFailed', { error: err.message || 'unknown' }), 'error');
     }
+    return null;
 }
 
 /** 删除选中的时间线事件 */
@@ -3903,7 +5655,11 @@ function openAgendaEditModal(agendaItem = null) {
     const isEdit = agendaItem !== null;
     const currentText = isEdit ? (agendaItem.text || '') : '';
     const currentDate = isEdit ? (agendaItem.date || '') : '';
+    const currentDeadline = isEdit ? (agendaItem.deadline || '') : '';
+    const currentRecurrence = isEdit ? (agendaItem.recurrence || '') : '';
     const title = isEdit ? t('ui.editAgenda') : t('ui.addAgenda');
+    const recurrenceOptions = ['', ...Object.keys(AGENDA_RECURRENCES)].map(r =>
+        `<option value="${r}" ${r === currentRecurrence ? 'selected' : ''}>${t(`timeline.recurrence_${r || 'none'}`)}</option>`).join('');
 
     closeEditModal();
 
@@ -3927,6 +5683,14 @@ function openAgendaEditModal(agendaItem = null) {
                         <label>${t('label.content')}</label>
                         <textarea id="agenda-edit-text" rows="3" placeholder="${t('placeholder.agendaText')}">${escapeHtml(currentText)}</textarea>
                     </div>
+                    <div class="horae-edit-field">
+                        <label>${t('label.agendaDeadline')}</label>
+                        <input type="text" id="agenda-edit-deadline" value="${escapeHtml(currentDeadline)}" placeholder="${t('placeholder.agendaDeadline')}">
+                    </div>
+                    <div class="horae-edit-field">
+                        <label>${t('label.agendaRecurrence')}</label>
+                        <select id="agenda-edit-recurrence" class="horae-select">${recurrenceOptions}</select>
+                    </div>
                 </div>
                 <div class="horae-modal-footer">
                     <button id="agenda-modal-save" class="horae-btn primary">
@@ -3958,6 +5722,13 @@ function openAgendaEditModal(agendaItem = null) {
         e.stopImmediatePropagation();
         const text = document.getElementById('agenda-edit-text').value.trim();
         const date = document.getElementById('agenda-edit-date').value.trim();
+        const deadline = document.getElementById('agenda-edit-deadline').value.trim();
+        const recurrence = document.getElementById('agenda-edit-recurrence').value;
+        // 空值不落盘，保持旧数据结构干净
+        const applyDue = (target) => {
+            if (deadline) target.deadline = deadline; else delete target.deadline;
+            if (recurrence && AGENDA_RECURRENCES[recurrence]) target.recurrence = recurrence; else delete target.recurrence;
+        };
         if (!text) {
             showToast(t('toast.contentEmpty'), 'warning');
             return;
@@ -3972,6 +5743,7 @@ function openAgendaEditModal(agendaItem = null) {
                 if (found) {
                     found.text = text;
                     found.date = date;
+                    applyDue(found);
                 }
                 setUserAgenda(agenda);
             } else if (agendaItem._store === 'msg' && context?.chat) {
@@ -3981,6 +5753,7 @@ function openAgendaEditModal(agendaItem = null) {
                     if (found) {
                         found.text = text;
                         found.date = date;
+                        applyDue(found);
                     }
                     getContext().saveChat();
                 }
@@ -3988,7 +5761,9 @@ function openAgendaEditModal(agendaItem = null) {
         } else {
             // 新增
             const agenda = getUserAgenda();
-            agenda.push({ text, date, source: 'user', done: false, createdAt: Date.now() });
+            const entry = { text, date, source: 'user', done: false, createdAt: Date.now() };
+            applyDue(entry);
+            agenda.push(entry);
             setUserAgenda(agenda);
         }
 
@@ -4368,6 +6143,7 @@ function updateRelationshipDisplay() {
             }
             await getContext().saveChat();
             updateRelationshipDisplay();
+            _scheduleWorldLedgerPush();
             showToast(t('toast.saveSuccess'), 'info');
         });
     });
@@ -4458,6 +6234,7 @@ function openRelationshipEditModal(editIndex = null) {
         horaeManager.setRelationships(rels);
         await getContext().saveChat();
         updateRelationshipDisplay();
+        _scheduleWorldLedgerPush();
         closeEditModal();
         showToast(t('toast.saveSuccess'), 'success');
     });
@@ -5540,6 +7317,13 @@ function openEventEditModal(messageId, eventIndex = 0) {
                         <label>${t('label.eventSummary')}</label>
                         <textarea id="edit-event-summary" placeholder="${t('placeholder.eventSummary')}">${event.summary || ''}</textarea>
                     </div>
+                    <div class="horae-edit-field">
+                        <label>${t('label.plotThread')}</label>
+                        <input type="text" id="edit-event-thread" list="edit-event-thread-options" value="${escapeHtml(event.thread || '')}" placeholder="${t('placeholder.plotThread')}">
+                        <datalist id="edit-event-thread-options">
+                            ${horaeManager.getPlotThreads().map(th => `<option value="${escapeHtml(th.name)}"></option>`).join('')}
+                        </datalist>
+                    </div>
                 </div>
                 <div class="horae-modal-footer">
                     <button id="edit-modal-delete" class="horae-btn danger">
@@ -5596,6 +7380,7 @@ function openEventEditModal(messageId, eventIndex = 0) {
 
             // 更新或添加事件
             const isSummaryLevel = newLevel === '摘要';
+            const newThread = isSummaryLevel ? '' : normalizeThreadName(document.getElementById('edit-event-thread').value);
             if (chatMeta.events[eventIndex]) {
                 chatMeta.events[eventIndex] = {
                     is_important: newLevel === '重要' || newLevel === '关键' || newLevel === '關鍵',
@@ -5611,6 +7396,7 @@ function openEventEditModal(messageId, eventIndex = 0) {
                     ...(isSummaryLevel ? { isSummary: true } : {})
                 });
             }
+            if (newThread) horaeManager.setEventThread(messageId, Math.min(eventIndex, chatMeta.events.length - 1), newThread);
 
             // 清除旧格式
             delete chatMeta.event;
@@ -7481,6 +9267,452 @@ function drawRadarChart(canvas, values, config, maxVal = 100) {
     }
 }
 
+// ============================================
+// 实体关系图
+// ============================================
+
+// 视图状态：positions 为世界坐标（原点在画布中心），跨时间拖动复用以保持布局稳定；messageIndex 为 null 时跟随最新楼层
+const _entityGraphView = {
+    scale: 1, offsetX: 0, offsetY: 0,
+    positions: new Map(),
+    selected: null,
+    messageIndex: null,
+    showItems: true,
+    showLocations: true,
+    graph: null,
+    cssW: 0, cssH: 0,
+    bound: false,
+};
+
+function _resetEntityGraphView(keepIndex = false) {
+    const v = _entityGraphView;
+    v.scale = 1;
+    v.offsetX = 0;
+    v.offsetY = 0;
+    v.positions.clear();
+    v.selected = null;
+    if (!keepIndex) v.messageIndex = null;
+}
+
+/** 按工具栏开关隐藏物品/地点节点及其连线 */
+function _filterEntityGraph(graph) {
+    const hidden = new Set();
+    if (!_entityGraphView.showItems) hidden.add('item');
+    if (!_entityGraphView.showLocations) hidden.add('location');
+    if (hidden.size === 0) return graph;
+    const nodes = graph.nodes.filter(n => !hidden.has(n.type));
+    const ids = new Set(nodes.map(n => n.id));
+    return { ...graph, nodes, edges: graph.edges.filter(e => ids.has(e.from) && ids.has(e.to)) };
+}
+
+/**
+ * 力导向布局（Fruchterman-Reingold，确定性初始位置）
+ * 已有坐标的节点从原处继续迭代，新节点放在已布局的邻居旁，拖动时间轴时图不会整体跳动
+ */
+function _layoutEntityGraph(graph, prev) {
+    const pos = new Map();
+    const rings = { character: 70, location: 150, item: 210 };
+    const byType = { character: [], location: [], item: [] };
+    for (const n of graph.nodes) byType[n.type]?.push(n);
+    const adjacency = new Map();
+    for (const e of graph.edges) {
+        if (!adjacency.has(e.from)) adjacency.set(e.from, []);
+        if (!adjacency.has(e.to)) adjacency.set(e.to, []);
+        adjacency.get(e.from).push(e.to);
+        adjacency.get(e.to).push(e.from);
+    }
+    const fresh = [];
+    for (const [type, list] of Object.entries(byType)) {
+        list.forEach((n, i) => {
+            const p = prev.get(n.id);
+            if (p) {
+                pos.set(n.id, { ...p });
+                return;
+            }
+            const a = (2 * Math.PI * i) / Math.max(1, list.length) + (type === 'location' ? 0.2 : type === 'item' ? 0.4 : 0);
+            pos.set(n.id, { x: rings[type] * Math.cos(a), y: rings[type] * Math.sin(a) });
+            fresh.push(n.id);
+        });
+    }
+    if (fresh.length === 0) return pos;
+
+    if (fresh.length < pos.size) {
+        for (const id of fresh) {
+            const anchor = (adjacency.get(id) || []).find(nb => prev.has(nb));
+            if (!anchor) continue;
+            const a = pos.get(anchor);
+            let h = 0;
+            for (const ch of id) h = (h * 31 + ch.charCodeAt(0)) | 0;
+            const angle = (Math.abs(h) % 360) * Math.PI / 180;
+            pos.set(id, { x: a.x + 40 * Math.cos(angle), y: a.y + 40 * Math.sin(angle) });
+        }
+    }
+
+    const ids = [...pos.keys()];
+    const k = 45;
+    const iterations = fresh.length === pos.size ? 220 : 80;
+    for (let it = 0; it < iterations; it++) {
+        const disp = new Map(ids.map(id => [id, { x: 0, y: 0 }]));
+        for (let i = 0; i < ids.length; i++) {
+            const a = pos.get(ids[i]);
+            for (let j = i + 1; j < ids.length; j++) {
+                const b = pos.get(ids[j]);
+                let dx = a.x - b.x, dy = a.y - b.y;
+                if (dx === 0 && dy === 0) { dx = 0.1 * (i - j); dy = 0.1; }
+                const d = Math.max(0.1, Math.sqrt(dx * dx + dy * dy));
+                const f = (k * k) / d;
+                const da = disp.get(ids[i]), db = disp.get(ids[j]);
+                da.x += (dx / d) * f; da.y += (dy / d) * f;
+                db.x -= (dx / d) * f; db.y -= (dy / d) * f;
+            }
+        }
+        for (const e of graph.edges) {
+            const a = pos.get(e.from), b = pos.get(e.to);
+            if (!a || !b) continue;
+            const dx = a.x - b.x, dy = a.y - b.y;
+            const d = Math.max(0.1, Math.sqrt(dx * dx + dy * dy));
+            const f = (d * d) / k;
+            const da = disp.get(e.from), db = disp.get(e.to);
+            da.x -= (dx / d) * f; da.y -= (dy / d) * f;
+            db.x += (dx / d) * f; db.y += (dy / d) * f;
+        }
+        const temp = 20 * (1 - it / iterations) + 1;
+        for (const id of ids) {
+            const p = pos.get(id);
+            if (p.fixed) continue;
+            const d = disp.get(id);
+            d.x -= p.x * 0.3;
+            d.y -= p.y * 0.3;
+            const len = Math.sqrt(d.x * d.x + d.y * d.y);
+            if (len < 0.01) continue;
+            const step = Math.min(len, temp);
+            p.x += (d.x / len) * step;
+            p.y += (d.y / len) * step;
+        }
+    }
+    return pos;
+}
+
+function _entityGraphToScreen(p) {
+    const v = _entityGraphView;
+    return { x: v.cssW / 2 + v.offsetX + p.x * v.scale, y: v.cssH / 2 + v.offsetY + p.y * v.scale };
+}
+
+function _entityGraphToWorld(x, y) {
+    const v = _entityGraphView;
+    return { x: (x - v.cssW / 2 - v.offsetX) / v.scale, y: (y - v.cssH / 2 - v.offsetY) / v.scale };
+}
+
+/** 缩放居中，使全部节点落在画布内（只缩小不放大） */
+function _fitEntityGraphView(cssW) {
+    const v = _entityGraphView;
+    const cssH = Math.max(260, Math.min(480, Math.round(cssW * 0.8)));
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const p of v.positions.values()) {
+        minX = Math.min(minX, p.x); maxX = Math.max(maxX, p.x);
+        minY = Math.min(minY, p.y); maxY = Math.max(maxY, p.y);
+    }
+    if (!isFinite(minX)) return;
+    const pad = 40;
+    v.scale = Math.max(0.3, Math.min(1, (cssW - pad * 2) / Math.max(1, maxX - minX), (cssH - pad * 2) / Math.max(1, maxY - minY)));
+    v.offsetX = -((minX + maxX) / 2) * v.scale;
+    v.offsetY = -((minY + maxY) / 2) * v.scale;
+}
+
+/** 画布坐标命中的节点 id */
+function _entityGraphNodeAt(x, y) {
+    const v = _entityGraphView;
+    const nodes = v.graph?.nodes || [];
+    for (let i = nodes.length - 1; i >= 0; i--) {
+        const p = v.positions.get(nodes[i].id);
+        if (!p) continue;
+        const s = _entityGraphToScreen(p);
+        if ((s.x - x) ** 2 + (s.y - y) ** 2 <= 144) return nodes[i].id;
+    }
+    return null;
+}
+
+/**
+ * 绘制实体关系图（颜色取自 CSS 变量，随美化主题变化）
+ * 角色为圆、地点为菱形、物品为方块；选中节点时只高亮与其直接相连的部分
+ */
+function drawEntityGraph(canvas, graph, view) {
+    const dpr = window.devicePixelRatio || 1;
+    const themeRoot = canvas.closest('#horae_drawer') || document.getElementById('horae_drawer') || document.body;
+    const cs = getComputedStyle(themeRoot);
+    const colors = {
+        character: cs.getPropertyValue('--horae-primary').trim() || '#7c3aed',
+        item: cs.getPropertyValue('--horae-accent').trim() || '#f59e0b',
+        location: cs.getPropertyValue('--horae-success').trim() || '#10b981',
+    };
+    const textColor = cs.getPropertyValue('--horae-text').trim() || '#e5e5e5';
+    const mutedColor = cs.getPropertyValue('--horae-text-muted').trim() || '#a0a0a0';
+    const relColor = cs.getPropertyValue('--horae-primary-light').trim() || '#a78bfa';
+
+    const cssW = canvas.parentElement?.clientWidth || 320;
+    const cssH = Math.max(260, Math.min(480, Math.round(cssW * 0.8)));
+    view.cssW = cssW;
+    view.cssH = cssH;
+    canvas.style.width = cssW + 'px';
+    canvas.style.height = cssH + 'px';
+    canvas.width = cssW * dpr;
+    canvas.height = cssH * dpr;
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, cssW, cssH);
+
+    const focus = new Set();
+    if (view.selected) {
+        focus.add(view.selected);
+        for (const e of graph.edges) {
+            if (e.from === view.selected) focus.add(e.to);
+            if (e.to === view.selected) focus.add(e.from);
+        }
+    }
+    const dimmed = id => view.selected && !focus.has(id);
+    const fontSize = 11;
+
+    // 连线
+    for (const e of graph.edges) {
+        const pa = view.positions.get(e.from), pb = view.positions.get(e.to);
+        if (!pa || !pb) continue;
+        const a = _entityGraphToScreen(pa), b = _entityGraphToScreen(pb);
+        const active = !view.selected || e.from === view.selected || e.to === view.selected;
+        ctx.globalAlpha = active ? 1 : 0.15;
+        ctx.beginPath();
+        ctx.moveTo(a.x, a.y);
+        ctx.lineTo(b.x, b.y);
+        if (e.type === 'relationship') {
+            ctx.setLineDash([]);
+            ctx.strokeStyle = relColor;
+            ctx.lineWidth = 1.6;
+        } else if (e.type === 'holds') {
+            ctx.setLineDash([4, 3]);
+            ctx.strokeStyle = colors.item;
+            ctx.lineWidth = 1;
+        } else {
+            ctx.setLineDash([1, 3]);
+            ctx.strokeStyle = colors.location;
+            ctx.lineWidth = 1;
+        }
+        ctx.stroke();
+        ctx.setLineDash([]);
+        if (e.type === 'relationship') {
+            // 箭头指向关系的对象
+            const ang = Math.atan2(b.y - a.y, b.x - a.x);
+            const tipX = b.x - Math.cos(ang) * 11, tipY = b.y - Math.sin(ang) * 11;
+            ctx.beginPath();
+            ctx.moveTo(tipX, tipY);
+            ctx.lineTo(tipX - 7 * Math.cos(ang - 0.4), tipY - 7 * Math.sin(ang - 0.4));
+            ctx.lineTo(tipX - 7 * Math.cos(ang + 0.4), tipY - 7 * Math.sin(ang + 0.4));
+            ctx.closePath();
+            ctx.fillStyle = relColor;
+            ctx.fill();
+            if (e.label && (view.scale >= 0.8 || (view.selected && active))) {
+                ctx.font = `${fontSize - 1}px sans-serif`;
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'bottom';
+                ctx.fillStyle = mutedColor;
+                ctx.fillText(e.label, (a.x + b.x) / 2, (a.y + b.y) / 2 - 2);
+            }
+        }
+    }
+
+    // 节点
+    ctx.font = `${fontSize}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    for (const n of graph.nodes) {
+        const p = view.positions.get(n.id);
+        if (!p) continue;
+        const s = _entityGraphToScreen(p);
+        ctx.globalAlpha = dimmed(n.id) ? 0.2 : 1;
+        ctx.fillStyle = colors[n.type] || colors.character;
+        ctx.beginPath();
+        if (n.type === 'location') {
+            ctx.moveTo(s.x, s.y - 8);
+            ctx.lineTo(s.x + 8, s.y);
+            ctx.lineTo(s.x, s.y + 8);
+            ctx.lineTo(s.x - 8, s.y);
+            ctx.closePath();
+        } else if (n.type === 'item') {
+            ctx.rect(s.x - 5, s.y - 5, 10, 10);
+        } else {
+            ctx.arc(s.x, s.y, 9, 0, Math.PI * 2);
+        }
+        ctx.fill();
+        if (n.id === view.selected) {
+            ctx.strokeStyle = textColor;
+            ctx.lineWidth = 2;
+            ctx.stroke();
+        }
+        const label = n.type === 'item' && n.icon ? `${n.icon}${n.label}` : n.label;
+        ctx.fillStyle = n.type === 'character' ? textColor : mutedColor;
+        ctx.fillText(label, s.x, s.y + 11);
+    }
+    ctx.globalAlpha = 1;
+}
+
+/** 选中节点的连线明细 */
+function _renderEntityGraphInfo() {
+    const el = document.getElementById('horae-graph-info');
+    if (!el) return;
+    const v = _entityGraphView;
+    const node = v.graph?.nodes.find(n => n.id === v.selected);
+    if (!node) {
+        el.innerHTML = `<span class="horae-graph-info-hint">${t('graph.clickHint')}</span>`;
+        return;
+    }
+    const labelOf = id => v.graph.nodes.find(n => n.id === id)?.label || '';
+    const rows = [];
+    for (const e of v.graph.edges) {
+        if (e.from !== node.id && e.to !== node.id) continue;
+        const other = escapeHtml(labelOf(e.from === node.id ? e.to : e.from));
+        if (e.type === 'relationship') {
+            const arrow = e.from === node.id ? '→' : '←';
+            rows.push(`${arrow} ${other}${e.label ? `：${escapeHtml(e.label)}` : ''}`);
+        } else if (e.type === 'holds') {
+            rows.push(node.type === 'item' ? t('graph.heldBy', { name: other }) : t('graph.holds', { item: other }));
+        } else {
+            rows.push(node.type === 'location' ? t('graph.visitedBy', { name: other }) : t('graph.visited', { location: other }));
+        }
+    }
+    const typeLabel = t(`graph.legend${node.type.charAt(0).toUpperCase()}${node.type.slice(1)}`);
+    el.innerHTML = `
+        <div class="horae-graph-info-title">${escapeHtml(node.label)} <span class="horae-graph-info-type">${typeLabel}</span></div>
+        ${rows.length
+            ? `<ul class="horae-graph-info-list">${rows.map(r => `<li>${r}</li>`).join('')}</ul>`
+            : `<span class="horae-graph-info-hint">${t('graph.noConnections')}</span>`}`;
+}
+
+function _redrawEntityGraph() {
+    const canvas = document.getElementById('horae-graph-canvas');
+    if (!canvas || !_entityGraphView.graph) return;
+    drawEntityGraph(canvas, _entityGraphView.graph, _entityGraphView);
+}
+
+function _bindEntityGraphEvents() {
+    const v = _entityGraphView;
+    const canvas = document.getElementById('horae-graph-canvas');
+    if (!canvas || v.bound) return;
+    v.bound = true;
+
+    let drag = null;
+    const localXY = ev => {
+        const rect = canvas.getBoundingClientRect();
+        return { x: ev.clientX - rect.left, y: ev.clientY - rect.top };
+    };
+    canvas.addEventListener('pointerdown', ev => {
+        const { x, y } = localXY(ev);
+        drag = { startX: x, startY: y, lastX: x, lastY: y, node: _entityGraphNodeAt(x, y), moved: false };
+        canvas.setPointerCapture(ev.pointerId);
+    });
+    canvas.addEventListener('pointermove', ev => {
+        if (!drag) return;
+        const { x, y } = localXY(ev);
+        if (!drag.moved && Math.abs(x - drag.startX) + Math.abs(y - drag.startY) < 4) return;
+        drag.moved = true;
+        if (drag.node) {
+            const p = v.positions.get(drag.node);
+            if (p) Object.assign(p, _entityGraphToWorld(x, y), { fixed: true });
+        } else {
+            v.offsetX += x - drag.lastX;
+            v.offsetY += y - drag.lastY;
+        }
+        drag.lastX = x;
+        drag.lastY = y;
+        _redrawEntityGraph();
+    });
+    const endDrag = ev => {
+        if (!drag) return;
+        if (!drag.moved) {
+            v.selected = drag.node && drag.node !== v.selected ? drag.node : null;
+            _redrawEntityGraph();
+            _renderEntityGraphInfo();
+        }
+        drag = null;
+        if (canvas.hasPointerCapture(ev.pointerId)) canvas.releasePointerCapture(ev.pointerId);
+    };
+    canvas.addEventListener('pointerup', endDrag);
+    canvas.addEventListener('pointercancel', endDrag);
+    // 以指针为中心缩放
+    canvas.addEventListener('wheel', ev => {
+        ev.preventDefault();
+        const { x, y } = localXY(ev);
+        const before = _entityGraphToWorld(x, y);
+        v.scale = Math.max(0.3, Math.min(3, v.scale * (ev.deltaY < 0 ? 1.1 : 1 / 1.1)));
+        v.offsetX = x - v.cssW / 2 - before.x * v.scale;
+        v.offsetY = y - v.cssH / 2 - before.y * v.scale;
+        _redrawEntityGraph();
+    }, { passive: false });
+
+    $('#horae-graph-scrub').on('input', function () {
+        const max = parseInt(this.max, 10) || 0;
+        const val = parseInt(this.value, 10) || 0;
+        v.messageIndex = val >= max ? null : val;
+        updateEntityGraphDisplay();
+    });
+    $('#horae-graph-latest').on('click', () => {
+        v.messageIndex = null;
+        updateEntityGraphDisplay();
+    });
+    $('#horae-graph-reset').on('click', () => {
+        _resetEntityGraphView(true);
+        updateEntityGraphDisplay();
+    });
+    $('#horae-graph-show-items').on('change', function () {
+        v.showItems = this.checked;
+        updateEntityGraphDisplay();
+    });
+    $('#horae-graph-show-locations').on('change', function () {
+        v.showLocations = this.checked;
+        updateEntityGraphDisplay();
+    });
+}
+
+/**
+ * 更新关系图页：按时间轴位置重放图谱并重绘（页签隐藏时跳过）
+ */
+function updateEntityGraphDisplay() {
+    const canvas = document.getElementById('horae-graph-canvas');
+    if (!canvas || !canvas.parentElement?.clientWidth) return;
+    _bindEntityGraphEvents();
+    const v = _entityGraphView;
+    const chat = horaeManager.getChat() || [];
+    const last = Math.max(0, chat.length - 1);
+    if (v.messageIndex !== null && v.messageIndex > last) v.messageIndex = null;
+    const idx = v.messageIndex ?? last;
+
+    const graph = _filterEntityGraph(horaeManager.getEntityGraph(idx));
+    const ids = new Set(graph.nodes.map(n => n.id));
+    for (const id of [...v.positions.keys()]) {
+        if (!ids.has(id)) v.positions.delete(id);
+    }
+    if (v.selected && !ids.has(v.selected)) v.selected = null;
+    const firstLayout = v.positions.size === 0;
+    const laidOut = _layoutEntityGraph(graph, v.positions);
+    v.positions.clear();
+    for (const [id, p] of laidOut) v.positions.set(id, p);
+    v.graph = graph;
+    if (firstLayout) _fitEntityGraphView(canvas.parentElement.clientWidth);
+
+    const scrub = document.getElementById('horae-graph-scrub');
+    if (scrub) {
+        scrub.max = String(last);
+        scrub.value = String(idx);
+    }
+    const label = document.getElementById('horae-graph-scrub-label');
+    if (label) {
+        const ts = graph.timestamp || {};
+        const when = [ts.story_date, ts.story_time].filter(Boolean).join(' ');
+        label.textContent = `#${idx}${when ? ` · ${when}` : ''}${v.messageIndex === null ? ` · ${t('graph.latest')}` : ''}`;
+    }
+    $('#horae-graph-empty').toggle(graph.nodes.length === 0);
+    $(canvas).toggle(graph.nodes.length > 0);
+    if (graph.nodes.length > 0) drawEntityGraph(canvas, graph, v);
+    _renderEntityGraphInfo();
+}
+
 /** 同步 RPG 分页可见性及各子区段显隐 */
 function _syncRpgTabVisibility() {
     const sendBars = settings.rpgMode && settings.sendRpgBars !== false;
@@ -9856,6 +12088,7 @@ function refreshAllDisplays() {
     updateCharactersDisplay();
     updateItemsDisplay();
     updateLocationMemoryDisplay();
+    if ($('#horae-tab-graph').hasClass('active')) updateEntityGraphDisplay();
     updateRpgDisplay();
     updateTokenCounter();
     refreshHoraePorts();
@@ -9863,9 +12096,10 @@ function refreshAllDisplays() {
 
 /** chat[0] 上的全局键——无法由 rebuild 系列函数重建，需在 meta 重置时保留 */
 const _GLOBAL_META_KEYS = [
-    'autoSummaries', '_deletedNpcs', '_deletedAgendaTexts',
+    'autoSummaries', '_deletedNpcs', '_deletedAgendaTexts', 'plotThreads',
     'locationMemory', 'relationships', 'rpg',
     '_rpgConfigs', '_pendingScanReview', '_userAddedNpcs',
+    '_ledgerNpcs', '_worldLedger',
 ];
 
 function _saveGlobalMeta(meta) {
@@ -10258,6 +12492,7 @@ function updateLocationMemoryDisplay() {
                 };
                 await getContext().saveChat();
                 updateLocationMemoryDisplay();
+                _scheduleWorldLedgerPush();
                 showToast(t('toast.saveSuccess'), 'info');
             }
         });
@@ -10352,6 +12587,7 @@ function openLocationEditModal(locationName) {
         await getContext().saveChat();
         closeEditModal();
         updateLocationMemoryDisplay();
+        _scheduleWorldLedgerPush();
         showToast(t('toast.saveSuccess'), 'success');
     });
 
@@ -10466,6 +12702,7 @@ function openLocationMergeModal() {
         await getContext().saveChat();
         closeEditModal();
         updateLocationMemoryDisplay();
+        _scheduleWorldLedgerPush();
         showToast(t('toast.saveSuccess'), 'success');
     });
 
@@ -10487,6 +12724,267 @@ function updateTokenCounter() {
     }
 }
 
+/** 用酒馆当前的分词器计数，取不到时退回估算 */
+async function _countPromptTokens(text) {
+    const ctx = getContext();
+    if (typeof ctx?.getTokenCountAsync === 'function') {
+        try {
+            return await ctx.getTokenCountAsync(text);
+        } catch (err) {
+            console.warn('[Horae] 酒馆分词器计数失败，改用估算:', err);
+        }
+    }
+    return estimateTokens(text);
+}
+
+/** 按 Token 预算裁剪注入内容，返回裁剪报告（真实分词器只数整段，逐行用估算折算） */
+async function _buildPromptBudgetReport(skipLast = 0) {
+    const writer = horaeManager.buildCompactPromptParts(skipLast);
+    return assembleWithinBudget(writer.parts, {
+        budget: Math.max(0, parseInt(settings.promptTokenBudget, 10) || 0),
+        rules: resolveSectionRules(settings.promptSectionPriority, settings.promptSectionMinimum),
+        countTokens: _countPromptTokens,
+        estimateTokens,
+    });
+}
+
+/** 组装注入内容；未设预算时不逐行计数，直接拼接 */
+async function _assembleBudgetedPrompt(skipLast = 0) {
+    if (!(parseInt(settings.promptTokenBudget, 10) > 0)) return horaeManager.generateCompactPrompt(skipLast);
+    const report = await _buildPromptBudgetReport(skipLast);
+    if (report.dropped.length) {
+        console.log(`[Horae] Token 预算 ${report.budget}：裁掉 ${report.dropped.length} 条，${report.totalBefore} → ${report.totalAfter}`);
+    }
+    if (report.overBudget) console.warn('[Horae] 各分区已裁到最少保留条数，注入内容仍超出预算');
+    return report.text;
+}
+
+/** 渲染高级设置里的分区优先级 / 最少保留条数 */
+function _renderPromptBudgetSections() {
+    const container = document.getElementById('horae-prompt-budget-sections');
+    if (!container) return;
+    const rules = resolveSectionRules(settings.promptSectionPriority, settings.promptSectionMinimum);
+    const [lo, hi] = PROMPT_BUDGET_PRIORITY_RANGE;
+    const priorityOptions = (value) => {
+        let html = '';
+        for (let p = lo; p <= hi; p++) html += `<option value="${p}"${p === value ? ' selected' : ''}>${p}</option>`;
+        return html;
+    };
+    container.innerHTML = `
+        <div class="horae-prompt-budget-row horae-prompt-budget-head">
+            <span>${t('promptBudget.colSection')}</span>
+            <span>${t('promptBudget.colPriority')}</span>
+            <span>${t('promptBudget.colMinimum')}</span>
+        </div>
+        ${PROMPT_BUDGET_SECTIONS.map(({ key }) => `
+            <div class="horae-prompt-budget-row">
+                <span>${t(`promptBudget.section.${key}`)}</span>
+                <select data-section="${key}">${priorityOptions(rules[key].priority)}</select>
+                <input type="number" data-section="${key}" min="0" max="9999" value="${rules[key].minimum}">
+            </div>
+        `).join('')}
+    `;
+}
+
+/** 调试视图：按当前设置试组装一次，列出各分区 Token 与被裁掉的内容 */
+async function openPromptBudgetReport() {
+    let report;
+    try {
+        report = await _buildPromptBudgetReport();
+    } catch (err) {
+        console.error('[Horae] 生成裁剪报告失败:', err);
+        showToast(t('promptBudget.failed'), 'error');
+        return;
+    }
+    const sectionName = (key) => t(`promptBudget.section.${key}`);
+    const summary = report.budget > 0
+        ? t('promptBudget.totalWithBudget', { before: report.totalBefore, after: report.totalAfter, budget: report.budget })
+        : t('promptBudget.totalNoBudget', { total: report.totalBefore });
+    const rows = Object.entries(report.sections).map(([key, sec]) => `
+        <tr${sec.dropped ? ' class="horae-prompt-budget-trimmed"' : ''}>
+            <td>${escapeHtml(sectionName(key))}</td>
+            <td>${sec.before}</td>
+            <td>${sec.after}</td>
+            <td>${sec.dropped || ''}</td>
+        </tr>
+    `).join('');
+    const dropped = report.dropped.length
+        ? report.dropped.map(d => `
+            <div class="horae-prompt-budget-dropped">
+                <span class="horae-prompt-budget-tag">${escapeHtml(sectionName(d.section))} · ${d.tokens}</span>
+                <span class="horae-prompt-budget-text">${escapeHtml(d.text)}</span>
+            </div>
+        `).join('')
+        : `<div class="horae-empty-hint">${t('promptBudget.nothingDropped')}</div>`;
+
+    const modal = document.createElement('div');
+    modal.className = 'horae-modal' + (isLightMode() ? ' horae-light' : '');
+    modal.innerHTML = `
+        <div class="horae-modal-content horae-prompt-budget-report" style="max-width: 640px;">
+            <div class="horae-modal-header">
+                <i class="fa-solid fa-scissors"></i> ${t('promptBudget.reportTitle')}
+            </div>
+            <div class="horae-modal-body">
+                <div class="horae-prompt-budget-summary${report.overBudget ? ' over' : ''}">${escapeHtml(summary)}</div>
+                ${report.overBudget ? `<div class="horae-setting-sub-hint">${t('promptBudget.stillOver')}</div>` : ''}
+                <table class="horae-prompt-budget-table">
+                    <thead><tr>
+                        <th>${t('promptBudget.colSection')}</th>
+                        <th>${t('promptBudget.colBefore')}</th>
+                        <th>${t('promptBudget.colAfter')}</th>
+                        <th>${t('promptBudget.colDropped')}</th>
+                    </tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+                <div class="horae-prompt-budget-dropped-title">${t('promptBudget.droppedTitle', { n: report.dropped.length })}</div>
+                <div class="horae-prompt-budget-dropped-list">${dropped}</div>
+            </div>
+            <div class="horae-modal-footer">
+                <button class="horae-btn" id="horae-prompt-budget-close">
+                    <i class="fa-solid fa-xmark"></i> ${t('common.close')}
+                </button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+    preventModalBubble(modal);
+    modal.querySelector('#horae-prompt-budget-close').addEventListener('click', () => modal.remove());
+}
+
+/** 数据块逐行标注来源分区（按行文本对回组装时的片段） */
+function _tagInjectedDataLines(text, dataParts) {
+    const sectionOf = new Map();
+    for (const part of dataParts || []) {
+        for (const line of part.text.split('\n')) {
+            if (line.trim() && !sectionOf.has(line)) sectionOf.set(line, part.section);
+        }
+    }
+    return text.split('\n').map(line => {
+        const section = sectionOf.get(line);
+        return { line, tag: section ? t(`promptBudget.section.${section}`) : '' };
+    });
+}
+
+/** 召回块逐行标注命中楼层；全文召回的续行沿用上一条命中 */
+function _tagInjectedRecallLines(text, hits) {
+    const byIndex = new Map((hits || []).map(h => [h.messageIndex, h]));
+    let current = null;
+    return text.split('\n').map(line => {
+        const m = line.match(/#(\d+)/);
+        if (m) current = byIndex.get(parseInt(m[1], 10)) || null;
+        if (!current) return { line, tag: '' };
+        const sim = Number.isFinite(current.similarity) ? ` · ${current.similarity.toFixed(2)}` : '';
+        return { line, tag: `#${current.messageIndex}${sim}${current.source ? ` · ${current.source}` : ''}` };
+    });
+}
+
+function _renderInjectPreviewBlock(block) {
+    const lines = block.lines.map(({ line, tag }) => `
+        <div class="horae-inject-line"${tag ? ` data-tag="${escapeHtml(tag)}"` : ''}>
+            <span class="horae-inject-line-text">${escapeHtml(line) || '&nbsp;'}</span>
+            ${tag ? `<span class="horae-inject-line-tag">${escapeHtml(tag)}</span>` : ''}
+        </div>
+    `).join('');
+    return `
+        <details class="horae-inject-block" open>
+            <summary>
+                <span class="horae-inject-block-title">${block.title}</span>
+                <span class="horae-inject-block-meta">${escapeHtml(block.place)} · ${t('injectPreview.tokens', { n: block.tokens })}</span>
+            </summary>
+            <div class="horae-inject-lines">${lines}</div>
+        </details>
+    `;
+}
+
+/** 预览下次注入：按 onPromptReady 的同一路径试组装，不写入任何内容 */
+async function openInjectPreviewModal() {
+    const modal = document.createElement('div');
+    modal.className = 'horae-modal' + (isLightMode() ? ' horae-light' : '');
+    modal.innerHTML = `
+        <div class="horae-modal-content horae-inject-preview" style="max-width: 760px;">
+            <div class="horae-modal-header">
+                <i class="fa-solid fa-eye"></i> ${t('injectPreview.title')}
+            </div>
+            <div class="horae-modal-body">
+                <div id="horae-inject-preview-body"></div>
+            </div>
+            <div class="horae-modal-footer">
+                <button class="horae-btn" id="horae-inject-preview-refresh">
+                    <i class="fa-solid fa-rotate"></i> ${t('injectPreview.refresh')}
+                </button>
+                <button class="horae-btn" id="horae-inject-preview-copy">
+                    <i class="fa-solid fa-copy"></i> ${t('injectPreview.copy')}
+                </button>
+                <button class="horae-btn" id="horae-inject-preview-close">
+                    <i class="fa-solid fa-xmark"></i> ${t('common.close')}
+                </button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+    preventModalBubble(modal);
+
+    const bodyEl = modal.querySelector('#horae-inject-preview-body');
+    let plan = null;
+    const render = async () => {
+        bodyEl.innerHTML = `<div class="horae-empty-hint"><i class="fa-solid fa-spinner fa-spin"></i> ${t('common.loading')}</div>`;
+        try {
+            plan = await _assembleInjection({ dryRun: true });
+        } catch (err) {
+            console.error('[Horae] 注入预览失败:', err);
+            bodyEl.innerHTML = `<div class="horae-empty-hint">${t('injectPreview.failed')}</div>`;
+            return;
+        }
+        const mainPlace = plan.depthSource === 'preset'
+            ? t('injectPreview.placePreset', { n: plan.position })
+            : plan.position === 0 ? t('injectPreview.placeChatEnd') : t('injectPreview.placeChat', { n: plan.position });
+        const plainLines = (text, tag = '') => text.split('\n').map(line => ({ line, tag }));
+        const blocks = [
+            { title: t('injectPreview.blockData'), text: plan.dataPrompt, lines: _tagInjectedDataLines(plan.dataPrompt, plan.dataParts), place: mainPlace },
+            plan.timelinePrompt && { title: t('injectPreview.blockTimeline'), text: plan.timelinePrompt, lines: _tagInjectedDataLines(plan.timelinePrompt, plan.dataParts), place: t('injectPreview.placeTimeline') },
+            plan.recallPrompt && { title: t('injectPreview.blockRecall'), text: plan.recallPrompt, lines: _tagInjectedRecallLines(plan.recallPrompt, plan.recallHits), place: mainPlace },
+            { title: t('injectPreview.blockRules'), text: plan.rulesPrompt, lines: plainLines(plan.rulesPrompt), place: mainPlace },
+            plan.antiParaRef && { title: t('injectPreview.blockAntiPara'), text: plan.antiParaRef.trim(), lines: plainLines(plan.antiParaRef.trim(), `#${plan.antiParaSource}`), place: mainPlace },
+        ].filter(Boolean);
+        for (const block of blocks) block.tokens = await _countPromptTokens(block.text);
+        const combinedTokens = await _countPromptTokens(plan.combinedPrompt);
+
+        const notes = [];
+        if (!settings.enabled || !settings.injectContext) notes.push(t('injectPreview.noteDisabled'));
+        if (plan.skipLast) notes.push(t('injectPreview.noteSkipLast'));
+        notes.push(t('injectPreview.noteDryRun'));
+        bodyEl.innerHTML = `
+            <div class="horae-inject-summary">
+                ${t('injectPreview.summary', { tokens: combinedTokens, place: escapeHtml(mainPlace) })}
+            </div>
+            ${notes.map(n => `<div class="horae-setting-sub-hint">${n}</div>`).join('')}
+            ${blocks.map(_renderInjectPreviewBlock).join('')}
+        `;
+    };
+    await render();
+
+    // 点击来源标签时高亮同一来源的所有行
+    bodyEl.addEventListener('click', (e) => {
+        const tagEl = e.target.closest('.horae-inject-line-tag');
+        if (!tagEl) return;
+        const tag = tagEl.parentElement.dataset.tag;
+        const active = tagEl.parentElement.classList.contains('horae-inject-highlight');
+        bodyEl.querySelectorAll('.horae-inject-line').forEach(el => {
+            el.classList.toggle('horae-inject-highlight', !active && el.dataset.tag === tag);
+        });
+    });
+    modal.querySelector('#horae-inject-preview-refresh').addEventListener('click', render);
+    modal.querySelector('#horae-inject-preview-copy').addEventListener('click', () => {
+        if (!plan) return;
+        const text = plan.timelinePrompt ? `${plan.timelinePrompt}\n\n${plan.combinedPrompt}` : plan.combinedPrompt;
+        navigator.clipboard.writeText(text).then(
+            () => showToast(t('injectPreview.copied'), 'success'),
+            () => showToast(t('injectPreview.copyFailed'), 'error'),
+        );
+    });
+    modal.querySelector('#horae-inject-preview-close').addEventListener('click', () => modal.remove());
+}
+
 /**
  * 滚动到指定消息（支持折叠/懒加载的消息展开跳转）
  */
@@ -10684,6 +13182,7 @@ function _sanitizeCustomCSS(input) {
         'horae-vector-collapse-body',
         'horae-advanced-collapse-body',
         'horae-custom-cal-collapse-body',
+        'horae-world-ledger-collapse-body',
         'horae-custom-tables-collapse-body',
         'horae-send-to-ai-collapse-body',
         'horae-css-collapse-body',
@@ -11601,6 +14100,9 @@ function addMessagePanel(messageEl, messageIndex) {
             : t('ui.noSpecialEvents');
         const charCount = meta.scene?.characters_present?.length || 0;
         const isSkipped = !!meta._skipHorae;
+        const parseIssueCount = meta.parseIssues?.length || 0;
+        const chronologyIssue = meta.chronologyIssue;
+        const factIssueCount = meta.factIssues?.length || 0;
         const sideplayBtnStyle = settings.sideplayMode ? '' : 'display:none;';
         // 取首条事件等级落到根节点 data-level，曜石简约依此渲染左侧色条；其他布局忽略
         const firstLevel = (eventsArr.find(e => e && e.level)?.level || '').trim();
@@ -11619,6 +14121,10 @@ function addMessagePanel(messageEl, messageIndex) {
                 </div>
                 <div class="horae-panel-summary">
                     ${isSkipped ? `<span class="horae-sideplay-badge">${t('badge.sideplay')}</span>` : ''}
+                    ${parseIssueCount > 0 ? `<span class="horae-parse-issue-badge" title="${t('parseIssues.badgeTitle', { n: parseIssueCount })}"><i class="fa-solid fa-triangle-exclamation"></i> ${parseIssueCount}</span>` : ''}
+                    ${factIssueCount > 0 ? `<span class="horae-fact-issue-badge" title="${t('factCheck.badgeTitle', { n: factIssueCount })}"><i class="fa-solid fa-scale-unbalanced"></i> ${factIssueCount}</span>` : ''}
+                    ${chronologyIssue ? `<span class="horae-chronology-badge" title="${t(`chronology.badge_${chronologyIssue.type}`)}"><i class="fa-solid ${chronologyIssue.type === 'jump' ? 'fa-forward-fast' : 'fa-clock-rotate-left'}"></i></span>` : ''}
+                    ${!isSkipped && meta._flashback ? `<span class="horae-flashback-badge" title="${t('chronology.flashbackNote')}">${t('chronology.flashbackBadge')}</span>` : ''}
                     <span class="horae-summary-time">${isSkipped ? t('badge.noTracking') : time}</span>
                     <span class="horae-summary-divider">|</span>
                     <span class="horae-summary-event">${isSkipped ? t('badge.sideplayMarked') : eventSummary}</span>
@@ -11702,6 +14208,120 @@ function buildAgendaEditorRows(agenda) {
     `).join('');
 }
 
+/** 标签解析诊断：列出被丢弃的行及原因，附 AI 修复 / 忽略按钮 */
+function buildPanelParseIssues(meta) {
+    const issues = meta.parseIssues || [];
+    if (issues.length === 0) return '';
+
+    const rows = issues.map(issue => {
+        // 格式错误与 JSON/YAML 块里的字段问题没有原文行号，只标出块格式（字段名见右侧）
+        const where = issue.reason === 'formatError' || issue.line == null
+            ? `&lt;horae format="${escapeHtml(issue.format || '')}"&gt;`
+            : `&lt;${issue.tag}&gt; ${t('parseIssues.line', { n: issue.line })}`;
+        return `
+            <div class="horae-parse-issue-row">
+                <div class="horae-parse-issue-head">
+                    <span class="horae-parse-issue-where">${where}</span>
+                    ${issue.field ? `<span class="horae-parse-issue-field">${escapeHtml(issue.field)}</span>` : ''}
+                    <span class="horae-parse-issue-reason">${t(`parseIssues.reason_${issue.reason}`)}</span>
+                </div>
+                <code class="horae-parse-issue-text">${escapeHtml(issue.text || '')}</code>
+            </div>
+        `;
+    }).join('');
+
+    return `
+        <div class="horae-parse-issues">
+            <div class="horae-parse-issues-label"><i class="fa-solid fa-triangle-exclamation"></i> ${t('parseIssues.title', { n: issues.length })}</div>
+            <div class="horae-parse-issues-list">${rows}</div>
+            <div class="horae-parse-issues-actions">
+                <button class="horae-btn-parse-repair horae-btn" title="${t('parseIssues.repairTitle')}">
+                    <i class="fa-solid fa-wand-magic-sparkles"></i> ${t('parseIssues.repair')}
+                </button>
+                <button class="horae-btn-parse-dismiss horae-btn" title="${t('parseIssues.dismissTitle')}">
+                    <i class="fa-solid fa-eye-slash"></i> ${t('parseIssues.dismiss')}
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+/** 事实矛盾检测结果：每条带可跳转的来源楼层 */
+function buildPanelFactIssues(meta) {
+    const issues = meta.factIssues || [];
+    if (issues.length === 0) return '';
+
+    const rows = issues.map(issue => {
+        const sources = (issue.sources || [])
+            .map(i => `<a class="horae-fact-source" data-message-id="${i}" title="${t('factCheck.jumpTo', { id: i })}">#${i}</a>`)
+            .join(' ');
+        return `
+            <div class="horae-fact-issue-row">
+                <span class="horae-fact-issue-text">${escapeHtml(issue.text || '')}</span>
+                ${sources ? `<span class="horae-fact-issue-sources">${sources}</span>` : ''}
+            </div>
+        `;
+    }).join('');
+
+    return `
+        <div class="horae-fact-issues">
+            <div class="horae-fact-issues-label"><i class="fa-solid fa-scale-unbalanced"></i> ${t('factCheck.title', { n: issues.length })}</div>
+            <div class="horae-fact-issues-list">${rows}</div>
+            <div class="horae-fact-issues-actions">
+                <button class="horae-btn-fact-check horae-btn" title="${t('factCheck.recheckTitle')}">
+                    <i class="fa-solid fa-rotate"></i> ${t('factCheck.recheck')}
+                </button>
+                <button class="horae-btn-fact-dismiss horae-btn" title="${t('factCheck.dismissTitle')}">
+                    <i class="fa-solid fa-eye-slash"></i> ${t('factCheck.dismiss')}
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+/** 时间顺序校验：时间倒退/跳跃的提示与处理按钮；已标为闪回的楼层给出取消入口 */
+function buildPanelChronology(meta) {
+    if (meta._flashback) {
+        return `
+        <div class="horae-chronology horae-chronology-flashback">
+            <div class="horae-chronology-label"><i class="fa-solid fa-clock-rotate-left"></i> ${t('chronology.flashbackNote')}</div>
+            <div class="horae-chronology-actions">
+                <button class="horae-btn-chrono-unflashback horae-btn">
+                    <i class="fa-solid fa-rotate-left"></i> ${t('chronology.unmarkFlashback')}
+                </button>
+            </div>
+        </div>
+    `;
+    }
+    const issue = meta.chronologyIssue;
+    if (!issue) return '';
+
+    const fmt = (ts) => escapeHtml(`${ts?.story_date || ''} ${ts?.story_time || ''}`.trim());
+    const vars = { from: fmt(issue.previous), to: fmt(issue.current), days: issue.days, minutes: issue.minutes };
+    const detail = issue.type === 'jump'
+        ? t('chronology.jump', vars)
+        : issue.days > 0 ? t('chronology.regressionDays', vars) : t('chronology.regressionMinutes', vars);
+
+    return `
+        <div class="horae-chronology">
+            <div class="horae-chronology-label"><i class="fa-solid fa-triangle-exclamation"></i> ${t(`chronology.badge_${issue.type}`)}</div>
+            <div class="horae-chronology-detail">${detail}</div>
+            <div class="horae-chronology-actions">
+                <button class="horae-btn-chrono-accept horae-btn" title="${t('chronology.acceptTitle')}">
+                    <i class="fa-solid fa-check"></i> ${t('chronology.accept')}
+                </button>
+                <button class="horae-btn-chrono-correct horae-btn" title="${t('chronology.correctTitle')}" data-previous="${fmt(issue.previous)}">
+                    <i class="fa-solid fa-pen"></i> ${t('chronology.correct')}
+                </button>
+                ${issue.type === 'regression' ? `
+                <button class="horae-btn-chrono-flashback horae-btn" title="${t('chronology.flashbackTitle')}">
+                    <i class="fa-solid fa-clock-rotate-left"></i> ${t('chronology.flashback')}
+                </button>` : ''}
+            </div>
+        </div>
+    `;
+}
+
 /** 关系网络面板渲染 — 数据源为 chat[0].horae_meta，不消耗 AI 输出 */
 function buildPanelRelationships(meta) {
     if (!settings.sendRelationships) return '';
@@ -11831,6 +14451,9 @@ function buildPanelContent(messageIndex, meta) {
     const multipleEventsNote = eventsArr.length > 1 ? `<span class="horae-note">${t('ui.multipleEventsNote', { n: eventsArr.length })}</span>` : '';
 
     return `
+        ${buildPanelParseIssues(meta)}
+        ${buildPanelFactIssues(meta)}
+        ${buildPanelChronology(meta)}
         <div class="horae-panel-grid">
             <div class="horae-panel-row">
                 <label><i class="fa-regular fa-clock"></i> ${t('label.time')}</label>
@@ -11908,6 +14531,9 @@ function buildPanelContent(messageIndex, meta) {
                 <button class="horae-btn-ai-analyze horae-btn" title="${t('ui.aiAnalyzeTitle')}">
                     <i class="fa-solid fa-wand-magic-sparkles"></i> ${t('tooltip.aiAnalysis')}
                 </button>
+                ${settings.factCheckEnabled && !meta.factIssues?.length ? `<button class="horae-btn-fact-check horae-btn" title="${t('factCheck.recheckTitle')}">
+                    <i class="fa-solid fa-scale-unbalanced"></i> ${t('factCheck.check')}
+                </button>` : ''}
             </div>
         </div>
         <div class="horae-panel-footer">
@@ -11943,6 +14569,16 @@ function bindPanelEvents(panelEl) {
 
         toggleEl?.addEventListener('click', (e) => {
             if (e.target.closest('.horae-btn-ai-analyze-header') || e.target.closest('.horae-btn-rescan') || e.target.closest('.horae-btn-sideplay')) return;
+            if (e.target.closest('.horae-parse-issue-badge')) {
+                contentEl.style.display = 'block';
+                contentEl.querySelector('.horae-parse-issues')?.scrollIntoView({ block: 'nearest' });
+                return;
+            }
+            if (e.target.closest('.horae-chronology-badge')) {
+                contentEl.style.display = 'block';
+                contentEl.querySelector('.horae-chronology')?.scrollIntoView({ block: 'nearest' });
+                return;
+            }
             togglePanel();
         });
         headerAnalyzeBtn?.addEventListener('click', (e) => {
@@ -12144,6 +14780,65 @@ function bindPanelEvents(panelEl) {
     panelEl.querySelector('.horae-btn-ai-analyze')?.addEventListener('click', () => {
         handlePanelAiAnalyzeAction(messageId, panelEl);
     });
+
+    panelEl.querySelector('.horae-btn-parse-repair')?.addEventListener('click', () => {
+        repairParseIssuesWithAI(messageId, panelEl).catch(err => {
+            console.error(`[Horae] 标签修复失败 #${messageId}:`, err);
+        });
+    });
+
+    panelEl.querySelector('.horae-btn-parse-dismiss')?.addEventListener('click', async () => {
+        const meta = horaeManager.getMessageMeta(messageId);
+        if (!meta?.parseIssues) return;
+        delete meta.parseIssues;
+        await getContext().saveChat();
+        _rerenderMessagePanel(messageId);
+    });
+
+    panelEl.querySelector('.horae-btn-fact-check')?.addEventListener('click', () => {
+        checkFactContradictions(messageId);
+    });
+
+    panelEl.querySelector('.horae-btn-fact-dismiss')?.addEventListener('click', async () => {
+        const meta = horaeManager.getMessageMeta(messageId);
+        if (!meta?.factIssues) return;
+        delete meta.factIssues;
+        await getContext().saveChat();
+        _rerenderMessagePanel(messageId);
+    });
+
+    panelEl.querySelectorAll('.horae-fact-source').forEach(link => {
+        link.addEventListener('click', (e) => {
+            e.stopPropagation();
+            scrollToMessage(parseInt(link.dataset.messageId, 10));
+        });
+    });
+
+    panelEl.querySelector('.horae-btn-chrono-accept')?.addEventListener('click', async () => {
+        horaeManager.acceptChronology(messageId);
+        await getContext().saveChat();
+        _rerenderMessagePanel(messageId);
+    });
+
+    // 修正时间：把上一时间填进时间框供修改，点保存后会重新校验
+    panelEl.querySelector('.horae-btn-chrono-correct')?.addEventListener('click', (e) => {
+        const input = panelEl.querySelector('.horae-input-datetime');
+        if (!input) return;
+        input.value = e.currentTarget.dataset.previous || input.value;
+        input.focus();
+        input.select();
+        showToast(t('chronology.correctHint'), 'info');
+    });
+
+    const setFlashback = async (flashback) => {
+        horaeManager.setFlashback(messageId, flashback);
+        await getContext().saveChat();
+        _rerenderMessagePanel(messageId);
+        refreshAllDisplays();
+        updateTokenCounter();
+    };
+    panelEl.querySelector('.horae-btn-chrono-flashback')?.addEventListener('click', () => setFlashback(true));
+    panelEl.querySelector('.horae-btn-chrono-unflashback')?.addEventListener('click', () => setFlashback(false));
 }
 
 async function handlePanelAiAnalyzeAction(messageId, panelEl) {
@@ -12192,43 +14887,254 @@ async function runPanelAiAnalyze(messageId, panelEl, message) {
             return;
         }
 
-        const existingMeta = horaeManager.getMessageMeta(messageId) || createEmptyMeta();
-        const newMeta = horaeManager.mergeParsedToMeta(existingMeta, result);
-        if (newMeta._tableUpdates) {
-            horaeManager.applyTableUpdates(newMeta._tableUpdates);
-            delete newMeta._tableUpdates;
+        const existingMeta = horaeManager.getMessageMeta(messageId) || createEmptyMeta();
+        const newMeta = horaeManager.mergeParsedToMeta(existingMeta, result);
+        if (newMeta._tableUpdates) {
+            horaeManager.applyTableUpdates(newMeta._tableUpdates);
+            delete newMeta._tableUpdates;
+        }
+        if (result.deletedAgenda?.length > 0) {
+            horaeManager.removeCompletedAgenda(result.deletedAgenda);
+        }
+        if (result.relationships?.length > 0) {
+            horaeManager._mergeRelationships(result.relationships);
+        }
+        if (result.scene?.scene_desc && result.scene?.location) {
+            horaeManager._updateLocationMemory(result.scene.location, result.scene.scene_desc);
+        }
+
+        horaeManager.setMessageMeta(messageId, newMeta);
+        injectHoraeTagToMessage(messageId, newMeta);
+
+        const contentEl = panelEl.querySelector('.horae-panel-content');
+        if (contentEl) {
+            contentEl.innerHTML = buildPanelContent(messageId, newMeta);
+            bindPanelEvents(panelEl);
+        }
+
+        await getContext().saveChat();
+        refreshAllDisplays();
+        showToast(t('toast.saveSuccess'), 'success');
+    } catch (error) {
+        console.error('[Horae] AI分析失败:', error);
+        showToast(t('toast.aiAnalysisFailed', { error: error.message }), 'error');
+    } finally {
+        _panelAiAnalyzeInProgress = false;
+        buttons.forEach((btn, idx) => {
+            btn.innerHTML = originals[idx];
+            btn.disabled = false;
+        });
+    }
+}
+
+/** 整体重建某条消息的底部面板（头部徽标随之更新） */
+function _rerenderMessagePanel(messageId) {
+    if (!settings.showMessagePanel) return;
+    const messageEl = document.querySelector(`.mes[mesid="${messageId}"]`);
+    if (!messageEl) return;
+    messageEl.querySelector('.horae-message-panel')?.remove();
+    addMessagePanel(messageEl, messageId);
+}
+
+/**
+ * 只把解析失败的行交给辅助 API 改写，逐行替换回正文后重新解析
+ * 格式级错误（整块 JSON/YAML 损坏）与已不在正文中的行不参与修复
+ */
+async function repairParseIssuesWithAI(messageId, panelEl) {
+    if (_parseRepairInProgress) {
+        showToast(t('parseIssues.repairing'), 'info');
+        return;
+    }
+
+    const chat = horaeManager.getChat();
+    const message = chat?.[messageId];
+    if (!message) {
+        showToast(t('toast.cannotGetContent'), 'error');
+        return;
+    }
+    // 带 format 的是格式错误或 JSON/YAML 块转换出的行，原文里没有这一行，不能按行替换
+    const issues = (message.horae_meta?.parseIssues || [])
+        .filter(i => !i.format && i.text && message.mes.includes(i.text));
+    if (issues.length === 0) {
+        showToast(t('parseIssues.nothingToRepair'), 'info');
+        return;
+    }
+
+    const template = _getPromptDefaultFromResource('parseRepairPrompt');
+    if (!template) {
+        showToast(t('parseIssues.repairFailed', { error: 'parseRepairPrompt' }), 'error');
+        return;
+    }
+    const issuesText = issues.map((issue, idx) => `#${idx + 1} [${issue.reason}] ${issue.text}`).join('\n');
+    const prompt = template
+        .replace(/\{\{issues\}\}/gi, () => issuesText)
+        .replace(/\{\{user\}\}/gi, () => getContext()?.name1 || t('ui.protagonist'));
+
+    const btn = panelEl?.querySelector('.horae-btn-parse-repair');
+    const original = btn?.innerHTML;
+    if (btn) {
+        btn.innerHTML = `<i class="fa-solid fa-spinner fa-spin"></i> ${t('parseIssues.repairing')}`;
+        btn.disabled = true;
+    }
+    _parseRepairInProgress = true;
+
+    try {
+        const response = String(await _generateForAuxTask(prompt, { kind: 'parseRepair' }) || '');
+        const body = response.match(/<repair>([\s\S]*?)<\/repair>/i)?.[1] ?? response;
+        const fixes = new Map();
+        for (const line of body.split('\n')) {
+            const m = line.trim().match(/^#(\d+)\s*[:：]\s*(.*)$/);
+            if (m) fixes.set(parseInt(m[1]) - 1, m[2].trim());
+        }
+
+        let mes = message.mes;
+        let applied = 0;
+        issues.forEach((issue, idx) => {
+            if (!fixes.has(idx) || !mes.includes(issue.text)) return;
+            const fixed = fixes.get(idx);
+            // 留空表示无法挽救：连同换行一起移除原行
+            const escaped = issue.text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            mes = fixed
+                ? mes.replace(issue.text, () => fixed)
+                : mes.replace(new RegExp(`[ \\t]*${escaped}[ \\t]*\\r?\\n?`), '');
+            applied++;
+        });
+        if (applied === 0) {
+            showToast(t('parseIssues.repairNoResult'), 'warning');
+            return;
         }
-        if (result.deletedAgenda?.length > 0) {
-            horaeManager.removeCompletedAgenda(result.deletedAgenda);
+
+        message.mes = mes;
+        _reparseMessage(messageId, 'repair');
+        const remaining = horaeManager.getMessageMeta(messageId)?.parseIssues?.length || 0;
+        showToast(t('parseIssues.repairDone', { n: applied, remaining }), remaining > 0 ? 'warning' : 'success');
+    } catch (error) {
+        console.error('[Horae] 标签修复失败:', error);
+        showToast(t('parseIssues.repairFailed', { error: error.message }), 'error');
+    } finally {
+        _parseRepairInProgress = false;
+        if (btn?.isConnected) {
+            btn.innerHTML = original;
+            btn.disabled = false;
         }
-        if (result.relationships?.length > 0) {
-            horaeManager._mergeRelationships(result.relationships);
+    }
+}
+
+/** 把 getEstablishedFacts() 的结果写成「#楼层 类别 名称: 取值」行，事件按时间顺序 */
+function _formatEstablishedFacts(facts) {
+    const lines = [];
+    for (const [name, fields] of Object.entries(facts.npcs)) {
+        for (const [field, { value, messageIndex }] of Object.entries(fields)) {
+            lines.push(`#${messageIndex} npc ${name}.${field}: ${value}`);
         }
-        if (result.scene?.scene_desc && result.scene?.location) {
-            horaeManager._updateLocationMemory(result.scene.location, result.scene.scene_desc);
+    }
+    for (const [name, { value, messageIndex }] of Object.entries(facts.costumes)) {
+        lines.push(`#${messageIndex} costume ${name}: ${value}`);
+    }
+    for (const [name, info] of Object.entries(facts.items)) {
+        if (info.removed) {
+            lines.push(`#${info.messageIndex} item- ${name}`);
+            continue;
         }
+        const where = [info.holder && `holder=${info.holder}`, info.location && `location=${info.location}`].filter(Boolean).join(' ');
+        lines.push(`#${info.messageIndex} item ${name}: ${where}${info.description ? ` | ${info.description}` : ''}`);
+    }
+    for (const e of [...facts.events].reverse()) {
+        lines.push(`#${e.messageIndex} event ${e.level}: ${e.summary}`);
+    }
+    return lines;
+}
 
-        horaeManager.setMessageMeta(messageId, newMeta);
-        injectHoraeTagToMessage(messageId, newMeta);
+/** 解析 <horaefactcheck>；格式不对返回 null，来源楼层只保留本楼之前的 */
+function _parseFactCheckResponse(raw, messageId) {
+    const body = _cleanSummaryText(raw).match(/<horaefactcheck>([\s\S]*?)<\/horaefactcheck>/i)?.[1];
+    if (body === undefined) return null;
+    const issues = [];
+    for (const line of body.split('\n')) {
+        const m = line.trim().match(/^((?:#\d+\s*[,，、]?\s*)+)[|｜]\s*(.+)$/);
+        if (!m) continue;
+        const sources = [...m[1].matchAll(/#(\d+)/g)]
+            .map(x => parseInt(x[1], 10))
+            .filter(i => i < messageId);
+        issues.push({ text: m[2].trim(), sources: [...new Set(sources)] });
+    }
+    return issues;
+}
 
-        const contentEl = panelEl.querySelector('.horae-panel-content');
-        if (contentEl) {
-            contentEl.innerHTML = buildPanelContent(messageId, newMeta);
-            bindPanelEvents(panelEl);
+/**
+ * 事实矛盾检测：把本楼新写入的状态与此前确立的角色特征、物品归属、相关事件及向量召回片段一起交给辅助 API，
+ * 结果存入 meta.factIssues 并显示在消息面板上。silent 用于每条回复后的后台检查，只在发现矛盾时提示
+ */
+async function checkFactContradictions(messageId, { silent = false } = {}) {
+    if (_factCheckInProgress.has(messageId)) return;
+    const chat = horaeManager.getChat();
+    const message = chat?.[messageId];
+    const meta = message?.horae_meta;
+    if (!message || message.is_user || !meta || meta._skipHorae) return;
+
+    const template = _getPromptDefaultFromResource('factCheckPrompt');
+    if (!template) return;
+
+    const npcNames = [...new Set([
+        ...Object.keys(meta.npcs || {}),
+        ...(meta.scene?.characters_present || []),
+        ...Object.keys(meta.costumes || {}),
+    ])].filter(Boolean);
+    const itemNames = [...Object.keys(meta.items || {}), ...(meta.deletedItems || [])];
+    const factLines = _formatEstablishedFacts(horaeManager.getEstablishedFacts(messageId, { npcs: npcNames, items: itemNames }));
+
+    _factCheckInProgress.add(messageId);
+    try {
+        let recallLines = [];
+        if (settings.vectorEnabled && vectorManager.isReady) {
+            try {
+                const events = meta.events || (meta.event ? [meta.event] : []);
+                const query = [...events.map(e => e.summary), ...npcNames, ...itemNames].filter(Boolean).join(' ');
+                const hits = query ? await vectorManager.search(query, 4, settings.vectorThreshold ?? 0.72, new Set([messageId])) : [];
+                recallLines = hits
+                    .filter(h => Number.isInteger(h.messageIndex) && h.messageIndex < messageId)
+                    .map(h => `#${h.messageIndex} ${String(h.document || '').replace(/\s+/g, ' ').slice(0, 300)}`);
+            } catch (err) {
+                console.warn('[Horae] 事实检测的向量召回失败:', err);
+            }
+        }
+        if (factLines.length === 0 && recallLines.length === 0) {
+            if (meta.factIssues) {
+                delete meta.factIssues;
+                _rerenderMessagePanel(messageId);
+            }
+            if (!silent) showToast(t('factCheck.nothingToCompare'), 'info');
+            return;
         }
 
+        const newFacts = [buildHoraeTagFromMeta(meta), buildHoraeEventTagFromMeta(meta)].filter(Boolean).join('\n');
+        const prompt = template
+            .replace(/\{\{facts\}\}/gi, () => factLines.join('\n') || '—')
+            .replace(/\{\{recall\}\}/gi, () => recallLines.join('\n') || '—')
+            .replace(/\{\{message\}\}/gi, String(messageId))
+            .replace(/\{\{reply\}\}/gi, () => _cleanSummaryText(message.mes).slice(0, 4000))
+            .replace(/\{\{newFacts\}\}/gi, () => newFacts || '—');
+
+        if (!silent) showToast(t('factCheck.checking'), 'info');
+        const issues = _parseFactCheckResponse(String(await _generateForAuxTask(prompt, { kind: 'factCheck', forbidFallback: silent }) || ''), messageId);
+        // 等待期间楼层被重新生成或删除时丢弃结果
+        if (horaeManager.getChat()?.[messageId]?.horae_meta !== meta) return;
+        if (issues === null) {
+            if (!silent) showToast(t('factCheck.formatError'), 'warning');
+            return;
+        }
+        if (issues.length > 0) meta.factIssues = issues;
+        else delete meta.factIssues;
         await getContext().saveChat();
-        refreshAllDisplays();
-        showToast(t('toast.saveSuccess'), 'success');
+        _rerenderMessagePanel(messageId);
+
+        if (issues.length > 0) showToast(t('factCheck.found', { n: issues.length, id: messageId }), 'warning');
+        else if (!silent) showToast(t('factCheck.clean'), 'success');
     } catch (error) {
-        console.error('[Horae] AI分析失败:', error);
-        showToast(t('toast.aiAnalysisFailed', { error: error.message }), 'error');
+        console.error('[Horae] 事实矛盾检测失败:', error);
+        if (!silent) showToast(t('factCheck.failed', { error: error.message }), 'error');
     } finally {
-        _panelAiAnalyzeInProgress = false;
-        buttons.forEach((btn, idx) => {
-            btn.innerHTML = originals[idx];
-            btn.disabled = false;
-        });
+        _factCheckInProgress.delete(messageId);
     }
 }
 
@@ -12413,6 +15319,7 @@ async function rescanMessageMeta(messageId, panelEl) {
 
 /** 保存底部栏面板数据：从旧 meta 深拷贝起手，避免重置时丢 _rpgChanges 等内部字段 */
 async function savePanelData(panelEl, messageId) {
+    const baseline = horaeManager.captureChangeBaseline(messageId);
     const existingMeta = horaeManager.getMessageMeta(messageId);
     const meta = existingMeta
         ? JSON.parse(JSON.stringify(existingMeta))
@@ -12566,6 +15473,8 @@ async function savePanelData(panelEl, messageId) {
     }
 
     horaeManager.setMessageMeta(messageId, meta);
+    const hadChronologyIssue = !!existingMeta?.chronologyIssue;
+    horaeManager.checkChronology(messageId);
 
     // 全局同步
     if (meta.relationships?.length > 0) {
@@ -12577,6 +15486,7 @@ async function savePanelData(panelEl, messageId) {
 
     // 同步写入正文标签
     injectHoraeTagToMessage(messageId, meta);
+    horaeManager.emitStateChange(messageId, 'panel', baseline);
 
     await getContext().saveChat();
 
@@ -12607,6 +15517,7 @@ async function savePanelData(panelEl, messageId) {
     if (summaryChars) {
         summaryChars.textContent = t('ui.presentCount', { n: meta.scene.characters_present.length });
     }
+    if (hadChronologyIssue || meta.chronologyIssue) _rerenderMessagePanel(messageId);
 }
 
 /** 构建 <horae> 标签字符串 */
@@ -12764,12 +15675,12 @@ function injectHoraeTagToMessage(messageId, meta) {
 
         // === 处理 <horae> 标签 ===
         const newHoraeTag = buildHoraeTagFromMeta(meta);
-        const hasHoraeTag = /<horae>[\s\S]*?<\/horae>/i.test(mes);
+        const hasHoraeTag = /<horae(?:\s[^>]*)?>[\s\S]*?<\/horae>/i.test(mes);
 
         if (hasHoraeTag) {
             mes = newHoraeTag
-                ? mes.replace(/<horae>[\s\S]*?<\/horae>/gi, newHoraeTag)
-                : mes.replace(/<horae>[\s\S]*?<\/horae>/gi, '').trim();
+                ? mes.replace(/<horae(?:\s[^>]*)?>[\s\S]*?<\/horae>/gi, newHoraeTag)
+                : mes.replace(/<horae(?:\s[^>]*)?>[\s\S]*?<\/horae>/gi, '').trim();
         } else if (newHoraeTag) {
             mes = mes.trimEnd() + '\n\n' + newHoraeTag;
         }
@@ -12787,6 +15698,14 @@ function injectHoraeTagToMessage(messageId, meta) {
         }
 
         message.mes = mes;
+        // 被重建的标签块里已不含原来的错误行，对应诊断随之作废
+        if (Array.isArray(meta?.parseIssues)) {
+            const rebuilt = new Set();
+            if (hasHoraeTag || newHoraeTag) rebuilt.add('horae');
+            if (hasEventTag || newEventTag) rebuilt.add('horaeevent');
+            meta.parseIssues = meta.parseIssues.filter(i => !rebuilt.has(i.tag));
+            if (meta.parseIssues.length === 0) delete meta.parseIssues;
+        }
         console.log(`[Horae] 已同步写入消息 #${messageId} 的标签`);
     } catch (error) {
         console.error(`[Horae] 写入标签失败:`, error);
@@ -12954,6 +15873,9 @@ function initTabs() {
             case 'items':
                 updateItemsDisplay();
                 break;
+            case 'graph':
+                updateEntityGraphDisplay();
+                break;
             default: {
                 if ($tab.hasClass('horae-port-tab')) {
                     const portId = $tab.attr('data-port-id');
@@ -13067,7 +15989,7 @@ function initSettingsEvents() {
     });
 
     $('#horae-btn-scan-all, #horae-btn-scan-history').on('click', scanHistoryWithProgress);
-    $('#horae-btn-ai-scan').on('click', batchAIScan);
+    $('#horae-btn-ai-scan').on('click', () => batchAIScan());
     $('#horae-btn-undo-ai-scan').on('click', undoAIScan);
 
     $('#horae-btn-fix-summaries').on('click', () => {
@@ -13099,7 +16021,16 @@ function initSettingsEvents() {
     });
 
     $('#horae-timeline-filter').on('change', updateTimelineDisplay);
+    $('#horae-timeline-thread-filter').on('change', updateTimelineDisplay);
+    $('#horae-btn-timeline-threads').on('click', openPlotThreadManager);
+    $('#horae-btn-summary-tree').on('click', openSummaryTreeModal);
     $('#horae-timeline-search').on('input', updateTimelineDisplay);
+    $('#horae-timeline-search-character, #horae-timeline-search-location, #horae-timeline-search-date-from, #horae-timeline-search-date-to').on('input', updateTimelineDisplay);
+    $('#horae-timeline-search-kind').on('change', updateTimelineDisplay);
+    $('#horae-btn-timeline-advanced-search').on('click', toggleTimelineAdvancedSearch);
+    $('#horae-btn-timeline-select-results').on('click', selectTimelineSearchResults);
+    $('#horae-btn-timeline-search-clear').on('click', clearTimelineSearch);
+    $('#horae-btn-timeline-calendar').on('click', toggleStoryCalendarView);
 
     $('#horae-btn-add-agenda').on('click', () => openAgendaEditModal(null));
     $('#horae-btn-add-relationship').on('click', () => openRelationshipEditModal(null));
@@ -13614,6 +16545,8 @@ function initSettingsEvents() {
             ['customLocationPrompt', 'horae-custom-location-prompt', 'horae-location-prompt-count', () => horaeManager.getDefaultLocationPrompt()],
             ['customRelationshipPrompt', 'horae-custom-relationship-prompt', 'horae-relationship-prompt-count', () => horaeManager.getDefaultRelationshipPrompt()],
             ['customMoodPrompt', 'horae-custom-mood-prompt', 'horae-mood-prompt-count', () => horaeManager.getDefaultMoodPrompt()],
+            ['customPlotThreadPrompt', 'horae-custom-plot-thread-prompt', 'horae-plot-thread-prompt-count', () => horaeManager.getDefaultPlotThreadPrompt()],
+            ['plotThreadSummaryPrompt', 'horae-plot-thread-summary-prompt', 'horae-plot-thread-summary-prompt-count', () => horaeManager.getDefaultPlotThreadSummaryPrompt()],
             ['customRpgPrompt', 'horae-custom-rpg-prompt', 'horae-rpg-prompt-count', () => horaeManager.getDefaultRpgPromptResolved()],
         ];
         for (const [key, textareaId, countId, getDefault] of pairs) {
@@ -13787,6 +16720,8 @@ function initSettingsEvents() {
             ['customLocationPrompt', 'horae-custom-location-prompt', 'horae-location-prompt-count', () => horaeManager.getDefaultLocationPrompt()],
             ['customRelationshipPrompt', 'horae-custom-relationship-prompt', 'horae-relationship-prompt-count', () => horaeManager.getDefaultRelationshipPrompt()],
             ['customMoodPrompt', 'horae-custom-mood-prompt', 'horae-mood-prompt-count', () => horaeManager.getDefaultMoodPrompt()],
+            ['customPlotThreadPrompt', 'horae-custom-plot-thread-prompt', 'horae-plot-thread-prompt-count', () => horaeManager.getDefaultPlotThreadPrompt()],
+            ['plotThreadSummaryPrompt', 'horae-plot-thread-summary-prompt', 'horae-plot-thread-summary-prompt-count', () => horaeManager.getDefaultPlotThreadSummaryPrompt()],
             ['customRpgPrompt', 'horae-custom-rpg-prompt', 'horae-rpg-prompt-count', () => horaeManager.getDefaultRpgPromptResolved()],
         ];
         for (const [, textareaId, countId, getDefault] of pairs) {
@@ -13942,7 +16877,7 @@ function initSettingsEvents() {
         }
     });
     $('#horae-btn-timeline-select-all').on('click', selectAllTimelineEvents);
-    $('#horae-btn-timeline-compress').on('click', compressSelectedTimelineEvents);
+    $('#horae-btn-timeline-compress').on('click', () => compressSelectedTimelineEvents());
     $('#horae-btn-timeline-delete').on('click', deleteSelectedTimelineEvents);
     $('#horae-btn-timeline-cancel-select').on('click', exitTimelineMultiSelect);
 
@@ -13996,6 +16931,42 @@ function initSettingsEvents() {
         updateTokenCounter();
     });
 
+    $('#horae-setting-prompt-token-budget').on('change', function () {
+        const val = parseInt(this.value, 10);
+        settings.promptTokenBudget = Number.isNaN(val) ? 0 : Math.max(0, val);
+        this.value = settings.promptTokenBudget;
+        saveSettings();
+    });
+
+    $('#horae-prompt-budget-sections').on('change', 'select, input', function () {
+        const key = this.dataset.section;
+        const val = parseInt(this.value, 10);
+        if (this.tagName === 'SELECT') {
+            settings.promptSectionPriority = { ...(settings.promptSectionPriority || {}), [key]: val };
+        } else {
+            settings.promptSectionMinimum = { ...(settings.promptSectionMinimum || {}), [key]: Number.isNaN(val) ? 0 : Math.max(0, val) };
+        }
+        saveSettings();
+        _renderPromptBudgetSections();
+    });
+
+    $('#horae-btn-prompt-budget-report').on('click', openPromptBudgetReport);
+    $('#horae-btn-inject-preview').on('click', openInjectPreviewModal);
+
+    $('#horae-setting-chronology-check').on('change', function () {
+        settings.chronologyCheck = this.checked;
+        saveSettings();
+        horaeManager.init(getContext(), settings);
+    });
+
+    $('#horae-setting-chronology-jump-days').on('change', function () {
+        const val = parseInt(this.value, 10);
+        settings.chronologyJumpDays = Number.isNaN(val) ? 365 : Math.max(0, val);
+        this.value = settings.chronologyJumpDays;
+        saveSettings();
+        horaeManager.init(getContext(), settings);
+    });
+
     $('#horae-setting-custom-cal-enabled').on('change', _applyCustomCalendarFromUI);
     $('#horae-setting-custom-cal-apply').on('click', _applyCustomCalendarFromUI);
 
@@ -14057,6 +17028,22 @@ function initSettingsEvents() {
         updateTokenCounter();
     });
 
+    $('#horae-setting-send-plot-threads').on('change', function () {
+        settings.sendPlotThreads = this.checked;
+        saveSettings();
+        $('#horae-plot-thread-prompt-group').toggle(this.checked);
+        horaeManager.init(getContext(), settings);
+        _refreshSystemPromptDisplay();
+        updateTokenCounter();
+    });
+
+    $('#horae-setting-plot-thread-summary-every').on('change', function () {
+        const val = parseInt(this.value, 10);
+        settings.plotThreadSummaryEvery = Number.isNaN(val) ? 0 : Math.max(0, val);
+        this.value = settings.plotThreadSummaryEvery;
+        saveSettings();
+    });
+
     $('#horae-setting-anti-paraphrase').on('change', function () {
         settings.antiParaphraseMode = this.checked;
         saveSettings();
@@ -14065,6 +17052,14 @@ function initSettingsEvents() {
         updateTokenCounter();
     });
 
+    $('#horae-setting-tag-format').on('change', function () {
+        settings.tagFormat = this.value || 'line';
+        saveSettings();
+        horaeManager.init(getContext(), settings);
+        _refreshSystemPromptDisplay();
+        updateTokenCounter();
+    });
+
     $('#horae-setting-sideplay-mode').on('change', function () {
         settings.sideplayMode = this.checked;
         saveSettings();
@@ -14222,6 +17217,10 @@ function initSettingsEvents() {
         this.value = settings.autoSummaryResummaryMinChars;
         saveSettings();
     });
+    $('#horae-setting-auto-summary-coverage').on('change', function () {
+        settings.autoSummaryCoverageMode = SUMMARY_COVERAGE_MODES.includes(this.value) ? this.value : 'off';
+        saveSettings();
+    });
     $('#horae-setting-auto-summary-batch-msgs').on('change', function () {
         settings.autoSummaryBatchMaxMsgs = Math.max(5, parseInt(this.value) || 50);
         this.value = settings.autoSummaryBatchMaxMsgs;
@@ -14265,6 +17264,10 @@ function initSettingsEvents() {
         settings.auxApiFallbackToMain = this.checked;
         saveSettings();
     });
+    $('#horae-setting-fact-check').on('change', function () {
+        settings.factCheckEnabled = this.checked;
+        saveSettings();
+    });
 
     $('#horae-btn-fetch-models').on('click', fetchAndPopulateModels);
     $('#horae-btn-test-sub-api').on('click', testSubApiConnection);
@@ -14354,8 +17357,12 @@ function initSettingsEvents() {
     });
     renderCustomTablesList();
 
-    $('#horae-btn-export').on('click', exportData);
+    $('#horae-btn-export').on('click', () => exportData().catch(err => {
+        console.error('[Horae] 导出失败:', err);
+        showToast(t('import.exportFailed', { error: err.message }), 'error');
+    }));
     $('#horae-btn-import').on('click', importData);
+    $('#horae-btn-export-recap').on('click', openRecapExportModal);
     $('#horae-btn-carry-new-chat').on('click', createNewChatWithCarryover);
     $('#horae-btn-clear').on('click', clearAllData);
 
@@ -14574,6 +17581,48 @@ function initSettingsEvents() {
         showToast(t('toast.promptsRestored'), 'success');
     });
 
+    // 剧情线索提示词
+    $('#horae-custom-plot-thread-prompt').on('input', function () {
+        const val = this.value;
+        settings.customPlotThreadPrompt = (val.trim() === horaeManager.getDefaultPlotThreadPrompt().trim()) ? '' : val;
+        $('#horae-plot-thread-prompt-count').text(val.length);
+        saveSettings();
+        horaeManager.init(getContext(), settings);
+        updateTokenCounter();
+    });
+
+    $('#horae-btn-reset-plot-thread-prompt').on('click', () => {
+        if (!confirm(t('confirm.restoreRpgPrompts'))) return;
+        settings.customPlotThreadPrompt = '';
+        saveSettings();
+        const def = horaeManager.getDefaultPlotThreadPrompt();
+        $('#horae-custom-plot-thread-prompt').val(def);
+        $('#horae-plot-thread-prompt-count').text(def.length);
+        horaeManager.init(getContext(), settings);
+        updateTokenCounter();
+        showToast(t('toast.promptsRestored'), 'success');
+    });
+
+    // 线索滚动摘要提示词（不注入正文，无需刷新 token 计数）
+    $('#horae-plot-thread-summary-prompt').on('input', function () {
+        const val = this.value;
+        settings.plotThreadSummaryPrompt = (val.trim() === horaeManager.getDefaultPlotThreadSummaryPrompt().trim()) ? '' : val;
+        $('#horae-plot-thread-summary-prompt-count').text(val.length);
+        saveSettings();
+        horaeManager.init(getContext(), settings);
+    });
+
+    $('#horae-btn-reset-plot-thread-summary-prompt').on('click', () => {
+        if (!confirm(t('confirm.restoreRpgPrompts'))) return;
+        settings.plotThreadSummaryPrompt = '';
+        saveSettings();
+        const def = horaeManager.getDefaultPlotThreadSummaryPrompt();
+        $('#horae-plot-thread-summary-prompt').val(def);
+        $('#horae-plot-thread-summary-prompt-count').text(def.length);
+        horaeManager.init(getContext(), settings);
+        showToast(t('toast.promptsRestored'), 'success');
+    });
+
     // 提示词区域折叠切换
     $('#horae-prompt-collapse-toggle').on('click', function () {
         const body = $('#horae-prompt-collapse-body');
@@ -14621,6 +17670,45 @@ function initSettingsEvents() {
         icon.toggleClass('collapsed');
     });
 
+    $('#horae-world-ledger-collapse-toggle').on('click', function () {
+        const body = $('#horae-world-ledger-collapse-body');
+        const icon = $(this).find('.horae-collapse-icon');
+        body.slideToggle(200);
+        icon.toggleClass('collapsed');
+    });
+
+    $('#horae-setting-world-ledger-enabled').on('change', function () {
+        settings.worldLedgerEnabled = this.checked;
+        saveSettings();
+        _reloadWorldLedgerForChat();
+    });
+
+    $('#horae-setting-world-ledger-scope').on('change', function () {
+        settings.worldLedgerScope = this.value === 'persona' ? 'persona' : 'card';
+        saveSettings();
+        _reloadWorldLedgerForChat();
+    });
+
+    $('#horae-world-ledger-chat-read').on('change', function () {
+        _setChatLedgerFlag('read', this.checked);
+        _reloadWorldLedgerForChat();
+    });
+
+    $('#horae-world-ledger-chat-write').on('change', function () {
+        _setChatLedgerFlag('write', this.checked);
+        if (this.checked) _pushWorldLedger();
+        getContext().saveChat();
+        _updateWorldLedgerUI();
+    });
+
+    $('#horae-world-ledger-sync').on('click', () => {
+        const changed = _pushWorldLedger();
+        _reloadWorldLedgerForChat();
+        if (changed) showToast(t('worldLedger.synced', changed), 'success');
+    });
+
+    $('#horae-world-ledger-manage').on('click', openWorldLedgerModal);
+
     // 向量记忆区域折叠切换
     $('#horae-vector-collapse-toggle').on('click', function () {
         const body = $('#horae-vector-collapse-body');
@@ -14892,9 +17980,33 @@ function _applyCustomCalendarFromUI() {
         if (m) { names.push(m[1].trim()); days.push(parseInt(m[2], 10)); }
     }
     if (!settings.customCalendar) settings.customCalendar = { enabled: false, monthNames: [], monthDays: [] };
-    settings.customCalendar.monthNames = names;
-    settings.customCalendar.monthDays = days;
-    settings.customCalendar.enabled = $('#horae-setting-custom-cal-enabled').is(':checked');
+    const cal = settings.customCalendar;
+    cal.monthNames = names;
+    cal.monthDays = days;
+    cal.enabled = $('#horae-setting-custom-cal-enabled').is(':checked');
+    cal.weekdays = String($('#horae-setting-custom-cal-weekdays').val() || '')
+        .split(/[,，、]/).map(s => s.trim()).filter(Boolean);
+    cal.weekdayOffset = Math.max(0, (parseInt($('#horae-setting-custom-cal-weekday-start').val(), 10) || 1) - 1);
+    const num = (id) => Math.max(0, parseInt($(id).val(), 10) || 0);
+    cal.leap = {
+        every: num('#horae-setting-custom-cal-leap-every'),
+        month: num('#horae-setting-custom-cal-leap-month'),
+        days: num('#horae-setting-custom-cal-leap-days'),
+        exceptEvery: num('#horae-setting-custom-cal-leap-except'),
+        unlessEvery: num('#horae-setting-custom-cal-leap-unless'),
+    };
+    // 其余三项都是「每行 名称:数值…」，缺字段的行直接丢弃
+    const rows = (id) => String($(id).val() || '').split(/\r?\n/)
+        .map(line => line.split(/[:：]/).map(s => s.trim()))
+        .filter(parts => parts[0] && parts[1]);
+    cal.intercalary = rows('#horae-setting-custom-cal-intercalary')
+        .map(([name, d, after, leap]) => ({ name, days: parseInt(d, 10) || 1, afterMonth: parseInt(after, 10) || 0, leapOnly: !!leap }));
+    cal.eras = rows('#horae-setting-custom-cal-eras')
+        .map(([name, start]) => ({ name, startYear: parseInt(start, 10) }))
+        .filter(e => Number.isFinite(e.startYear));
+    cal.moons = rows('#horae-setting-custom-cal-moons')
+        .map(([name, cycle, offset]) => ({ name, cycle: parseFloat(cycle), offset: parseFloat(offset) || 0 }))
+        .filter(m => m.cycle > 1);
 
     const $status = $('#horae-setting-custom-cal-status');
     const enabled = settings.customCalendar.enabled;
@@ -14902,8 +18014,6 @@ function _applyCustomCalendarFromUI() {
     if (enabled && !valid) {
         $status.text(t('settings.customCalendarStatusInvalid', { names: names.length, days: days.length })).css('color', 'var(--horae-error, #ff7b7b)');
     } else if (enabled) {
-        const total = days.reduce((a, b) => a + b, 0);
-        $status.text(t('settings.customCalendarStatusEnabled', { count: names.length, total })).css('color', 'var(--horae-success, #5fd57a)');
         // 用户已知道这个功能，清空所有 chat 的"已忽略"标记，让以后切到别的虚拟日历卡时还能再提示
         settings._customCalendarHintDismissed = {};
     } else {
@@ -14911,6 +18021,9 @@ function _applyCustomCalendarFromUI() {
     }
     saveSettings();
     horaeManager.init(getContext(), settings);
+    if (enabled && valid) {
+        $status.text(_customCalendarStatusText()).css('color', 'var(--horae-success, #5fd57a)');
+    }
     _refreshSystemPromptDisplay();
     updateTokenCounter();
 }
@@ -15584,6 +18697,32 @@ function _showExternalSettingsModal(raw, displayLang) {
     });
 }
 
+/** 按格式注册表重建 <horae> 输出格式下拉；当前设置的格式被注销时回落到行语法 */
+function _renderTagFormatOptions() {
+    const select = document.getElementById('horae-setting-tag-format');
+    if (!select) return;
+    const formats = listTagFormats();
+    const current = settings.tagFormat || 'line';
+    select.innerHTML = formats.map(f => {
+        const label = f.builtin ? t(`settings.tagFormat_${f.id}`) : f.label;
+        return `<option value="${escapeHtml(f.id)}">${escapeHtml(label)}</option>`;
+    }).join('');
+    select.value = formats.some(f => f.id === current) ? current : 'line';
+}
+
+/** 已生效日历的概要：月数、年长，以及配置了的星期/闰年/纪元/节日/月亮 */
+function _customCalendarStatusText() {
+    const cal = getActiveCustomCalendar();
+    if (!cal) return '';
+    const parts = [t('settings.customCalendarStatusEnabled', { count: cal.monthNames.length, total: cal.yearLength })];
+    if (cal.weekdays.length) parts.push(t('settings.customCalendarStatusWeekdays', { count: cal.weekdays.length }));
+    if (cal.leap && cal.leapExtra) parts.push(t('settings.customCalendarStatusLeap', { every: cal.leap.every, extra: cal.leapExtra }));
+    if (cal.intercalary.length) parts.push(t('settings.customCalendarStatusIntercalary', { count: cal.intercalary.length }));
+    if (cal.eras.length) parts.push(t('settings.customCalendarStatusEras', { count: cal.eras.length }));
+    if (cal.moons.length) parts.push(t('settings.customCalendarStatusMoons', { count: cal.moons.length }));
+    return parts.join(' · ');
+}
+
 /** 把 settings.customCalendar 回填到 UI textarea */
 function _syncCustomCalendarToUI() {
     const cal = settings.customCalendar || {};
@@ -15592,10 +18731,22 @@ function _syncCustomCalendarToUI() {
     const days = Array.isArray(cal.monthDays) ? cal.monthDays : [];
     const lines = names.map((n, i) => `${n}:${days[i] ?? ''}`);
     $('#horae-setting-custom-cal-months').val(lines.join('\n'));
+    $('#horae-setting-custom-cal-weekdays').val((cal.weekdays || []).join(', '));
+    $('#horae-setting-custom-cal-weekday-start').val((parseInt(cal.weekdayOffset, 10) || 0) + 1);
+    const leap = cal.leap || {};
+    $('#horae-setting-custom-cal-leap-every').val(leap.every || 0);
+    $('#horae-setting-custom-cal-leap-month').val(leap.month || 0);
+    $('#horae-setting-custom-cal-leap-days').val(leap.days ?? 1);
+    $('#horae-setting-custom-cal-leap-except').val(leap.exceptEvery || 0);
+    $('#horae-setting-custom-cal-leap-unless').val(leap.unlessEvery || 0);
+    $('#horae-setting-custom-cal-intercalary').val((cal.intercalary || [])
+        .map(f => [f.name, f.days, f.afterMonth, f.leapOnly ? t('settings.customCalendarLeapMark') : ''].filter(v => v !== '').join(':')).join('\n'));
+    $('#horae-setting-custom-cal-eras').val((cal.eras || []).map(e => `${e.name}:${e.startYear}`).join('\n'));
+    $('#horae-setting-custom-cal-moons').val((cal.moons || []).map(m => `${m.name}:${m.cycle}:${m.offset || 0}`).join('\n'));
     const $status = $('#horae-setting-custom-cal-status');
     if (cal.enabled && names.length && names.length === days.length) {
-        const total = days.reduce((a, b) => a + (parseInt(b, 10) || 0), 0);
-        $status.text(t('settings.customCalendarStatusEnabled', { count: names.length, total })).css('color', 'var(--horae-success, #5fd57a)');
+        setCustomCalendar(cal);
+        $status.text(_customCalendarStatusText()).css('color', 'var(--horae-success, #5fd57a)');
     } else {
         $status.text('').css('color', '');
     }
@@ -15616,6 +18767,8 @@ function _refreshSystemPromptDisplay() {
         ['customLocationPrompt', 'horae-custom-location-prompt', 'horae-location-prompt-count', () => horaeManager.getDefaultLocationPrompt()],
         ['customRelationshipPrompt', 'horae-custom-relationship-prompt', 'horae-relationship-prompt-count', () => horaeManager.getDefaultRelationshipPrompt()],
         ['customMoodPrompt', 'horae-custom-mood-prompt', 'horae-mood-prompt-count', () => horaeManager.getDefaultMoodPrompt()],
+        ['customPlotThreadPrompt', 'horae-custom-plot-thread-prompt', 'horae-plot-thread-prompt-count', () => horaeManager.getDefaultPlotThreadPrompt()],
+        ['plotThreadSummaryPrompt', 'horae-plot-thread-summary-prompt', 'horae-plot-thread-summary-prompt-count', () => horaeManager.getDefaultPlotThreadSummaryPrompt()],
         ['customRpgPrompt', 'horae-custom-rpg-prompt', 'horae-rpg-prompt-count', () => horaeManager.getDefaultRpgPromptResolved()],
     ];
     for (const [key, textareaId, countId, getDefault] of pairs) {
@@ -15819,6 +18972,10 @@ function syncSettingsToUI() {
     $('#horae-setting-timeline-injection-mode').val(settings.timelineInjectionMode === 'separate' ? 'separate' : 'inline');
     $('#horae-setting-send-timeline').prop('checked', settings.sendTimeline);
     $('#horae-setting-context-depth').val(Number.isFinite(parseInt(settings.contextDepth, 10)) ? Math.max(0, parseInt(settings.contextDepth, 10)) : 15);
+    $('#horae-setting-prompt-token-budget').val(Math.max(0, parseInt(settings.promptTokenBudget, 10) || 0));
+    _renderPromptBudgetSections();
+    $('#horae-setting-chronology-check').prop('checked', settings.chronologyCheck !== false);
+    $('#horae-setting-chronology-jump-days').val(Number.isFinite(parseInt(settings.chronologyJumpDays, 10)) ? Math.max(0, parseInt(settings.chronologyJumpDays, 10)) : 365);
     _syncCustomCalendarToUI();
     $('#horae-setting-send-characters').prop('checked', settings.sendCharacters);
     $('#horae-setting-send-character-affection').prop('checked', settings.sendCharacterAffection !== false);
@@ -15841,10 +18998,17 @@ function syncSettingsToUI() {
     $('#horae-setting-send-mood').prop('checked', !!settings.sendMood);
     $('#horae-mood-prompt-group').toggle(!!settings.sendMood);
 
+    // 剧情线索
+    $('#horae-setting-send-plot-threads').prop('checked', !!settings.sendPlotThreads);
+    $('#horae-plot-thread-prompt-group').toggle(!!settings.sendPlotThreads);
+    $('#horae-setting-plot-thread-summary-every').val(Math.max(0, parseInt(settings.plotThreadSummaryEvery, 10) || 0));
+
     // 反转述模式
     $('#horae-setting-anti-paraphrase').prop('checked', !!settings.antiParaphraseMode);
     // 番外模式
     $('#horae-setting-sideplay-mode').prop('checked', !!settings.sideplayMode);
+    // <horae> 输出格式
+    _renderTagFormatOptions();
 
     // RPG 模式
     $('#horae-setting-rpg-mode').prop('checked', !!settings.rpgMode);
@@ -15883,6 +19047,7 @@ function syncSettingsToUI() {
     $('#horae-setting-auto-summary-keep').val(settings.autoSummaryKeepRecent || 10);
     $('#horae-setting-auto-summary-mode').val(settings.autoSummaryBufferMode || 'messages');
     $('#horae-setting-auto-summary-source').val(_getAutoSummarySourceMode());
+    $('#horae-setting-auto-summary-coverage').val(settings.autoSummaryCoverageMode || 'off');
     _syncAutoSummaryLegacyBufferLimit();
     _syncAutoSummaryTriggerLimitInput();
     updateAutoSummaryHint();
@@ -15904,6 +19069,7 @@ function syncSettingsToUI() {
     $('#horae-setting-aux-api-analysis').prop('checked', settings.auxApiUseForAnalysis !== false);
     $('#horae-setting-aux-api-summary').prop('checked', settings.auxApiUseForSummary !== false);
     $('#horae-setting-aux-api-manual-compress').prop('checked', !!settings.auxApiUseForManualCompress);
+    $('#horae-setting-fact-check').prop('checked', !!settings.factCheckEnabled);
     $('#horae-setting-aux-api-fallback').prop('checked', !!settings.auxApiFallbackToMain);
     const _savedModel = settings.auxApiModel || '';
     const _modelSel = document.getElementById('horae-setting-aux-api-model');
@@ -15927,6 +19093,8 @@ function syncSettingsToUI() {
     const locationPromptVal = settings.customLocationPrompt || horaeManager.getDefaultLocationPrompt();
     const relPromptVal = settings.customRelationshipPrompt || horaeManager.getDefaultRelationshipPrompt();
     const moodPromptVal = settings.customMoodPrompt || horaeManager.getDefaultMoodPrompt();
+    const plotThreadPromptVal = settings.customPlotThreadPrompt || horaeManager.getDefaultPlotThreadPrompt();
+    const plotThreadSummaryPromptVal = settings.plotThreadSummaryPrompt || horaeManager.getDefaultPlotThreadSummaryPrompt();
     const rpgPromptVal = settings.customRpgPrompt || horaeManager.getDefaultRpgPromptResolved();
     $('#horae-custom-system-prompt').val(sysPrompt);
     $('#horae-custom-batch-prompt').val(batchPromptVal);
@@ -15938,6 +19106,8 @@ function syncSettingsToUI() {
     $('#horae-custom-location-prompt').val(locationPromptVal);
     $('#horae-custom-relationship-prompt').val(relPromptVal);
     $('#horae-custom-mood-prompt').val(moodPromptVal);
+    $('#horae-custom-plot-thread-prompt').val(plotThreadPromptVal);
+    $('#horae-plot-thread-summary-prompt').val(plotThreadSummaryPromptVal);
     $('#horae-custom-rpg-prompt').val(rpgPromptVal);
     $('#horae-system-prompt-count').text(sysPrompt.length);
     $('#horae-batch-prompt-count').text(batchPromptVal.length);
@@ -15949,6 +19119,8 @@ function syncSettingsToUI() {
     $('#horae-location-prompt-count').text(locationPromptVal.length);
     $('#horae-relationship-prompt-count').text(relPromptVal.length);
     $('#horae-mood-prompt-count').text(moodPromptVal.length);
+    $('#horae-plot-thread-prompt-count').text(plotThreadPromptVal.length);
+    $('#horae-plot-thread-summary-prompt-count').text(plotThreadSummaryPromptVal.length);
     $('#horae-rpg-prompt-count').text(rpgPromptVal.length);
 
     // 面板宽度和偏移
@@ -16017,9 +19189,228 @@ function syncSettingsToUI() {
     $('#horae-setting-vector-strip-tags').val(settings.vectorStripTags || '');
     _syncVectorSourceUI();
     _updateVectorStatus();
+    _updateWorldLedgerUI();
     _refreshRestoreExtSettingsBtn();
 }
 
+// ============================================
+// 世界账本（跨对话，按角色卡 / 用户角色 + 角色卡）
+// ============================================
+
+const WORLD_LEDGER_PUSH_DELAY_MS = 2000;
+let _worldLedgerPushTimer = null;
+
+/** 当前对话对应的账本键；群聊、未选卡或 persona 模式缺用户角色时返回 null */
+function _getWorldLedgerContext() {
+    const ctx = getContext();
+    if (ctx?.groupId) return null;
+    const char = ctx?.characters?.[ctx?.characterId];
+    const key = getWorldLedgerKey({
+        avatar: char?.avatar,
+        personaAvatar: user_avatar,
+        scope: settings.worldLedgerScope,
+    });
+    if (!key) return null;
+    return {
+        key,
+        chatId: ctx?.chatId || _deriveChatId(ctx),
+        charName: char?.name || '',
+        personaName: settings.worldLedgerScope === 'persona' ? (ctx?.name1 || '') : '',
+    };
+}
+
+/** 本对话的读写开关（存 chat[0]，未设定时默认都开） */
+function _getChatLedgerFlags() {
+    const flags = horaeManager.getChat()?.[0]?.horae_meta?._worldLedger;
+    return { read: flags?.read !== false, write: flags?.write !== false };
+}
+
+function _setChatLedgerFlag(flag, value) {
+    const chat = horaeManager.getChat();
+    if (!chat?.[0]) return;
+    if (!chat[0].horae_meta) chat[0].horae_meta = createEmptyMeta();
+    chat[0].horae_meta._worldLedger = { ..._getChatLedgerFlags(), [flag]: !!value };
+}
+
+/** 把账本读入当前对话；关闭读取时撤掉未被接管的账本条目 */
+function _pullWorldLedger() {
+    const firstMeta = horaeManager.getChat()?.[0]?.horae_meta;
+    if (!firstMeta) return null;
+    const ledgerCtx = _getWorldLedgerContext();
+    if (!settings.worldLedgerEnabled || !ledgerCtx || !_getChatLedgerFlags().read) {
+        detachLedgerFromMeta(firstMeta);
+        return null;
+    }
+    const ledger = settings.worldLedgers?.[ledgerCtx.key];
+    if (!ledger) {
+        detachLedgerFromMeta(firstMeta);
+        return null;
+    }
+    const applied = applyLedgerToMeta(firstMeta, ledger);
+    console.log(`[Horae] 世界账本已读入: NPC ${applied.npcs} / 场景 ${applied.locations} / 关系 ${applied.relationships}`);
+    return applied;
+}
+
+/** 把当前对话的 NPC / 场景记忆 / 关系并入账本 */
+function _pushWorldLedger() {
+    if (!settings.worldLedgerEnabled || !_getChatLedgerFlags().write) return null;
+    const ledgerCtx = _getWorldLedgerContext();
+    const firstMeta = horaeManager.getChat()?.[0]?.horae_meta;
+    if (!ledgerCtx || !firstMeta) return null;
+    if (!settings.worldLedgers || typeof settings.worldLedgers !== 'object') settings.worldLedgers = {};
+    const ledger = settings.worldLedgers[ledgerCtx.key]
+        || (settings.worldLedgers[ledgerCtx.key] = createEmptyLedger(ledgerCtx.key, ledgerCtx));
+    if (ledgerCtx.charName) ledger.charName = ledgerCtx.charName;
+    if (ledgerCtx.personaName) ledger.personaName = ledgerCtx.personaName;
+    const contribution = collectChatContribution(horaeManager.getLatestState(), firstMeta);
+    const changed = mergeIntoLedger(ledger, contribution, ledgerCtx.chatId);
+    saveSettings();
+    if (changed.npcs || changed.locations || changed.relationships) {
+        console.log(`[Horae] 世界账本已回写: NPC ${changed.npcs} / 场景 ${changed.locations} / 关系 ${changed.relationships}`);
+    }
+    _updateWorldLedgerUI();
+    return changed;
+}
+
+function _scheduleWorldLedgerPush() {
+    if (!settings.worldLedgerEnabled) return;
+    clearTimeout(_worldLedgerPushTimer);
+    _worldLedgerPushTimer = setTimeout(() => {
+        _worldLedgerPushTimer = null;
+        try { _pushWorldLedger(); } catch (err) { console.warn('[Horae] 世界账本回写失败:', err); }
+    }, WORLD_LEDGER_PUSH_DELAY_MS);
+}
+
+function _updateWorldLedgerUI() {
+    $('#horae-setting-world-ledger-enabled').prop('checked', !!settings.worldLedgerEnabled);
+    $('#horae-world-ledger-options').toggle(!!settings.worldLedgerEnabled);
+    $('#horae-setting-world-ledger-scope').val(settings.worldLedgerScope || 'card');
+    const statusEl = document.getElementById('horae-world-ledger-status');
+    if (!statusEl) return;
+    const ledgerCtx = _getWorldLedgerContext();
+    const available = !!ledgerCtx;
+    const flags = _getChatLedgerFlags();
+    $('#horae-world-ledger-chat-read').prop('checked', flags.read).prop('disabled', !available);
+    $('#horae-world-ledger-chat-write').prop('checked', flags.write).prop('disabled', !available);
+    $('#horae-world-ledger-sync, #horae-world-ledger-manage').prop('disabled', !available);
+    if (!available) {
+        statusEl.textContent = settings.worldLedgerScope === 'persona' && getContext()?.characterId != null && !getContext()?.groupId
+            ? t('worldLedger.noPersona')
+            : t('worldLedger.noCard');
+        return;
+    }
+    const ledger = settings.worldLedgers?.[ledgerCtx.key];
+    const counts = getLedgerCounts(ledger);
+    const owner = [ledgerCtx.personaName, ledgerCtx.charName].filter(Boolean).join(' × ');
+    statusEl.textContent = ledger
+        ? t('worldLedger.status', { owner, ...counts })
+        : t('worldLedger.statusEmpty', { owner });
+}
+
+/** 切换开关/范围后重新读入并刷新 */
+async function _reloadWorldLedgerForChat() {
+    _pullWorldLedger();
+    const chat = horaeManager.getChat();
+    if (chat?.[0]) {
+        try { await getContext().saveChat(); } catch (err) { console.warn('[Horae] saveChat 失败:', err); }
+    }
+    refreshAllDisplays();
+    _updateWorldLedgerUI();
+}
+
+function openWorldLedgerModal() {
+    const ledgerCtx = _getWorldLedgerContext();
+    if (!ledgerCtx) return;
+    // 打开前先回写一次，列表反映当前对话的最新内容
+    _pushWorldLedger();
+    const ledger = settings.worldLedgers?.[ledgerCtx.key];
+    if (!ledger) {
+        showToast(t('worldLedger.empty'), 'info');
+        return;
+    }
+
+    const renderGroup = (kind, title, entries) => `
+        <div class="horae-ledger-group">
+            <div class="horae-ledger-group-title">${title} (${entries.length})</div>
+            ${entries.length ? entries.map(e => `
+                <div class="horae-ledger-row" data-kind="${kind}" data-id="${escapeHtml(e.id)}">
+                    <div class="horae-ledger-row-text">
+                        <strong>${escapeHtml(e.label)}</strong>
+                        ${e.detail ? `<span>${escapeHtml(e.detail)}</span>` : ''}
+                    </div>
+                    <button class="horae-btn horae-ledger-remove" title="${t('common.delete')}"><i class="fa-solid fa-trash-can"></i></button>
+                </div>
+            `).join('') : `<div class="horae-ledger-empty">${t('worldLedger.groupEmpty')}</div>`}
+        </div>
+    `;
+    const npcEntries = Object.entries(ledger.npcs || {}).map(([name, info]) => ({
+        id: name,
+        label: name,
+        detail: [info.relationship, info.personality].filter(Boolean).join(' · '),
+    }));
+    const locEntries = Object.entries(ledger.locationMemory || {}).map(([name, info]) => ({
+        id: name,
+        label: name,
+        detail: info.desc || '',
+    }));
+    const relEntries = (ledger.relationships || []).map(r => ({
+        id: `${r.from}→${r.to}`,
+        label: `${r.from} → ${r.to}`,
+        detail: [r.type, r.note].filter(Boolean).join(' · '),
+    }));
+
+    const modal = document.createElement('div');
+    modal.className = 'horae-modal' + (isLightMode() ? ' horae-light' : '');
+    modal.innerHTML = `
+        <div class="horae-modal-content horae-ledger-modal" style="max-width: 560px;">
+            <div class="horae-modal-header">
+                <i class="fa-solid fa-book-atlas"></i> ${t('worldLedger.manageTitle', { owner: escapeHtml([ledger.personaName, ledger.charName].filter(Boolean).join(' × ')) })}
+            </div>
+            <div class="horae-modal-body">
+                <div class="horae-ledger-meta">${t('worldLedger.manageMeta', { chats: Object.keys(ledger.chats || {}).length, time: ledger.updatedAt ? new Date(ledger.updatedAt).toLocaleString() : '-' })}</div>
+                ${renderGroup('npcs', t('worldLedger.npcs'), npcEntries)}
+                ${renderGroup('locationMemory', t('worldLedger.locations'), locEntries)}
+                ${renderGroup('relationships', t('worldLedger.relationships'), relEntries)}
+            </div>
+            <div class="horae-modal-footer">
+                <button class="horae-btn danger" id="horae-ledger-clear">
+                    <i class="fa-solid fa-trash-can"></i> ${t('worldLedger.clear')}
+                </button>
+                <button class="horae-btn" id="horae-ledger-close">
+                    <i class="fa-solid fa-xmark"></i> ${t('common.close')}
+                </button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+    preventModalBubble(modal);
+
+    let dirty = false;
+    modal.querySelectorAll('.horae-ledger-remove').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const row = btn.closest('.horae-ledger-row');
+            if (removeLedgerEntry(ledger, row.dataset.kind, row.dataset.id)) {
+                row.remove();
+                dirty = true;
+            }
+        });
+    });
+    const close = async () => {
+        modal.remove();
+        if (!dirty) return;
+        saveSettings();
+        await _reloadWorldLedgerForChat();
+    };
+    modal.querySelector('#horae-ledger-close').addEventListener('click', close);
+    modal.querySelector('#horae-ledger-clear').addEventListener('click', async () => {
+        if (!confirm(t('worldLedger.clearConfirm'))) return;
+        delete settings.worldLedgers[ledgerCtx.key];
+        dirty = true;
+        await close();
+        showToast(t('worldLedger.cleared'), 'info');
+    });
+}
+
 // ============================================
 // 向量记忆
 // ============================================
@@ -16031,6 +19422,18 @@ function _deriveChatId(ctx) {
     return 'unknown';
 }
 
+/**
+ * 分支/检查点识别：ST 在 chatMetadata.main_chat 记下来源对话
+ * 首次打开时以当前楼层数为分叉点登记血缘；分支在首次打开前不会增长，之后的登记保持最初的分叉点
+ */
+async function _registerVectorBranch(ctx, chatId) {
+    const parentChatId = ctx?.chatMetadata?.main_chat;
+    if (!parentChatId || !chatId || chatId === 'unknown' || parentChatId === chatId) return false;
+    const chat = horaeManager.getChat();
+    if (!chat?.length) return false;
+    return vectorManager.registerBranch(chatId, parentChatId, chat.length - 1);
+}
+
 function _updateVectorStatus() {
     const statusEl = document.getElementById('horae-vector-status-text');
     const countEl = document.getElementById('horae-vector-index-count');
@@ -16050,8 +19453,10 @@ function _updateVectorStatus() {
         const snapItems = Array.isArray(vectorManager.snapshots)
             ? vectorManager.snapshots.reduce((a, s) => a + (s.items?.length || 0), 0)
             : 0;
+        const sharedCount = vectorManager.getSharedVectorCount();
         const indexPart = vectorManager.vectors.size > 0
             ? t('ui.vectorIndexCount', { n: vectorManager.vectors.size })
+                + (sharedCount > 0 ? t('ui.vectorIndexShared', { n: sharedCount }) : '')
             : '';
         const snapPart = snapItems > 0 ? `（+${snapItems} 历史记忆）` : '';
         countEl.textContent = `${indexPart}${snapPart}`;
@@ -16452,7 +19857,7 @@ function _cleanSummaryText(raw) {
     if (!raw || !String(raw).trim()) return '';
     return String(raw).trim()
         .replace(/<think(?:ing)?[\s>][\s\S]*?<\/think(?:ing)?>/gi, '')
-        .replace(/<horae>[\s\S]*?<\/horae>/gi, '')
+        .replace(/<horae(?:\s[^>]*)?>[\s\S]*?<\/horae>/gi, '')
         .replace(/<horaeevent>[\s\S]*?<\/horaeevent>/gi, '')
         .replace(/<!--horae[\s\S]*?-->/gi, '')
         .trim();
@@ -16468,9 +19873,11 @@ function _enqueueAuxApi(fn) {
 
 function _shouldUseAuxApi(kind) {
     if (!settings.auxApiEnabled) return false;
-    if (kind === 'analysis') return settings.auxApiUseForAnalysis !== false;
+    if (kind === 'analysis' || kind === 'parseRepair') return settings.auxApiUseForAnalysis !== false;
     if (kind === 'summary' || kind === 'aiEnrich') return settings.auxApiUseForSummary !== false;
     if (kind === 'manualCompress') return !!settings.auxApiUseForManualCompress;
+    // 事实检测只在开启辅助 API 时自动运行，手动检查同样优先走辅助 API
+    if (kind === 'factCheck') return true;
     // Query 重写强制走辅助 API：与主回合并发会拖慢首字时间，且需要独立速率额度
     if (kind === 'queryRewrite') return true;
     return false;
@@ -16485,10 +19892,11 @@ function _getAuxApiProfile() {
 }
 
 async function _generateForAuxTask(prompt, opts = {}) {
-    const { kind = 'summary', ...rawOpts } = opts;
+    const { kind = 'summary', forbidFallback: forceAux = false, ...rawOpts } = opts;
     _syncSubApiSettingsFromDom();
     // Query 重写不允许回退主 API；与主回合共用同一份额度反而会延后玩家收到正文的时间
-    const forbidFallback = kind === 'queryRewrite';
+    // 调用方也可传 forbidFallback：后台自动跑的事实检测不应挤占主 API
+    const forbidFallback = forceAux || kind === 'queryRewrite';
     if (_shouldUseAuxApi(kind)) {
         const profile = _getAuxApiProfile();
         const missing = [
@@ -16981,9 +20389,71 @@ async function _applyAutoResummary(chat, payload, summaryText) {
     }
 
     await setMessagesHidden(chat, [...payload.coveredIndices], true);
+    _emitSummaryCreated(summaryEntry, 'resummary', {
+        mergedSummaryIds: mergedSummaries.map(m => m.id),
+    });
     return summaryId;
 }
 
+/**
+ * 摘要覆盖校验：在原楼层被隐藏前检查摘要是否漏掉范围内的关键事实
+ * reprompt 模式先让 AI 把遗漏补进摘要，仍缺的和 append 模式一样追加在摘要末尾
+ */
+async function _ensureSummaryCoverage(chat, indices, summaryText) {
+    const mode = SUMMARY_COVERAGE_MODES.includes(settings.autoSummaryCoverageMode) ? settings.autoSummaryCoverageMode : 'off';
+    if (mode === 'off' || !summaryText) return summaryText;
+    const facts = collectCriticalFacts(chat, indices);
+    let missing = findOmittedFacts(summaryText, facts);
+    if (!missing.length) return summaryText;
+    const omittedCount = missing.length;
+    console.warn(`[Horae] 摘要覆盖校验：${facts.length} 条关键事实中遗漏 ${omittedCount} 条`, missing);
+
+    let text = summaryText;
+    const template = mode === 'reprompt' ? _getPromptDefaultFromResource('summaryCoveragePrompt') : '';
+    if (template) {
+        try {
+            const prompt = template
+                .replace(/\{\{summary\}\}/gi, () => text)
+                .replace(/\{\{missing\}\}/gi, () => formatFactLines(missing).join('\n'));
+            const extracted = _extractHoraeSummaryText(await generateForSummary(prompt));
+            if (extracted.ok) {
+                text = extracted.text;
+                missing = findOmittedFacts(text, facts);
+            } else {
+                console.warn('[Horae] 摘要补全回复格式异常，改为直接追加:', extracted.reason);
+            }
+        } catch (err) {
+            console.warn('[Horae] 摘要补全失败，改为直接追加:', err);
+        }
+    }
+    if (missing.length) {
+        const aiLang = detectEffectiveAiLang(settings);
+        text = `${text}\n${tForLang(aiLang, 'summaryCoverage.appendHeader')}\n${formatFactLines(missing).join('\n')}`;
+    }
+    showToast(t('summaryCoverage.fixed', { total: facts.length, omitted: omittedCount, appended: missing.length }), 'info');
+    return text;
+}
+
+/** 派发 horae:summaryCreated；diff 描述本次摘要让哪些楼层被隐藏、哪些事件/摘要被并入 */
+function _emitSummaryCreated(entry, source, extra = {}) {
+    if (!entry) return;
+    emitHoraeEvent('horae:summaryCreated', {
+        source,
+        summary: {
+            id: entry.id,
+            range: [...(entry.range || [])],
+            depth: _normalizeSummaryDepth(entry.depth),
+            summaryText: entry.summaryText || '',
+            auto: !!entry.auto,
+        },
+        diff: {
+            hiddenIndices: [...(entry.coveredIndices || [])],
+            compressedEvents: extra.compressedEvents || [],
+            mergedSummaryIds: extra.mergedSummaryIds || [],
+        },
+    });
+}
+
 async function _runAutoResummaryIfNeeded(chat, cutoff) {
     const rawThreshold = parseInt(settings.autoSummaryResummaryThreshold, 10);
     const threshold = Number.isFinite(rawThreshold) ? rawThreshold : 10;
@@ -17019,8 +20489,9 @@ async function _runAutoResummaryIfNeeded(chat, cutoff) {
 
         const context = getContext();
         const userName = context?.name1 || t('ui.protagonist');
-        const summaryText = await _generateSummaryFromResummaryPayload(chat, payload, userName);
-        if (!summaryText) break;
+        const generatedText = await _generateSummaryFromResummaryPayload(chat, payload, userName);
+        if (!generatedText) break;
+        const summaryText = await _ensureSummaryCoverage(chat, payload.coveredIndices, generatedText);
 
         const summaryId = await _applyAutoResummary(chat, payload, summaryText);
         if (!summaryId) break;
@@ -18114,6 +21585,7 @@ async function checkAutoSummary() {
             showToast(t('toast.autoSummaryCleanedEmpty'), 'warning');
             return;
         }
+        summaryText = await _ensureSummaryCoverage(chat, msgIndices, summaryText);
 
         const firstMsg = chat[0];
         if (!firstMsg.horae_meta) firstMsg.horae_meta = createEmptyMeta();
@@ -18174,6 +21646,9 @@ async function checkAutoSummary() {
 
         await context.saveChat();
         updateTimelineDisplay();
+        _emitSummaryCreated(firstMsg.horae_meta.autoSummaries.find(s => s.id === summaryId), 'auto', {
+            compressedEvents: bufferEvents.map(e => ({ messageIndex: e.msgIdx, eventIndex: e.evtIdx })),
+        });
         showToast(t('toast.autoSummaryDone', { from: msgIndices[0], to: msgIndices[msgIndices.length - 1] }), 'success');
     } catch (err) {
         console.error('[Horae] auto summary failed:', err);
@@ -18294,7 +21769,7 @@ function _stripConfiguredTags(text) {
 function _stripHoraeAnalysisInput(text) {
     return _stripConfiguredTags(text || '')
         .replace(/<think(?:ing)?>[\s\S]*?<\/think(?:ing)?>/gi, '')
-        .replace(/<horae>[\s\S]*?<\/horae>/gi, '')
+        .replace(/<horae(?:\s[^>]*)?>[\s\S]*?<\/horae>/gi, '')
         .replace(/<!--horae[\s\S]*?-->/gi, '')
         .replace(/<horaeevent>[\s\S]*?<\/horaeevent>/gi, '')
         .replace(/<horaerpg>[\s\S]*?<\/horaerpg>/gi, '')
@@ -18313,12 +21788,16 @@ function isEmptyOrCodeLayer(mes) {
     return stripped.length < 20;
 }
 
-/** AI智能摘要 — 批量分析历史消息，暂存结果后弹出审阅视窗 */
-async function batchAIScan() {
+/**
+ * AI智能摘要 — 批量分析尚无时间线的楼层，暂存结果后弹出审阅视窗
+ * options.config 跳过配置弹窗（字段同 showAIScanConfigDialog 的返回值），options.skipConfirm 跳过批次确认
+ * @returns {Promise<number>} 扫描出结果的楼层数
+ */
+async function batchAIScan(options = {}) {
     const chat = horaeManager.getChat();
     if (!chat || chat.length === 0) {
         showToast(t('toast.insufficientEvents'), 'warning');
-        return;
+        return 0;
     }
 
     const targets = [];
@@ -18348,11 +21827,11 @@ async function batchAIScan() {
     if (targets.length === 0) {
         const hint = skippedEmpty > 0 ? t('toast.skippedEmpty', { n: skippedEmpty }) : '';
         showToast(t('toast.allMessagesHaveTimeline', { hint }), 'info');
-        return;
+        return 0;
     }
 
-    const scanConfig = await showAIScanConfigDialog(targets.length);
-    if (!scanConfig) return;
+    const scanConfig = options.config || await showAIScanConfigDialog(targets.length);
+    if (!scanConfig) return 0;
     const { tokenLimit, includeNpc, includeAffection, includeScene, includeRelationship } = scanConfig;
 
     const batches = [];
@@ -18370,14 +21849,15 @@ async function batchAIScan() {
     if (currentBatch.length > 0) batches.push(currentBatch);
 
     const skippedHint = skippedEmpty > 0 ? '\n· ' + t('toast.skippedEmpty', { n: skippedEmpty }) : '';
-    if (!confirm(t('confirm.aiScanConfirm', { batches: batches.length, skippedHint }))) return;
+    if (!options.skipConfirm && !confirm(t('confirm.aiScanConfirm', { batches: batches.length, skippedHint }))) return 0;
 
     const scanResults = await executeBatchScan(batches, { includeNpc, includeAffection, includeScene, includeRelationship });
     if (scanResults.length === 0) {
         showToast(t('toast.insufficientEvents'), 'warning');
-        return;
+        return 0;
     }
     showScanReviewModal(scanResults, { includeNpc, includeAffection, includeScene, includeRelationship });
+    return scanResults.length;
 }
 
 /** 执行批量扫描，每批完成后立即写入 chat 并保存（防止中途崩溃丢失已扫描数据） */
@@ -18567,6 +22047,7 @@ event:重要程度|事件描述
                     if (!includeNpc) parsed.npcs = {};
                     if (!includeAffection) parsed.affection = {};
                     if (!includeRelationship) parsed.relationships = [];
+                    delete parsed.diagnostics;
 
                     const existingMeta = horaeManager.getMessageMeta(msgIndex) || createEmptyMeta();
                     const newMeta = horaeManager.mergeParsedToMeta(existingMeta, parsed);
@@ -19817,18 +23298,27 @@ function _renderSnapshotList() {
 }
 
 /**
- * 导出数据
+ * 导出数据：版本化格式，chat[0] 全局数据拆入 stores，附全局表格模板与挂载的记忆快照
  */
-function exportData() {
+async function exportData() {
     const chat = horaeManager.getChat();
-    const exportObj = {
-        version: VERSION,
-        exportTime: new Date().toISOString(),
-        data: chat.map((msg, index) => ({
-            index,
-            horae_meta: msg.horae_meta || null
-        })).filter(item => item.horae_meta)
-    };
+    const ctx = getContext();
+    const chatId = _deriveChatId(ctx);
+    let vectorSnapshots = [];
+    if (chatId && chatId !== 'unknown') {
+        try {
+            vectorSnapshots = await vectorManager.exportSnapshotsForChat(chatId);
+        } catch (err) {
+            console.warn('[Horae] 读取记忆快照失败，导出将不含快照:', err);
+        }
+    }
+    const exportObj = buildChatExport(chat, {
+        pluginVersion: VERSION,
+        chatId,
+        chatName: ctx?.name2 || '',
+        globalTables: settings.globalTables || [],
+        vectorSnapshots,
+    });
 
     const blob = new Blob([JSON.stringify(exportObj, null, 2)], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
@@ -19841,12 +23331,140 @@ function exportData() {
     showToast(t('toast.configExported'), 'success');
 }
 
+/** 剧情回顾本导出弹窗：书名、格式与附录 */
+function openRecapExportModal() {
+    const chat = horaeManager.getChat();
+    if (!chat?.length) {
+        showToast(t('toast.recapEmpty'), 'warning');
+        return;
+    }
+    const ctx = getContext();
+    const defaultTitle = ctx?.name2 ? t('ui.recapDefaultTitle', { name: ctx.name2 }) : t('ui.recapBook');
+    const appendix = (id, label) => `
+        <label class="horae-recap-check">
+            <input type="checkbox" id="${id}" checked> ${label}
+        </label>`;
+
+    const modal = document.createElement('div');
+    modal.className = 'horae-modal' + (isLightMode() ? ' horae-light' : '');
+    modal.innerHTML = `
+        <div class="horae-modal-content horae-recap-export" style="max-width: 420px;">
+            <div class="horae-modal-header">
+                <i class="fa-solid fa-book-open"></i> ${t('modal.recapExport')}
+            </div>
+            <div class="horae-modal-body">
+                <div class="horae-edit-field">
+                    <label>${t('label.recapTitle')}</label>
+                    <input type="text" id="horae-recap-title" value="${escapeHtml(defaultTitle)}">
+                </div>
+                <div class="horae-edit-field">
+                    <label>${t('label.recapFormat')}</label>
+                    <select class="horae-select" id="horae-recap-format">
+                        <option value="md">Markdown (.md)</option>
+                        <option value="html">HTML (.html)</option>
+                        <option value="epub">EPUB (.epub)</option>
+                    </select>
+                </div>
+                <div class="horae-edit-field">
+                    <label>${t('label.recapAppendix')}</label>
+                    ${appendix('horae-recap-cast', t('ui.recapCast'))}
+                    ${appendix('horae-recap-locations', t('ui.recapLocations'))}
+                    ${appendix('horae-recap-items', t('ui.recapItems'))}
+                </div>
+                <p class="horae-recap-hint">${t('ui.recapHint')}</p>
+            </div>
+            <div class="horae-modal-footer">
+                <button class="horae-btn primary" id="horae-recap-confirm">
+                    <i class="fa-solid fa-download"></i> ${t('common.export')}
+                </button>
+                <button class="horae-btn" id="horae-recap-cancel">
+                    <i class="fa-solid fa-xmark"></i> ${t('common.cancel')}
+                </button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+    preventModalBubble(modal);
+
+    modal.querySelector('#horae-recap-cancel').addEventListener('click', () => modal.remove());
+    modal.querySelector('#horae-recap-confirm').addEventListener('click', () => {
+        const options = {
+            title: modal.querySelector('#horae-recap-title').value.trim() || defaultTitle,
+            format: modal.querySelector('#horae-recap-format').value,
+            cast: modal.querySelector('#horae-recap-cast').checked,
+            locations: modal.querySelector('#horae-recap-locations').checked,
+            items: modal.querySelector('#horae-recap-items').checked,
+        };
+        modal.remove();
+        try {
+            exportRecapBook(options);
+        } catch (err) {
+            console.error('[Horae] 回顾本导出失败:', err);
+            showToast(t('import.exportFailed', { error: err.message }), 'error');
+        }
+    });
+}
+
 /**
- * 导入数据（支持两种模式）
+ * 导出剧情回顾本：按摘要分章的编年史，附角色、地点与物品，全部在本地生成
+ * @param {{ title: string, format: 'md'|'html'|'epub', cast: boolean, locations: boolean, items: boolean }} options
  */
-function importData() {
-    const mode = confirm(t('confirm.importMode')) ? 'match' : 'initial';
+function exportRecapBook({ title, format, cast, locations, items }) {
+    const chat = horaeManager.getChat();
+    const book = buildRecapBook(chat, {
+        title,
+        state: horaeManager.getLatestState(),
+        locations: horaeManager.getLocationMemory(),
+    });
+    if (!cast) book.cast = [];
+    if (!locations) book.locations = [];
+    if (!items) book.items = [];
+    if (!book.chapters.length && !book.prologue.length) {
+        showToast(t('toast.recapEmpty'), 'warning');
+        return;
+    }
+
+    const labels = {
+        lang: getLanguage(),
+        chapter: (n) => t('ui.recapChapter', { n }),
+        prologue: t('ui.recapPrologue'),
+        cast: t('ui.recapCast'),
+        locations: t('ui.recapLocations'),
+        items: t('ui.recapItems'),
+        contents: t('ui.recapContents'),
+        holder: t('label.holder'),
+        location: t('label.location'),
+        affection: t('characters.affection'),
+        flashback: t('ui.recapFlashback'),
+        undated: t('ui.recapUndated'),
+        generatedAt: t('ui.recapGeneratedAt', { date: new Date().toLocaleString() }),
+    };
+
+    let blob;
+    if (format === 'epub') {
+        const chatId = _deriveChatId(getContext());
+        blob = new Blob([buildRecapEpub(book, labels, { identifier: `urn:horae:${chatId}:${Date.now()}` })], { type: 'application/epub+zip' });
+    } else if (format === 'html') {
+        blob = new Blob([renderRecapHtml(book, labels)], { type: 'text/html' });
+    } else {
+        blob = new Blob([renderRecapMarkdown(book, labels)], { type: 'text/markdown' });
+    }
+
+    const safeName = title.replace(/[\\/:*?"<>|\s]+/g, '_').slice(0, 60) || 'horae_recap';
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${safeName}.${format}`;
+    a.click();
+    URL.revokeObjectURL(url);
+
+    showToast(t('toast.recapExported', { n: book.chapters.length }), 'success');
+}
 
+/**
+ * 导入数据：读取文件 → 迁移到当前版本 → 预览差异并选择模式/范围 → 应用
+ */
+function importData() {
     const input = document.createElement('input');
     input.type = 'file';
     input.accept = '.json';
@@ -19856,30 +23474,14 @@ function importData() {
 
         try {
             const text = await file.text();
-            const importObj = JSON.parse(text);
-
-            if (!importObj.data || !Array.isArray(importObj.data)) {
+            let migrated;
+            try {
+                migrated = migrateChatExport(JSON.parse(text));
+            } catch (err) {
+                if (err instanceof RangeError) throw new Error(t('import.schemaTooNew'));
                 throw new Error(t('toast.invalidDataFormat'));
             }
-
-            const chat = horaeManager.getChat();
-
-            if (mode === 'match') {
-                let imported = 0;
-                for (const item of importObj.data) {
-                    if (item.index >= 0 && item.index < chat.length && item.horae_meta) {
-                        chat[item.index].horae_meta = item.horae_meta;
-                        imported++;
-                    }
-                }
-                await getContext().saveChat();
-                showToast(t('toast.recordsImported', { n: imported }), 'success');
-            } else {
-                _importAsInitialState(importObj, chat);
-                await getContext().saveChat();
-                showToast(t('toast.metaImportedAsInitial'), 'success');
-            }
-            refreshAllDisplays();
+            _showImportPreviewModal(migrated.data, migrated.migratedFrom);
         } catch (error) {
             console.error('[Horae] 导入失败:', error);
             showToast(t('toast.importFailed', { error: error.message }), 'error');
@@ -19888,6 +23490,191 @@ function importData() {
     input.click();
 }
 
+function _formatImportDiffCell(d) {
+    const parts = [];
+    if (d.added) parts.push(`<span class="horae-import-diff-add">+${d.added}</span>`);
+    if (d.changed) parts.push(`<span class="horae-import-diff-change">~${d.changed}</span>`);
+    if (d.removed) parts.push(`<span class="horae-import-diff-remove">−${d.removed}</span>`);
+    return parts.length ? parts.join(' ') : `<span class="horae-import-diff-same">${t('import.unchanged')}</span>`;
+}
+
+/** 导入预览弹窗：展示差异，用户确认模式与范围后才写入 */
+function _showImportPreviewModal(data, migratedFrom) {
+    const chat = horaeManager.getChat();
+    const diff = diffChatExport(chat, data, settings.globalTables || []);
+    const m = diff.messages;
+
+    const storeRows = diff.stores.filter(st => st.hasIncoming || st.current > 0).map(st => `
+        <tr>
+            <td><label><input type="checkbox" class="horae-import-store" value="${st.key}" ${st.hasIncoming ? 'checked' : 'disabled'}> ${t(`import.store_${st.key}`)}</label></td>
+            <td>${st.current}</td>
+            <td>${st.incoming}</td>
+            <td>${st.hasIncoming ? _formatImportDiffCell(st) : `<span class="horae-import-diff-same">${t('import.keepCurrent')}</span>`}</td>
+        </tr>
+    `).join('');
+
+    const sourceLine = [
+        data.source?.chatName,
+        data.pluginVersion ? `v${data.pluginVersion}` : '',
+        data.exportTime ? new Date(data.exportTime).toLocaleString() : '',
+    ].filter(Boolean).map(escapeHtml).join(' · ');
+
+    const modal = document.createElement('div');
+    modal.className = 'horae-modal' + (isLightMode() ? ' horae-light' : '');
+    modal.innerHTML = `
+        <div class="horae-modal-content horae-import-preview" style="max-width: 560px;">
+            <div class="horae-modal-header">
+                <i class="fa-solid fa-file-import"></i> ${t('import.previewTitle')}
+            </div>
+            <div class="horae-modal-body">
+                <div class="horae-import-source">${sourceLine}</div>
+                ${migratedFrom ? `<div class="horae-import-migrated"><i class="fa-solid fa-circle-info"></i> ${t('import.migrated', { from: migratedFrom, to: data.schemaVersion })}</div>` : ''}
+                <div class="horae-import-mode">
+                    <label><input type="radio" name="horae-import-mode" value="match" checked> ${t('import.modeMatch')}</label>
+                    <label><input type="radio" name="horae-import-mode" value="initial"> ${t('import.modeInitial')}</label>
+                </div>
+                <div class="horae-import-section">
+                    <label><input type="checkbox" id="horae-import-messages" checked> ${t('import.messages')}</label>
+                    <div class="horae-import-summary" data-mode="match">
+                        ${t('import.messagesMatch', { total: m.total, matched: m.matched, changed: m.changed, added: m.added, unchanged: m.unchanged })}
+                        ${m.outOfRange ? `<br><span class="horae-import-diff-remove">${t('import.messagesOutOfRange', { n: m.outOfRange })}</span>` : ''}
+                        ${m.roleMismatch ? `<br><span class="horae-import-diff-change">${t('import.messagesRoleMismatch', { n: m.roleMismatch })}</span>` : ''}
+                    </div>
+                    <div class="horae-import-summary" data-mode="initial" style="display:none;">
+                        ${t('import.messagesInitial', { total: m.total })}
+                    </div>
+                </div>
+                <table class="horae-import-diff">
+                    <thead><tr><th>${t('import.store')}</th><th>${t('import.current')}</th><th>${t('import.incoming')}</th><th>${t('import.change')}</th></tr></thead>
+                    <tbody>${storeRows || `<tr><td colspan="4">${t('import.noStores')}</td></tr>`}</tbody>
+                </table>
+                ${diff.templates.incoming ? `
+                <div class="horae-import-section">
+                    <label><input type="checkbox" id="horae-import-templates" ${diff.templates.added ? 'checked' : 'disabled'}> ${t('import.templates', { n: diff.templates.incoming, added: diff.templates.added })}</label>
+                </div>` : ''}
+                ${diff.vectorSnapshots ? `
+                <div class="horae-import-section">
+                    <label><input type="checkbox" id="horae-import-snapshots" checked> ${t('import.snapshots', { n: diff.vectorSnapshots })}</label>
+                </div>` : ''}
+            </div>
+            <div class="horae-modal-footer">
+                <button class="horae-btn primary" id="horae-import-apply">
+                    <i class="fa-solid fa-check"></i> ${t('import.apply')}
+                </button>
+                <button class="horae-btn" id="horae-import-cancel">
+                    <i class="fa-solid fa-xmark"></i> ${t('common.cancel')}
+                </button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+    preventModalBubble(modal);
+
+    modal.querySelectorAll('input[name="horae-import-mode"]').forEach(radio => {
+        radio.addEventListener('change', () => {
+            const mode = modal.querySelector('input[name="horae-import-mode"]:checked').value;
+            modal.querySelectorAll('.horae-import-summary').forEach(el => {
+                el.style.display = el.dataset.mode === mode ? '' : 'none';
+            });
+        });
+    });
+    modal.querySelector('#horae-import-cancel').addEventListener('click', () => modal.remove());
+    modal.querySelector('#horae-import-apply').addEventListener('click', async () => {
+        const options = {
+            mode: modal.querySelector('input[name="horae-import-mode"]:checked').value,
+            messages: !!modal.querySelector('#horae-import-messages')?.checked,
+            stores: [...modal.querySelectorAll('.horae-import-store:checked')].map(el => el.value),
+            templates: !!modal.querySelector('#horae-import-templates')?.checked,
+            snapshots: !!modal.querySelector('#horae-import-snapshots')?.checked,
+        };
+        modal.remove();
+        try {
+            await _applyChatImport(data, options);
+        } catch (error) {
+            console.error('[Horae] 导入失败:', error);
+            showToast(t('toast.importFailed', { error: error.message }), 'error');
+        }
+    });
+}
+
+/**
+ * 按预览弹窗的选择写入
+ * match：逐楼层替换元数据，勾选的 stores 覆盖 chat[0] 对应键；未勾选的保持现状
+ * initial：累积为 chat[0] 的初始状态（与「带记忆创建新对话」同一路径）
+ */
+async function _applyChatImport(data, options) {
+    const chat = horaeManager.getChat();
+    if (!chat?.length) throw new Error(t('toast.cannotGetContent'));
+    const storeMetaKeys = Object.values(CHAT_EXPORT_STORES);
+    let imported = 0;
+
+    if (options.mode === 'match') {
+        if (options.messages) {
+            for (const item of data.messages) {
+                if (item.index < 0 || item.index >= chat.length || !item.meta) continue;
+                const meta = JSON.parse(JSON.stringify(item.meta));
+                if (item.index === 0) {
+                    // 0 楼的全局数据由 stores 单独决定，这里先沿用当前值
+                    for (const key of storeMetaKeys) {
+                        if (chat[0].horae_meta?.[key] !== undefined) meta[key] = chat[0].horae_meta[key];
+                    }
+                }
+                chat[item.index].horae_meta = meta;
+                imported++;
+            }
+        }
+        if (!chat[0].horae_meta) chat[0].horae_meta = createEmptyMeta();
+        for (const key of options.stores) {
+            const value = data.stores[key];
+            if (value !== undefined) chat[0].horae_meta[CHAT_EXPORT_STORES[key]] = JSON.parse(JSON.stringify(value));
+        }
+    } else {
+        const list = chatExportToMetaList(data, options.stores);
+        const source = options.messages ? list : list.filter(d => d.index === 0);
+        if (source.length > 0) _importAsInitialState({ data: source }, chat);
+        // _importAsInitialState 不处理的全局键按勾选直接写入
+        for (const key of ['customTables', 'globalTableData', 'charTableData', 'deletedNpcs', 'userAddedNpcs', 'deletedAgendaTexts', 'plotThreads']) {
+            if (!options.stores.includes(key) || data.stores[key] === undefined) continue;
+            chat[0].horae_meta[CHAT_EXPORT_STORES[key]] = JSON.parse(JSON.stringify(data.stores[key]));
+        }
+    }
+
+    let templatesAdded = 0;
+    if (options.templates && data.templates?.globalTables?.length) {
+        if (!Array.isArray(settings.globalTables)) settings.globalTables = [];
+        const names = new Set(settings.globalTables.map(tb => (tb?.name || '').trim()));
+        for (const tpl of data.templates.globalTables) {
+            const name = (tpl?.name || '').trim();
+            if (!name || names.has(name)) continue;
+            settings.globalTables.push(JSON.parse(JSON.stringify(tpl)));
+            names.add(name);
+            templatesAdded++;
+        }
+        if (templatesAdded > 0) saveSettingsDebounced();
+    }
+
+    let snapshotsAdded = 0;
+    if (options.snapshots && data.vectorSnapshots?.length) {
+        const chatId = _deriveChatId(getContext());
+        for (const snap of data.vectorSnapshots) {
+            try {
+                await vectorManager.importSnapshot(snap, chatId);
+                snapshotsAdded++;
+            } catch (err) {
+                console.warn('[Horae] 记忆快照导入失败:', err);
+            }
+        }
+        if (snapshotsAdded > 0) _renderSnapshotList();
+    }
+
+    await getContext().saveChat();
+    refreshAllDisplays();
+    renderCustomTablesList();
+    showToast(options.mode === 'match'
+        ? t('import.doneMatch', { n: imported, stores: options.stores.length, templates: templatesAdded, snapshots: snapshotsAdded })
+        : t('import.doneInitial', { stores: options.stores.length, templates: templatesAdded, snapshots: snapshotsAdded }), 'success');
+}
+
 /**
  * 从导出文件提取最终累积状态，写入当前对话的 chat[0] 作为初始元数据，
  * 适用于新聊天继承旧聊天的世界观数据。
@@ -20197,6 +23984,8 @@ async function analyzeMessageWithAI(messageContent, opts = {}) {
 
         if (response) {
             const parsed = horaeManager.parseHoraeTag(response);
+            // 诊断针对的是分析回复而非消息正文，不应落到该楼层
+            if (parsed) delete parsed.diagnostics;
             return parsed;
         }
     } catch (error) {
@@ -20419,13 +24208,19 @@ async function onMessageReceived(messageId) {
         isRegenerate = hasExistingMeta;
         let savedFlags = null;
         let savedGlobal = null;
+        const baseline = horaeManager.captureChangeBaseline(messageId);
         if (isRegenerate) {
             savedFlags = _saveCompressedFlags(message.horae_meta);
             if (messageId === 0) savedGlobal = _saveGlobalMeta(message.horae_meta);
             message.horae_meta = createEmptyMeta();
         }
 
-        horaeManager.processAIResponse(messageId, message.mes);
+        horaeManager.processAIResponse(messageId, message.mes, {
+            source: isRegenerate ? 'regenerate' : 'ai',
+            baseline,
+            deferEmit: isRegenerate,
+        });
+        notifyOverdueAgenda();
 
         if (isRegenerate) {
             _restoreCompressedFlags(message.horae_meta, savedFlags);
@@ -20434,6 +24229,7 @@ async function onMessageReceived(messageId) {
             horaeManager.rebuildRelationships();
             horaeManager.rebuildLocationMemory();
             horaeManager.rebuildRpgData();
+            horaeManager.emitStateChange(messageId, 'regenerate', baseline);
         }
 
         if (!_summaryInProgress) {
@@ -20485,6 +24281,15 @@ async function onMessageReceived(messageId) {
             }
         }, 1500);
     }
+
+    if (!isRegenerate && settings.enabled) {
+        setTimeout(autoSummarizePlotThreads, 2000);
+    }
+
+    // 后台事实检测只走辅助 API，避免每条回复额外占用主 API
+    if (settings.enabled && settings.factCheckEnabled && settings.auxApiEnabled) {
+        setTimeout(() => checkFactContradictions(messageId, { silent: true }), 2500);
+    }
 }
 
 /**
@@ -20519,52 +24324,65 @@ async function onMessageDeleted(reportedChatLength = null) {
 }
 
 /**
- * 消息编辑时触发 — 重新解析该消息并重建表格
- * 延迟执行以确保 SillyTavern 自身的 post-edit 处理（updateMessage、refreshSwipeButtons 等）完成
+ * 清空并按正文重新解析单条 AI 消息（保留压缩标记与全局数据），随后重建派生数据、刷新面板与向量
+ * @param {number} messageId
+ * @param {string} source 事件来源（edit / repair）
+ * @returns {boolean} 是否执行了解析
  */
-function onMessageEdited(messageId) {
-    if (!settings.enabled) return;
+function _reparseMessage(messageId, source) {
+    const chat = horaeManager.getChat();
+    const message = chat[messageId];
+    if (!message || message.is_user) return false;
 
-    setTimeout(() => {
-        try {
-            const chat = horaeManager.getChat();
-            const message = chat[messageId];
-            if (!message || message.is_user) return;
+    const baseline = horaeManager.captureChangeBaseline(messageId);
+    const savedFlags = _saveCompressedFlags(message.horae_meta);
+    const savedGlobal = messageId === 0 ? _saveGlobalMeta(message.horae_meta) : null;
+    message.horae_meta = createEmptyMeta();
 
-            const savedFlags = _saveCompressedFlags(message.horae_meta);
-            const savedGlobal = messageId === 0 ? _saveGlobalMeta(message.horae_meta) : null;
-            message.horae_meta = createEmptyMeta();
+    horaeManager.processAIResponse(messageId, message.mes, { source, baseline, deferEmit: true });
+    _restoreCompressedFlags(message.horae_meta, savedFlags);
+    if (savedGlobal) _restoreGlobalMeta(message.horae_meta, savedGlobal);
 
-            horaeManager.processAIResponse(messageId, message.mes);
-            _restoreCompressedFlags(message.horae_meta, savedFlags);
-            if (savedGlobal) _restoreGlobalMeta(message.horae_meta, savedGlobal);
+    horaeManager.rebuildTableData();
+    horaeManager.rebuildRelationships();
+    horaeManager.rebuildLocationMemory();
+    horaeManager.rebuildRpgData();
+    horaeManager.emitStateChange(messageId, source, baseline);
+    getContext().saveChat();
 
-            horaeManager.rebuildTableData();
-            horaeManager.rebuildRelationships();
-            horaeManager.rebuildLocationMemory();
-            horaeManager.rebuildRpgData();
-            getContext().saveChat();
+    refreshAllDisplays();
+    renderCustomTablesList();
+    _snapshotCurrentChatMessageRefs();
 
-            refreshAllDisplays();
-            renderCustomTablesList();
-            _snapshotCurrentChatMessageRefs();
+    if (settings.showMessagePanel) {
+        const messageEl = document.querySelector(`.mes[mesid="${messageId}"]`);
+        if (messageEl) {
+            const oldPanel = messageEl.querySelector('.horae-message-panel');
+            if (oldPanel) oldPanel.remove();
+            addMessagePanel(messageEl, messageId);
+        }
+    }
 
-            if (settings.showMessagePanel) {
-                const messageEl = document.querySelector(`.mes[mesid="${messageId}"]`);
-                if (messageEl) {
-                    const oldPanel = messageEl.querySelector('.horae-message-panel');
-                    if (oldPanel) oldPanel.remove();
-                    addMessagePanel(messageEl, messageId);
-                }
-            }
+    if (settings.vectorEnabled && vectorManager.isReady) {
+        const meta = horaeManager.getMessageMeta(messageId);
+        if (meta) {
+            vectorManager.addMessage(messageId, meta).catch(err =>
+                console.warn('[Horae] 向量重建失败:', err));
+        }
+    }
+    return true;
+}
 
-            if (settings.vectorEnabled && vectorManager.isReady) {
-                const meta = horaeManager.getMessageMeta(messageId);
-                if (meta) {
-                    vectorManager.addMessage(messageId, meta).catch(err =>
-                        console.warn('[Horae] 向量重建失败:', err));
-                }
-            }
+/**
+ * 消息编辑时触发 — 重新解析该消息并重建表格
+ * 延迟执行以确保 SillyTavern 自身的 post-edit 处理（updateMessage、refreshSwipeButtons 等）完成
+ */
+function onMessageEdited(messageId) {
+    if (!settings.enabled) return;
+
+    setTimeout(() => {
+        try {
+            _reparseMessage(messageId, 'edit');
         } catch (err) {
             console.error(`[Horae] onMessageEdited #${messageId} 失败:`, err);
         }
@@ -20916,73 +24734,102 @@ function _antiParaphraseSnippets() {
     };
 }
 
-async function onPromptReady(eventData) {
-    const skipVectorRecallOnce = _stripNoVectorRecallMarkers(eventData?.chat);
-    const skipContextInjectionOnce = _stripNoContextInjectionMarkers(eventData?.chat);
-    if (_isSummaryGeneration) return;
-    if (skipContextInjectionOnce) {
-        console.log('[Horae] Internal no-context marker detected, skip Horae context injection for this request');
-        return;
-    }
-    if (!settings.enabled || !settings.injectContext) return;
-    if (eventData.dryRun) return;
+/** 群聊中本次生成的发言成员；单人对话返回空 */
+function _resolveUpcomingSpeaker() {
+    const ctx = getContext();
+    if (!ctx?.groupId) return '';
+    const drafted = _groupDraftedCharId != null ? ctx.characters?.[_groupDraftedCharId]?.name : '';
+    return drafted || ctx.name2 || '';
+}
+
+/** 检测 swipe/regenerate：末尾 AI 楼层已带元数据时跳过它的旧记忆 */
+function _detectInjectionSkipLast(chat) {
+    if (!chat || chat.length === 0) return 0;
+    const lastMsg = chat[chat.length - 1];
+    if (lastMsg && !lastMsg.is_user && lastMsg.horae_meta && (
+        lastMsg.horae_meta.timestamp?.story_date ||
+        lastMsg.horae_meta.scene?.location ||
+        Object.keys(lastMsg.horae_meta.items || {}).length > 0 ||
+        Object.keys(lastMsg.horae_meta.costumes || {}).length > 0 ||
+        Object.keys(lastMsg.horae_meta.affection || {}).length > 0 ||
+        Object.keys(lastMsg.horae_meta.npcs || {}).length > 0 ||
+        (lastMsg.horae_meta.events || []).length > 0 ||
+        (lastMsg.horae_meta._rpgChanges && Object.keys(lastMsg.horae_meta._rpgChanges).length > 0)
+    )) {
+        return 1;
+    }
+    return 0;
+}
 
-    try {
-        const chat = horaeManager.getChat();
+/**
+ * 组装一次注入内容，onPromptReady 与注入预览共用同一条路径
+ * dryRun：不补全上一楼时间线、不自动套用装备模板、不建向量索引、不做 Query 重写，
+ * 召回也不写缓存、不派发事件；发言者在整次组装期间临时切换，结束后恢复。带回数据行所属分区与召回命中，供预览标注
+ * promptChat 为酒馆即将发送的提示词；预览时没有，召回不排除已在提示词里的楼层
+ */
+async function _assembleInjection({ promptChat = null, skipVectorRecall = false, dryRun = false } = {}) {
+    const chat = horaeManager.getChat();
 
-        // 发送前：可选补全上一条AI楼层的时间线
-        await _autoFillPreviousAiTimelineBeforeInjection(chat);
+    // 发送前：可选补全上一条AI楼层的时间线
+    if (!dryRun) await _autoFillPreviousAiTimelineBeforeInjection(chat);
 
-        // swipe/regenerate检测
-        let skipLast = 0;
-        if (chat && chat.length > 0) {
-            const lastMsg = chat[chat.length - 1];
-            if (lastMsg && !lastMsg.is_user && lastMsg.horae_meta && (
-                lastMsg.horae_meta.timestamp?.story_date ||
-                lastMsg.horae_meta.scene?.location ||
-                Object.keys(lastMsg.horae_meta.items || {}).length > 0 ||
-                Object.keys(lastMsg.horae_meta.costumes || {}).length > 0 ||
-                Object.keys(lastMsg.horae_meta.affection || {}).length > 0 ||
-                Object.keys(lastMsg.horae_meta.npcs || {}).length > 0 ||
-                (lastMsg.horae_meta.events || []).length > 0 ||
-                (lastMsg.horae_meta._rpgChanges && Object.keys(lastMsg.horae_meta._rpgChanges).length > 0)
-            )) {
-                skipLast = 1;
-                console.log('[Horae] 检测到swipe/regenerate，跳过末尾消息的旧记忆');
-            }
-        }
+    // swipe/regenerate检测
+    const skipLast = _detectInjectionSkipLast(chat);
+    if (skipLast) console.log('[Horae] 检测到swipe/regenerate，跳过末尾消息的旧记忆');
 
+    if (!dryRun) {
         const eqAutoApplied = _autoApplyEquipmentTemplatesByRace({ persist: false });
         if (eqAutoApplied && getContext()?.saveChat) await getContext().saveChat();
+    }
 
-        const rawDataPrompt = horaeManager.generateCompactPrompt(skipLast);
+    // 数据块、规则（{{char}}）与召回都按即将发言的角色组装；预览结束后恢复原发言者
+    const prevSpeaker = horaeManager.getActiveSpeaker();
+    horaeManager.setActiveSpeaker(_resolveUpcomingSpeaker());
+    try {
+        let rawDataPrompt;
+        let dataParts = null;
+        if (dryRun) {
+            const report = await _buildPromptBudgetReport(skipLast);
+            rawDataPrompt = report.text;
+            dataParts = report.kept;
+        } else {
+            rawDataPrompt = await _assembleBudgetedPrompt(skipLast);
+        }
         const timelineMode = settings.timelineInjectionMode === 'separate' ? 'separate' : 'inline';
         const { mainPrompt: dataPrompt, timelinePrompt } = timelineMode === 'separate'
             ? _splitTimelineSection(rawDataPrompt)
             : { mainPrompt: rawDataPrompt, timelinePrompt: '' };
 
         let recallPrompt = '';
+        let recallHits = null;
         console.log(`[Horae] 向量检查: vectorEnabled=${settings.vectorEnabled}, isReady=${vectorManager.isReady}, vectors=${vectorManager.vectors.size}`);
-        if (skipVectorRecallOnce) {
+        if (skipVectorRecall) {
             console.log('[Horae] Internal no-recall marker detected, skip vector recall for this request');
         } else if (settings.vectorEnabled && vectorManager.isReady) {
             try {
-                await _ensureVectorIndexBeforeRecall();
-                const promptCoveredChatIndices = _collectPromptCoveredChatIndices(chat, eventData.chat);
+                const promptCoveredChatIndices = _collectPromptCoveredChatIndices(chat, promptChat);
                 if (promptCoveredChatIndices.size > 0) {
                     console.log(`[Horae] Prompt已覆盖楼层: ${promptCoveredChatIndices.size}，召回将排除这些楼层`);
                 }
-                // 启用 Query 重写时，把辅助 API 包装成 (prompt) => string 传入
-                const aiTaskFn = settings.vectorQueryRewriteEnabled
-                    ? (prompt) => _generateForAuxTask(prompt, { kind: 'queryRewrite', label: 'Query Rewrite' })
-                    : null;
-                recallPrompt = await vectorManager.generateRecallPrompt(
-                    horaeManager,
-                    skipLast,
-                    settings,
-                    promptCoveredChatIndices,
-                    aiTaskFn
-                );
+                if (dryRun) {
+                    // 预览只查已有索引：不补建索引，不调辅助 API 做 Query 重写
+                    const preview = await vectorManager.previewRecallPrompt(horaeManager, skipLast, settings, promptCoveredChatIndices);
+                    recallPrompt = preview.recallText;
+                    recallHits = preview.hits;
+                } else {
+                    await _ensureVectorIndexBeforeRecall();
+                    // 启用 Query 重写时，把辅助 API 包装成 (prompt) => string 传入
+                    const aiTaskFn = settings.vectorQueryRewriteEnabled
+                        ? (prompt) => _generateForAuxTask(prompt, { kind: 'queryRewrite', label: 'Query Rewrite' })
+                        : null;
+                    recallPrompt = await vectorManager.generateRecallPrompt(
+                        horaeManager,
+                        skipLast,
+                        settings,
+                        promptCoveredChatIndices,
+                        aiTaskFn
+                    );
+                }
                 console.log(`[Horae] 向量召回结果: ${recallPrompt ? recallPrompt.length + ' 字符' : '空'}`);
             } catch (err) {
                 console.error('[Horae] 向量召回失败:', err);
@@ -20992,6 +24839,7 @@ async function onPromptReady(eventData) {
         const rulesPrompt = horaeManager.generateSystemPromptAddition();
 
         let antiParaRef = '';
+        let antiParaSource = -1;
         if (settings.antiParaphraseMode && chat?.length) {
             for (let i = chat.length - 1; i >= 0; i--) {
                 const m = chat[i];
@@ -20999,13 +24847,14 @@ async function onPromptReady(eventData) {
                 // 跳过隐藏 / 番外（小剧场），这些不应被算进本回合结算
                 if (m.is_hidden || m.horae_meta?._skipHorae) continue;
                 const cleaned = m.mes
-                    .replace(/<horae>[\s\S]*?<\/horae>/gi, '')
+                    .replace(/<horae(?:\s[^>]*)?>[\s\S]*?<\/horae>/gi, '')
                     .replace(/<horaeevent>[\s\S]*?<\/horaeevent>/gi, '')
                     .trim();
                 if (cleaned) {
                     const truncated = cleaned.length > 2000 ? cleaned.slice(0, 2000) + '…' : cleaned;
                     const snip = _antiParaphraseSnippets();
                     antiParaRef = `\n\n${snip.refHeader}\n${truncated}\n${snip.refFooter}`;
+                    antiParaSource = i;
                 }
                 break;
             }
@@ -21019,6 +24868,31 @@ async function onPromptReady(eventData) {
         const position = Number.isNaN(positionRaw) ? 1 : Math.max(0, positionRaw);
         const depthSource = settings.injectionDepthSource === 'preset' ? 'preset' : 'system';
 
+        return {
+            skipLast, timelineMode, dataPrompt, timelinePrompt, recallPrompt, rulesPrompt, antiParaRef,
+            combinedPrompt, position, depthSource, dataParts, recallHits, antiParaSource,
+        };
+    } finally {
+        if (dryRun) horaeManager.setActiveSpeaker(prevSpeaker);
+    }
+}
+
+async function onPromptReady(eventData) {
+    const skipVectorRecallOnce = _stripNoVectorRecallMarkers(eventData?.chat);
+    const skipContextInjectionOnce = _stripNoContextInjectionMarkers(eventData?.chat);
+    if (_isSummaryGeneration) return;
+    if (skipContextInjectionOnce) {
+        console.log('[Horae] Internal no-context marker detected, skip Horae context injection for this request');
+        return;
+    }
+    if (!settings.enabled || !settings.injectContext) return;
+    if (eventData.dryRun) return;
+
+    try {
+        const chat = horaeManager.getChat();
+        const { skipLast, timelinePrompt, recallPrompt, combinedPrompt, position, depthSource } =
+            await _assembleInjection({ promptChat: eventData.chat, skipVectorRecall: skipVectorRecallOnce });
+
         if (depthSource === 'preset') {
             // 预设 @D：不按聊天楼层定位，直接按完整提示词末尾偏移插入
             if (timelinePrompt) {
@@ -21112,6 +24986,9 @@ function _rebuildGlobalDataForCurrentChat() {
 async function onChatChanged() {
     if (!settings.enabled) return;
     _chatFullyLoaded = false;
+    _groupDraftedCharId = null;
+    horaeManager.setActiveSpeaker('');
+    _resetEntityGraphView();
     _rpgHudExpandedMsgs.clear();
     _rpgHudEditingMsgs.clear();
     _rpgHudRevealedMore.clear();
@@ -21175,6 +25052,11 @@ async function onChatChanged() {
         }
 
         _rebuildGlobalDataForCurrentChat();
+        try {
+            _pullWorldLedger();
+        } catch (e) {
+            console.warn('[Horae] 世界账本读入失败:', e);
+        }
         // 加载/切换 chat 后立刻补一次级联清理，覆盖跨会话期间删过的楼层
         try {
             await _removeSummariesCoveringDeletedFloors(horaeManager.getChat(), horaeManager.getChat()?.length || 0);
@@ -21185,18 +25067,22 @@ async function onChatChanged() {
         renderCustomTablesList();
         renderDicePanel();
         _snapshotCurrentChatMessageRefs();
+        _updateWorldLedgerUI();
     } catch (err) {
         console.error('[Horae] onChatChanged 初始化失败:', err);
     }
     _chatFullyLoaded = true;
 
-    if (settings.vectorEnabled && vectorManager.isReady) {
+    if (settings.vectorEnabled) {
         try {
             const ctx = getContext();
             const chatId = ctx?.chatId || _deriveChatId(ctx);
-            vectorManager.loadChat(chatId, horaeManager.getChat()).then(() => {
-                _updateVectorStatus();
-            }).catch(err => console.warn('[Horae] 加载向量索引失败:', err));
+            // 先登记分支血缘（模型未就绪也登记），之后任何一次 loadChat 都能沿链共享父对话的向量
+            _registerVectorBranch(ctx, chatId)
+                .catch(err => console.warn('[Horae] 分支血缘登记失败:', err))
+                .then(() => vectorManager.isReady ? vectorManager.loadChat(chatId, horaeManager.getChat()) : null)
+                .then(() => _updateVectorStatus())
+                .catch(err => console.warn('[Horae] 加载向量索引失败:', err));
         } catch (err) {
             console.warn('[Horae] 向量加载失败:', err);
         }
@@ -21274,7 +25160,7 @@ function _sanitizeLeakedHoraeTags(messageEl) {
 
     // Phase 2: 清理文本节点中残留的 horae 标签文字
     const walker = document.createTreeWalker(mesBody, NodeFilter.SHOW_TEXT, null, false);
-    const horaePat = /<\/?horae(?:event|rpg|table[:\uff1a]?[^>]*)?>/gi;
+    const horaePat = /<\/?horae(?:event|rpg|table[:\uff1a]?[^>]*|\s[^>]*)?>/gi;
     let node;
     while ((node = walker.nextNode())) {
         if (horaePat.test(node.textContent)) {
@@ -21293,10 +25179,11 @@ function onSwipePanel(messageId) {
             const msg = horaeManager.getChat()[messageId];
             if (!msg || msg.is_user) return;
 
+            const baseline = horaeManager.captureChangeBaseline(messageId);
             const savedFlags = _saveCompressedFlags(msg.horae_meta);
             const savedGlobal = messageId === 0 ? _saveGlobalMeta(msg.horae_meta) : null;
             msg.horae_meta = createEmptyMeta();
-            horaeManager.processAIResponse(messageId, msg.mes);
+            horaeManager.processAIResponse(messageId, msg.mes, { source: 'swipe', baseline, deferEmit: true });
             _restoreCompressedFlags(msg.horae_meta, savedFlags);
             if (savedGlobal) _restoreGlobalMeta(msg.horae_meta, savedGlobal);
 
@@ -21304,6 +25191,7 @@ function onSwipePanel(messageId) {
             horaeManager.rebuildRelationships();
             horaeManager.rebuildLocationMemory();
             horaeManager.rebuildRpgData();
+            horaeManager.emitStateChange(messageId, 'swipe', baseline);
             getContext().saveChat();
 
             refreshAllDisplays();
@@ -21466,6 +25354,8 @@ jQuery(async () => {
     console.log(`[Horae] 开始加载 v${VERSION}...`);
 
     _publishHoraeApi();
+    horaeManager.setEventEmitter(emitHoraeEvent);
+    vectorManager.setEventEmitter(emitHoraeEvent);
 
     await initNavbarFunction();
     loadSettings();
@@ -21515,6 +25405,7 @@ jQuery(async () => {
     horaeManager.init(getContext(), settings);
     _publishHoraeApi();
     _portsReady = true;
+    await registerHoraeSlashCommands();
 
     if (_pendingExternalSettings) {
         setTimeout(() => _showExternalSettingsModal(_pendingExternalSettings), 400);
@@ -21527,6 +25418,12 @@ jQuery(async () => {
     eventSource.on(event_types.MESSAGE_SWIPED, onSwipePanel);
     eventSource.on(event_types.MESSAGE_DELETED, onMessageDeleted);
     eventSource.on(event_types.MESSAGE_EDITED, onMessageEdited);
+    eventSource.on('horae:metaUpdated', _scheduleWorldLedgerPush);
+    if (event_types.GROUP_MEMBER_DRAFTED) {
+        eventSource.on(event_types.GROUP_MEMBER_DRAFTED, (chId) => {
+            _groupDraftedCharId = chId;
+        });
+    }
 
     eventSource.on(event_types.GENERATION_AFTER_COMMANDS, () => {
         TavernHelper.injectPrompts([
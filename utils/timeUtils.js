@@ -3,6 +3,14 @@
 /** 中文周几映射 */
 const WEEKDAY_NAMES = ['日', '一', '二', '三', '四', '五', '六'];
 
+/** 按 AI 输出语言的星期缩写，formatStoryDate / 时间参考里的 (周几) 用它 */
+const WEEKDAY_NAMES_BY_LANG = {
+    en: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+    ja: ['日', '月', '火', '水', '木', '金', '土'],
+    ko: ['일', '월', '화', '수', '목', '금', '토'],
+    ru: ['вс', 'пн', 'вт', 'ср', 'чт', 'пт', 'сб'],
+};
+
 /** 季节名称 */
 const SEASONS = ['冬季', '冬季', '春季', '春季', '春季', '夏季', '夏季', '夏季', '秋季', '秋季', '秋季', '冬季'];
 
@@ -23,7 +31,39 @@ const CHINESE_NUMS = {
 /** 当前生效的自定义日历，未启用为 null */
 let _customCalendar = null;
 
-/** 装填或清空自定义日历；月名/天数对不上即视为无效配置，避免半截数据误判 */
+/** 月相：按周期八等分，0 为新月、4 为满月 */
+const MOON_PHASE_KEYS = ['new', 'waxing_crescent', 'first_quarter', 'waxing_gibbous', 'full', 'waning_gibbous', 'last_quarter', 'waning_crescent'];
+
+function _mod(n, m) {
+    return ((n % m) + m) % m;
+}
+
+function _gcd(a, b) {
+    return b ? _gcd(b, a % b) : a;
+}
+
+function _lcm(a, b) {
+    return a && b ? (a / _gcd(a, b)) * b : 0;
+}
+
+function _escapeRegExp(s) {
+    return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** 整数或中文数字短串 → 整数 */
+function _numOrCn(s) {
+    return /^\d+$/.test(s) ? parseInt(s, 10) : _cnNumToInt(s);
+}
+
+/**
+ * 装填或清空自定义日历；月名/天数对不上即视为无效配置，避免半截数据误判
+ * 其余部分都是可选的，单条写错只丢弃该条：
+ *   weekdays        星期名，weekdayOffset 为第 1 年首日对应的星期序号（从 0 起）
+ *   leap            { every, month(从 1 起), days, exceptEvery, unlessEvery }：每 every 年在该月多 days 天，逢 exceptEvery 不闰、逢 unlessEvery 仍闰
+ *   eras            [{ name, startYear }]：纪元 N 年 = 绝对年 startYear + N - 1
+ *   intercalary     [{ name, days, afterMonth, leapOnly }]：不属于任何月的节日/闰日，afterMonth=0 表示年首
+ *   moons           [{ name, cycle, offset }]：cycle 为周期天数（可带小数），offset 为第 1 年首日之后第几天是新月
+ */
 export function setCustomCalendar(cfg) {
     if (!cfg || !cfg.enabled) { _customCalendar = null; return; }
     const names = Array.isArray(cfg.monthNames)
@@ -33,10 +73,61 @@ export function setCustomCalendar(cfg) {
         ? cfg.monthDays.map(n => parseInt(n, 10)).filter(n => Number.isFinite(n) && n > 0)
         : [];
     if (!names.length || names.length !== days.length) { _customCalendar = null; return; }
+
+    const weekdays = Array.isArray(cfg.weekdays)
+        ? cfg.weekdays.map(s => String(s || '').trim()).filter(Boolean)
+        : [];
+    const weekdayOffset = weekdays.length ? _mod(parseInt(cfg.weekdayOffset, 10) || 0, weekdays.length) : 0;
+
+    let leap = null;
+    const every = parseInt(cfg.leap?.every, 10);
+    const leapMonth = parseInt(cfg.leap?.month, 10);
+    const leapDays = parseInt(cfg.leap?.days, 10);
+    if (every > 0) {
+        const exceptEvery = parseInt(cfg.leap.exceptEvery, 10) > 0 ? parseInt(cfg.leap.exceptEvery, 10) : 0;
+        const unlessEvery = exceptEvery && parseInt(cfg.leap.unlessEvery, 10) > 0 ? parseInt(cfg.leap.unlessEvery, 10) : 0;
+        leap = {
+            every,
+            monthIndex: leapMonth >= 1 && leapMonth <= names.length ? leapMonth - 1 : -1,
+            days: leapDays >= 0 ? leapDays : 1,
+            exceptEvery,
+            unlessEvery,
+        };
+    }
+
+    const intercalary = (Array.isArray(cfg.intercalary) ? cfg.intercalary : [])
+        .map(f => ({
+            name: String(f?.name || '').trim(),
+            days: parseInt(f?.days, 10) || 1,
+            afterMonth: Math.max(0, Math.min(names.length, parseInt(f?.afterMonth, 10) || 0)),
+            leapOnly: !!f?.leapOnly && !!leap,
+        }))
+        .filter(f => f.name && f.days > 0);
+
+    const eras = (Array.isArray(cfg.eras) ? cfg.eras : [])
+        .map(e => ({ name: String(e?.name || '').trim(), startYear: parseInt(e?.startYear, 10) }))
+        .filter(e => e.name && Number.isFinite(e.startYear))
+        .sort((a, b) => a.startYear - b.startYear);
+
+    const moons = (Array.isArray(cfg.moons) ? cfg.moons : [])
+        .map(m => ({ name: String(m?.name || '').trim(), cycle: parseFloat(m?.cycle), offset: parseFloat(m?.offset) || 0 }))
+        .filter(m => m.name && Number.isFinite(m.cycle) && m.cycle > 1);
+
+    // 平年的月份起始日（含排在前面的非闰节日）
     const offsets = [];
     let acc = 0;
-    for (const d of days) { offsets.push(acc); acc += d; }
-    _customCalendar = { monthNames: names, monthDays: days, monthOffsets: offsets, yearLength: acc };
+    for (let i = 0; i <= names.length; i++) {
+        for (const f of intercalary) if (f.afterMonth === i && !f.leapOnly) acc += f.days;
+        if (i < names.length) { offsets.push(acc); acc += days[i]; }
+    }
+    const leapExtra = leap
+        ? (leap.monthIndex >= 0 ? leap.days : 0) + intercalary.filter(f => f.leapOnly).reduce((a, f) => a + f.days, 0)
+        : 0;
+
+    _customCalendar = {
+        monthNames: names, monthDays: days, monthOffsets: offsets, yearLength: acc,
+        weekdays, weekdayOffset, leap, leapExtra, intercalary, eras, moons,
+    };
 }
 
 /** 返回当前自定义日历配置（未启用为 null） */
@@ -44,6 +135,142 @@ export function getActiveCustomCalendar() {
     return _customCalendar;
 }
 
+function _isCustomLeapYear(year) {
+    const leap = _customCalendar?.leap;
+    if (!leap) return false;
+    const y = year ?? 0;
+    if (_mod(y, leap.every) !== 0) return false;
+    if (leap.exceptEvery && _mod(y, leap.exceptEvery) === 0) {
+        return !!leap.unlessEvery && _mod(y, leap.unlessEvery) === 0;
+    }
+    return true;
+}
+
+/** [0, y) 内 n 的倍数个数；y 为负时返回 [y, 0) 内个数的相反数，便于直接相减 */
+function _countMultiplesBefore(y, n) {
+    if (!n) return 0;
+    return y >= 0 ? Math.ceil(y / n) : -Math.floor(-y / n);
+}
+
+/** 第 year 年年首的线性日序号（第 0 年首日为 0） */
+function _customDaysBeforeYear(year) {
+    const cal = _customCalendar;
+    let total = year * cal.yearLength;
+    const leap = cal.leap;
+    if (leap && cal.leapExtra) {
+        const base = leap.every;
+        const except = leap.exceptEvery ? _lcm(base, leap.exceptEvery) : 0;
+        const unless = except && leap.unlessEvery ? _lcm(except, leap.unlessEvery) : 0;
+        const leapYears = _countMultiplesBefore(year, base) - _countMultiplesBefore(year, except) + _countMultiplesBefore(year, unless);
+        total += leapYears * cal.leapExtra;
+    }
+    return total;
+}
+
+/** 某年的日段：月份与节日按先后排列，闰年自动加长闰月、插入闰节日 */
+function _customYearSegments(year) {
+    const cal = _customCalendar;
+    const isLeap = _isCustomLeapYear(year);
+    const segs = [];
+    for (let i = 0; i <= cal.monthNames.length; i++) {
+        cal.intercalary.forEach((f, fi) => {
+            if (f.afterMonth === i && (!f.leapOnly || isLeap)) segs.push({ festivalIndex: fi, days: f.days });
+        });
+        if (i < cal.monthNames.length) {
+            const extra = isLeap && cal.leap?.monthIndex === i ? cal.leap.days : 0;
+            segs.push({ monthIndex: i, days: cal.monthDays[i] + extra });
+        }
+    }
+    return segs;
+}
+
+/** 某月（或节日）在指定年份的天数；年份未知时取最大可能值 */
+function _customSegmentLength(parsedLike, year) {
+    const cal = _customCalendar;
+    if (parsedLike.festivalIndex !== undefined) return cal.intercalary[parsedLike.festivalIndex]?.days || 0;
+    const base = cal.monthDays[parsedLike.monthIndex] || 0;
+    if (cal.leap?.monthIndex !== parsedLike.monthIndex) return base;
+    return (year === undefined || _isCustomLeapYear(year)) ? base + cal.leap.days : base;
+}
+
+function _customWeekdayIndex(linear) {
+    const cal = _customCalendar;
+    if (!cal?.weekdays.length) return null;
+    return _mod(linear - _customDaysBeforeYear(1) + cal.weekdayOffset, cal.weekdays.length);
+}
+
+/** 线性日序号 → { year, monthIndex | festivalIndex, day } */
+function _customFromLinear(linear) {
+    const cal = _customCalendar;
+    const avg = cal.yearLength + (cal.leap ? cal.leapExtra / cal.leap.every : 0);
+    let year = Math.floor(linear / avg);
+    while (_customDaysBeforeYear(year) > linear) year--;
+    while (_customDaysBeforeYear(year + 1) <= linear) year++;
+    let rem = linear - _customDaysBeforeYear(year);
+    for (const seg of _customYearSegments(year)) {
+        if (rem < seg.days) {
+            return seg.festivalIndex !== undefined
+                ? { year, festivalIndex: seg.festivalIndex, day: rem + 1, type: 'custom' }
+                : { year, monthIndex: seg.monthIndex, day: rem + 1, type: 'custom' };
+        }
+        rem -= seg.days;
+    }
+    return null;
+}
+
+/** 绝对年份 → 所属纪元及纪元内年数（早于所有纪元时为 null） */
+function _customEraOf(year) {
+    const eras = _customCalendar?.eras || [];
+    let found = null;
+    for (const e of eras) if (e.startYear <= year) found = e;
+    return found ? { name: found.name, year: year - found.startYear + 1 } : null;
+}
+
+/** 自定义日历日期 → 显示串；era 为 true 时年份按纪元书写 */
+function _formatCustomDate(dateObj, includeWeekday = false) {
+    const cal = _customCalendar;
+    let yr = '';
+    if (dateObj.year !== undefined && dateObj.year !== null) {
+        const era = dateObj.era ? _customEraOf(dateObj.year) : null;
+        yr = era ? `${era.name}${era.year}年` : `${dateObj.year}年`;
+    }
+    let body;
+    if (dateObj.festivalIndex !== undefined) {
+        const f = cal.intercalary[dateObj.festivalIndex];
+        body = `${f?.name || '?'}${f && f.days > 1 ? `${dateObj.day}日` : ''}`;
+    } else {
+        body = `${cal.monthNames[dateObj.monthIndex] || '?'}${dateObj.day}日`;
+    }
+    let result = `${yr}${body}`;
+    // 没写年份时星期推算不出来，只沿用 AI 自己标的星期
+    if (includeWeekday && cal.weekdays.length) {
+        const hasYear = dateObj.year !== undefined && dateObj.year !== null;
+        const linear = hasYear ? _customLinearDay(dateObj) : null;
+        const wd = linear === null ? null : _customWeekdayIndex(linear);
+        if (wd !== null) result += ` (${cal.weekdays[wd]})`;
+        else if (dateObj.aiWeekday) result += ` (${dateObj.aiWeekday})`;
+    }
+    return result;
+}
+
+/** 各月亮在某日的相位，以及距下次新月/满月的天数 */
+function _customMoonPhases(linear) {
+    const cal = _customCalendar;
+    if (!cal?.moons.length) return [];
+    const base = _customDaysBeforeYear(1);
+    return cal.moons.map(m => {
+        const age = _mod(linear - base - m.offset, m.cycle);
+        const phase = MOON_PHASE_KEYS[Math.floor((age / m.cycle) * 8 + 0.5) % 8];
+        const half = m.cycle / 2;
+        return {
+            name: m.name,
+            phase,
+            daysToNew: Math.round(age === 0 ? 0 : m.cycle - age) % Math.round(m.cycle),
+            daysToFull: Math.round(age <= half ? half - age : m.cycle + half - age),
+        };
+    });
+}
+
 /** 中文数字短串转整数（一/二/.../三十一/廿X/卅X，兼容十一~十九、二十一~三十一） */
 function _cnNumToInt(s) {
     if (!s) return null;
@@ -109,42 +336,105 @@ function extractDayNumber(dateStr) {
     return null;
 }
 
-/** 月名按长度倒序匹配，避免短月名（春之月）吞掉长月名（春之月初始） */
+const _CN_NUM_CLASS = '零〇一二三四五六七八九十廿卅';
+
+/** 摘掉日期串里的自定义星期名（括号内、句首带分隔符或句尾），返回 [剩余串, 星期名] */
+function _stripCustomWeekday(s) {
+    const cal = _customCalendar;
+    if (!cal?.weekdays.length) return [s, undefined];
+    const order = [...cal.weekdays].sort((a, b) => b.length - a.length);
+    for (const name of order) {
+        const esc = _escapeRegExp(name);
+        const re = new RegExp(`[(（]\\s*${esc}\\s*[)）]|^${esc}(?:[,，、]\\s*|\\s+)|\\s+${esc}$`);
+        if (re.test(s)) return [s.replace(re, ' ').trim(), name];
+    }
+    return [s, undefined];
+}
+
+/** 年份：先认纪元（"DR1372" / "1372 DR" / "玄昭十五年"），再认普通 "N年"；返回 { year, era, matched } 或 null */
+function _parseCustomYear(s) {
+    const cal = _customCalendar;
+    const num = `[${_CN_NUM_CLASS}元]+|\\d+`;
+    const eras = [...cal.eras].sort((a, b) => b.name.length - a.name.length);
+    for (const era of eras) {
+        const esc = _escapeRegExp(era.name);
+        const m = s.match(new RegExp(`${esc}\\s*(${num})\\s*年?`)) || s.match(new RegExp(`(\\d+)\\s*${esc}(?![\\p{L}])`, 'u'));
+        if (!m) continue;
+        const n = _numOrCn(m[1]);
+        if (n !== null && n >= 1) return { year: era.startYear + n - 1, era: true, matched: m[0] };
+    }
+    // 提示词里让非中文输出写 "Year N" / "N년" / "Год N"
+    const m = s.match(new RegExp(`(?:^|[^\\d\\u4e00-\\u9fa5])(${num})年`))
+        || s.match(/(?:\bYear|Год)\s*(\d+)/i) || s.match(/(\d+)\s*년/);
+    if (m) {
+        const year = _numOrCn(m[1]);
+        if (year !== null) return { year, era: false, matched: m[0] };
+    }
+    return null;
+}
+
+/** 月名/节日名按长度倒序匹配，避免短月名（春之月）吞掉长月名（春之月初始） */
 function _parseCustomDate(s) {
     const cal = _customCalendar;
     if (!cal) return null;
+    const [stripped, aiWeekday] = _stripCustomWeekday(s);
+    const yearInfo = _parseCustomYear(stripped);
+    const year = yearInfo?.year;
+    // 年份部分先摘掉，免得 "3 Hammer 12 DR" 里的 12 被当成日数
+    const text = yearInfo ? stripped.replace(yearInfo.matched, ' ') : stripped;
+    const withYear = (obj) => {
+        if (yearInfo) {
+            obj.year = year;
+            if (yearInfo.era) obj.era = true;
+        }
+        if (aiWeekday) obj.aiWeekday = aiWeekday;
+        return obj;
+    };
+    const dayRe = `([${_CN_NUM_CLASS}]+|\\d+)`;
+
     const order = cal.monthNames
         .map((name, i) => ({ name, i }))
         .sort((a, b) => b.name.length - a.name.length);
     for (const { name, i } of order) {
-        const nameEsc = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        const reYear = new RegExp(`(?:^|[^\\d\\u4e00-\\u9fa5])([零〇一二三四五六七八九十廿卅元]+|\\d+)年\\s*${nameEsc}\\s*([零〇一二三四五六七八九十廿卅]+|\\d+)日?`);
-        const my = s.match(reYear);
-        if (my) {
-            const year = /^\d+$/.test(my[1]) ? parseInt(my[1], 10) : _cnNumToInt(my[1]);
-            const day = /^\d+$/.test(my[2]) ? parseInt(my[2], 10) : _cnNumToInt(my[2]);
-            if (year !== null && day !== null && day >= 1 && day <= cal.monthDays[i]) {
-                return { year, monthIndex: i, day, type: 'custom' };
-            }
-        }
-        const re = new RegExp(`${nameEsc}\\s*([零〇一二三四五六七八九十廿卅]+|\\d+)日?`);
-        const m = s.match(re);
-        if (m) {
-            const day = /^\d+$/.test(m[1]) ? parseInt(m[1], 10) : _cnNumToInt(m[1]);
-            if (day !== null && day >= 1 && day <= cal.monthDays[i]) {
-                return { monthIndex: i, day, type: 'custom' };
-            }
+        const esc = _escapeRegExp(name);
+        // 月名在前（春之月15日 / Hammer 3）或日数在前（3 Hammer / 3rd of Hammer）
+        const m = text.match(new RegExp(`${esc}\\s*${dayRe}日?`))
+            || text.match(new RegExp(`(\\d+)(?:st|nd|rd|th)?\\s*(?:of\\s+)?${esc}`, 'i'));
+        if (!m) continue;
+        const day = _numOrCn(m[1]);
+        if (day !== null && day >= 1 && day <= _customSegmentLength({ monthIndex: i }, year)) {
+            return withYear({ monthIndex: i, day, type: 'custom' });
         }
     }
+
+    const festivals = cal.intercalary
+        .map((f, fi) => ({ f, fi }))
+        .sort((a, b) => b.f.name.length - a.f.name.length);
+    for (const { f, fi } of festivals) {
+        const m = text.match(new RegExp(`${_escapeRegExp(f.name)}(?:\\s*(?:第)?${dayRe}日?)?`));
+        if (!m) continue;
+        const day = m[1] ? _numOrCn(m[1]) : 1;
+        if (day === null || day < 1 || day > f.days) continue;
+        if (f.leapOnly && year !== undefined && !_isCustomLeapYear(year)) continue;
+        return withYear({ festivalIndex: fi, day, type: 'custom' });
+    }
     return null;
 }
 
-/** 自定义日历的线性日序号，用于跨月跨年减法 */
-function _customLinearDay(parsed) {
+/** 自定义日历的线性日序号，用于跨月跨年减法；year 缺省时用 fallbackYear（再缺省为 0） */
+function _customLinearDay(parsed, fallbackYear) {
     const cal = _customCalendar;
     if (!cal || parsed.type !== 'custom') return null;
-    const year = parsed.year ?? 0;
-    return year * cal.yearLength + cal.monthOffsets[parsed.monthIndex] + (parsed.day - 1);
+    const year = parsed.year ?? fallbackYear ?? 0;
+    let offset = 0;
+    for (const seg of _customYearSegments(year)) {
+        const hit = parsed.festivalIndex !== undefined
+            ? seg.festivalIndex === parsed.festivalIndex
+            : seg.monthIndex === parsed.monthIndex;
+        if (hit) return _customDaysBeforeYear(year) + offset + (parsed.day - 1);
+        offset += seg.days;
+    }
+    return null;
 }
 
 /** 从日期字符串中提取月份标识：仅识别「非数字月名」（春之月/霜降月） */
@@ -155,12 +445,139 @@ function extractMonthIdentifier(dateStr) {
     return null;
 }
 
+// 当前 AI 输出语言，决定优先用哪套日期语法；由 horaeManager.init 按 detectEffectiveAiLang 设置
+let _storyDateLang = 'zh-CN';
+
+/** 设置剧情日期解析/格式化所用的语言（zh-CN / zh-TW / en / ja / ko / ru） */
+export function setStoryDateLanguage(lang) {
+    _storyDateLang = lang || 'zh-CN';
+}
+
+function _weekdayLabel(index) {
+    return (WEEKDAY_NAMES_BY_LANG[_storyDateLang] || WEEKDAY_NAMES)[index];
+}
+
+const EN_MONTH_RE = '(january|february|march|april|may|june|july|august|september|october|november|december|jan|feb|mar|apr|jun|jul|aug|sept|sep|oct|nov|dec)';
+const EN_MONTH_KEYS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+// 俄语月名按词干匹配，兼容 марта / март / мар. 等变格与缩写
+const RU_MONTH_RE = '(янв|фев|мар|апр|ма[йяе]|июн|июл|авг|сен|окт|ноя|дек)[а-яё]*\\.?';
+const RU_MONTH_KEYS = ['янв', 'фев', 'мар', 'апр', 'ма', 'июн', 'июл', 'авг', 'сен', 'окт', 'ноя', 'дек'];
+// 日本年号 → 元年对应的公历年
+const JA_ERA_BASE = { '明治': 1868, '大正': 1912, '昭和': 1926, '平成': 1989, '令和': 2019 };
+
+// 年份后面紧跟冒号或数字的是钟点（"March 3 10:00"），不能当年份
+const _YEAR_TAIL = '(?![:：\\d])';
+
+function _validMonthDay(month, day) {
+    return month >= 1 && month <= 12 && day >= 1 && day <= 31;
+}
+
+function _grammarResult(year, month, day, calendarPrefix) {
+    if (!_validMonthDay(month, day)) return null;
+    const result = { month, day, type: 'standard' };
+    if (year !== null && year !== undefined && !Number.isNaN(year)) result.year = year;
+    if (calendarPrefix) result.calendarPrefix = calendarPrefix;
+    return result;
+}
+
+// 日期前面的文字作为历法前缀（"王国暦1024年3月3日" / "왕국력 1024년 3월 3일"），与中文 X年M月D日 分支一致
+// 只在写了年份时提取，没有年份的月日前面多半是描述性文字
+function _leadingPrefix(s, m, year) {
+    if (!year) return undefined;
+    return s.slice(0, m.index).replace(/[\s,，、:：]+$/, '').trim() || undefined;
+}
+
+// 英文的 "on the 3rd of March" 中 on/the 不是历法名
+function _enLeadingPrefix(s, m, year) {
+    const prefix = _leadingPrefix(s, m, year);
+    return prefix?.replace(/(?:^|\s+)(?:on\s+the|on|the)$/i, '').trim() || undefined;
+}
+
+// 自定义前缀与公元前标记并存时都保留（"Kingdom Reckoning BC"）
+function _joinPrefix(prefix, bc) {
+    if (!prefix) return bc;
+    if (!bc || prefix.includes(bc)) return prefix;
+    return `${prefix} ${bc}`;
+}
+
+/**
+ * 各语言的日期语法：(文本, 是否当前 AI 语言) → 标准日期或 null
+ * 只有当前语言才解析有歧义的纯数字写法（美式 M/D/Y、俄式 D.M.Y）
+ */
+const DATE_GRAMMARS = {
+    en(str, active) {
+        const s = str.replace(/\b(?:mon|tues?|wed(?:nes)?|thu(?:rs?)?|fri|sat(?:ur)?|sun)(?:day)?\b\.?,?/gi, ' ');
+        // BC/BCE 与公元纪年没有统一时间轴，作为历法前缀
+        const bc = /\b(?:BCE?|B\.C\.)/i.test(s) ? 'BC' : undefined;
+        const monthOf = (name) => EN_MONTH_KEYS.indexOf(name.slice(0, 3).toLowerCase()) + 1;
+        let m = s.match(new RegExp(`\\b${EN_MONTH_RE}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(?:(?:AD|A\\.D\\.|CE)\\s*)?(\\d{1,5})${_YEAR_TAIL})?`, 'i'));
+        if (m) return _grammarResult(m[3] ? parseInt(m[3], 10) : null, monthOf(m[1]), parseInt(m[2], 10), _joinPrefix(_enLeadingPrefix(s, m, m[3]), bc));
+        m = s.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${EN_MONTH_RE}\\b\\.?(?:,?\\s+(?:(?:AD|A\\.D\\.|CE)\\s*)?(\\d{1,5})${_YEAR_TAIL})?`, 'i'));
+        if (m) return _grammarResult(m[3] ? parseInt(m[3], 10) : null, monthOf(m[2]), parseInt(m[1], 10), _joinPrefix(_enLeadingPrefix(s, m, m[3]), bc));
+        if (active) {
+            m = s.match(/^\s*(\d{1,2})\/(\d{1,2})\/(\d{4,})\b/);
+            if (m) return _grammarResult(parseInt(m[3], 10), parseInt(m[1], 10), parseInt(m[2], 10));
+        }
+        return null;
+    },
+    ja(str) {
+        const s = str.replace(/[（(]\s*[日月火水木金土](?:曜日?)?\s*[)）]|[日月火水木金土]曜日?/g, ' ');
+        const m = s.match(/(?:(明治|大正|昭和|平成|令和)?\s*(\d+|元)\s*年\s*)?(\d{1,2})\s*月\s*(\d{1,2})\s*日/);
+        if (!m) return null;
+        let year = m[2] ? (m[2] === '元' ? 1 : parseInt(m[2], 10)) : null;
+        if (m[1] && year !== null) year = JA_ERA_BASE[m[1]] + year - 1;
+        return _grammarResult(year, parseInt(m[3], 10), parseInt(m[4], 10), _leadingPrefix(s, m, m[2]));
+    },
+    ko(str, active) {
+        const s = str.replace(/[(（]\s*[일월화수목금토](?:요일)?\s*[)）]|[일월화수목금토]요일/g, ' ');
+        const bc = /기원전/.test(s) ? '기원전' : undefined;
+        let m = s.match(/(?:(\d+)\s*년\s*)?(\d{1,2})\s*월\s*(\d{1,2})\s*일/);
+        if (m) return _grammarResult(m[1] ? parseInt(m[1], 10) : null, parseInt(m[2], 10), parseInt(m[3], 10), _joinPrefix(_leadingPrefix(s, m, m[1]), bc));
+        if (active) {
+            m = s.match(/^\s*(\d{4,})\.\s*(\d{1,2})\.\s*(\d{1,2})\.?/);
+            if (m) return _grammarResult(parseInt(m[1], 10), parseInt(m[2], 10), parseInt(m[3], 10));
+        }
+        return null;
+    },
+    ru(str, active) {
+        const s = str.replace(/(?<![а-яё])(?:понедельник|вторник|сред[аеуы]|четверг|пятниц[аеуы]|суббот[аеуы]|воскресенье|пн|вт|ср|чт|пт|сб|вс)(?![а-яё])\.?,?/gi, ' ');
+        const bc = /до\s+н\.?\s*э/i.test(s) ? 'до н. э.' : undefined;
+        let m = s.match(new RegExp(`(?<!\\d)(\\d{1,2})(?:-?(?:е|го))?\\s+${RU_MONTH_RE}(?:\\s+(\\d{1,5})${_YEAR_TAIL})?`, 'i'));
+        if (m) {
+            const key = m[2].toLowerCase();
+            const month = RU_MONTH_KEYS.findIndex(k => key.startsWith(k)) + 1;
+            return _grammarResult(m[3] ? parseInt(m[3], 10) : null, month, parseInt(m[1], 10), _joinPrefix(_leadingPrefix(s, m, m[3]), bc));
+        }
+        if (active) {
+            m = s.match(/^\s*(\d{1,2})\.(\d{1,2})\.(\d{2,5})\b/);
+            if (m) return _grammarResult(parseInt(m[3], 10), parseInt(m[2], 10), parseInt(m[1], 10));
+        }
+        return null;
+    },
+};
+
+/** 当前语言的语法（中文用下方内置规则，返回 null） */
+function _parseActiveLangDate(str) {
+    const grammar = DATE_GRAMMARS[_storyDateLang];
+    return grammar ? grammar(str, true) : null;
+}
+
+/** 其余语言的语法兜底：切换过输出语言的旧楼层、或 AI 没按设定语言写日期时仍能解析 */
+function _parseOtherLangDate(str) {
+    for (const [lang, grammar] of Object.entries(DATE_GRAMMARS)) {
+        if (lang === _storyDateLang) continue;
+        const result = grammar(str, false);
+        if (result) return result;
+    }
+    return null;
+}
+
 /** 解析剧情日期字符串 */
 export function parseStoryDate(dateStr) {
     if (!dateStr) return null;
     
-    // 清理AI写的周几标注
-    let cleanStr = dateStr.trim();
+    // 清理AI写的周几标注；全角数字（３月３日）统一为半角
+    let cleanStr = dateStr.trim().replace(/[０-９]/g, c => String.fromCharCode(c.charCodeAt(0) - 0xFEE0));
     
     const aiWeekdayMatch = cleanStr.match(/\(([日一二三四五六])\)/);
     cleanStr = cleanStr.replace(/\s*\([日一二三四五六]\)\s*/g, ' ').trim();
@@ -173,6 +590,10 @@ export function parseStoryDate(dateStr) {
             aiWeekday: aiWeekdayMatch ? aiWeekdayMatch[1] : undefined
         };
     }
+
+    // AI 输出语言的日期写法优先（"March 3rd, 1024" / "令和6年3月3日(火)" / "3월 3일 화요일" / "3 марта"）
+    const activeLang = _parseActiveLangDate(cleanStr);
+    if (activeLang) return activeLang;
     
     // 标准数字格式（点号兼容 yyyy.mm.dd 这种欧式/常见写法）
     const fullMatch = cleanStr.match(/^(\d{4,})[\/\-.](\d{1,2})[\/\-.](\d{1,2})/);
@@ -286,6 +707,9 @@ export function parseStoryDate(dateStr) {
         if (custom) return custom;
     }
 
+    const otherLang = _parseOtherLangDate(cleanStr);
+    if (otherLang) return otherLang;
+
     // 奇幻日历格式
     const monthId = extractMonthIdentifier(cleanStr);
     const dayNum = extractDayNumber(cleanStr);
@@ -327,8 +751,9 @@ export function calculateRelativeTime(fromDate, toDate) {
     // 自定义日历：必须两端都是 custom 才能算，跨历法返 null
     if (from.type === 'custom' || to.type === 'custom') {
         if (from.type !== 'custom' || to.type !== 'custom') return null;
-        const f = _customLinearDay(from);
-        const t = _customLinearDay(to);
+        // 只有一端写了年份时按同一年算，与公历分支一致
+        const f = _customLinearDay(from, to.year);
+        const t = _customLinearDay(to, from.year);
         return (f === null || t === null) ? null : t - f;
     }
 
@@ -397,12 +822,39 @@ function getWeekDiffByMonday(fromDate, toDate) {
     return Math.round((weekStartUtc(toDate) - weekStartUtc(fromDate)) / WEEK_MS);
 }
 
+/**
+ * 相对时间所需的日历信息：公历由 fromDate/toDate 推出，自定义日历由 calculateDetailedRelativeTime 直接给出 options.custom
+ * 缺少 toDate 时 weekDiff 为 undefined（按相邻一周算），monthDiff/yearDiff 为 null
+ */
+function _relativeCalendarInfo(options) {
+    if (options.custom) return options.custom;
+    const { fromDate, toDate } = options;
+    if (!fromDate) return null;
+    return {
+        weekLength: 7,
+        monthLength: 30,
+        yearLength: 365,
+        weekDiff: toDate ? getWeekDiffByMonday(fromDate, toDate) : undefined,
+        monthDiff: toDate ? getCalendarMonthDiff(fromDate, toDate) : null,
+        yearDiff: toDate ? toDate.getFullYear() - fromDate.getFullYear() : null,
+        weekday: fromDate.getDay(),
+        month: fromDate.getMonth() + 1,
+        day: fromDate.getDate(),
+    };
+}
+
 export function getRelativeTimeMeta(days, options = {}) {
     if (days === null || days === undefined) return { key: 'unknown', days };
     if (days === -999) return { key: 'special_earlier', days };
     if (days === -998) return { key: 'special_after', days };
     if (days === -997) return { key: 'special_before', days };
 
+    // 带了 story_time 时，当天和相邻一天先按钟点/时段细分
+    if (days >= -1 && days <= 1 && (options.fromTime || options.toTime)) {
+        const sub = _subDayRelativeMeta(days, options.fromTime, options.toTime);
+        if (sub) return sub;
+    }
+
     if (days === 0) return { key: 'today', days };
     if (days === 1) return { key: 'yesterday', days };
     if (days === 2) return { key: 'day_before_yesterday', days };
@@ -411,35 +863,42 @@ export function getRelativeTimeMeta(days, options = {}) {
     if (days === -2) return { key: 'day_after_tomorrow', days };
     if (days === -3) return { key: 'in_three_days', days };
 
-    const { fromDate, toDate } = options;
+    const info = _relativeCalendarInfo(options);
+    const weekLen = info?.weekLength || 7;
+    const monthLen = info?.monthLength || 30;
+    const yearLen = info?.yearLength || 365;
+    // 自定义日历的星期/月名直接带出，调用方优先用名字而不是序号
+    const weekdayFields = () => (info.weekdayName ? { weekday: info.weekday, weekdayName: info.weekdayName } : { weekday: info.weekday });
+    const dateFields = () => (info.monthName ? { month: info.month, monthName: info.monthName, day: info.day } : { month: info.month, day: info.day });
+    const hasWeek = info && info.weekday !== null && info.weekday !== undefined;
+    const hasMonth = info && info.month !== null && info.month !== undefined;
+
     if (days > 0) {
         if (days < 7) return { key: 'days_ago', days, value: days };
 
-        if (days >= 4 && days <= 13 && fromDate) {
-            const weekDiff = toDate ? getWeekDiffByMonday(fromDate, toDate) : 1;
-            if (weekDiff === 1) return { key: 'last_weekday', days, weekday: fromDate.getDay() };
-            if (weekDiff === 2) return { key: 'week_before_last_weekday', days, weekday: fromDate.getDay() };
+        if (hasWeek && days >= 4 && days < weekLen * 2) {
+            const weekDiff = info.weekDiff === undefined ? 1 : info.weekDiff;
+            if (weekDiff === 1) return { key: 'last_weekday', days, ...weekdayFields() };
+            if (weekDiff === 2) return { key: 'week_before_last_weekday', days, ...weekdayFields() };
         }
 
-        if (days >= 7 && days < 60 && fromDate && toDate) {
-            const monthDiff = getCalendarMonthDiff(fromDate, toDate);
-            if (monthDiff === 1) return { key: 'last_month_day', days, month: fromDate.getMonth() + 1, day: fromDate.getDate() };
+        if (hasMonth && days >= 7 && days < monthLen * 2 && info.monthDiff === 1) {
+            return { key: 'last_month_day', days, ...dateFields() };
         }
 
-        if (days >= 300 && fromDate && toDate) {
-            const yearDiff = toDate.getFullYear() - fromDate.getFullYear();
-            if (yearDiff === 1) return { key: 'last_year_date', days, month: fromDate.getMonth() + 1, day: fromDate.getDate() };
-            if (yearDiff === 2) return { key: 'year_before_last_date', days, month: fromDate.getMonth() + 1, day: fromDate.getDate() };
+        if (hasMonth && days >= Math.round(yearLen * 300 / 365) && info.yearDiff !== null) {
+            if (info.yearDiff === 1) return { key: 'last_year_date', days, ...dateFields() };
+            if (info.yearDiff === 2) return { key: 'year_before_last_date', days, ...dateFields() };
         }
 
-        if (days < 30) return { key: 'days_ago', days, value: days };
-        if (days < 365) {
-            const monthDiff = fromDate && toDate ? getCalendarMonthDiff(fromDate, toDate) : null;
-            return { key: 'months_ago', days, value: Math.max(1, monthDiff && monthDiff > 0 ? monthDiff : Math.floor(days / 30)) };
+        if (days < monthLen) return { key: 'days_ago', days, value: days };
+        if (days < yearLen) {
+            const monthDiff = info?.monthDiff ?? null;
+            return { key: 'months_ago', days, value: Math.max(1, monthDiff && monthDiff > 0 ? monthDiff : Math.floor(days / monthLen)) };
         }
 
-        const years = Math.floor(days / 365);
-        const months = Math.round((days % 365) / 30);
+        const years = Math.floor(days / yearLen);
+        const months = Math.round((days % yearLen) / monthLen);
         if (months > 0 && years < 5) return { key: 'years_months_ago', days, years, months };
         return { key: 'years_ago', days, years };
     }
@@ -447,25 +906,24 @@ export function getRelativeTimeMeta(days, options = {}) {
     const absDays = Math.abs(days);
     if (absDays < 7) return { key: 'days_later', days, absDays, value: absDays };
 
-    if (absDays >= 4 && absDays <= 13 && fromDate) {
-        const weekDiff = toDate ? getWeekDiffByMonday(fromDate, toDate) : -1;
-        if (weekDiff === -1) return { key: 'next_weekday', days, absDays, weekday: fromDate.getDay() };
-        if (weekDiff === -2) return { key: 'week_after_next_weekday', days, absDays, weekday: fromDate.getDay() };
+    if (hasWeek && absDays >= 4 && absDays < weekLen * 2) {
+        const weekDiff = info.weekDiff === undefined ? -1 : info.weekDiff;
+        if (weekDiff === -1) return { key: 'next_weekday', days, absDays, ...weekdayFields() };
+        if (weekDiff === -2) return { key: 'week_after_next_weekday', days, absDays, ...weekdayFields() };
     }
 
-    if (absDays >= 7 && absDays < 60 && fromDate && toDate) {
-        const monthDiff = getCalendarMonthDiff(fromDate, toDate);
-        if (monthDiff === -1) return { key: 'next_month_day', days, absDays, month: fromDate.getMonth() + 1, day: fromDate.getDate() };
+    if (hasMonth && absDays >= 7 && absDays < monthLen * 2 && info.monthDiff === -1) {
+        return { key: 'next_month_day', days, absDays, ...dateFields() };
     }
 
-    if (absDays < 30) return { key: 'days_later', days, absDays, value: absDays };
-    if (absDays < 365) {
-        const monthDiff = fromDate && toDate ? getCalendarMonthDiff(fromDate, toDate) : null;
-        return { key: 'months_later', days, absDays, value: Math.max(1, monthDiff && monthDiff < 0 ? Math.abs(monthDiff) : Math.floor(absDays / 30)) };
+    if (absDays < monthLen) return { key: 'days_later', days, absDays, value: absDays };
+    if (absDays < yearLen) {
+        const monthDiff = info?.monthDiff ?? null;
+        return { key: 'months_later', days, absDays, value: Math.max(1, monthDiff && monthDiff < 0 ? Math.abs(monthDiff) : Math.floor(absDays / monthLen)) };
     }
 
-    const years = Math.floor(absDays / 365);
-    const months = Math.round((absDays % 365) / 30);
+    const years = Math.floor(absDays / yearLen);
+    const months = Math.round((absDays % yearLen) / monthLen);
     if (months > 0 && years < 5) return { key: 'years_months_later', days, absDays, years, months };
     return { key: 'years_later', days, absDays, years };
 }
@@ -485,14 +943,23 @@ export function formatRelativeTime(days, options = {}) {
         case 'tomorrow': return '明天';
         case 'day_after_tomorrow': return '后天';
         case 'in_three_days': return '大后天';
-        case 'last_weekday': return `上周${WEEKDAY_NAMES[meta.weekday]}`;
-        case 'week_before_last_weekday': return `上上周${WEEKDAY_NAMES[meta.weekday]}`;
-        case 'next_weekday': return `下周${WEEKDAY_NAMES[meta.weekday]}`;
-        case 'week_after_next_weekday': return `下下周${WEEKDAY_NAMES[meta.weekday]}`;
+        case 'just_now': return '刚才';
+        case 'minutes_ago': return `${meta.value}分钟前`;
+        case 'hours_ago': return `${meta.value}小时前`;
+        case 'minutes_later': return `${meta.value}分钟后`;
+        case 'hours_later': return `${meta.value}小时后`;
+        case 'earlier_same_period': return `${meta.period}早些时候`;
+        case 'today_period': return `今天${meta.period}`;
+        case 'later_today_period': return `今天${meta.period}稍后`;
+        case 'last_night': return '昨晚';
+        case 'last_weekday': return `上周${meta.weekdayName || WEEKDAY_NAMES[meta.weekday]}`;
+        case 'week_before_last_weekday': return `上上周${meta.weekdayName || WEEKDAY_NAMES[meta.weekday]}`;
+        case 'next_weekday': return `下周${meta.weekdayName || WEEKDAY_NAMES[meta.weekday]}`;
+        case 'week_after_next_weekday': return `下下周${meta.weekdayName || WEEKDAY_NAMES[meta.weekday]}`;
         case 'last_month_day': return `上个月${meta.day}号`;
         case 'next_month_day': return `下个月${meta.day}号`;
-        case 'last_year_date': return `去年${meta.month}月${meta.day}日`;
-        case 'year_before_last_date': return `前年${meta.month}月${meta.day}日`;
+        case 'last_year_date': return `去年${meta.monthName || `${meta.month}月`}${meta.day}日`;
+        case 'year_before_last_date': return `前年${meta.monthName || `${meta.month}月`}${meta.day}日`;
         case 'days_ago': return `${meta.value}天前`;
         case 'days_later': return `${meta.value}天后`;
         case 'months_ago': return `${meta.value}个月前`;
@@ -508,11 +975,9 @@ export function formatRelativeTime(days, options = {}) {
 /** 格式化剧情日期为标准格式 */
 export function formatStoryDate(dateObj, includeWeekday = false) {
     if (!dateObj) return '';
-    // 自定义日历：用月名+日数组成显示串
+    // 自定义日历：纪元/年 + 月名（或节日名）+ 日数，配置了星期时附上星期名
     if (dateObj.type === 'custom' && _customCalendar) {
-        const name = _customCalendar.monthNames[dateObj.monthIndex] || '?';
-        const yr = dateObj.year ? `${dateObj.year}年` : '';
-        return `${yr}${name}${dateObj.day}日`;
+        return _formatCustomDate(dateObj, includeWeekday);
     }
     // 奇幻日历保留原始字符串
     if (dateObj.raw && !dateObj.month) {
@@ -542,7 +1007,7 @@ export function formatStoryDate(dateObj, includeWeekday = false) {
         // setFullYear 避免年份自动偏移
         const date = new Date(0);
         date.setFullYear(refYear, dateObj.month - 1, dateObj.day);
-        const weekday = WEEKDAY_NAMES[date.getDay()];
+        const weekday = _weekdayLabel(date.getDay());
         dateStr += ` (${weekday})`;
     }
     
@@ -572,13 +1037,40 @@ export function generateTimeReference(currentDate) {
     const current = parseStoryDate(currentDate);
     if (!current) return null;
     
-    if (current.type === 'fantasy' || current.type === 'custom') {
+    if (current.type === 'custom' && _customCalendar) {
+        const linear = _customLinearDay(current);
+        const cal = _customCalendar;
+        const ref = {
+            current: currentDate,
+            type: 'custom',
+            note: '自定义日历模式，相对日期由插件自动计算',
+            weekday: null,
+            moons: linear === null ? [] : _customMoonPhases(linear),
+        };
+        // 有星期或年内日期可推算时，与公历一样给出前后几天的具体日期
+        if (linear !== null) {
+            const around = (offset) => {
+                const d = _customFromLinear(linear + offset);
+                if (!d) return '';
+                if (current.year === undefined) delete d.year;
+                else if (current.era) d.era = true;
+                return _formatCustomDate(d, true);
+            };
+            ref.yesterday = around(-1);
+            ref.dayBefore = around(-2);
+            ref.threeDaysAgo = around(-3);
+            ref.tomorrow = around(1);
+            const wd = current.year === undefined ? null : _customWeekdayIndex(linear);
+            if (wd !== null) ref.weekday = cal.weekdays[wd];
+        }
+        return ref;
+    }
+
+    if (current.type === 'fantasy') {
         return {
             current: currentDate,
             type: current.type,
-            note: current.type === 'custom'
-                ? '自定义日历模式，相对日期由插件自动计算'
-                : '奇幻日历模式，相对日期由插件自动计算'
+            note: '奇幻日历模式，相对日期由插件自动计算'
         };
     }
     
@@ -589,7 +1081,7 @@ export function generateTimeReference(currentDate) {
     const getDateString = (daysOffset) => {
         const d = new Date(baseDate.getTime());
         d.setDate(d.getDate() + daysOffset);
-        const weekday = WEEKDAY_NAMES[d.getDay()];
+        const weekday = _weekdayLabel(d.getDay());
         return `${d.getMonth() + 1}/${d.getDate()} (${weekday})`;
     };
     
@@ -603,8 +1095,48 @@ export function generateTimeReference(currentDate) {
     };
 }
 
-/** 计算两个日期之间的详细差异 */
-export function calculateDetailedRelativeTime(fromDateStr, toDateStr) {
+/** 自定义日历两端的星期差/月差/年差，供 getRelativeTimeMeta 使用 */
+function _customRelativeInfo(from, to) {
+    const cal = _customCalendar;
+    const f = _customLinearDay(from, to.year);
+    const t = _customLinearDay(to, from.year);
+    if (f === null || t === null) return null;
+    const weekLength = cal.weekdays.length;
+    const fy = from.year ?? to.year ?? 0;
+    const ty = to.year ?? from.year ?? 0;
+    const info = {
+        weekLength: weekLength || 7,
+        monthLength: Math.max(1, Math.round(cal.yearLength / cal.monthNames.length)),
+        yearLength: cal.yearLength + (cal.leap ? cal.leapExtra / cal.leap.every : 0),
+        weekDiff: null,
+        monthDiff: null,
+        yearDiff: ty - fy,
+        weekday: null,
+        month: null,
+        day: from.day,
+    };
+    if (weekLength && (from.year !== undefined || to.year !== undefined)) {
+        const fw = _customWeekdayIndex(f);
+        const weekStart = (linear) => linear - _customWeekdayIndex(linear);
+        info.weekday = fw;
+        info.weekdayName = cal.weekdays[fw];
+        info.weekDiff = Math.round((weekStart(t) - weekStart(f)) / weekLength);
+    }
+    // 节日不属于任何月，不给「上个月X号」这类说法
+    if (from.monthIndex !== undefined && to.monthIndex !== undefined) {
+        const months = cal.monthNames.length;
+        info.monthDiff = (ty * months + to.monthIndex) - (fy * months + from.monthIndex);
+        info.month = from.monthIndex + 1;
+        info.monthName = cal.monthNames[from.monthIndex];
+    }
+    return info;
+}
+
+/**
+ * 计算两个日期之间的详细差异
+ * fromTime/toTime 为可选的 story_time，给了就把当天/相邻一天细分到小时、分钟或时段
+ */
+export function calculateDetailedRelativeTime(fromDateStr, toDateStr, fromTime = '', toTime = '') {
     const days = calculateRelativeTime(fromDateStr, toDateStr);
     if (days === null) return { days: null, relative: '未知' };
     
@@ -614,6 +1146,12 @@ export function calculateDetailedRelativeTime(fromDateStr, toDateStr) {
     let fromDate = null;
     let toDate = null;
     
+    if (from?.type === 'custom' && to?.type === 'custom' && _customCalendar) {
+        const custom = _customRelativeInfo(from, to);
+        const relative = formatRelativeTime(days, { custom, fromTime, toTime });
+        return { days, fromDate, toDate, custom, fromTime, toTime, relative };
+    }
+
     if (from?.type === 'standard' && to?.type === 'standard') {
         const defaultYear = new Date().getFullYear();
         const fromYear = from.year || to.year || defaultYear;
@@ -624,9 +1162,9 @@ export function calculateDetailedRelativeTime(fromDateStr, toDateStr) {
         toDate.setFullYear(toYear, to.month - 1, to.day);
     }
     
-    const relative = formatRelativeTime(days, { fromDate, toDate });
+    const relative = formatRelativeTime(days, { fromDate, toDate, fromTime, toTime });
     
-    return { days, fromDate, toDate, relative };
+    return { days, fromDate, toDate, fromTime, toTime, relative };
 }
 
 /** 从当前日期减去指定天数 */
@@ -635,18 +1173,13 @@ export function subtractDays(dateStr, days) {
     if (!parsed || parsed.type === 'fantasy') return dateStr;
 
     if (parsed.type === 'custom' && _customCalendar) {
-        const cal = _customCalendar;
         const linear = _customLinearDay(parsed) - days;
         if (linear < 0) return dateStr;
-        const year = Math.floor(linear / cal.yearLength);
-        let rem = linear - year * cal.yearLength;
-        let mi = 0;
-        for (; mi < cal.monthDays.length; mi++) {
-            if (rem < cal.monthDays[mi]) break;
-            rem -= cal.monthDays[mi];
-        }
-        const yr = parsed.year != null ? `${year}年` : '';
-        return `${yr}${cal.monthNames[mi]}${rem + 1}日`;
+        const d = _customFromLinear(linear);
+        if (!d) return dateStr;
+        if (parsed.year == null) delete d.year;
+        else if (parsed.era) d.era = true;
+        return _formatCustomDate(d);
     }
 
     const refYear = parsed.year || 2024;
@@ -660,6 +1193,163 @@ export function subtractDays(dateStr, days) {
     return `${date.getMonth() + 1}/${date.getDate()}`;
 }
 
+const DAY_MS = 86400000;
+
+function _standardDayNumber(year, month, day) {
+    const date = new Date(0);
+    date.setUTCFullYear(year, month - 1, day);
+    return Math.floor(date.getTime() / DAY_MS);
+}
+
+function _standardFromDayNumber(dayNumber) {
+    const date = new Date(dayNumber * DAY_MS);
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+/**
+ * 剧情日期 → 日历视图用的线性日序号（标准日期为距 1970/1/1 的天数，自定义日历为其线性日）
+ * 启用自定义日历时只认自定义日期，反之只认标准日期；没写年份的按 fallbackYear 归年，奇幻日期等无法定位的返回 null
+ */
+export function getStoryDayNumber(dateStr, fallbackYear) {
+    const parsed = typeof dateStr === 'string' ? parseStoryDate(dateStr) : dateStr;
+    if (!parsed) return null;
+    if (_customCalendar) {
+        return parsed.type === 'custom' ? _customLinearDay(parsed, fallbackYear) : null;
+    }
+    if (parsed.type !== 'standard' || !parsed.month || !parsed.day) return null;
+    const year = parsed.year ?? fallbackYear;
+    if (year === undefined || year === null) return null;
+    return _standardDayNumber(year, parsed.month, parsed.day);
+}
+
+/** 剧情日期的年份（自定义日历同理），用于给没写年份的日期归年 */
+export function getStoryYear(dateStr) {
+    const parsed = parseStoryDate(dateStr);
+    if (!parsed) return null;
+    if (_customCalendar && parsed.type !== 'custom') return null;
+    return parsed.year ?? null;
+}
+
+/**
+ * 日历视图的一页
+ * mode 为 'month' 时取 dayNumber 所在的月（自定义日历的节日单独成页），为 'week' 时取所在的一周
+ * 标准日历周一起算；自定义日历按其星期名，没配星期时按月内每 7 天分周
+ * withYear 为 false 时（剧情日期都没写年份）标题不带年；标准日历的月页此时 title 为 null，由调用方按 month 本地化
+ * @returns {{ title: string|null, month?: number, start: number, end: number, columns: number, leading: number, weekdays: string[], days: Array<{ dayNumber: number, day: number }> }}
+ * 翻页时用 start - 1 / end + 1 再取
+ */
+export function getStoryCalendarPage(dayNumber, mode = 'month', withYear = true) {
+    const cal = _customCalendar;
+    const days = [];
+    let start, end, leading = 0, title, columns = 7, weekdays;
+
+    if (cal) {
+        const cur = _customFromLinear(dayNumber);
+        if (!cur) return null;
+        const monthStart = dayNumber - (cur.day - 1);
+        const monthEnd = monthStart + _customSegmentLength(cur, cur.year) - 1;
+        const colOf = (n) => _customWeekdayIndex(n);
+        columns = cal.weekdays.length || 7;
+        weekdays = [...cal.weekdays];
+        if (mode === 'week') {
+            if (cal.weekdays.length) {
+                start = dayNumber - colOf(dayNumber);
+                end = start + columns - 1;
+            } else {
+                start = monthStart + Math.floor((cur.day - 1) / 7) * 7;
+                end = Math.min(start + 6, monthEnd);
+            }
+        } else {
+            start = monthStart;
+            end = monthEnd;
+            leading = cal.weekdays.length ? colOf(start) : 0;
+        }
+        const era = cal.eras.length > 0;
+        const fmt = (d) => _formatCustomDate(withYear ? { ...d, era } : { ...d, year: undefined });
+        for (let n = start; n <= end; n++) days.push({ dayNumber: n, day: _customFromLinear(n)?.day ?? 0 });
+        if (mode === 'week') {
+            title = `${fmt(_customFromLinear(start))} – ${fmt(_customFromLinear(end))}`;
+        } else {
+            // 月页标题去掉日数：格式化第 1 日再截掉末尾的「1日」（单日节日没有日数可截）
+            const first = fmt({ ...cur, day: 1 });
+            title = first.replace(/1日$/, '');
+        }
+        return { title, start, end, columns, leading, weekdays, days };
+    }
+
+    const cur = _standardFromDayNumber(dayNumber);
+    // 周一为第 0 列（1970/1/1 为周四）
+    const colOf = (n) => _mod(n + 3, 7);
+    const labels = WEEKDAY_NAMES_BY_LANG[_storyDateLang] || WEEKDAY_NAMES;
+    weekdays = [...labels.slice(1), labels[0]];
+    if (mode === 'week') {
+        start = dayNumber - colOf(dayNumber);
+        end = start + 6;
+        const a = _standardFromDayNumber(start);
+        const b = _standardFromDayNumber(end);
+        const ymd = (d) => withYear ? `${d.year}/${d.month}/${d.day}` : `${d.month}/${d.day}`;
+        title = `${ymd(a)} – ${ymd(b)}`;
+    } else {
+        start = dayNumber - (cur.day - 1);
+        end = _standardDayNumber(cur.year, cur.month + 1, 1) - 1;
+        leading = colOf(start);
+        title = withYear ? `${cur.year}/${cur.month}` : null;
+    }
+    for (let n = start; n <= end; n++) days.push({ dayNumber: n, day: _standardFromDayNumber(n).day });
+    return { title, month: cur.month, start, end, columns, leading, weekdays, days };
+}
+
+/**
+ * 剧情日期按天/周/月/年平移（循环待办顺延用），保持原日期是否写年份；无法定位的日期返回 null
+ * 按月/年平移时日数超出目标月的按月末算；自定义日历的周长取星期名个数，节日不参与按月平移
+ */
+export function shiftStoryDate(dateStr, unit, count = 1) {
+    const parsed = parseStoryDate(dateStr);
+    if (!parsed) return null;
+
+    if (parsed.type === 'custom' && _customCalendar) {
+        const cal = _customCalendar;
+        let d = null;
+        if (unit === 'day' || unit === 'week') {
+            const step = unit === 'week' ? (cal.weekdays.length || 7) : 1;
+            const linear = _customLinearDay(parsed);
+            if (linear !== null) d = _customFromLinear(linear + step * count);
+        } else if (unit === 'month' || unit === 'year') {
+            if (parsed.festivalIndex !== undefined) return null;
+            const months = cal.monthNames.length;
+            const total = parsed.monthIndex + (unit === 'month' ? count : count * months);
+            const year = (parsed.year ?? 0) + Math.floor(total / months);
+            const monthIndex = _mod(total, months);
+            const day = Math.min(parsed.day, _customSegmentLength({ monthIndex }, year));
+            d = { year, monthIndex, day, type: 'custom' };
+        }
+        if (!d) return null;
+        if (parsed.year == null) delete d.year;
+        else if (parsed.era) d.era = true;
+        return _formatCustomDate(d);
+    }
+
+    if (parsed.type !== 'standard') return null;
+    // 没写年份时按闰年推算，2/29 不会被挪走
+    let year = parsed.year ?? 2024;
+    let month = parsed.month;
+    let day = parsed.day;
+    if (unit === 'day' || unit === 'week') {
+        const next = _standardFromDayNumber(_standardDayNumber(year, month, day) + (unit === 'week' ? 7 : 1) * count);
+        ({ year, month, day } = next);
+    } else if (unit === 'month' || unit === 'year') {
+        const total = (month - 1) + (unit === 'month' ? count : count * 12);
+        year += Math.floor(total / 12);
+        month = _mod(total, 12) + 1;
+        day = Math.min(day, _standardFromDayNumber(_standardDayNumber(year, month + 1, 1) - 1).day);
+    } else {
+        return null;
+    }
+    if (parsed.year == null) return `${month}/${day}`;
+    const prefix = parsed.calendarPrefix || '';
+    return prefix ? `${prefix}${year}年${month}月${day}日` : `${year}/${month}/${day}`;
+}
+
 /** 十二地支 → 起始小时（初=首小时，正=次小时） */
 const EARTHLY_BRANCH_HOURS = {
     '子': 23, '丑': 1, '寅': 3, '卯': 5,
@@ -667,15 +1357,90 @@ const EARTHLY_BRANCH_HOURS = {
     '申': 15, '酉': 17, '戌': 19, '亥': 21
 };
 
+/** getTimeOfDay 的时段，按一天内的先后排列 */
+export const TIME_OF_DAY_PERIODS = ['凌晨', '早上', '上午', '中午', '下午', '傍晚', '晚上', '深夜'];
+
+/** 没有钟点时按时段词归类（中文近义词/英/日/韩），顺序即优先级 */
+const TIME_OF_DAY_WORDS = [
+    [/午夜|子夜|\bmidnight\b|\blate\s+night\b|真夜中|한밤/i, '深夜'],
+    [/清晨|黎明|拂晓|拂曉|破晓|破曉|\b(?:dawn|sunrise|daybreak)\b|夜明け|明け方|새벽/i, '早上'],
+    [/午后|\bafternoon\b|午後|오후/i, '下午'],
+    [/晌午|\b(?:noon|midday)\b|昼|정오|점심/i, '中午'],
+    [/\bmorning\b|朝|午前|아침|오전/i, '上午'],
+    [/黄昏|黃昏|日落|\b(?:dusk|sunset|twilight)\b|夕方|夕暮れ|해질녘/i, '傍晚'],
+    [/\b(?:evening|night)\b|夜|저녁|밤/i, '晚上'],
+];
+
+/**
+ * 把 story_time 解析成当天的分钟数（0~1439），解析不出确切钟点返回 null
+ * 支持 14:30、下午3点半、十点二十分、3 PM、15時30分、3시 30분；上午/下午/PM 等标记会换算成 24 小时制
+ */
+export function parseStoryTime(timeStr) {
+    if (!timeStr) return null;
+    const s = String(timeStr);
+    let hour = null;
+    let minute = 0;
+    let m = s.match(/(\d{1,2})\s*[:：]\s*(\d{2})/);
+    if (m) {
+        hour = parseInt(m[1], 10);
+        minute = parseInt(m[2], 10);
+    } else if ((m = s.match(/(\d{1,2}|[零〇一二两三四五六七八九十]{1,3})\s*[点點时時시](?!辰)(?:\s*(半|(\d{1,2}|[零〇一二三四五六七八九十]{1,3})\s*[分분]))?/))) {
+        hour = _numOrCn(m[1].replace('两', '二'));
+        minute = m[2] === '半' ? 30 : (m[3] ? _numOrCn(m[3]) : 0);
+    } else if ((m = s.match(/\b(\d{1,2})\s*(?=[ap]\.?m\b)/i))) {
+        hour = parseInt(m[1], 10);
+    }
+    if (hour === null || minute === null || hour > 24 || minute > 59) return null;
+
+    if (/下午|午后|午後|傍晚|晚上|\bp\.?m\b|오후|저녁|вечера|дня/i.test(s)) {
+        if (hour < 12) hour += 12;
+    } else if (/凌晨|早上|上午|清晨|午前|\ba\.?m\b|오전|새벽|утра|ночи/i.test(s)) {
+        if (hour === 12) hour = 0;
+    } else if (/中午|正午/.test(s)) {
+        if (hour < 6) hour += 12;
+    } else if (/深夜|夜/.test(s)) {
+        if (hour >= 6 && hour < 12) hour += 12;
+    }
+    return (hour % 24) * 60 + minute;
+}
+
+/**
+ * 同一天或相邻一天内的细分：两边都有钟点时算小时/分钟，
+ * 只有时段时给「今天早上」「晚上早些时候」「昨晚」这类描述；都没有返回 null，交回按天计算
+ */
+function _subDayRelativeMeta(days, fromTime, toTime) {
+    const from = parseStoryTime(fromTime);
+    const to = parseStoryTime(toTime);
+    if (from !== null && to !== null) {
+        const minutes = days * 1440 + to - from;
+        const abs = Math.abs(minutes);
+        // 跨午夜但不满半天的也按钟点算，23:00 到次日 01:00 是「2小时前」而不是「昨天」
+        if (days === 0 || abs < 720) {
+            if (abs < 5) return { key: 'just_now', days, minutes };
+            if (abs < 60) return { key: minutes > 0 ? 'minutes_ago' : 'minutes_later', days, minutes, value: abs };
+            return { key: minutes > 0 ? 'hours_ago' : 'hours_later', days, minutes, value: Math.round(abs / 60) };
+        }
+    }
+
+    const fromIdx = TIME_OF_DAY_PERIODS.indexOf(getTimeOfDay(fromTime));
+    if (fromIdx < 0) return null;
+    const period = TIME_OF_DAY_PERIODS[fromIdx];
+    if (days === 1 && fromIdx >= 6) return { key: 'last_night', days, period, periodIndex: fromIdx };
+    const toIdx = TIME_OF_DAY_PERIODS.indexOf(getTimeOfDay(toTime));
+    if (days !== 0 || toIdx < 0) return null;
+    if (fromIdx === toIdx) return { key: 'earlier_same_period', days, period, periodIndex: fromIdx };
+    return { key: fromIdx < toIdx ? 'today_period' : 'later_today_period', days, period, periodIndex: fromIdx };
+}
+
 /** 获取时间段描述 */
 export function getTimeOfDay(timeStr) {
     if (!timeStr) return '';
     
     let hour = null;
     
-    const match24 = timeStr.match(/(\d{1,2})[:：]/);
-    if (match24) {
-        hour = parseInt(match24[1]);
+    const minutes = parseStoryTime(timeStr);
+    if (minutes !== null) {
+        hour = Math.floor(minutes / 60);
     }
     
     const matchCN = timeStr.match(/(凌晨|早上|上午|中午|下午|傍晚|晚上|深夜)/);
@@ -683,6 +1448,11 @@ export function getTimeOfDay(timeStr) {
         return matchCN[1];
     }
     
+    if (hour === null) {
+        const word = TIME_OF_DAY_WORDS.find(([re]) => re.test(timeStr));
+        if (word) return word[1];
+    }
+    
     // 十二地支时辰兜底（子丑寅卯辰巳午未申酉戌亥 + 可选"时"/"初"/"正"）
     if (hour === null) {
         const branchMatch = timeStr.match(/([子丑寅卯辰巳午未申酉戌亥])时?(?:初|正)?/);